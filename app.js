@@ -36,7 +36,15 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks keep the raw body - the gateway signs the exact bytes it sent
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/v1/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Cookie parser middleware (required for session)
@@ -52,7 +60,7 @@ const otp = require('./routes/otpRoute');
 app.use('/api/v1/otp', otp);
 
 // Session middleware (required for CSRF) - applied after public routes
-app.use(session({
+const sessionMiddleware = session({
   name: 'shubhvaluecart.sid',
   secret: process.env.SESSION_SECRET, // Must exist in .env
   resave: false,
@@ -69,7 +77,11 @@ app.use(session({
     maxAge: 24 * 60 * 60 * 1000, // 24 hours
     path: '/'
   }
-}));
+});
+app.use(sessionMiddleware);
+
+// Shared with the Socket.IO server so admin sockets are authenticated by the same session
+app.set('sessionMiddleware', sessionMiddleware);
 
 // ❌ DO NOT apply csrf() globally here
 
@@ -80,7 +92,16 @@ const user = require('./routes/userRoute');
 const admin = require('./routes/adminRoute');
 const product = require('./routes/productRoute');
 const userOrder = require('./routes/userOrderRoute');  // ✅ User-only order routes
+const cart = require('./routes/cartRoute');  // ✅ User-only cart routes
+const wishlist = require('./routes/wishlistRoute');  // ✅ User-only wishlist routes
+const stockAlert = require('./routes/stockAlertRoute');  // ✅ Back-in-stock alert routes
 const adminOrder = require('./routes/adminOrderRoute');  // ✅ Admin-only order routes
+const returns = require('./routes/returnRoute');  // ✅ User-only return routes
+const adminReturn = require('./routes/adminReturnRoute');  // ✅ Admin-only return routes
+const adminRefund = require('./routes/adminRefundRoute');  // ✅ Admin-only refund routes
+const adminWebhook = require('./routes/adminWebhookRoute');  // ✅ Admin-only webhook event routes
+const review = require('./routes/reviewRoute');  // ✅ Product review routes
+const adminReview = require('./routes/adminReviewRoute');  // ✅ Admin-only review moderation routes
 const payment = require('./routes/paymentRoute');
 const bulk = require('./routes/bulkRoutes');
 const bulkInventory = require('./routes/bulkInventoryRoute');
@@ -108,11 +129,20 @@ const excelImport = require('./routes/excelImportRoute');
 // 1. ADMIN ROUTES (Session-based authentication ONLY)
 app.use('/api/v1/admin', admin);
 app.use('/api/v1/admin', adminOrder);  // ✅ Admin-only order routes
+app.use('/api/v1/admin', adminReturn);  // ✅ Admin-only return routes
+app.use('/api/v1/admin', adminRefund);  // ✅ Admin-only refund routes
+app.use('/api/v1/admin', adminWebhook);  // ✅ Admin-only webhook event routes
+app.use('/api/v1/admin', adminReview);  // ✅ Admin-only review moderation routes
 
 // 2. USER ROUTES (JWT-based authentication ONLY)
 app.use('/api/v1', user);
 app.use('/api/v1', product);
 app.use('/api/v1', userOrder);  // ✅ User-only order routes
+app.use('/api/v1', cart);  // ✅ User-only cart routes
+app.use('/api/v1', wishlist);  // ✅ User-only wishlist routes
+app.use('/api/v1', stockAlert);  // ✅ Back-in-stock alert routes
+app.use('/api/v1', returns);  // ✅ User-only return routes
+app.use('/api/v1', review);  // ✅ Product review routes
 app.use('/api/v1', payment);
 app.use('/api/v1', bulk);
 app.use('/api/v1', bulkInventory);
@@ -0,0 +1,163 @@
+// Customer Address Book Controller (addresses are stored on the OtpUser document)
+
+const mongoose = require('mongoose');
+const User = require('../models/OtpUser');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+// Import sanitization utilities
+const { sanitizeInput } = require('../utils/sanitize');
+// Import pricing service for the pincode serviceability check
+const pricingService = require('../services/pricingService');
+
+// Maximum saved addresses per customer
+const MAX_ADDRESSES = 10;
+
+const ADDRESS_FIELDS = ['label', 'name', 'phoneNo', 'address', 'landmark', 'city', 'state', 'country', 'pincode'];
+
+// Pick and sanitize the address fields sent by the client
+const pickAddressFields = (body) => {
+    const fields = {};
+    ADDRESS_FIELDS.forEach(field => {
+        if (body[field] !== undefined && body[field] !== null) {
+            fields[field] = sanitizeInput(String(body[field]));
+        }
+    });
+    return fields;
+};
+
+// Make one address the default and clear the flag on the rest
+const applyDefault = (user, addressId) => {
+    user.addresses.forEach(address => {
+        address.isDefault = address._id.toString() === addressId.toString();
+    });
+};
+
+// Get My Addresses
+exports.getMyAddresses = asyncErrorHandler(async (req, res, next) => {
+    const user = await User.findById(req.user._id).select('addresses').lean();
+
+    if (!user) {
+        return next(new ErrorHandler("User not found", 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        addresses: user.addresses || []
+    });
+});
+
+// Add Address
+exports.addAddress = asyncErrorHandler(async (req, res, next) => {
+    const user = await User.findById(req.user._id).select('addresses');
+
+    if (!user) {
+        return next(new ErrorHandler("User not found", 404));
+    }
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+        return next(new ErrorHandler(`You can save up to ${MAX_ADDRESSES} addresses`, 400));
+    }
+
+    const fields = pickAddressFields(req.body);
+    await pricingService.assertPincodeServiceable(fields.pincode);
+
+    user.addresses.push(fields);
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address is the default until the customer picks another
+    if (req.body.isDefault === true || user.addresses.length === 1) {
+        applyDefault(user, address._id);
+    }
+
+    await user.save();
+
+    res.status(201).json({
+        success: true,
+        address,
+        addresses: user.addresses
+    });
+});
+
+// Update Address
+exports.updateAddress = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.addressId)) {
+        return next(new ErrorHandler("Invalid address ID", 400));
+    }
+
+    const user = await User.findById(req.user._id).select('addresses');
+    const address = user ? user.addresses.id(req.params.addressId) : null;
+
+    if (!address) {
+        return next(new ErrorHandler("Address not found", 404));
+    }
+
+    const fields = pickAddressFields(req.body);
+    if (fields.pincode && fields.pincode !== address.pincode) {
+        await pricingService.assertPincodeServiceable(fields.pincode);
+    }
+
+    address.set(fields);
+
+    if (req.body.isDefault === true) {
+        applyDefault(user, address._id);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        address,
+        addresses: user.addresses
+    });
+});
+
+// Set Default Address
+exports.setDefaultAddress = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.addressId)) {
+        return next(new ErrorHandler("Invalid address ID", 400));
+    }
+
+    const user = await User.findById(req.user._id).select('addresses');
+    const address = user ? user.addresses.id(req.params.addressId) : null;
+
+    if (!address) {
+        return next(new ErrorHandler("Address not found", 404));
+    }
+
+    applyDefault(user, address._id);
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        addresses: user.addresses
+    });
+});
+
+// Delete Address
+exports.deleteAddress = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.addressId)) {
+        return next(new ErrorHandler("Invalid address ID", 400));
+    }
+
+    const user = await User.findById(req.user._id).select('addresses');
+    const address = user ? user.addresses.id(req.params.addressId) : null;
+
+    if (!address) {
+        return next(new ErrorHandler("Address not found", 404));
+    }
+
+    const wasDefault = address.isDefault;
+    user.addresses.pull(address._id);
+
+    // Hand the default flag to the oldest remaining address
+    if (wasDefault && user.addresses.length > 0) {
+        applyDefault(user, user.addresses[0]._id);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        addresses: user.addresses
+    });
+});
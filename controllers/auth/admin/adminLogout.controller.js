@@ -1,3 +1,5 @@
+const { disconnectAdminSession } = require("../../../utils/socketEvents");
+
 exports.adminLogout = (req, res, next) => {
   try {
     if (!req.session) {
@@ -10,6 +12,9 @@ exports.adminLogout = (req, res, next) => {
     // 🔴 CRITICAL: Remove admin data
     req.session.adminId = null;
 
+    // Close real-time connections opened with this session
+    disconnectAdminSession(req.app.get("io"), req.sessionID);
+
     // 🔴 CRITICAL: Destroy session
     req.session.destroy((err) => {
       if (err) {
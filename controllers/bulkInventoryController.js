@@ -3,6 +3,7 @@ const Product = require('../models/productModel');
 const Inventory = require('../models/inventoryModel');
 const ErrorHandler = require('../utils/errorHandler');
 const inventoryService = require('../services/inventoryService');
+const variantService = require('../services/variantService');
 // Import socket event emitters
 const { 
     emitProductCreated, 
@@ -29,6 +30,7 @@ exports.bulkUploadCSV = asyncErrorHandler(async (req, res, next) => {
         successCount: 0,
         failedCount: 0,
         updatedCount: 0,
+        variantCount: 0,
         errors: [],
         processedProducts: []
     };
@@ -40,6 +42,7 @@ exports.bulkUploadCSV = asyncErrorHandler(async (req, res, next) => {
         const batchErrors = [];
         const existingSKUs = [];
         const newSKUs = [];
+        const variantRows = [];
         
         // First pass: Identify existing vs new products by SKU
         for (let j = 0; j < batch.length; j++) {
@@ -47,6 +50,15 @@ exports.bulkUploadCSV = asyncErrorHandler(async (req, res, next) => {
             const row = batch[j];
             
             try {
+                // Rows with a parentSku describe a variant of that product
+                if (row.parentSku) {
+                    variantRows.push({
+                        rowIndex: rowIndex,
+                        row: row
+                    });
+                    continue;
+                }
+                
                 // Validate required fields
                 if (!row.name || !row.sku || !row.price || !row.description || !row.category) {
                     batchErrors.push({
@@ -108,11 +120,11 @@ exports.bulkUploadCSV = asyncErrorHandler(async (req, res, next) => {
                 
                 // Update inventory if quantity is provided
                 if (existing.row.quantity !== undefined) {
-                    const quantity = parseInt(existing.row.quantity) || 0;
+                    const quantity = parseFloat(existing.row.quantity) || 0;
                     
                     try {
                         // Try to get existing inventory
-                        let inventory = await Inventory.findOne({ product: existing.productId });
+                        let inventory = await Inventory.findOne({ product: existing.productId, variant: null });
                         
                         if (inventory) {
                             // Update existing inventory
@@ -184,7 +196,7 @@ exports.bulkUploadCSV = asyncErrorHandler(async (req, res, next) => {
                 
                 // Create inventory record if quantity is provided
                 if (newItem.row.quantity !== undefined) {
-                    const quantity = parseInt(newItem.row.quantity) || 0;
+                    const quantity = parseFloat(newItem.row.quantity) || 0;
                     
                     try {
                         await inventoryService.addStock(
@@ -217,6 +229,66 @@ exports.bulkUploadCSV = asyncErrorHandler(async (req, res, next) => {
             }
         }
         
+        // Process variant rows (after products, so a parent created in this batch is found)
+        for (const variantItem of variantRows) {
+            try {
+                const parent = await Product.findOne({ sku: variantItem.row.parentSku });
+                
+                if (!parent) {
+                    batchErrors.push({
+                        row: variantItem.rowIndex + 1,
+                        error: `Parent product with SKU ${variantItem.row.parentSku} not found`
+                    });
+                    continue;
+                }
+                
+                // Add the variant, or update the one with the same SKU
+                const { variant } = await variantService.upsertVariant(parent, {
+                    name: variantItem.row.variantName,
+                    sku: variantItem.row.sku,
+                    price: variantItem.row.price,
+                    mrp: variantItem.row.mrp,
+                    unit: variantItem.row.unit
+                });
+                
+                // Set the variant's stock if quantity is provided
+                if (variantItem.row.quantity !== undefined) {
+                    const quantity = parseFloat(variantItem.row.quantity) || 0;
+                    
+                    try {
+                        await inventoryService.adjustStock(
+                            parent._id,
+                            quantity,
+                            `CSV Bulk Variant Row ${variantItem.rowIndex + 1}`,
+                            req.user._id,
+                            'Variant stock from CSV',
+                            variant._id
+                        );
+                    } catch (inventoryError) {
+                        batchErrors.push({
+                            row: variantItem.rowIndex + 1,
+                            error: `Inventory update failed: ${inventoryError.message}`
+                        });
+                        continue;
+                    }
+                }
+                
+                // Emit socket event for product update
+                const io = req.app.get('io');
+                emitProductUpdated(io, parent.toJSON());
+                
+                results.variantCount++;
+                if (!results.processedProducts.some(id => id.toString() === parent._id.toString())) {
+                    results.processedProducts.push(parent._id);
+                }
+            } catch (error) {
+                batchErrors.push({
+                    row: variantItem.rowIndex + 1,
+                    error: error.message
+                });
+            }
+        }
+        
         // Add batch errors to results
         results.errors.push(...batchErrors);
         results.failedCount += batchErrors.length;
@@ -224,7 +296,7 @@ exports.bulkUploadCSV = asyncErrorHandler(async (req, res, next) => {
     
     res.status(200).json({
         success: true,
-        message: `CSV upload completed. ${results.successCount} products created, ${results.updatedCount} products updated, ${results.failedCount} failed.`,
+        message: `CSV upload completed. ${results.successCount} products created, ${results.updatedCount} products updated, ${results.variantCount} variants saved, ${results.failedCount} failed.`,
         ...results
     });
 });
@@ -267,8 +339,10 @@ exports.bulkUpdateInventoryCSV = asyncErrorHandler(async (req, res, next) => {
                     continue;
                 }
                 
-                // Find product by SKU
-                const product = await Product.findOne({ sku: row.sku }).lean();
+                // Find product or product variant by SKU
+                const match = await variantService.findBySku(row.sku);
+                const product = match && match.product;
+                const variant = match && match.variant;
                 
                 if (!product) {
                     batchErrors.push({
@@ -280,11 +354,11 @@ exports.bulkUpdateInventoryCSV = asyncErrorHandler(async (req, res, next) => {
                 
                 // Update inventory
                 if (row.quantity !== undefined) {
-                    const quantity = parseInt(row.quantity) || 0;
+                    const quantity = parseFloat(row.quantity) || 0;
                     
                     try {
                         // Try to get existing inventory
-                        let inventory = await Inventory.findOne({ product: product._id });
+                        let inventory = await Inventory.findOne({ product: product._id, variant: variant ? variant._id : null });
                         
                         if (inventory) {
                             // Update existing inventory
@@ -293,7 +367,8 @@ exports.bulkUpdateInventoryCSV = asyncErrorHandler(async (req, res, next) => {
                                 quantity,
                                 `CSV Inventory Update Row ${rowIndex + 1}`,
                                 req.user._id,
-                                'Bulk inventory update from CSV'
+                                'Bulk inventory update from CSV',
+                                variant ? variant._id : null
                             );
                         } else {
                             // Create new inventory record
@@ -302,7 +377,8 @@ exports.bulkUpdateInventoryCSV = asyncErrorHandler(async (req, res, next) => {
                                 quantity,
                                 `CSV Inventory Create Row ${rowIndex + 1}`,
                                 req.user._id,
-                                'Initial stock from CSV'
+                                'Initial stock from CSV',
+                                variant ? variant._id : null
                             );
                         }
                         
@@ -313,8 +389,9 @@ exports.bulkUpdateInventoryCSV = asyncErrorHandler(async (req, res, next) => {
                         const io = req.app.get('io');
                         emitStockUpdated(io, {
                             _id: product._id,
-                            name: product.name,
-                            sku: product.sku,
+                            name: variantService.lineName(product, variant),
+                            variant: variant ? variant._id : null,
+                            sku: variant ? variant.sku : product.sku,
                             quantity: quantity
                         });
                     } catch (inventoryError) {
@@ -0,0 +1,416 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/cartModel');
+const Product = require('../models/productModel');
+const Inventory = require('../models/inventoryModel');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const { computeUnitPrice } = require('../services/pricingService');
+const variantService = require('../services/variantService');
+const { validateQuantity, getQuantityRule, formatQuantity } = require('../utils/unitOfMeasure');
+
+// Maximum number of distinct products a cart can hold
+const MAX_CART_ITEMS = 100;
+
+// Parse a requested quantity; the product's unit, step and limits are checked with validateQuantity
+const parseQuantity = (value) => {
+    const quantity = Number(value);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+        return null;
+    }
+    return quantity;
+};
+
+// "Only 3 units of Milk are available" / "Only 1.5 kg of Tomatoes are available"
+const stockMessage = (entry) => {
+    const available = Math.max(entry.available, 0);
+    const amount = entry.unitOfMeasure === 'piece' ? `${available} units` : formatQuantity(available, entry.unitOfMeasure);
+    return `Only ${amount} of ${entry.name} are available`;
+};
+
+// Cart lines are keyed by product and variant
+const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+// Find the cart line for a product and variant
+const findLine = (cart, productId, variantId) => cart.items.find(item =>
+    lineKey(item.product, item.variant) === lineKey(productId, variantId)
+);
+
+// Find the user's cart or create an empty one
+// A single upsert, so two first adds at the same time can't both try to create the cart
+const findOrCreateCart = async (userId) => {
+    return Cart.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId, items: [] } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Load products, variants and their available stock for a list of lines ({ product, variant })
+// Lines whose product or variant no longer exists are left out of the catalog
+const loadCatalog = async (lines) => {
+    const productIds = lines.map(line => line.product);
+    const products = await Product.find({ _id: { $in: productIds } })
+        .select('name price discount discountType images stock is_active variants unitOfMeasure quantityStep minimumQty maximumQty')
+        .lean();
+    const inventories = await Inventory.find({ product: { $in: productIds } })
+        .select('product variant quantityAvailable')
+        .lean();
+
+    const productMap = {};
+    products.forEach(product => {
+        productMap[product._id.toString()] = product;
+    });
+
+    const inventoryMap = {};
+    inventories.forEach(inv => {
+        inventoryMap[lineKey(inv.product, inv.variant)] = inv.quantityAvailable;
+    });
+
+    const catalog = {};
+    lines.forEach(line => {
+        const product = productMap[line.product.toString()];
+        if (!product) {
+            return;
+        }
+
+        const variant = line.variant
+            ? (product.variants || []).find(v => v._id.toString() === line.variant.toString())
+            : null;
+        if (line.variant && !variant) {
+            return;
+        }
+
+        const key = lineKey(line.product, line.variant);
+        catalog[key] = {
+            product,
+            variant,
+            name: variantService.lineName(product, variant),
+            unitOfMeasure: getQuantityRule(product).unitOfMeasure,
+            isActive: product.is_active !== false && (!variant || variant.isActive !== false),
+            // Lines added before the product got variants have to be re-added with a variant
+            variantRequired: !variant && variantService.hasVariants(product),
+            // Selling price after the product-level discount
+            price: computeUnitPrice(product, variant),
+            // Use inventory quantity if available, otherwise fallback to product stock (variants always have inventory)
+            available: inventoryMap[key] !== undefined ? inventoryMap[key] : (variant ? 0 : (product.stock || 0))
+        };
+    });
+    return catalog;
+};
+
+/**
+ * Re-check every cart line against the current product price and stock.
+ * Refreshes the stored price snapshot, drops lines whose product no longer
+ * exists and flags lines that cannot be ordered as-is.
+ */
+const validateCart = async (cart) => {
+    const catalog = await loadCatalog(cart.items);
+
+    const items = [];
+    const issues = [];
+    let itemsPrice = 0;
+    let modified = false;
+
+    cart.items = cart.items.filter(item => {
+        const entry = catalog[lineKey(item.product, item.variant)];
+        if (!entry) {
+            issues.push({ product: item.product, name: item.name, code: 'PRODUCT_REMOVED' });
+            modified = true;
+            return false;
+        }
+        return true;
+    });
+
+    for (const item of cart.items) {
+        const { product, name, unitOfMeasure, isActive, variantRequired, price, available } = catalog[lineKey(item.product, item.variant)];
+        const lineIssues = [];
+
+        if (item.price !== price) {
+            lineIssues.push({ code: 'PRICE_CHANGED', previousPrice: item.price, currentPrice: price });
+            item.price = price;
+            modified = true;
+        }
+
+        if (!isActive) {
+            lineIssues.push({ code: 'UNAVAILABLE' });
+        } else if (variantRequired) {
+            lineIssues.push({ code: 'VARIANT_REQUIRED' });
+        } else if (available <= 0) {
+            lineIssues.push({ code: 'OUT_OF_STOCK' });
+        } else if (item.quantity > available) {
+            lineIssues.push({ code: 'INSUFFICIENT_STOCK', requested: item.quantity, available });
+        }
+
+        // The product's step or order limits may have changed since the line was added
+        try {
+            validateQuantity(product, item.quantity);
+        } catch (error) {
+            lineIssues.push({ code: 'INVALID_QUANTITY', message: error.message });
+        }
+
+        // Keep name and image in sync with the catalogue
+        const image = product.images && product.images.length > 0 ? product.images[0].url : '';
+        if (item.name !== name || item.image !== image) {
+            item.name = name;
+            item.image = image;
+            modified = true;
+        }
+
+        const orderable = lineIssues.every(issue => issue.code === 'PRICE_CHANGED');
+        if (orderable) {
+            itemsPrice += item.price * item.quantity;
+        }
+
+        lineIssues.forEach(issue => issues.push({ product: item.product, name: item.name, ...issue }));
+
+        items.push({
+            _id: item._id,
+            product: item.product,
+            variant: item.variant || null,
+            variantName: item.variantName || null,
+            name: item.name,
+            image: item.image,
+            price: item.price,
+            quantity: item.quantity,
+            unitOfMeasure,
+            availableQuantity: Math.max(available, 0),
+            orderable,
+            issues: lineIssues.map(issue => issue.code)
+        });
+    }
+
+    if (modified) {
+        await cart.save();
+    }
+
+    return {
+        _id: cart._id,
+        items,
+        // Loose goods count as one item however much is ordered
+        itemsCount: items.reduce((sum, item) => sum + (item.unitOfMeasure === 'piece' ? item.quantity : 1), 0),
+        itemsPrice: Math.round(itemsPrice * 100) / 100,
+        isOrderable: items.length > 0 && items.every(item => item.orderable),
+        issues,
+        updatedAt: cart.updatedAt
+    };
+};
+
+// Get Cart
+exports.getCart = asyncErrorHandler(async (req, res, next) => {
+    const cart = await findOrCreateCart(req.user._id);
+
+    res.status(200).json({
+        success: true,
+        cart: await validateCart(cart)
+    });
+});
+
+// Add Item to Cart
+exports.addToCart = asyncErrorHandler(async (req, res, next) => {
+    const { productId } = req.body;
+    const variantId = req.body.variantId || null;
+    const quantity = parseQuantity(req.body.quantity || 1);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+        return next(new ErrorHandler("Valid product ID is required", 400));
+    }
+
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+        return next(new ErrorHandler("Invalid variant ID", 400));
+    }
+
+    if (!quantity) {
+        return next(new ErrorHandler("Quantity must be a positive number", 400));
+    }
+
+    const catalog = await loadCatalog([{ product: productId, variant: variantId }]);
+    const entry = catalog[lineKey(productId, variantId)];
+
+    if (!entry || entry.product.is_active === false) {
+        return next(new ErrorHandler("Product Not Found", 404));
+    }
+
+    // Products sold in variants need one of their active variants
+    variantService.resolveVariant(entry.product, variantId);
+
+    const cart = await findOrCreateCart(req.user._id);
+    const existing = findLine(cart, productId, variantId);
+    const newQuantity = validateQuantity(entry.product, (existing ? existing.quantity : 0) + quantity);
+
+    if (newQuantity > entry.available) {
+        return next(new ErrorHandler(stockMessage(entry), 400));
+    }
+
+    if (existing) {
+        existing.quantity = newQuantity;
+    } else {
+        if (cart.items.length >= MAX_CART_ITEMS) {
+            return next(new ErrorHandler(`Cart cannot hold more than ${MAX_CART_ITEMS} products`, 400));
+        }
+        cart.items.push({
+            product: entry.product._id,
+            variant: entry.variant ? entry.variant._id : null,
+            variantName: entry.variant ? entry.variant.name : null,
+            name: entry.name,
+            image: entry.product.images && entry.product.images.length > 0 ? entry.product.images[0].url : '',
+            quantity: newQuantity,
+            price: entry.price
+        });
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+        success: true,
+        cart: await validateCart(cart)
+    });
+});
+
+// Update Cart Item Quantity
+// Lines of a product sold in variants are picked with ?variant=<variantId>
+exports.updateCartItem = asyncErrorHandler(async (req, res, next) => {
+    const { productId } = req.params;
+    const variantId = req.query.variant || null;
+    const quantity = parseQuantity(req.body.quantity);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return next(new ErrorHandler("Invalid product ID", 400));
+    }
+
+    if (!quantity) {
+        return next(new ErrorHandler("Quantity must be a positive number", 400));
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id });
+    const item = cart && findLine(cart, productId, variantId);
+
+    if (!item) {
+        return next(new ErrorHandler("Item not found in cart", 404));
+    }
+
+    const catalog = await loadCatalog([item]);
+    const entry = catalog[lineKey(item.product, item.variant)];
+
+    // The product or variant is gone - drop the line rather than keep an unchecked quantity
+    if (!entry) {
+        cart.items.pull(item._id);
+        await cart.save();
+        return next(new ErrorHandler("This product is no longer available and was removed from your cart", 404));
+    }
+
+    if (quantity > entry.available) {
+        return next(new ErrorHandler(stockMessage(entry), 400));
+    }
+
+    item.quantity = validateQuantity(entry.product, quantity);
+    await cart.save();
+
+    res.status(200).json({
+        success: true,
+        cart: await validateCart(cart)
+    });
+});
+
+// Remove Item from Cart
+// Lines of a product sold in variants are picked with ?variant=<variantId>
+exports.removeCartItem = asyncErrorHandler(async (req, res, next) => {
+    const { productId } = req.params;
+    const variantId = req.query.variant || null;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return next(new ErrorHandler("Invalid product ID", 400));
+    }
+
+    const cart = await findOrCreateCart(req.user._id);
+    const itemsBefore = cart.items.length;
+    const key = lineKey(productId, variantId);
+    cart.items = cart.items.filter(item => lineKey(item.product, item.variant) !== key);
+
+    if (cart.items.length === itemsBefore) {
+        return next(new ErrorHandler("Item not found in cart", 404));
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+        success: true,
+        cart: await validateCart(cart)
+    });
+});
+
+// Clear Cart
+exports.clearCart = asyncErrorHandler(async (req, res, next) => {
+    const cart = await findOrCreateCart(req.user._id);
+    cart.items = [];
+    await cart.save();
+
+    res.status(200).json({
+        success: true,
+        cart: await validateCart(cart)
+    });
+});
+
+// Merge Guest Cart into Server Cart
+// Quantities are summed per product variant and capped at the available stock
+exports.mergeCart = asyncErrorHandler(async (req, res, next) => {
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+        return next(new ErrorHandler("Items must be an array", 400));
+    }
+
+    const incoming = items.filter(item =>
+        item && mongoose.Types.ObjectId.isValid(item.product) && parseQuantity(item.quantity) &&
+        (!item.variant || mongoose.Types.ObjectId.isValid(item.variant))
+    );
+
+    const cart = await findOrCreateCart(req.user._id);
+    const catalog = await loadCatalog(incoming);
+    const skipped = [];
+
+    for (const item of incoming) {
+        const entry = catalog[lineKey(item.product, item.variant)];
+        if (!entry || !entry.isActive || entry.available <= 0) {
+            skipped.push({ product: item.product, variant: item.variant || null, reason: 'UNAVAILABLE' });
+            continue;
+        }
+
+        if (entry.variantRequired) {
+            skipped.push({ product: item.product, reason: 'VARIANT_REQUIRED' });
+            continue;
+        }
+
+        const existing = findLine(cart, item.product, item.variant);
+        let mergedQuantity;
+        try {
+            mergedQuantity = validateQuantity(entry.product, Math.min((existing ? existing.quantity : 0) + parseQuantity(item.quantity), entry.available));
+        } catch (error) {
+            skipped.push({ product: item.product, variant: item.variant || null, reason: 'INVALID_QUANTITY' });
+            continue;
+        }
+
+        if (existing) {
+            existing.quantity = mergedQuantity;
+        } else if (cart.items.length < MAX_CART_ITEMS) {
+            cart.items.push({
+                product: entry.product._id,
+                variant: entry.variant ? entry.variant._id : null,
+                variantName: entry.variant ? entry.variant.name : null,
+                name: entry.name,
+                image: entry.product.images && entry.product.images.length > 0 ? entry.product.images[0].url : '',
+                quantity: mergedQuantity,
+                price: entry.price
+            });
+        } else {
+            skipped.push({ product: item.product, variant: item.variant || null, reason: 'CART_FULL' });
+        }
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+        success: true,
+        cart: await validateCart(cart),
+        skipped
+    });
+});
@@ -1,4 +1,5 @@
 const Category = require('../models/categoryModel');
+const categoryService = require('../services/categoryService');
 const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
 const ErrorHandler = require('../utils/errorHandler');
 // Removed Cloudinary dependency
@@ -60,6 +61,10 @@ exports.getAllCategories = asyncErrorHandler(async (req, res, next) => {
     if (req.query.enabled !== undefined) {
         filter.isEnabled = req.query.enabled === 'true';
     }
+    // ?parent=root for top-level categories, ?parent=<id> for the subcategories of one category
+    if (req.query.parent !== undefined) {
+        filter.parent = req.query.parent === 'root' ? null : await categoryService.resolveParent(req.query.parent);
+    }
     
     // Use estimatedDocumentCount for better performance when no filters
     let categoriesCount;
@@ -74,7 +79,7 @@ exports.getAllCategories = asyncErrorHandler(async (req, res, next) => {
     
     // Apply pagination with filters
     const categories = await Category.find(filter)
-        .select('name description image subCategories isEnabled createdAt')
+        .select('name description slug image parent path sortOrder isEnabled createdAt')
         .sort({ createdAt: -1 })
         .limit(actualLimit)
         .skip(skipAmount)
@@ -109,11 +114,11 @@ exports.getAllCategories = asyncErrorHandler(async (req, res, next) => {
     });
 });
 
-// Get Public Categories (only enabled ones)
+// Get Public Categories (only enabled ones) as a nested tree
+// Subcategories of a disabled category are hidden with it
 exports.getPublicCategories = asyncErrorHandler(async (req, res, next) => {
     const categories = await Category.find({ isEnabled: true })
-        .select('name image updatedAt createdAt')
-        .sort({ updatedAt: -1, createdAt: -1 })
+        .select('name slug path parent sortOrder image updatedAt createdAt')
         .lean();
 
     // Convert relative image URLs to absolute URLs for public categories
@@ -121,7 +126,7 @@ exports.getPublicCategories = asyncErrorHandler(async (req, res, next) => {
     
     res.status(200).json({
         success: true,
-        categories: processedCategories,
+        categories: categoryService.buildTree(processedCategories),
     });
 });
 
@@ -136,9 +141,17 @@ exports.getCategory = asyncErrorHandler(async (req, res, next) => {
     // Convert relative image URL to absolute URL for category details
     const processedCategory = convertRelativeImageUrls([category])[0];
     
+    const breadcrumbs = await categoryService.getBreadcrumbs(category);
+    const children = await Category.find({ parent: category._id })
+        .select('name slug path sortOrder isEnabled')
+        .sort({ sortOrder: 1, name: 1 })
+        .lean();
+    
     res.status(200).json({
         success: true,
         category: processedCategory,
+        breadcrumbs,
+        children,
     });
 });
 
@@ -161,13 +174,12 @@ exports.createCategory = asyncErrorHandler(async (req, res, next) => {
     req.body.name = sanitizeInput(req.body.name);
     req.body.description = sanitizeInput(req.body.description);
     
-    // Sanitize subCategories array
-    if (req.body.subCategories && Array.isArray(req.body.subCategories)) {
-        req.body.subCategories = req.body.subCategories.map(subCat => ({
-            name: sanitizeInput(subCat.name),
-            description: sanitizeInput(subCat.description || "")
-        }));
-    }
+    // Place the category in the tree (no parent = top-level)
+    req.body.parent = await categoryService.resolveParent(req.body.parent);
+    await categoryService.assertNameAvailable(req.body.name, req.body.parent);
+    req.body.sortOrder = Number(req.body.sortOrder) || 0;
+    delete req.body.ancestors;
+    delete req.body.path;
 
     // Handle image upload - using hybrid storage (S3 or local)
     let imageData = {
@@ -245,13 +257,22 @@ exports.updateCategory = asyncErrorHandler(async (req, res, next) => {
     if (req.body.name) req.body.name = sanitizeInput(req.body.name);
     if (req.body.description) req.body.description = sanitizeInput(req.body.description);
     
-    // Sanitize subCategories array
-    if (req.body.subCategories && Array.isArray(req.body.subCategories)) {
-        req.body.subCategories = req.body.subCategories.map(subCat => ({
-            name: sanitizeInput(subCat.name),
-            description: sanitizeInput(subCat.description || "")
-        }));
+    // Moving the category - ancestors and path are derived from the parent when saving
+    if (req.body.parent !== undefined) {
+        req.body.parent = await categoryService.resolveParent(req.body.parent, category._id);
+    }
+    if (req.body.name !== undefined || req.body.parent !== undefined) {
+        await categoryService.assertNameAvailable(
+            req.body.name !== undefined ? req.body.name : category.name,
+            req.body.parent !== undefined ? req.body.parent : category.parent,
+            category._id
+        );
     }
+    if (req.body.sortOrder !== undefined) {
+        req.body.sortOrder = Number(req.body.sortOrder) || 0;
+    }
+    delete req.body.ancestors;
+    delete req.body.path;
 
     // Handle image update
     logger.debug(`UPDATE FILE: ${req.file ? 'present' : 'missing'}`);
@@ -305,14 +326,15 @@ exports.updateCategory = asyncErrorHandler(async (req, res, next) => {
         }
     }
 
-    // Ensure updatedAt is updated
-    req.body.updatedAt = Date.now();
+    // Save through the document so the tree hooks update ancestors and path
+    const previousPath = category.path;
+    category.set(req.body);
+    await category.save();
     
-    category = await Category.findByIdAndUpdate(req.params.id, req.body, {
-        new: true,
-        runValidators: true,
-        useFindAndModify: false,
-    });
+    // Subcategories follow their parent's new path
+    if (category.path !== previousPath) {
+        await categoryService.refreshDescendants(category);
+    }
     
     // Emit socket event for category update
     const io = req.app.get('io');
@@ -338,6 +360,12 @@ exports.deleteCategory = asyncErrorHandler(async (req, res, next) => {
         return next(new ErrorHandler("Category not found", 404));
     }
 
+    // Subcategories would be left without a parent
+    const childCount = await Category.countDocuments({ parent: category._id });
+    if (childCount > 0) {
+        return next(new ErrorHandler(`Category has ${childCount} subcategories. Move or delete them first`, 400));
+    }
+
     // Check if category has S3 images that need to be deleted
     if (category.image && category.image.key && isS3Image(category.image.url)) {
         try {
@@ -1,4 +1,7 @@
+const mongoose = require('mongoose');
 const Coupon = require('../models/couponModel');
+const CouponRedemption = require('../models/couponRedemptionModel');
+const Cart = require('../models/cartModel');
 const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
 const ErrorHandler = require('../utils/errorHandler');
 // Import sanitization utilities
@@ -13,6 +16,8 @@ const {
 } = require('../utils/socketEvents');
 // Import cache manager
 const { invalidateCache } = require('../utils/cacheManager');
+// Import pricing service
+const pricingService = require('../services/pricingService');
 
 // Get All Coupons ---ADMIN
 exports.getAllCoupons = asyncErrorHandler(async (req, res, next) => {
@@ -132,51 +137,74 @@ exports.deleteCoupon = asyncErrorHandler(async (req, res, next) => {
 });
 
 // Apply Coupon
+// Priced against the real cart lines (or the items sent), never a client-supplied total
+// Without a login this is only a preview: items must be sent and the per-user limit is checked at checkout
 exports.applyCoupon = asyncErrorHandler(async (req, res, next) => {
-    const { code, cartTotal } = req.body;
+    const { code } = req.body;
+
+    if (!code) {
+        return next(new ErrorHandler("Coupon code is required", 400));
+    }
 
     // Sanitize input
-    const sanitizedCode = sanitizeInput(code.toUpperCase());
+    const sanitizedCode = sanitizeInput(String(code).toUpperCase());
+
+    let items = [];
+    if (Array.isArray(req.body.items) && req.body.items.length > 0) {
+        items = req.body.items.map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity }));
+    } else if (req.user) {
+        const cart = await Cart.findOne({ user: req.user._id }).lean();
+        items = cart ? cart.items.map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity })) : [];
+    }
 
-    const coupon = await Coupon.findOne({
-        code: sanitizedCode,
-        isActive: true,
-        validFrom: { $lte: new Date() },
-        validUntil: { $gte: new Date() }
+    if (items.length === 0) {
+        return next(new ErrorHandler("Your cart is empty", 400));
+    }
+
+    const quote = await pricingService.buildQuote({
+        items,
+        couponCode: sanitizedCode,
+        userId: req.user ? req.user._id : null
     });
 
-    if (!coupon) {
-        return next(new ErrorHandler("Invalid or expired coupon code", 400));
-    }
+    const coupon = await Coupon.findOne({ code: quote.couponCode }).select('-__v').lean();
 
-    // Check if coupon has usage limit and if it's exceeded
-    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
-        return next(new ErrorHandler("Coupon usage limit exceeded", 400));
+    res.status(200).json({
+        success: true,
+        discount: quote.couponDiscount,
+        finalAmount: Math.round((quote.itemsPrice - quote.discountAmount) * 100) / 100,
+        coupon,
+        quote
+    });
+});
+
+// Get Coupon Redemptions ---ADMIN
+exports.getCouponRedemptions = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid coupon ID", 400));
     }
 
-    // Check if cart total meets minimum amount requirement
-    if (cartTotal < coupon.minimumAmount) {
-        return next(new ErrorHandler(`Minimum cart amount of ₹${coupon.minimumAmount} required to use this coupon`, 400));
+    const coupon = await Coupon.findById(req.params.id).select('code usageLimit usedCount userLimit').lean();
+
+    if (!coupon) {
+        return next(new ErrorHandler("Coupon not found", 404));
     }
 
-    let discount = 0;
-    if (coupon.discountType === "percentage") {
-        discount = (cartTotal * coupon.discountValue) / 100;
-        // Apply maximum discount limit if set
-        if (coupon.maximumDiscount > 0) {
-            discount = Math.min(discount, coupon.maximumDiscount);
-        }
-    } else {
-        discount = Math.min(coupon.discountValue, cartTotal); // Fixed discount
+    const filter = { coupon: coupon._id };
+    if (req.query.status) {
+        filter.status = sanitizeInput(req.query.status);
     }
 
-    const finalAmount = cartTotal - discount;
+    const redemptions = await CouponRedemption.find(filter)
+        .populate('user', 'name mobile email')
+        .populate('order', 'totalPrice orderStatus createdAt')
+        .sort({ createdAt: -1 })
+        .lean();
 
     res.status(200).json({
         success: true,
-        discount,
-        finalAmount,
-        coupon
+        coupon,
+        redemptions
     });
 });
 
@@ -0,0 +1,260 @@
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const DeliveryAgent = require('../models/deliveryAgentModel');
+const OtpUser = require('../models/OtpUser');
+const deliveryAgentService = require('../services/deliveryAgentService');
+const { normalizeIndianMobile } = require('../utils/mobileUtils');
+const { sanitizeInput } = require('../utils/sanitize');
+
+// Fields an admin can set on the KYC and vehicle sub-documents
+const KYC_FIELDS = ['documentType', 'documentNumber', 'documentUrl', 'drivingLicenseNumber'];
+const VEHICLE_FIELDS = ['type', 'registrationNumber', 'model'];
+
+// Copy the allowed keys of a sub-document from the request body
+const pickFields = (source, fields) => {
+    const picked = {};
+    if (!source || typeof source !== 'object') {
+        return picked;
+    }
+    fields.forEach(field => {
+        if (source[field] !== undefined) {
+            picked[field] = sanitizeInput(String(source[field]));
+        }
+    });
+    return picked;
+};
+
+// Agent with service areas and today's load, for responses
+const presentAgent = async (agent) => {
+    await agent.populate('serviceAreas', 'name pincode city');
+    const dailyLoad = await deliveryAgentService.getDailyLoad(agent._id);
+    return { ...agent.toObject(), dailyLoad };
+};
+
+// Onboard a delivery agent (links or creates the OTP login account for their mobile)
+const createDeliveryAgent = asyncErrorHandler(async (req, res, next) => {
+    const { name, email, dailyCapacity } = req.body;
+
+    if (!name || !req.body.mobile) {
+        return next(new ErrorHandler('Name and mobile number are required', 400));
+    }
+
+    let mobile;
+    try {
+        mobile = normalizeIndianMobile(req.body.mobile);
+    } catch (error) {
+        return next(new ErrorHandler('Please enter a valid Indian mobile number', 400));
+    }
+
+    if (await DeliveryAgent.exists({ mobile })) {
+        return next(new ErrorHandler('A delivery agent with this mobile number already exists', 400));
+    }
+
+    let user = await OtpUser.findOne({ mobile });
+    if (!user) {
+        user = await OtpUser.create({ mobile, name: sanitizeInput(name), email });
+    } else if (user.deletedAt || user.isActive === false) {
+        return next(new ErrorHandler('The account for this mobile number is no longer active', 400));
+    }
+
+    const agent = await DeliveryAgent.create({
+        user: user._id,
+        name: sanitizeInput(name),
+        mobile,
+        email,
+        kyc: pickFields(req.body.kyc, KYC_FIELDS),
+        vehicle: pickFields(req.body.vehicle, VEHICLE_FIELDS),
+        serviceAreas: await deliveryAgentService.resolveServiceAreas(req.body.serviceAreas),
+        dailyCapacity: dailyCapacity !== undefined ? Number(dailyCapacity) : undefined,
+        createdBy: req.admin._id
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Delivery agent created successfully',
+        agent: await presentAgent(agent)
+    });
+});
+
+// Get all delivery agents
+const getDeliveryAgents = asyncErrorHandler(async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, kycStatus, onShift, area, keyword } = req.query;
+
+    const filter = {};
+    if (status === 'active' || status === 'inactive') {
+        filter.isActive = status === 'active';
+    }
+    if (kycStatus) {
+        filter['kyc.status'] = String(kycStatus);
+    }
+    if (onShift === 'true' || onShift === 'false') {
+        filter.onShift = onShift === 'true';
+    }
+    if (area) {
+        filter.serviceAreas = { $in: await deliveryAgentService.resolveServiceAreas(area) };
+    }
+    if (keyword) {
+        const escaped = String(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.$or = [
+            { name: { $regex: escaped, $options: 'i' } },
+            { mobile: { $regex: escaped } }
+        ];
+    }
+
+    const agents = await DeliveryAgent.find(filter)
+        .populate('serviceAreas', 'name pincode city')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean();
+
+    const total = await DeliveryAgent.countDocuments(filter);
+
+    // Today's load next to each agent's capacity
+    const loads = await Promise.all(agents.map(agent => deliveryAgentService.getDailyLoad(agent._id)));
+    agents.forEach((agent, i) => {
+        agent.dailyLoad = loads[i];
+    });
+
+    res.status(200).json({
+        success: true,
+        count: agents.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        agents
+    });
+});
+
+// Get delivery agent by ID
+const getDeliveryAgent = asyncErrorHandler(async (req, res, next) => {
+    const agent = await deliveryAgentService.findAgent(req.params.id);
+
+    res.status(200).json({
+        success: true,
+        agent: await presentAgent(agent)
+    });
+});
+
+// Update delivery agent details, service areas, capacity or active status
+const updateDeliveryAgent = asyncErrorHandler(async (req, res, next) => {
+    const agent = await deliveryAgentService.findAgent(req.params.id);
+    const { name, email, dailyCapacity, isActive } = req.body;
+
+    if (name !== undefined) agent.name = sanitizeInput(name);
+    if (email !== undefined) agent.email = email;
+    if (dailyCapacity !== undefined) agent.dailyCapacity = Number(dailyCapacity);
+    if (req.body.serviceAreas !== undefined) {
+        agent.serviceAreas = await deliveryAgentService.resolveServiceAreas(req.body.serviceAreas);
+    }
+
+    // Changing KYC documents sends the agent back for verification
+    const kyc = pickFields(req.body.kyc, KYC_FIELDS);
+    if (Object.keys(kyc).length > 0) {
+        Object.assign(agent.kyc, kyc);
+        agent.kyc.status = 'pending';
+        agent.kyc.verifiedAt = undefined;
+        agent.kyc.verifiedBy = undefined;
+    }
+    Object.assign(agent.vehicle, pickFields(req.body.vehicle, VEHICLE_FIELDS));
+
+    if (isActive !== undefined) {
+        agent.isActive = isActive === true || isActive === 'true';
+        // Deactivating ends any running shift
+        if (!agent.isActive && agent.onShift) {
+            agent.onShift = false;
+            agent.lastShiftEndedAt = new Date();
+        }
+    }
+
+    await agent.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Delivery agent updated successfully',
+        agent: await presentAgent(agent)
+    });
+});
+
+// Approve or reject an agent's KYC
+const verifyDeliveryAgentKyc = asyncErrorHandler(async (req, res, next) => {
+    const { status, reason } = req.body;
+
+    if (!['verified', 'rejected'].includes(status)) {
+        return next(new ErrorHandler('Status must be verified or rejected', 400));
+    }
+
+    const agent = await deliveryAgentService.findAgent(req.params.id);
+
+    if (status === 'verified' && !agent.kyc.documentNumber) {
+        return next(new ErrorHandler('Agent has no KYC document to verify', 400));
+    }
+    if (status === 'rejected' && !reason) {
+        return next(new ErrorHandler('Please give a reason for rejecting the KYC', 400));
+    }
+
+    agent.kyc.status = status;
+    agent.kyc.verifiedAt = status === 'verified' ? new Date() : undefined;
+    agent.kyc.verifiedBy = req.admin._id;
+    agent.kyc.rejectionReason = status === 'rejected' ? sanitizeInput(reason) : '';
+
+    // A rejected agent can't stay on shift
+    if (status === 'rejected' && agent.onShift) {
+        agent.onShift = false;
+        agent.lastShiftEndedAt = new Date();
+    }
+
+    await agent.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Delivery agent KYC ${status}`,
+        agent: await presentAgent(agent)
+    });
+});
+
+// Get the signed-in agent's profile ---DELIVERY AGENT
+const getMyAgentProfile = asyncErrorHandler(async (req, res, next) => {
+    res.status(200).json({
+        success: true,
+        agent: await presentAgent(req.agent)
+    });
+});
+
+// Start or end a shift ---DELIVERY AGENT
+const updateMyShift = asyncErrorHandler(async (req, res, next) => {
+    const onShift = req.body.onShift === true || req.body.onShift === 'true';
+    const agent = req.agent;
+
+    if (onShift && agent.kyc.status !== 'verified') {
+        return next(new ErrorHandler('Your KYC must be verified before you can start a shift', 403));
+    }
+
+    if (agent.onShift !== onShift) {
+        agent.onShift = onShift;
+        if (onShift) {
+            agent.shiftStartedAt = new Date();
+        } else {
+            agent.lastShiftEndedAt = new Date();
+        }
+        await agent.save();
+    }
+
+    res.status(200).json({
+        success: true,
+        message: onShift ? 'Shift started' : 'Shift ended',
+        agent: await presentAgent(agent)
+    });
+});
+
+module.exports = {
+    createDeliveryAgent,
+    getDeliveryAgents,
+    getDeliveryAgent,
+    updateDeliveryAgent,
+    verifyDeliveryAgentKyc,
+    getMyAgentProfile,
+    updateMyShift
+};
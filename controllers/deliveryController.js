@@ -1,8 +1,13 @@
 const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
-const { ErrorHandler } = require('../utils/errorHandler');
-const Delivery = require('../models/deliveryModel');
+const ErrorHandler = require('../utils/errorHandler');
+const Delivery = require('../models/shipmentModel');
 const Order = require('../models/orderModel');
-const User = require('../models/OtpUser');
+const orderStatusService = require('../services/orderStatusService');
+const deliveryAgentService = require('../services/deliveryAgentService');
+const deliveryProofService = require('../services/deliveryProofService');
+
+// Statuses a delivery agent can set from the agent app
+const AGENT_DELIVERY_STATUSES = ['out_for_delivery', 'delivered', 'rto'];
 
 // Assign delivery agent to order
 const assignDeliveryAgent = asyncErrorHandler(async (req, res, next) => {
@@ -20,61 +25,13 @@ const assignDeliveryAgent = asyncErrorHandler(async (req, res, next) => {
             return next(new ErrorHandler('Order not found', 404));
         }
 
-        // Check if delivery agent exists and is a delivery agent
-        const deliveryAgent = await User.findById(deliveryAgentId);
-        if (!deliveryAgent) {
-            return next(new ErrorHandler('Delivery agent not found', 404));
-        }
-
-        // Create or update delivery record
-        let delivery = await Delivery.findOne({ orderId: orderId });
-        
-        if (delivery) {
-            // Update existing delivery
-            delivery.deliveryAgent = deliveryAgentId;
-            delivery.deliveryAgentName = deliveryAgent.name;
-            delivery.deliveryAgentPhone = deliveryAgent.phone || '';
-            delivery.deliveryStatus = 'assigned';
-            delivery.deliveryDate = deliveryDate || new Date();
-            delivery.deliveryNotes = deliveryNotes || '';
-            delivery.statusHistory.push({
-                status: 'assigned',
-                statusMessage: `Assigned to delivery agent: ${deliveryAgent.name}`,
-                date: new Date()
-            });
-            
-            await delivery.save();
-        } else {
-            // Create new delivery record
-            const deliveryId = `LOCAL-${orderId.toString().slice(-6)}-${Date.now()}`;
-            
-            delivery = new Delivery({
-                orderId: orderId,
-                deliveryId: deliveryId,
-                deliveryType: 'LOCAL',
-                deliveryAgent: deliveryAgentId,
-                deliveryAgentName: deliveryAgent.name,
-                deliveryAgentPhone: deliveryAgent.phone || '',
-                deliveryStatus: 'assigned',
-                deliveryDate: deliveryDate || new Date(),
-                deliveryNotes: deliveryNotes || '',
-                statusHistory: [{
-                    status: 'assigned',
-                    statusMessage: `Assigned to delivery agent: ${deliveryAgent.name}`,
-                    date: new Date()
-                }]
-            });
-            
-            await delivery.save();
-        }
-
-        // Update order status
-        order.deliveryStatus = 'Assigned';
-        order.deliveryAgent = deliveryAgentId;
-        order.deliveryAgentName = deliveryAgent.name;
-        order.deliveryAgentPhone = deliveryAgent.phone || '';
-        order.trackingId = delivery.deliveryId;
-        await order.save();
+        // Packed orders only; the agent must be active, verified, serve the pincode and have capacity left
+        const deliveryAgent = await deliveryAgentService.findAgent(deliveryAgentId);
+        const delivery = await deliveryAgentService.assignOrderToAgent(order, deliveryAgent, {
+            actor: orderStatusService.actorFromRequest(req),
+            deliveryDate,
+            deliveryNotes
+        });
 
         res.status(200).json({
             success: true,
@@ -83,88 +40,49 @@ const assignDeliveryAgent = asyncErrorHandler(async (req, res, next) => {
         });
     } catch (error) {
         console.error('Error assigning delivery agent:', error);
-        return next(new ErrorHandler(`Failed to assign delivery agent: ${error.message}`, 500));
+        return next(new ErrorHandler(`Failed to assign delivery agent: ${error.message}`, error.statusCode || 500));
     }
 });
 
 // Update delivery status
 const updateDeliveryStatus = asyncErrorHandler(async (req, res, next) => {
     try {
-        const { deliveryId, status, deliveryEta } = req.body;
+        const { deliveryId, status, deliveryEta, otp, overrideReason } = req.body;
         
         if (!deliveryId || !status) {
             return next(new ErrorHandler('Delivery ID and status are required', 400));
         }
 
-        // Validate status
-        const validStatuses = ['pending', 'confirmed', 'packed', 'assigned', 'out_for_delivery', 'delivered', 'cancelled', 'rto'];
-        if (!validStatuses.includes(status)) {
-            return next(new ErrorHandler(`Invalid status. Valid statuses are: ${validStatuses.join(', ')}`, 400));
-        }
-
         const delivery = await Delivery.findOne({ deliveryId: deliveryId });
         if (!delivery) {
             return next(new ErrorHandler('Delivery not found', 404));
         }
 
-        // Update delivery status
-        const oldStatus = delivery.deliveryStatus;
-        delivery.deliveryStatus = status;
-        
         if (deliveryEta) {
             delivery.deliveryEta = deliveryEta;
         }
-        
-        if (status === 'delivered') {
-            delivery.deliveredAt = new Date();
-            delivery.statusHistory.push({
-                status: 'delivered',
-                statusMessage: 'Package delivered successfully',
-                date: new Date()
-            });
-        } else if (status === 'out_for_delivery') {
-            delivery.statusHistory.push({
-                status: 'out_for_delivery',
-                statusMessage: 'Package out for delivery',
-                date: new Date()
-            });
-        } else if (status === 'cancelled') {
-            delivery.statusHistory.push({
-                status: 'cancelled',
-                statusMessage: 'Delivery cancelled',
-                date: new Date()
-            });
-        } else {
-            delivery.statusHistory.push({
-                status: status,
-                statusMessage: `Status updated to ${status}`,
-                date: new Date()
-            });
+
+        // Completing a local delivery needs the customer's OTP, or a reason the admin skipped it
+        if (status === 'delivered' && deliveryProofService.requiresProof(delivery)) {
+            await deliveryProofService.applyHandoverProof(delivery, {
+                otp,
+                overrideReason,
+                recipientName: req.body.recipientName
+            }, orderStatusService.actorFromRequest(req));
         }
 
-        await delivery.save();
+        const statusMessages = {
+            'delivered': 'Package delivered successfully',
+            'out_for_delivery': 'Package out for delivery',
+            'cancelled': 'Delivery cancelled'
+        };
 
-        // Update related order status
+        // Validates the transition and moves the related order with it
         const order = await Order.findById(delivery.orderId);
-        if (order) {
-            // Map delivery status to order status
-            const orderStatusMap = {
-                'delivered': 'Delivered',
-                'out_for_delivery': 'Out for Delivery',
-                'cancelled': 'Cancelled',
-                'rto': 'RTO',
-                'assigned': 'Shipped',
-                'packed': 'Shipped'
-            };
-            
-            if (orderStatusMap[status]) {
-                order.deliveryStatus = orderStatusMap[status];
-                if (status === 'delivered') {
-                    order.deliveredAt = new Date();
-                }
-                await order.save();
-            }
-        }
+        await orderStatusService.transitionDelivery(delivery, order, status, {
+            actor: orderStatusService.actorFromRequest(req),
+            note: statusMessages[status] || `Status updated to ${status}`
+        });
 
         res.status(200).json({
             success: true,
@@ -173,7 +91,7 @@ const updateDeliveryStatus = asyncErrorHandler(async (req, res, next) => {
         });
     } catch (error) {
         console.error('Error updating delivery status:', error);
-        return next(new ErrorHandler(`Failed to update delivery status: ${error.message}`, 500));
+        return next(new ErrorHandler(`Failed to update delivery status: ${error.message}`, error.statusCode || 500));
     }
 });
 
@@ -184,7 +102,7 @@ const getDeliveryById = asyncErrorHandler(async (req, res, next) => {
         
         const delivery = await Delivery.findById(id)
             .populate('orderId', 'orderStatus totalPrice shippingInfo')
-            .populate('deliveryAgent', 'name email phone');
+            .populate('deliveryAgent', 'name mobile email vehicle');
             
         if (!delivery) {
             return next(new ErrorHandler('Delivery not found', 404));
@@ -233,7 +151,7 @@ const getDeliveries = asyncErrorHandler(async (req, res, next) => {
 
         const deliveries = await Delivery.find(filter)
             .populate('orderId', 'orderStatus totalPrice shippingInfo')
-            .populate('deliveryAgent', 'name email phone')
+            .populate('deliveryAgent', 'name mobile email vehicle')
             .sort({ createdAt: -1 })
             .limit(limit)
             .skip((page - 1) * limit);
@@ -263,7 +181,7 @@ const getAgentDeliveries = asyncErrorHandler(async (req, res, next) => {
 
         // Build filter object for the agent's deliveries
         let filter = {
-            deliveryAgent: req.user._id
+            deliveryAgent: req.agent._id
         };
         
         if (status) {
@@ -292,14 +210,96 @@ const getAgentDeliveries = asyncErrorHandler(async (req, res, next) => {
     }
 });
 
+// Update the status of one of the agent's own deliveries
+const updateAgentDeliveryStatus = asyncErrorHandler(async (req, res, next) => {
+    const { deliveryId, status, deliveryEta } = req.body;
+
+    if (!deliveryId || !status) {
+        return next(new ErrorHandler('Delivery ID and status are required', 400));
+    }
+
+    if (!AGENT_DELIVERY_STATUSES.includes(status)) {
+        return next(new ErrorHandler(`Agents can only set status to: ${AGENT_DELIVERY_STATUSES.join(', ')}`, 400));
+    }
+
+    const delivery = await Delivery.findOne({ deliveryId: deliveryId, deliveryAgent: req.agent._id });
+    if (!delivery) {
+        return next(new ErrorHandler('Delivery not found', 404));
+    }
+
+    if (deliveryEta) {
+        delivery.deliveryEta = deliveryEta;
+    }
+
+    // Hand over only against the customer's OTP; a doorstep photo and signature are optional
+    if (status === 'delivered' && deliveryProofService.requiresProof(delivery)) {
+        if (delivery.deliveryStatus !== 'out_for_delivery') {
+            return next(new ErrorHandler(`Cannot change delivery status from ${delivery.deliveryStatus} to delivered`, 400));
+        }
+        await deliveryProofService.verifyDeliveryOtp(delivery, req.body.otp);
+        deliveryProofService.recordProof(delivery, {
+            files: req.files,
+            recipientName: req.body.recipientName,
+            actor: orderStatusService.actorFromRequest(req)
+        });
+    }
+
+    const statusMessages = {
+        'delivered': `Package delivered by ${req.agent.name}`,
+        'out_for_delivery': `Package out for delivery with ${req.agent.name}`,
+        'rto': 'Package returning to origin'
+    };
+
+    const order = await Order.findById(delivery.orderId);
+    await orderStatusService.transitionDelivery(delivery, order, status, {
+        actor: orderStatusService.actorFromRequest(req),
+        note: statusMessages[status]
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Delivery status updated successfully',
+        delivery
+    });
+});
+
+// Send the customer a new delivery OTP for one of the agent's deliveries
+const resendDeliveryOtp = asyncErrorHandler(async (req, res, next) => {
+    const { deliveryId } = req.body;
+
+    if (!deliveryId) {
+        return next(new ErrorHandler('Delivery ID is required', 400));
+    }
+
+    const delivery = await Delivery.findOne({ deliveryId: deliveryId, deliveryAgent: req.agent._id });
+    if (!delivery) {
+        return next(new ErrorHandler('Delivery not found', 404));
+    }
+
+    if (delivery.deliveryStatus !== 'out_for_delivery' || !deliveryProofService.requiresProof(delivery)) {
+        return next(new ErrorHandler('A delivery OTP can only be sent for local deliveries that are out for delivery', 400));
+    }
+
+    const order = await Order.findById(delivery.orderId);
+    const otpSentAt = await deliveryProofService.issueDeliveryOtp(delivery, order, { io: req.app.get('io') });
+
+    res.status(200).json({
+        success: true,
+        message: 'Delivery OTP sent to the customer',
+        otpSentAt
+    });
+});
+
 // Get delivery by delivery ID (for tracking)
 const getDeliveryByTrackingId = asyncErrorHandler(async (req, res, next) => {
     try {
         const { trackingId } = req.params;
         
+        // Doorstep proof is for the customer and admins, not public tracking
         const delivery = await Delivery.findOne({ deliveryId: trackingId })
+            .select('-proofOfDelivery')
             .populate('orderId', 'orderStatus deliveryStatus')
-            .populate('deliveryAgent', 'name phone');
+            .populate('deliveryAgent', 'name mobile');
             
         if (!delivery) {
             return next(new ErrorHandler('Delivery not found', 404));
@@ -321,5 +321,7 @@ module.exports = {
     getDeliveryById,
     getDeliveries,
     getAgentDeliveries,
+    updateAgentDeliveryStatus,
+    resendDeliveryOtp,
     getDeliveryByTrackingId
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
 const { ErrorHandler } = require('../utils/errorHandler');
 const { DeliverySettings, DeliveryArea, DeliverySlot } = require('../models/deliveryModel');
+const deliverySlotService = require('../services/deliverySlotService');
 
 // Get delivery settings
 const getDeliverySettings = asyncErrorHandler(async (req, res, next) => {
@@ -308,6 +309,18 @@ const toggleDeliverySlotStatus = asyncErrorHandler(async (req, res, next) => {
     }
 });
 
+// Get delivery slots a customer can book for a pincode and date
+const getAvailableDeliverySlots = asyncErrorHandler(async (req, res, next) => {
+    const { pincode, date } = req.query;
+
+    const availability = await deliverySlotService.getAvailableSlots(pincode, date);
+
+    res.status(200).json({
+        success: true,
+        ...availability
+    });
+});
+
 module.exports = {
     getDeliverySettings,
     updateDeliverySettings,
@@ -322,5 +335,6 @@ module.exports = {
     createDeliverySlot,
     updateDeliverySlot,
     deleteDeliverySlot,
-    toggleDeliverySlotStatus
+    toggleDeliverySlotStatus,
+    getAvailableDeliverySlots
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const dispatchService = require('../services/dispatchService');
+const orderStatusService = require('../services/orderStatusService');
+
+// Optional ID filters arrive as an array or a comma-separated string
+const parseIds = (value, label) => {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const ids = (Array.isArray(value) ? value : String(value).split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ErrorHandler(`Invalid ${label} ID`, 400);
+    }
+    return ids;
+};
+
+// Preview an auto-dispatch plan for Packed orders (nothing is saved)
+const previewDispatch = asyncErrorHandler(async (req, res, next) => {
+    const plan = await dispatchService.planDispatch({
+        orderIds: parseIds(req.body.orderIds, 'order'),
+        areaIds: parseIds(req.body.areaIds, 'delivery area'),
+        agentIds: parseIds(req.body.agentIds, 'delivery agent')
+    });
+
+    res.status(200).json({
+        success: true,
+        plan
+    });
+});
+
+// Commit a dispatch plan, as previewed or edited by the admin
+const commitDispatch = asyncErrorHandler(async (req, res, next) => {
+    const result = await dispatchService.commitDispatch(req.body.assignments, orderStatusService.actorFromRequest(req));
+
+    res.status(200).json({
+        success: true,
+        message: `Assigned ${result.assigned.length} orders${result.failed.length > 0 ? `, ${result.failed.length} failed` : ''}`,
+        ...result
+    });
+});
+
+module.exports = {
+    previewDispatch,
+    commitDispatch
+};
@@ -5,6 +5,7 @@ const Inventory = require("../models/inventoryModel");
 const asyncErrorHandler = require("../middlewares/asyncErrorHandler");
 const ErrorHandler = require("../utils/errorHandler");
 const inventoryService = require('../services/inventoryService');
+const variantService = require('../services/variantService');
 const xlsx = require("xlsx");
 
 // @desc    Import products from Excel file
@@ -47,7 +48,12 @@ const importProductsFromExcel = asyncErrorHandler(async (req, res, next) => {
       'Brand Name': 'brandname',
       'Brand': 'brandname',
       'Unit': 'unit',
-      'Tax Rate': 'taxRate'
+      'Tax Rate': 'taxRate',
+      'MRP': 'mrp',
+      'Variant': 'variantName',
+      'Variant Name': 'variantName',
+      'Pack Size': 'variantName',
+      'Variant SKU': 'variantSku'
     };
 
     // Map headers to expected format (case-insensitive)
@@ -120,7 +126,7 @@ const importProductsFromExcel = asyncErrorHandler(async (req, res, next) => {
         }
 
         // Validate quantity
-        const qty = parseInt(rowData.stock) || 0;
+        const qty = parseFloat(rowData.stock) || 0;
         if (isNaN(qty) || qty < 0) {
           throw new Error('Stock must be a non-negative number');
         }
@@ -232,6 +238,50 @@ const importProductsFromExcel = asyncErrorHandler(async (req, res, next) => {
         // Set category after product data preparation - store ObjectId, not name
         productData.category = categoryId;
 
+        // Rows with a variant add or update that variant of the product with the same name
+        if (rowData.variantName) {
+          const variantName = String(rowData.variantName).trim();
+          let product = await Product.findOne({ name: productData.name });
+
+          if (product) {
+            // The product keeps its own SKU; price and stock come from its variants
+            const { sku, price: productPrice, cuttedPrice, stock, ...productFields } = productData;
+            product.set(productFields);
+          } else {
+            product = new Product({ ...productData, stock: 0 });
+          }
+
+          const existingVariant = product.variants.find(v => v.name.toLowerCase() === variantName.toLowerCase());
+          const variantSku = rowData.variantSku
+            ? String(rowData.variantSku).trim()
+            : (existingVariant ? undefined : `${product.sku}-${variantName.toUpperCase().replace(/[^A-Z0-9]/g, '')}`);
+
+          const { variant } = await variantService.upsertVariant(product, {
+            name: variantName,
+            sku: variantSku,
+            price: price,
+            mrp: rowData.mrp,
+            unit: rowData.unit
+          }, existingVariant ? existingVariant._id : null);
+
+          // Set the variant's stock
+          try {
+            await inventoryService.adjustStock(
+              product._id,
+              qty,
+              `EXCEL_IMPORT_VARIANT_ROW_${i + 2}`,
+              req.user?._id || null,
+              'Variant stock from Excel import',
+              variant._id
+            );
+          } catch (inventoryError) {
+            console.error(`Failed to update inventory for variant ${variant._id} of product ${product._id}:`, inventoryError.message);
+          }
+
+          importResults.importedCount++;
+          continue;
+        }
+
         // Check if product with same name already exists
         const existingProduct = await Product.findOne({ name: productData.name });
         if (existingProduct) {
@@ -243,7 +293,7 @@ const importProductsFromExcel = asyncErrorHandler(async (req, res, next) => {
           
           // Update inventory for existing product
           try {
-            let inventory = await Inventory.findOne({ product: existingProduct._id });
+            let inventory = await Inventory.findOne({ product: existingProduct._id, variant: null });
             if (inventory) {
               // Update existing inventory
               await inventoryService.adjustStock(
@@ -111,48 +111,6 @@ exports.applyGiftCard = asyncErrorHandler(async (req, res, next) => {
     });
 });
 
-// Use Gift Card
-exports.useGiftCard = asyncErrorHandler(async (req, res, next) => {
-    const { code, amount, userId } = req.body;
-
-    // Sanitize input
-    const sanitizedCode = sanitizeInput(code.toUpperCase());
-
-    const giftCard = await GiftCard.findOne({
-        code: sanitizedCode,
-        isActive: true,
-        validFrom: { $lte: new Date() },
-        validUntil: { $gte: new Date() }
-    });
-
-    if (!giftCard) {
-        return next(new ErrorHandler("Invalid or expired gift card", 400));
-    }
-
-    // Check if gift card has sufficient balance
-    if (giftCard.balance < amount) {
-        return next(new ErrorHandler(`Insufficient balance. Available balance: ₹${giftCard.balance}`, 400));
-    }
-
-    // Deduct amount from gift card balance
-    giftCard.balance -= amount;
-    
-    // Add user to usedBy array
-    giftCard.usedBy.push({
-        user: userId,
-        amount: amount
-    });
-
-    await giftCard.save();
-
-    res.status(200).json({
-        success: true,
-        message: "Gift card applied successfully",
-        remainingBalance: giftCard.balance,
-        giftCard
-    });
-});
-
 // Get Active Gift Cards for Popup ---PUBLIC
 exports.getActiveGiftCardsForPopup = asyncErrorHandler(async (req, res, next) => {
     const giftCards = await GiftCard.find({
@@ -416,7 +416,7 @@ exports.getOutOfStockItems = asyncErrorHandler(async (req, res, next) => {
 
 // Add Stock to Inventory ---ADMIN
 exports.addStock = asyncErrorHandler(async (req, res, next) => {
-    const { productId, quantity, reference, notes } = req.body;
+    const { productId, variantId, quantity, reference, notes } = req.body;
     
     // Validate inputs
     if (!productId || !quantity || quantity <= 0) {
@@ -429,9 +429,10 @@ exports.addStock = asyncErrorHandler(async (req, res, next) => {
     
     // Sanitize inputs
     const sanitizedProductId = sanitizeInput(productId);
-    const sanitizedQuantity = parseInt(quantity);
+    const sanitizedQuantity = parseFloat(quantity);
     const sanitizedReference = sanitizeInput(reference);
     const sanitizedNotes = notes ? sanitizeInput(notes) : '';
+    const sanitizedVariantId = variantId ? sanitizeInput(variantId) : null;
     
     try {
         // Add stock using inventory service
@@ -440,7 +441,8 @@ exports.addStock = asyncErrorHandler(async (req, res, next) => {
             sanitizedQuantity, 
             sanitizedReference, 
             req.user._id, 
-            sanitizedNotes
+            sanitizedNotes,
+            sanitizedVariantId
         );
         
         // Get product details for response
@@ -455,6 +457,7 @@ exports.addStock = asyncErrorHandler(async (req, res, next) => {
         emitStockUpdated(io, {
             _id: product._id,
             name: product.name,
+            variant: inventory.variant,
             sku: inventory.sku,
             quantityAvailable: inventory.quantityAvailable,
             quantityReserved: inventory.quantityReserved
@@ -475,6 +478,7 @@ exports.addStock = asyncErrorHandler(async (req, res, next) => {
             inventory: {
                 _id: inventory._id,
                 product: inventory.product,
+                variant: inventory.variant,
                 sku: inventory.sku,
                 quantityAvailable: inventory.quantityAvailable,
                 quantityReserved: inventory.quantityReserved,
@@ -489,7 +493,7 @@ exports.addStock = asyncErrorHandler(async (req, res, next) => {
 
 // Remove Stock from Inventory ---ADMIN
 exports.removeStock = asyncErrorHandler(async (req, res, next) => {
-    const { productId, quantity, reference, notes } = req.body;
+    const { productId, variantId, quantity, reference, notes } = req.body;
     
     // Validate inputs
     if (!productId || !quantity || quantity <= 0) {
@@ -502,9 +506,10 @@ exports.removeStock = asyncErrorHandler(async (req, res, next) => {
     
     // Sanitize inputs
     const sanitizedProductId = sanitizeInput(productId);
-    const sanitizedQuantity = parseInt(quantity);
+    const sanitizedQuantity = parseFloat(quantity);
     const sanitizedReference = sanitizeInput(reference);
     const sanitizedNotes = notes ? sanitizeInput(notes) : '';
+    const sanitizedVariantId = variantId ? sanitizeInput(variantId) : null;
     
     try {
         // Remove stock using inventory service
@@ -513,7 +518,8 @@ exports.removeStock = asyncErrorHandler(async (req, res, next) => {
             sanitizedQuantity, 
             sanitizedReference, 
             req.user._id, 
-            sanitizedNotes
+            sanitizedNotes,
+            sanitizedVariantId
         );
         
         // Get product details for response
@@ -528,6 +534,7 @@ exports.removeStock = asyncErrorHandler(async (req, res, next) => {
         emitStockUpdated(io, {
             _id: product._id,
             name: product.name,
+            variant: inventory.variant,
             sku: inventory.sku,
             quantityAvailable: inventory.quantityAvailable,
             quantityReserved: inventory.quantityReserved
@@ -539,6 +546,7 @@ exports.removeStock = asyncErrorHandler(async (req, res, next) => {
             inventory: {
                 _id: inventory._id,
                 product: inventory.product,
+                variant: inventory.variant,
                 sku: inventory.sku,
                 quantityAvailable: inventory.quantityAvailable,
                 quantityReserved: inventory.quantityReserved,
@@ -553,7 +561,7 @@ exports.removeStock = asyncErrorHandler(async (req, res, next) => {
 
 // Adjust Stock Manually ---ADMIN
 exports.adjustStock = asyncErrorHandler(async (req, res, next) => {
-    const { productId, quantity, reference, notes } = req.body;
+    const { productId, variantId, quantity, reference, notes } = req.body;
     
     // Validate inputs
     if (!productId || quantity === undefined) {
@@ -566,9 +574,10 @@ exports.adjustStock = asyncErrorHandler(async (req, res, next) => {
     
     // Sanitize inputs
     const sanitizedProductId = sanitizeInput(productId);
-    const sanitizedQuantity = parseInt(quantity);
+    const sanitizedQuantity = parseFloat(quantity);
     const sanitizedReference = sanitizeInput(reference);
     const sanitizedNotes = notes ? sanitizeInput(notes) : '';
+    const sanitizedVariantId = variantId ? sanitizeInput(variantId) : null;
     
     try {
         // Adjust stock using inventory service
@@ -577,7 +586,8 @@ exports.adjustStock = asyncErrorHandler(async (req, res, next) => {
             sanitizedQuantity, 
             sanitizedReference, 
             req.user._id, 
-            sanitizedNotes
+            sanitizedNotes,
+            sanitizedVariantId
         );
         
         // Get product details for response
@@ -592,6 +602,7 @@ exports.adjustStock = asyncErrorHandler(async (req, res, next) => {
         emitStockUpdated(io, {
             _id: product._id,
             name: product.name,
+            variant: inventory.variant,
             sku: inventory.sku,
             quantityAvailable: inventory.quantityAvailable,
             quantityReserved: inventory.quantityReserved
@@ -612,6 +623,7 @@ exports.adjustStock = asyncErrorHandler(async (req, res, next) => {
             inventory: {
                 _id: inventory._id,
                 product: inventory.product,
+                variant: inventory.variant,
                 sku: inventory.sku,
                 quantityAvailable: inventory.quantityAvailable,
                 quantityReserved: inventory.quantityReserved,
@@ -636,6 +648,9 @@ exports.getInventoryTransactions = asyncErrorHandler(async (req, res, next) => {
     if (productId) {
         filter.product = productId;
     }
+    if (req.query.variantId) {
+        filter.variant = req.query.variantId;
+    }
     if (transactionType) {
         filter.type = transactionType;
     }
@@ -664,13 +679,14 @@ exports.getInventoryTransactions = asyncErrorHandler(async (req, res, next) => {
 // Get Inventory Details for a Product ---ADMIN
 exports.getProductInventory = asyncErrorHandler(async (req, res, next) => {
     const productId = req.params.productId;
+    const variantId = req.query.variantId || null;
     
     if (!productId) {
         return next(new ErrorHandler("Product ID is required", 400));
     }
     
-    // Get inventory details
-    const inventory = await Inventory.findOne({ product: productId })
+    // Get inventory details (the product-level record unless a variant is given)
+    const inventory = await Inventory.findOne({ product: productId, variant: variantId })
         .populate('product', 'name sku price category brand')
         .lean();
     
@@ -679,7 +695,7 @@ exports.getProductInventory = asyncErrorHandler(async (req, res, next) => {
     }
     
     // Get recent transactions
-    const recentTransactions = await InventoryTransaction.find({ product: productId })
+    const recentTransactions = await InventoryTransaction.find({ product: productId, variant: variantId })
         .sort({ createdAt: -1 })
         .limit(10)
         .lean();
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Notification = require('../models/notificationModel');
 const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
 const ErrorHandler = require('../utils/errorHandler');
@@ -101,7 +102,9 @@ exports.createNotification = asyncErrorHandler(async (req, res, next) => {
                 message: notification.message,
                 type: notification.type,
                 priority: notification.priority,
-                data: notification.metadata || {}
+                data: notification.metadata || {},
+                orderId: notification.orderId,
+                record: notification
             });
         }
     }
@@ -238,15 +241,51 @@ exports.sendTestNotification = asyncErrorHandler(async (req, res, next) => {
     });
 });
 
+// Get My Notification Preferences
+exports.getMyNotificationPreferences = asyncErrorHandler(async (req, res, next) => {
+    const preferences = await notificationService.getUserPreferences(req.user._id);
+
+    res.status(200).json({
+        success: true,
+        preferences
+    });
+});
+
+// Update My Notification Preferences
+exports.updateMyNotificationPreferences = asyncErrorHandler(async (req, res, next) => {
+    const { preferences } = req.body;
+
+    if (!preferences || typeof preferences !== 'object') {
+        return next(new ErrorHandler("Preferences are required", 400));
+    }
+
+    const saved = await notificationService.setUserPreferences(req.user._id, preferences);
+
+    res.status(200).json({
+        success: true,
+        message: "Notification preferences updated",
+        preferences: saved
+    });
+});
+
 // Set User Notification Preferences
 exports.setUserPreferences = asyncErrorHandler(async (req, res, next) => {
     const { userId, preferences } = req.body;
-    
-    // Set preferences in notification service
-    notificationService.setUserPreferences(userId, preferences);
-    
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        return next(new ErrorHandler("Valid user ID is required", 400));
+    }
+
+    if (!preferences || typeof preferences !== 'object') {
+        return next(new ErrorHandler("Preferences are required", 400));
+    }
+
+    // Persist preferences on the user
+    const saved = await notificationService.setUserPreferences(userId, preferences);
+
     res.status(200).json({
         success: true,
-        message: "Notification preferences updated"
+        message: "Notification preferences updated",
+        preferences: saved
     });
 });
\ No newline at end of file
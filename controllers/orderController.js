@@ -1,13 +1,12 @@
 const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
 const Order = require('../models/orderModel');
-const Product = require('../models/productModel');
 const OtpUser = require('../models/OtpUser');
 const ErrorHandler = require('../utils/errorHandler');
 // Import sanitization utilities
 const { sanitizeInput, sanitizeDbQuery } = require('../utils/sanitize');
 // Import mongoose for transactions
 const mongoose = require('mongoose');
-const Delivery = require('../models/deliveryModel');
+const Cart = require('../models/cartModel');
 // Import socket event emitters
 const { 
     emitOrderCreated, 
@@ -20,10 +19,95 @@ const { invalidateCache } = require('../utils/cacheManager');
 const { sendMSG91SMS } = require("../services/msg91Service");
 // Import inventory service
 const inventoryService = require('../services/inventoryService');
+// Import pricing service
+const pricingService = require('../services/pricingService');
+// Import order status state machine
+const orderStatusService = require('../services/orderStatusService');
+// Import order cancellation service
+const orderCancellationService = require('../services/orderCancellationService');
+// Import coupon redemption service
+const couponService = require('../services/couponService');
+// Import gift card service
+const giftCardService = require('../services/giftCardService');
+// Import delivery slot booking service
+const deliverySlotService = require('../services/deliverySlotService');
+
+// Customers can cancel until the order is packed
+const CUSTOMER_CANCELLABLE_STATUSES = ['Processing', 'Confirmed'];
 
 // COD Minimum Order Value Configuration
 const COD_MIN_ORDER_VALUE = 199;
 
+// Resolve the lines an order or quote is priced from: the request body, or the user's server cart
+const resolveRequestedItems = async (req) => {
+    if (Array.isArray(req.body.orderItems) && req.body.orderItems.length > 0) {
+        return {
+            fromCart: false,
+            items: req.body.orderItems.map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity }))
+        };
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id }).lean();
+    return {
+        fromCart: true,
+        items: cart ? cart.items.map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity })) : []
+    };
+};
+
+// Resolve where an order ships to: a saved address (addressId) or the shippingInfo sent with the request
+const resolveShippingInfo = async (req) => {
+    const { addressId } = req.body;
+
+    if (!addressId) {
+        return { shippingInfo: req.body.shippingInfo || null, addressId: null };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(addressId)) {
+        throw new ErrorHandler("Invalid address ID", 400);
+    }
+
+    const user = await OtpUser.findById(req.user._id).select('addresses').lean();
+    const address = user && user.addresses
+        ? user.addresses.find(saved => saved._id.toString() === addressId.toString())
+        : null;
+
+    if (!address) {
+        throw new ErrorHandler("Saved address not found", 404);
+    }
+
+    return {
+        addressId: address._id,
+        shippingInfo: {
+            address: address.landmark ? `${address.address}, ${address.landmark}` : address.address,
+            city: address.city,
+            state: address.state,
+            country: address.country || 'India',
+            pincode: address.pincode,
+            phoneNo: address.phoneNo
+        }
+    };
+};
+
+// Get Order Price Quote
+exports.getOrderQuote = asyncErrorHandler(async (req, res, next) => {
+    const { couponCode, giftCardCode } = req.body;
+    const { shippingInfo } = await resolveShippingInfo(req);
+    const { items } = await resolveRequestedItems(req);
+
+    const quote = await pricingService.buildQuote({
+        items,
+        couponCode: couponCode ? sanitizeInput(couponCode) : null,
+        giftCardCode: giftCardCode ? sanitizeInput(giftCardCode) : null,
+        pincode: shippingInfo ? sanitizeInput(String(shippingInfo.pincode || '')) : null,
+        userId: req.user._id
+    });
+
+    res.status(200).json({
+        success: true,
+        quote
+    });
+});
+
 // Create New Order
 exports.newOrder = asyncErrorHandler(async (req, res, next) => {
     // Log order creation attempt for monitoring
@@ -35,22 +119,57 @@ exports.newOrder = asyncErrorHandler(async (req, res, next) => {
         req.body.shippingInfo.state = sanitizeInput(req.body.shippingInfo.state);
         req.body.shippingInfo.country = sanitizeInput(req.body.shippingInfo.country);
         req.body.shippingInfo.phoneNo = sanitizeInput(req.body.shippingInfo.phoneNo);
-        req.body.shippingInfo.pinCode = sanitizeInput(req.body.shippingInfo.pinCode);
+        req.body.shippingInfo.pincode = sanitizeInput(req.body.shippingInfo.pincode);
     }
 
     const {
-        shippingInfo,
-        orderItems,
         paymentInfo,
-        itemsPrice,          // Subtotal before discount
-        discountAmount,      // Total discount applied
-        couponCode,          // Coupon code used
-        couponDiscount,      // Discount from coupon
-        deliveryCharge,      // Delivery charges
-        totalPrice,
+        couponCode,
+        giftCardCode,
+        deliverySlot,
         paymentMethod = 'ONLINE'
     } = req.body;
 
+    // A saved address takes the place of shippingInfo
+    const { shippingInfo, addressId } = await resolveShippingInfo(req);
+
+    if (!shippingInfo) {
+        return next(new ErrorHandler("Shipping information is required", 400));
+    }
+
+    // Price the order on the server - client-supplied totals are never trusted
+    const { items: requestedItems, fromCart } = await resolveRequestedItems(req);
+    const quote = await pricingService.buildQuote({
+        items: requestedItems,
+        couponCode: couponCode ? sanitizeInput(couponCode) : null,
+        giftCardCode: giftCardCode ? sanitizeInput(giftCardCode) : null,
+        pincode: shippingInfo.pincode,
+        userId: req.user._id
+    });
+
+    // If the client showed a different total, let it refresh before charging the customer
+    if (req.body.totalPrice !== undefined && Math.abs(quote.totalPrice - Number(req.body.totalPrice)) > 1) {
+        console.log(`ORDER_PRICE_MISMATCH: Quoted: ₹${quote.totalPrice}, Received: ₹${req.body.totalPrice}, Items: ₹${quote.itemsPrice}, Discount: ₹${quote.discountAmount}, Delivery: ₹${quote.deliveryCharge}`);
+        return res.status(409).json({
+            success: false,
+            message: "Prices have changed. Please review your order and try again.",
+            quote
+        });
+    }
+
+    const orderItems = quote.items.map(item => ({
+        name: item.name,
+        price: item.price,
+        quantity: item.quantity,
+        unitOfMeasure: item.unitOfMeasure,
+        image: item.image || '/uploads/products/default-product.png',
+        product: item.product,
+        variant: item.variant,
+        variantName: item.variantName,
+        sku: item.sku
+    }));
+    const totalPrice = quote.totalPrice;
+
     // Add idempotency protection - check for recent duplicate orders
     const idempotencyKey = req.headers['idempotency-key'] || 
         `${req.user._id}-${JSON.stringify(orderItems)}-${totalPrice}`;
@@ -77,16 +196,6 @@ exports.newOrder = asyncErrorHandler(async (req, res, next) => {
         return next(new ErrorHandler("Order Already Placed", 400));
     }
 
-    // Server-side validation of pricing calculation
-    const calculatedItemsPrice = orderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const calculatedTotal = calculatedItemsPrice - (discountAmount || 0) + (deliveryCharge || 0);
-    
-    // Allow small rounding differences (up to 1 rupee)
-    if (Math.abs(calculatedTotal - totalPrice) > 1) {
-        console.log(`ORDER_PRICE_MISMATCH: Calculated: ₹${calculatedTotal}, Received: ₹${totalPrice}, Items: ₹${calculatedItemsPrice}, Discount: ₹${discountAmount}, Delivery: ₹${deliveryCharge}`);
-        return next(new ErrorHandler("Price calculation mismatch. Please refresh and try again.", 400));
-    }
-
     // Enforce COD minimum order value
     if (paymentMethod === 'COD' && totalPrice < COD_MIN_ORDER_VALUE) {
         return next(new ErrorHandler(
@@ -95,8 +204,65 @@ exports.newOrder = asyncErrorHandler(async (req, res, next) => {
         ));
     }
 
+    // Book the chosen delivery slot before the transaction - the slot counter is shared by every checkout
+    // for that slot and would make their transactions conflict. The place is given back below if the
+    // order isn't created, and by cancelOrder/deleteOrder afterwards.
+    let bookedSlot = null;
+    if (deliverySlot && deliverySlot.slotId) {
+        try {
+            bookedSlot = await deliverySlotService.reserveSlot({
+                slotId: deliverySlot.slotId,
+                date: deliverySlot.date,
+                pincode: shippingInfo.pincode
+            });
+        } catch (error) {
+            console.log(`DELIVERY_SLOT_BOOKING_FAILED: User ${req.user._id}, Slot ${deliverySlot.slotId} on ${deliverySlot.date}, Error: ${error.message}`);
+            return next(error.statusCode ? error : new ErrorHandler("Order creation failed", 500));
+        }
+    }
+
+    const cancelSlotReservation = () => deliverySlotService.cancelReservation(bookedSlot).catch(error => {
+        console.error(`DELIVERY_SLOT_RELEASE_FAILED: Slot ${bookedSlot.slot}, Error: ${error.message}`);
+    });
+
+    // Take the coupon use before the transaction too - usedCount is shared by every checkout with the coupon
+    let reservedCoupon = null;
+    if (quote.couponCode) {
+        try {
+            reservedCoupon = await couponService.reserveCouponUse(quote.couponCode);
+        } catch (error) {
+            console.log(`COUPON_REDEMPTION_FAILED: User ${req.user._id}, Coupon ${quote.couponCode}, Error: ${error.message}`);
+            await cancelSlotReservation();
+            return next(error.statusCode ? error : new ErrorHandler("Order creation failed", 500));
+        }
+    }
+
+    // Give back the slot and coupon use taken for an order that isn't placed
+    const cancelReservations = async () => {
+        if (reservedCoupon) {
+            await couponService.releaseCouponUse(reservedCoupon).catch(error => {
+                console.error(`COUPON_RELEASE_FAILED: Coupon ${reservedCoupon.code}, Error: ${error.message}`);
+            });
+        }
+        await cancelSlotReservation();
+    };
+
+    // Stock is reserved outside the transaction, so lines reserved for an order that isn't placed are released by hand
+    const reservedItems = [];
+    const releaseReservedItems = async (orderId) => {
+        for (const reservedItem of reservedItems) {
+            try {
+                await inventoryService.releaseReservedStock(reservedItem.product, reservedItem.quantity, `ROLLBACK-${orderId}`, reservedItem.variant);
+            } catch (rollbackError) {
+                console.error(`Failed to rollback stock for ${reservedItem.name}:`, rollbackError);
+            }
+        }
+    };
+
     // Start a MongoDB session for transactions
     const session = await mongoose.startSession();
+    let committed = false;
+    let orderId = null;
     
     try {
         // Start transaction
@@ -105,51 +271,111 @@ exports.newOrder = asyncErrorHandler(async (req, res, next) => {
         // Create order within transaction WITH discount fields
         const orderData = {
             shippingInfo,
+            addressId,
             orderItems,
             paymentInfo,
-            itemsPrice: itemsPrice || calculatedItemsPrice,  // Use provided or calculated
-            discountAmount: discountAmount || 0,
-            couponCode: couponCode || null,
-            couponDiscount: couponDiscount || 0,
-            deliveryCharge: deliveryCharge || 0,
+            itemsPrice: quote.itemsPrice,
+            discountAmount: quote.discountAmount,
+            couponCode: quote.couponCode,
+            couponDiscount: quote.couponDiscount,
+            taxAmount: quote.taxAmount,
+            deliveryCharge: quote.deliveryCharge,
+            giftCardCode: quote.giftCardCode,
+            giftCardAmount: quote.giftCardAmount,
             totalPrice,
+            inventoryStatus: 'reserved',  // Stock is reserved below, in the same transaction
             user: req.user._id,
+            statusHistory: [{
+                status: 'Processing',
+                actorType: 'customer',
+                actorId: req.user._id,
+                note: 'Order placed'
+            }]
         };
 
+        if (bookedSlot) {
+            orderData.deliverySlot = bookedSlot;
+            orderData.deliveryEta = deliverySlotService.formatSlotEta(bookedSlot);
+        }
+
         // Set paidAt only for online payments
         if (paymentMethod === 'ONLINE' || paymentInfo.status === 'paid') {
             orderData.paidAt = Date.now();
         }
 
         const order = await Order.create([orderData], { session: session });
+        orderId = order[0]._id.toString();
+
+        // Record the coupon use; it is given back if the order is cancelled
+        if (reservedCoupon) {
+            try {
+                await couponService.redeemCoupon({
+                    coupon: reservedCoupon,
+                    userId: req.user._id,
+                    orderId: order[0]._id,
+                    discountAmount: quote.couponDiscount,
+                    session
+                });
+            } catch (error) {
+                console.log(`COUPON_REDEMPTION_FAILED: User ${req.user._id}, Coupon ${quote.couponCode}, Error: ${error.message}`);
+                await session.abortTransaction();
+                session.endSession();
+                await cancelReservations();
+                return next(error.statusCode ? error : new ErrorHandler("Order creation failed", 500));
+            }
+        }
+
+        // Debit the gift card for this order; the balance is restored if the order is cancelled
+        // Any gift card amount taken off the total must be debited here, or the order isn't placed
+        if (quote.giftCardAmount > 0) {
+            try {
+                await giftCardService.redeemGiftCard({
+                    code: quote.giftCardCode,
+                    userId: req.user._id,
+                    orderId: order[0]._id,
+                    amount: quote.giftCardAmount,
+                    session
+                });
+            } catch (error) {
+                console.log(`GIFT_CARD_REDEMPTION_FAILED: User ${req.user._id}, Gift card ${quote.giftCardCode}, Error: ${error.message}`);
+                await session.abortTransaction();
+                session.endSession();
+                await cancelReservations();
+                return next(error.statusCode ? error : new ErrorHandler("Order creation failed", 500));
+            }
+        }
         
         // Reserve stock for each product in the order with user-level locking
         for (const item of orderItems) {
             try {
-                await inventoryService.reserveStock(item.product, item.quantity, order[0]._id.toString(), req.user._id.toString());
+                await inventoryService.reserveStock(item.product, item.quantity, orderId, req.user._id.toString(), item.variant);
+                reservedItems.push(item);
             } catch (error) {
                 // Log stock reservation failure
                 console.log(`STOCK_RESERVATION_FAILED: User ${req.user._id}, Product ${item.product}, Quantity ${item.quantity}, Error: ${error.message}`);
                 
                 // Rollback: Release any previously reserved stock
-                for (const rollbackItem of orderItems) {
-                    if (rollbackItem === item) break; // Stop at the failed item
-                    try {
-                        await inventoryService.releaseReservedStock(rollbackItem.product, rollbackItem.quantity, `ROLLBACK-${order[0]._id.toString()}`);
-                    } catch (rollbackError) {
-                        console.error(`Failed to rollback stock for ${rollbackItem.name}:`, rollbackError);
-                    }
-                }
+                await releaseReservedItems(orderId);
                 
                 await session.abortTransaction();
                 session.endSession();
+                await cancelReservations();
                 return next(new ErrorHandler(`Stock reservation failed for ${item.name}: ${error.message}`, 400));
             }
         }
         
         // Commit transaction
         await session.commitTransaction();
+        committed = true;
         session.endSession();
+
+        // Order was built from the server cart - empty it now that the order exists
+        // A failure here must not fail the order that was already placed
+        if (fromCart) {
+            await Cart.updateOne({ user: req.user._id }, { $set: { items: [], updatedAt: Date.now() } }).catch(error => {
+                console.error(`CART_CLEAR_FAILED: User ${req.user._id}, Order ${order[0]._id}, Error: ${error.message}`);
+            });
+        }
         
         // Log successful order creation with discount info
         console.log(`ORDER_CREATED_SUCCESS: Order ${order[0]._id} created for user ${req.user._id}, total: ₹${order[0].totalPrice}, discount: ₹${order[0].discountAmount || 0}${order[0].couponCode ? `, coupon: ${order[0].couponCode}` : ''}`);
@@ -196,9 +422,13 @@ exports.newOrder = asyncErrorHandler(async (req, res, next) => {
             console.error('setImmediate setup failed:', immediateError);
         }
     } catch (error) {
-        // Abort transaction on error
-        await session.abortTransaction();
-        session.endSession();
+        // Abort transaction on error - a committed order is already placed and stays as it is
+        if (!committed) {
+            await session.abortTransaction();
+            session.endSession();
+            await releaseReservedItems(orderId);
+            await cancelReservations();
+        }
         return next(new ErrorHandler("Order creation failed", 500));
     }
 });
@@ -307,149 +537,96 @@ exports.getAllOrders = asyncErrorHandler(async (req, res, next) => {
 exports.updateOrder = asyncErrorHandler(async (req, res, next) => {
     // Sanitize status input
     req.body.status = sanitizeInput(req.body.status);
+    const note = req.body.note ? sanitizeInput(req.body.note) : '';
 
-    // Start a MongoDB session for transactions
-    const session = await mongoose.startSession();
-    
-    try {
-        // Start transaction
-        session.startTransaction();
-        
-        const order = await Order.findById(req.params.id).session(session);
+    if (!req.body.status) {
+        return next(new ErrorHandler("Status is required", 400));
+    }
 
-        if (!order) {
-            await session.abortTransaction();
-            session.endSession();
-            return next(new ErrorHandler("Order Not Found", 404));
-        }
+    const order = await Order.findById(req.params.id);
 
-        if (order.orderStatus === "Delivered") {
-            await session.abortTransaction();
-            session.endSession();
-            return next(new ErrorHandler("Already Delivered", 400));
-        }
+    if (!order) {
+        return next(new ErrorHandler("Order Not Found", 404));
+    }
 
-        if (req.body.status === "Shipped") {
-            order.shippedAt = Date.now();
-            // Fulfill reserved stock for each product in the order
-            for (const item of order.orderItems) {
-                try {
-                    await inventoryService.fulfillReservedStock(item.product, item.quantity, order._id.toString());
-                } catch (error) {
-                    // If reserved stock is insufficient, check if we can directly reduce stock
-                    // This handles orders created before inventory reservation system or failed reservations
-                    if (error.message.includes('Insufficient reserved stock')) {
-                        try {
-                            console.log(`No reserved stock found for order ${order._id}, attempting direct stock reduction for ${item.name}`);
-                            
-                            // Find the product and reduce stock directly
-                            const product = await Product.findById(item.product).session(session);
-                            
-                            if (!product) {
-                                throw new Error(`Product not found: ${item.name}`);
-                            }
-                            
-                            if (product.stock < item.quantity) {
-                                throw new Error(`Insufficient stock available. Available: ${product.stock}, Required: ${item.quantity}`);
-                            }
-                            
-                            // Reduce stock directly
-                            product.stock -= item.quantity;
-                            await product.save({ session: session });
-                            
-                            console.log(`Successfully reduced stock directly for ${item.name}. New stock: ${product.stock}`);
-                        } catch (directReductionError) {
-                            await session.abortTransaction();
-                            session.endSession();
-                            return next(new ErrorHandler(`Stock fulfillment failed for ${item.name}: ${directReductionError.message}`, 400));
-                        }
-                    } else {
-                        await session.abortTransaction();
-                        session.endSession();
-                        return next(new ErrorHandler(`Stock fulfillment failed for ${item.name}: ${error.message}`, 400));
-                    }
-                }
-            }
-            
-            // Update delivery status for local delivery
-            if (order.deliveryType === 'LOCAL') {
-                order.deliveryStatus = 'Packed';
-                
-                try {
-                    // Generate unique delivery ID
-                    const deliveryId = `LOCAL-${order._id.toString().slice(-6)}-${Date.now()}`;
-                    
-                    // Determine payment method for delivery
-                    const isPaid = order.paymentInfo && order.paymentInfo.status === 'paid';
-                    const deliveryPaymentMethod = isPaid ? 'Prepaid' : 'COD';
-                    const codAmount = isPaid ? 0 : order.totalPrice;
-                    
-                    const delivery = new Delivery({
-                        orderId: order._id,
-                        deliveryId: deliveryId,
-                        deliveryType: 'LOCAL',
-                        deliveryStatus: 'packed',
-                        totalWeight: order.orderItems.reduce((total, item) => total + (item.weight || 100), 0), // Default 100g per item
-                        declaredValue: order.totalPrice,
-                        paymentMethod: deliveryPaymentMethod,
-                        codAmount: codAmount,
-                        statusHistory: [{
-                            status: 'packed',
-                            statusMessage: 'Order packed and ready for delivery',
-                            date: new Date()
-                        }]
-                    });
-                    
-                    await delivery.save({ session: session });
-                    
-                    // Update order with delivery tracking
-                    order.trackingId = deliveryId;
-                } catch (deliveryError) {
-                    // Log the error but don't fail the order update
-                    console.error('Failed to create delivery record:', deliveryError.message);
-                    console.log('Continuing order update without delivery record');
-                }
+    const previousStatus = order.orderStatus;
+
+    if (req.body.status === 'Cancelled') {
+        // Cancellation also restores coupon and gift card and refunds online payments
+        await orderCancellationService.cancelOrder(order, {
+            actor: orderStatusService.actorFromRequest(req),
+            reason: note
+        });
+    } else {
+        // Validates the transition, runs inventory hooks and records history
+        // Delivered needs the customer's OTP or an override reason for orders our agents deliver
+        await orderStatusService.transitionOrder(order, req.body.status, {
+            actor: orderStatusService.actorFromRequest(req),
+            note,
+            proof: {
+                otp: req.body.otp ? String(req.body.otp) : '',
+                overrideReason: req.body.overrideReason ? sanitizeInput(req.body.overrideReason) : '',
+                recipientName: req.body.recipientName ? sanitizeInput(req.body.recipientName) : ''
             }
-        }
+        });
+    }
 
-        order.orderStatus = req.body.status;
-        
-        // Update delivery status based on order status
-        if (req.body.status === "Shipped") {
-            order.deliveryStatus = 'Out for Delivery'; // For local delivery
-        } else if (req.body.status === "Delivered") {
-            order.deliveredAt = Date.now();
-            order.deliveryStatus = 'Delivered';
-        }
+    console.log(`ORDER_STATUS_CHANGED: Order ${order._id} ${previousStatus} -> ${order.orderStatus}`);
 
-        await order.save({ validateBeforeSave: false, session: session });
-        
-        // Commit transaction
-        await session.commitTransaction();
-        session.endSession();
-        
-        // Emit socket event for order update
-        const io = req.app.get('io');
-        emitOrderUpdated(io, order);
-        
-        // Shipped and Delivered notifications disabled - using direct MSG91 DLT Flow only
-        
-        // Invalidate cache
-        await invalidateCache('orders');
-        
-        res.status(200).json({
-            success: true
-        });
-    } catch (error) {
-        // Abort transaction on error
-        await session.abortTransaction();
-        session.endSession();
-        
-        // Log the actual error for debugging
-        console.error('Order update error:', error);
-        
-        return next(new ErrorHandler("Order update failed", 500));
+    // Emit socket event for order update
+    const io = req.app.get('io');
+    emitOrderUpdated(io, order);
+
+    // Shipped and Delivered notifications disabled - using direct MSG91 DLT Flow only
+
+    // Invalidate cache
+    await invalidateCache('orders');
+
+    res.status(200).json({
+        success: true,
+        order
+    });
+});
+
+// Cancel Order
+exports.cancelOrder = asyncErrorHandler(async (req, res, next) => {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        return next(new ErrorHandler("Order Not Found", 404));
+    }
+
+    // Customers can only cancel their own orders
+    if (order.user.toString() !== req.user._id.toString()) {
+        return next(new ErrorHandler("Order Not Found", 404));
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(orderStatusService.getOrderStatus(order))) {
+        return next(new ErrorHandler(`Order can no longer be cancelled (current status: ${order.orderStatus})`, 400));
     }
+
+    const reason = req.body.reason ? sanitizeInput(req.body.reason) : 'Cancelled by customer';
+
+    const { refund } = await orderCancellationService.cancelOrder(order, {
+        actor: orderStatusService.actorFromRequest(req),
+        reason
+    });
+
+    console.log(`ORDER_CANCELLED_BY_CUSTOMER: Order ${order._id} cancelled by user ${req.user._id}`);
+
+    // Emit socket event for order update
+    const io = req.app.get('io');
+    emitOrderUpdated(io, order);
+
+    // Invalidate cache
+    await invalidateCache('orders');
+
+    res.status(200).json({
+        success: true,
+        message: "Order cancelled successfully",
+        order,
+        refund: refund ? { id: refund._id, amount: refund.amount, status: refund.status } : null
+    });
 });
 
 // Delete Order ---ADMIN
@@ -471,49 +648,49 @@ exports.deleteOrder = asyncErrorHandler(async (req, res, next) => {
 
         console.log(`ORDER_DELETION_ATTEMPT: Deleting order ${order._id} with status ${order.orderStatus}`);
 
-        // Handle inventory restoration based on order status
-        // Only restore inventory if order hasn't been fulfilled yet
-        if (order.orderStatus === 'Processing' || order.orderStatus === 'Confirmed') {
-            // For orders that are still in processing/confirmed status, release reserved stock
+        // Handle inventory restoration based on what the order still holds
+        if (order.inventoryStatus === 'reserved') {
+            // Stock is still reserved for the order, release it
             for (const item of order.orderItems) {
                 try {
-                    await inventoryService.releaseReservedStock(item.product, item.quantity, order._id.toString());
+                    await inventoryService.releaseReservedStock(item.product, item.quantity, order._id.toString(), item.variant);
                     console.log(`Released reserved stock for product ${item.product}, quantity ${item.quantity}`);
                 } catch (error) {
                     console.warn(`Failed to release reserved stock for product ${item.product}: ${error.message}`);
                     // Continue with deletion even if stock release fails
                 }
             }
-        } else if (order.orderStatus === 'Shipped' || order.orderStatus === 'Delivered') {
-            // For shipped/delivered orders, we need to add stock back since it was already fulfilled
+        } else if (order.inventoryStatus === 'fulfilled') {
+            // Stock was already fulfilled (shipped or paid), add it back
             for (const item of order.orderItems) {
                 try {
-                    await inventoryService.addStock(item.product, item.quantity, `ORDER_DELETION_${order._id}`, 'system', `Restored from deleted order ${order._id}`);
+                    await inventoryService.addStock(item.product, item.quantity, `ORDER_DELETION_${order._id}`, 'system', `Restored from deleted order ${order._id}`, item.variant);
                     console.log(`Restored stock for product ${item.product}, quantity ${item.quantity}`);
                 } catch (error) {
                     console.warn(`Failed to restore stock for product ${item.product}: ${error.message}`);
                     // Continue with deletion even if stock restoration fails
                 }
             }
-        } else {
-            // For other statuses, try to release reserved stock
-            for (const item of order.orderItems) {
-                try {
-                    await inventoryService.releaseReservedStock(item.product, item.quantity, order._id.toString());
-                    console.log(`Released stock for product ${item.product}, quantity ${item.quantity}`);
-                } catch (error) {
-                    console.warn(`Failed to release stock for product ${item.product}: ${error.message}`);
-                    // Continue with deletion even if stock release fails
-                }
-            }
+        } else if (!order.inventoryStatus) {
+            console.warn(`ORDER_INVENTORY_STATUS_UNKNOWN: Order ${order._id} deleted without touching stock - run migrateOrderInventoryStatus.js`);
         }
+        // Released orders (cancelled or RTO) have nothing left to restore
 
         // FIXED: Use deleteOne() instead of deprecated remove()
-        await Order.deleteOne({ _id: order._id }, { session: session });
+        const deleted = await Order.deleteOne({ _id: order._id }, { session: session });
         
         // Commit transaction
         await session.commitTransaction();
         session.endSession();
+
+        // Give the delivery slot back unless a cancellation already did; only the request that deleted the order does it
+        if (deleted.deletedCount === 1 && order.deliverySlot && !order.deliverySlot.releasedAt) {
+            try {
+                await deliverySlotService.cancelReservation(order.deliverySlot);
+            } catch (error) {
+                console.error(`DELIVERY_SLOT_RELEASE_FAILED: Order ${order._id}, Error: ${error.message}`);
+            }
+        }
         
         console.log(`ORDER_DELETED_SUCCESS: Order ${order._id} deleted successfully`);
         
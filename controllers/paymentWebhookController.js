@@ -1,214 +1,129 @@
-const Order = require('../models/orderModel');
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/webhookEventModel');
 const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
 const ErrorHandler = require('../utils/errorHandler');
-const inventoryService = require('../services/inventoryService');
-const mongoose = require('mongoose');
+const { sanitizeInput } = require('../utils/sanitize');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const { actorFromRequest } = require('../services/orderStatusService');
 
 /**
- * Handle payment success webhook - finalize reserved inventory
+ * Handle Razorpay webhooks - verify the signature, store the event and process it once
  */
-exports.handlePaymentSuccess = asyncErrorHandler(async (req, res) => {
-    try {
-        const { orderId, paymentId, status } = req.body;
-
-        if (!orderId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Order ID is required'
-            });
-        }
-
-        // Find the order
-        const order = await Order.findById(orderId);
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
-            });
-        }
-
-        // Check if payment is successful
-        if (status !== 'success' && status !== 'TXN_SUCCESS' && status !== 'paid') {
-            return res.status(400).json({
-                success: false,
-                message: 'Payment not successful'
-            });
-        }
-
-        // Start a MongoDB session for transaction
-        const session = await mongoose.startSession();
-        session.startTransaction();
-
-        try {
-            // For each item in the order, finalize the reserved stock
-            for (const item of order.orderItems) {
-                try {
-                    await inventoryService.finalizeStock(
-                        item.product,
-                        item.quantity,
-                        `Payment Success - Order ${order._id}`
-                    );
-                } catch (error) {
-                    await session.abortTransaction();
-                    session.endSession();
-                    return res.status(400).json({
-                        success: false,
-                        message: `Stock fulfillment failed for item: ${error.message}`
-                    });
-                }
-            }
-
-            // Update order payment status
-            order.paymentInfo.status = 'paid';
-            await order.save({ session });
-
-            // Commit transaction
-            await session.commitTransaction();
-            session.endSession();
-
-            // Update order status to 'Processing' if it was 'Created'
-            if (order.orderStatus === 'Created') {
-                order.orderStatus = 'Processing';
-                await order.save();
-            }
-
-            res.status(200).json({
-                success: true,
-                message: 'Payment confirmed and inventory finalized successfully',
-                orderId: order._id
-            });
-        } catch (error) {
-            await session.abortTransaction();
-            session.endSession();
-            throw error;
-        }
-    } catch (error) {
-        console.error('Payment success webhook error:', error);
-        return res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: error.message
+exports.handlePaymentWebhook = asyncErrorHandler(async (req, res, next) => {
+    const signature = req.headers['x-razorpay-signature'];
+
+    if (!signature || !req.rawBody) {
+        return next(new ErrorHandler("Webhook signature is missing", 400));
+    }
+
+    if (!paymentWebhookService.verifySignature(req.rawBody, signature)) {
+        console.warn(`WEBHOOK_SIGNATURE_INVALID: ${req.ip}`);
+        return next(new ErrorHandler("Invalid webhook signature", 400));
+    }
+
+    if (!req.body || !req.body.event) {
+        return next(new ErrorHandler("Webhook event is missing", 400));
+    }
+
+    const eventId = paymentWebhookService.resolveEventId(req.headers['x-razorpay-event-id'], req.rawBody);
+    const { duplicate, webhookEvent } = await paymentWebhookService.receiveEvent(eventId, req.body);
+
+    if (duplicate) {
+        return res.status(200).json({
+            success: true,
+            message: 'Webhook already received',
+            eventId,
+            status: webhookEvent.status
         });
     }
-});
 
-/**
- * Handle payment failure webhook - release reserved inventory
- */
-exports.handlePaymentFailure = asyncErrorHandler(async (req, res) => {
-    try {
-        const { orderId, paymentId, status } = req.body;
-
-        if (!orderId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Order ID is required'
-            });
-        }
-
-        // Find the order
-        const order = await Order.findById(orderId);
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
-            });
-        }
-
-        // Check if payment failed
-        if (status !== 'failure' && status !== 'TXN_FAILURE' && status !== 'failed' && status !== 'canceled') {
-            return res.status(400).json({
-                success: false,
-                message: 'Payment was not marked as failed'
-            });
-        }
-
-        // Start a MongoDB session for transaction
-        const session = await mongoose.startSession();
-        session.startTransaction();
-
-        try {
-            // For each item in the order, release the reserved stock
-            for (const item of order.orderItems) {
-                try {
-                    await inventoryService.releaseReservedStock(
-                        item.product,
-                        item.quantity,
-                        `Payment Failure - Order ${order._id}`
-                    );
-                } catch (error) {
-                    await session.abortTransaction();
-                    session.endSession();
-                    return res.status(400).json({
-                        success: false,
-                        message: `Stock release failed for item: ${error.message}`
-                    });
-                }
-            }
-
-            // Update order payment status
-            order.paymentInfo.status = 'failed';
-            await order.save({ session });
-
-            // Commit transaction
-            await session.commitTransaction();
-            session.endSession();
-
-            res.status(200).json({
-                success: true,
-                message: 'Payment failed and inventory released successfully',
-                orderId: order._id
-            });
-        } catch (error) {
-            await session.abortTransaction();
-            session.endSession();
-            throw error;
-        }
-    } catch (error) {
-        console.error('Payment failure webhook error:', error);
+    // A non-2xx response makes Razorpay deliver the event again
+    if (webhookEvent.status === 'failed') {
         return res.status(500).json({
             success: false,
-            message: 'Internal server error',
-            error: error.message
+            message: webhookEvent.lastError,
+            eventId
         });
     }
+
+    res.status(200).json({
+        success: true,
+        message: webhookEvent.result,
+        eventId,
+        status: webhookEvent.status
+    });
 });
 
-/**
- * Generic payment webhook handler that can handle different payment statuses
- */
-exports.handlePaymentWebhook = asyncErrorHandler(async (req, res) => {
-    try {
-        const { orderId, paymentId, status, provider } = req.body;
-
-        if (!orderId || !status) {
-            return res.status(400).json({
-                success: false,
-                message: 'Order ID and status are required'
-            });
-        }
-
-        // Determine action based on status
-        if (status.toLowerCase().includes('success') || status === 'paid') {
-            // Handle successful payment
-            await exports.handlePaymentSuccess({ body: { orderId, paymentId, status } }, res);
-        } else if (status.toLowerCase().includes('fail') || status === 'failed' || status === 'canceled') {
-            // Handle failed/cancelled payment
-            await exports.handlePaymentFailure({ body: { orderId, paymentId, status } }, res);
-        } else {
-            // Unknown status, acknowledge but don't process
-            return res.status(200).json({
-                success: true,
-                message: 'Webhook received with unknown status, acknowledged',
-                status
-            });
-        }
-    } catch (error) {
-        console.error('Generic payment webhook error:', error);
-        return res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: error.message
-        });
+// Get All Stored Webhook Events ---ADMIN
+exports.getWebhookEvents = asyncErrorHandler(async (req, res, next) => {
+    const resultPerPage = Number(req.query.limit) || 20;
+    const currentPage = Number(req.query.page) || 1;
+
+    const filter = {};
+    if (req.query.status) {
+        filter.status = sanitizeInput(req.query.status);
+    }
+    if (req.query.event) {
+        filter.event = sanitizeInput(req.query.event);
+    }
+    if (req.query.order && mongoose.Types.ObjectId.isValid(req.query.order)) {
+        filter.order = req.query.order;
     }
-});
\ No newline at end of file
+
+    const total = await WebhookEvent.countDocuments(filter);
+    const events = await WebhookEvent.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .limit(resultPerPage)
+        .skip(resultPerPage * (currentPage - 1))
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        events,
+        total,
+        resultPerPage,
+        currentPage
+    });
+});
+
+// Get Webhook Event Details ---ADMIN
+exports.getWebhookEventDetails = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid webhook event ID", 400));
+    }
+
+    const event = await WebhookEvent.findById(req.params.id).lean();
+
+    if (!event) {
+        return next(new ErrorHandler("Webhook Event Not Found", 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        event
+    });
+});
+
+// Replay a Stored Webhook Event ---ADMIN
+exports.replayWebhookEvent = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid webhook event ID", 400));
+    }
+
+    const webhookEvent = await WebhookEvent.findById(req.params.id);
+
+    if (!webhookEvent) {
+        return next(new ErrorHandler("Webhook Event Not Found", 404));
+    }
+
+    const event = await paymentWebhookService.replayEvent(webhookEvent, actorFromRequest(req));
+
+    console.log(`WEBHOOK_EVENT_REPLAYED: ${event.eventId} (${event.event}) by admin ${req.admin._id}, status ${event.status}`);
+
+    res.status(200).json({
+        success: event.status !== 'failed',
+        message: event.status === 'failed' ? event.lastError : event.result,
+        event
+    });
+});
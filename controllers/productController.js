@@ -3,10 +3,16 @@ const Product = require('../models/productModel');
 const Category = require('../models/categoryModel');
 const Inventory = require('../models/inventoryModel');
 const TaxRate = require('../models/taxRateModel');
+const Review = require('../models/reviewModel');
 const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
 const SearchFeatures = require('../utils/searchFeatures');
 const ErrorHandler = require('../utils/errorHandler');
 const inventoryService = require('../services/inventoryService');
+const wishlistService = require('../services/wishlistService');
+const variantService = require('../services/variantService');
+const categoryService = require('../services/categoryService');
+const searchService = require('../services/searchService');
+const suggestService = require('../services/suggestService');
 // Removed Cloudinary dependency
 // Import socket event emitters
 const { 
@@ -17,6 +23,7 @@ const {
 } = require('../utils/socketEvents');
 // Import sanitization utilities
 const { sanitizeInput, sanitizeDbQuery } = require('../utils/sanitize');
+const { getQuantityRule } = require('../utils/unitOfMeasure');
 // Import version check middleware
 const checkVersion = require('../middlewares/versionCheck');
 // Import cache manager
@@ -72,7 +79,8 @@ exports.getAllProducts = asyncErrorHandler(async (req, res, next) => {
                 });
                 categoryFilter = category ? category._id : mongoose.Types.ObjectId('000000000000000000000000');
             }
-            matchQuery.category = categoryFilter;
+            // Include products filed under subcategories
+            matchQuery.category = { $in: await categoryService.getCategoryAndDescendantIds(categoryFilter) };
         }
         
         // Apply price filter
@@ -101,11 +109,17 @@ exports.getAllProducts = asyncErrorHandler(async (req, res, next) => {
             },
             {
                 $addFields: {
-                    // Use inventory quantity if available, otherwise use product stock
+                    // Products sold in variants keep their stock in the variant records
+                    inventory: variantService.sellableInventory
+                }
+            },
+            {
+                $addFields: {
+                    // Use inventory quantity if available (summed across variants), otherwise use product stock
                     effectiveStock: {
                         $cond: {
                             if: { $gt: [{ $size: "$inventory" }, 0] },
-                            then: { $arrayElemAt: ["$inventory.quantityAvailable", 0] },
+                            then: { $sum: "$inventory.quantityAvailable" },
                             else: "$stock"
                         }
                     }
@@ -173,12 +187,17 @@ exports.getAllProducts = asyncErrorHandler(async (req, res, next) => {
                     as: 'inventory'
                 }
             },
+            {
+                $addFields: {
+                    inventory: variantService.sellableInventory
+                }
+            },
             {
                 $addFields: {
                     effectiveStock: {
                         $cond: {
                             if: { $gt: [{ $size: "$inventory" }, 0] },
-                            then: { $arrayElemAt: ["$inventory.quantityAvailable", 0] },
+                            then: { $sum: "$inventory.quantityAvailable" },
                             else: "$stock"
                         }
                     }
@@ -247,6 +266,39 @@ exports.getAllProducts = asyncErrorHandler(async (req, res, next) => {
     }
 })
 
+// Search Products with facet counts (brands, categories, departments, price, ratings, availability)
+exports.searchProducts = asyncErrorHandler(async (req, res, next) => {
+    // Whole, positive numbers only - $skip and $limit reject anything else
+    const resultPerPage = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 24, 1), 100);
+    const currentPage = Math.max(Math.floor(Number(req.query.page)) || 1, 1);
+
+    const { products, productsCount, facets, sort } = await searchService.facetedSearch(req.query, currentPage, resultPerPage);
+
+    res.status(200).json({
+        success: true,
+        products,
+        productsCount,
+        resultPerPage,
+        currentPage,
+        sort,
+        sortOptions: searchService.SORT_OPTIONS,
+        facets,
+    });
+})
+
+// Autocomplete Suggestions (products, brands, categories) for a partly typed search
+exports.getSearchSuggestions = asyncErrorHandler(async (req, res, next) => {
+    const keyword = typeof req.query.keyword === 'string' ? req.query.keyword.slice(0, 100) : '';
+    const limit = Math.min(Number(req.query.limit) || 8, 20);
+
+    const suggestions = await suggestService.getSuggestions(keyword, limit);
+
+    res.status(200).json({
+        success: true,
+        suggestions,
+    });
+})
+
 // Get All Products ---Product Sliders
 exports.getProducts = asyncErrorHandler(async (req, res, next) => {
     // Limit product sliders to improve performance
@@ -268,17 +320,21 @@ exports.getProductsByCategory = asyncErrorHandler(async (req, res, next) => {
     // Find category by slug (case-insensitive)
     const category = await Category.findOne({ 
         slug: { $regex: new RegExp(`^${categorySlug}$`, 'i') }
-    });
+    }).lean();
     
     if (!category) {
         return next(new ErrorHandler("Category not found", 404));
     }
     
+    // Products in the category or any of its subcategories
+    const categoryIds = await categoryService.getCategoryAndDescendantIds(category._id);
+    const breadcrumbs = await categoryService.getBreadcrumbs(category);
+    
     // Get products by category ObjectId
     const resultPerPage = Number(req.query.limit) || 24;
     const currentPage = Number(req.query.page) || 1;
     
-    const products = await Product.find({ category: category._id, is_active: true })
+    const products = await Product.find({ category: { $in: categoryIds }, is_active: true })
         .select('name price images brand category stock ratings numOfReviews')
         .populate('category', 'name slug')
         .limit(resultPerPage)
@@ -286,7 +342,7 @@ exports.getProductsByCategory = asyncErrorHandler(async (req, res, next) => {
         .sort({ createdAt: -1 })
         .lean();
     
-    const productsCount = await Product.countDocuments({ category: category._id, is_active: true });
+    const productsCount = await Product.countDocuments({ category: { $in: categoryIds }, is_active: true });
     
     res.status(200).json({
         success: true,
@@ -294,7 +350,8 @@ exports.getProductsByCategory = asyncErrorHandler(async (req, res, next) => {
         productsCount,
         resultPerPage,
         currentPage,
-        category
+        category,
+        breadcrumbs
     });
 });
 
@@ -307,6 +364,18 @@ exports.getProductDetails = asyncErrorHandler(async (req, res, next) => {
         return next(new ErrorHandler("Product Not Found", 404));
     }
 
+    // Shoppers only see variants they can buy, each with its own stock
+    if (variantService.hasVariants(product)) {
+        const variantStock = await variantService.getVariantStock(product._id);
+        product.variants = variantService.getActiveVariants(product).map(variant => ({
+            ...variant,
+            stock: variantStock[variant._id.toString()] || 0
+        }));
+    }
+
+    // Unit, step and per-order limits the quantity picker should use
+    product.quantityRule = getQuantityRule(product);
+
     res.status(200).json({
         success: true,
         product,
@@ -362,13 +431,28 @@ exports.getAdminProducts = asyncErrorHandler(async (req, res, next) => {
     // Get inventory data for all products in this batch
     const productIds = products.map(p => p._id);
     const inventories = await Inventory.find({ product: { $in: productIds } })
-        .select('product quantityAvailable quantityReserved')
+        .select('product variant quantityAvailable quantityReserved')
         .lean();
+    const withVariants = new Set((await Product.find({ _id: { $in: productIds }, 'variants.0': { $exists: true } }).distinct('_id'))
+        .map(id => id.toString()));
     
     // Create a map of inventory data by product ID
+    // Products sold in variants have one record per variant, so their quantities are added up
+    // and a product-level record left from before the first variant is ignored
     const inventoryMap = {};
     inventories.forEach(inv => {
-        inventoryMap[inv.product.toString()] = inv;
+        const id = inv.product.toString();
+        if (!inventoryMap[id]) {
+            inventoryMap[id] = { _id: null, quantityAvailable: 0, quantityReserved: 0 };
+        }
+        if (!inv.variant) {
+            inventoryMap[id]._id = inv._id;
+        }
+        if (withVariants.has(id) !== Boolean(inv.variant)) {
+            return;
+        }
+        inventoryMap[id].quantityAvailable += inv.quantityAvailable;
+        inventoryMap[id].quantityReserved += inv.quantityReserved;
     });
     
     // Add inventory quantity to each product
@@ -1148,6 +1232,11 @@ exports.updateProduct = asyncErrorHandler(async (req, res, next) => {
     // Emit socket event for product update
     const io = req.app.get('io');
     emitProductUpdated(io, updatedProduct.toJSON());
+
+    // Price or stock may have changed - alert customers who wishlisted the product
+    wishlistService.checkWishlistAlerts(updatedProduct._id, io).catch(error => {
+        console.error(`Wishlist alert check failed for product ${updatedProduct._id}:`, error.message);
+    });
     
     // Invalidate cache
     await invalidateCache('products');
@@ -1197,6 +1286,9 @@ exports.deleteProduct = asyncErrorHandler(async (req, res, next) => {
     }
 
     await product.remove();
+
+    // Remove the product's reviews
+    await Review.deleteMany({ product: product._id });
     
     // Emit socket event for product deletion
     const io = req.app.get('io');
@@ -1210,70 +1302,6 @@ exports.deleteProduct = asyncErrorHandler(async (req, res, next) => {
     });
 });
 
-// Create OR Update Reviews
-exports.createProductReview = asyncErrorHandler(async (req, res, next) => {
-
-    const { rating, comment, productId } = req.body;
-
-    // Sanitize comment
-    const sanitizedComment = sanitizeInput(comment);
-
-    const review = {
-        user: req.user._id,
-        name: req.user.name,
-        rating: Number(rating),
-        comment: sanitizedComment,
-    }
-
-    const product = await Product.findById(productId);
-
-    if (!product) {
-        return next(new ErrorHandler("Product Not Found", 404));
-    }
-
-    const isReviewed = product.reviews.find(review => review.user.toString() === req.user._id.toString());
-
-    if (isReviewed) {
-
-        product.reviews.forEach((rev) => { 
-            if (rev.user.toString() === req.user._id.toString())
-                (rev.rating = rating, rev.comment = sanitizedComment);
-        });
-    } else {
-        product.reviews.push(review);
-        product.numOfReviews = product.reviews.length;
-    }
-
-    let avg = 0;
-
-    product.reviews.forEach((rev) => {
-        avg += rev.rating;
-    });
-
-    product.ratings = avg / product.reviews.length;
-
-    await product.save({ validateBeforeSave: false });
-
-    res.status(200).json({
-        success: true
-    });
-});
-
-// Get All Reviews of Product
-exports.getProductReviews = asyncErrorHandler(async (req, res, next) => {
-
-    const product = await Product.findById(req.query.id).select('reviews').lean();
-
-    if (!product) {
-        return next(new ErrorHandler("Product Not Found", 404));
-    }
-
-    res.status(200).json({
-        success: true,
-        reviews: product.reviews
-    });
-});
-
 // Upload Additional Images ---ADMIN
 exports.uploadAdditionalImages = asyncErrorHandler(async (req, res, next) => {
     const product = await Product.findById(req.params.id);
@@ -1336,48 +1364,6 @@ exports.uploadAdditionalImages = asyncErrorHandler(async (req, res, next) => {
     });
 });
 
-// Delete Reveiws
-exports.deleteReview = asyncErrorHandler(async (req, res, next) => {
-
-    const product = await Product.findById(req.query.productId);
-
-    if (!product) {
-        return next(new ErrorHandler("Product Not Found", 404));
-    }
-
-    const reviews = product.reviews.filter((rev) => rev._id.toString() !== req.query.id.toString());
-
-    let avg = 0;
-
-    reviews.forEach((rev) => {
-        avg += rev.rating;
-    });
-
-    let ratings = 0;
-
-    if (reviews.length === 0) {
-        ratings = 0;
-    } else {
-        ratings = avg / reviews.length;
-    }
-
-    const numOfReviews = reviews.length;
-
-    const updatedProduct = await Product.findByIdAndUpdate(req.query.productId, {
-        reviews,
-        ratings: Number(ratings),
-        numOfReviews,
-    }, {
-        new: true,
-        runValidators: true,
-        useFindAndModify: false,
-    });
-
-    res.status(200).json({
-        success: true,
-    });
-});
-
 // Get Related Products
 exports.getRelatedProducts = asyncErrorHandler(async (req, res, next) => {
     const productId = req.params.id;
@@ -1396,7 +1382,7 @@ exports.getRelatedProducts = asyncErrorHandler(async (req, res, next) => {
         relatedProducts = await Product.find({
             category: currentProduct.category,
             _id: { $ne: currentProduct._id },
-            isActive: true
+            is_active: true
         })
         .select('name price images brand cuttedPrice ratings numOfReviews stock')
         .limit(8)
@@ -1408,7 +1394,7 @@ exports.getRelatedProducts = asyncErrorHandler(async (req, res, next) => {
         const brandRelated = await Product.find({
             'brand.name': currentProduct.brand.name,
             _id: { $ne: currentProduct._id },
-            isActive: true,
+            is_active: true,
             category: { $ne: currentProduct.category }
         })
         .select('name price images brand cuttedPrice ratings numOfReviews stock')
@@ -1422,7 +1408,7 @@ exports.getRelatedProducts = asyncErrorHandler(async (req, res, next) => {
     if (relatedProducts.length < 6) {
         const recentProducts = await Product.find({
             _id: { $nin: [...relatedProducts.map(p => p._id), currentProduct._id] },
-            isActive: true
+            is_active: true
         })
         .select('name price images brand cuttedPrice ratings numOfReviews stock')
         .sort({ createdAt: -1 })
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Order = require('../models/orderModel');
+const Refund = require('../models/refundModel');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const { sanitizeInput } = require('../utils/sanitize');
+const refundService = require('../services/refundService');
+const { actorFromRequest } = require('../services/orderStatusService');
+
+// Issue Full or Partial Refund for an Order ---ADMIN
+exports.createOrderRefund = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid order ID", 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        return next(new ErrorHandler("Order Not Found", 404));
+    }
+
+    if (!refundService.isRefundable(order)) {
+        return next(new ErrorHandler("Order has no online payment to refund", 400));
+    }
+
+    // Without an amount the whole remaining balance is refunded
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : refundService.getRefundableAmount(order);
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return next(new ErrorHandler("Refund amount must be greater than zero", 400));
+    }
+
+    const reason = req.body.reason ? sanitizeInput(req.body.reason) : 'Refund issued by admin';
+
+    const refund = await refundService.refundOrderPayment(order, amount, reason, {
+        source: 'ADMIN',
+        actor: actorFromRequest(req)
+    });
+
+    console.log(`ORDER_REFUND_CREATED: Order ${order._id}, refund ${refund._id}, amount ₹${refund.amount}, status ${refund.status}`);
+
+    res.status(201).json({
+        success: true,
+        refund,
+        refundedAmount: order.refundedAmount,
+        refundableAmount: refundService.getRefundableAmount(order)
+    });
+});
+
+// Get Refund Ledger for an Order ---ADMIN
+exports.getOrderRefunds = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid order ID", 400));
+    }
+
+    const order = await Order.findById(req.params.id).select('totalPrice refundedAmount refundStatus paymentInfo').lean();
+
+    if (!order) {
+        return next(new ErrorHandler("Order Not Found", 404));
+    }
+
+    const refunds = await Refund.find({ order: order._id }).sort({ createdAt: -1 }).lean();
+
+    res.status(200).json({
+        success: true,
+        refunds,
+        totalPrice: order.totalPrice,
+        refundedAmount: order.refundedAmount || 0,
+        refundableAmount: refundService.isRefundable(order) ? refundService.getRefundableAmount(order) : 0,
+        refundStatus: order.refundStatus || 'none'
+    });
+});
+
+// Get All Refunds ---ADMIN
+exports.getAllRefunds = asyncErrorHandler(async (req, res, next) => {
+    const resultPerPage = Number(req.query.limit) || 20;
+    const currentPage = Number(req.query.page) || 1;
+
+    const filter = {};
+    if (req.query.status) {
+        filter.status = sanitizeInput(req.query.status);
+    }
+    if (req.query.source) {
+        filter.source = sanitizeInput(req.query.source);
+    }
+
+    const total = await Refund.countDocuments(filter);
+    const refunds = await Refund.find(filter)
+        .populate('order', 'totalPrice orderStatus user')
+        .sort({ createdAt: -1 })
+        .limit(resultPerPage)
+        .skip(resultPerPage * (currentPage - 1))
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        refunds,
+        total,
+        resultPerPage,
+        currentPage
+    });
+});
@@ -0,0 +1,576 @@
+const mongoose = require('mongoose');
+const ReturnRequest = require('../models/returnRequestModel');
+const Order = require('../models/orderModel');
+const Delivery = require('../models/shipmentModel');
+const OtpUser = require('../models/OtpUser');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const { sanitizeInput } = require('../utils/sanitize');
+const { fitsPrecision, roundQuantity, formatQuantity } = require('../utils/unitOfMeasure');
+const inventoryService = require('../services/inventoryService');
+const refundService = require('../services/refundService');
+const notificationService = require('../services/notificationService');
+const orderStatusService = require('../services/orderStatusService');
+const deliveryAgentService = require('../services/deliveryAgentService');
+
+// Days after delivery during which items can be returned
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Reasons a customer can give for returning a line
+const RETURN_REASONS = ['DAMAGED', 'DEFECTIVE', 'WRONG_ITEM', 'EXPIRED', 'MISSING_PARTS', 'NOT_AS_DESCRIBED', 'OTHER'];
+
+// Round a money value to 2 decimal places
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Record a status change on a return request
+const pushStatus = (returnRequest, status, actor, note = '') => {
+    returnRequest.status = status;
+    returnRequest.statusHistory.push({
+        status,
+        actorType: actor.type,
+        actorId: actor.id,
+        note
+    });
+};
+
+/**
+ * Refund owed for returned lines: their share of what was paid for the items,
+ * so coupon, tax and gift card amounts are spread the same way as at checkout
+ */
+const calculateRefundAmount = (order, items) => {
+    const orderValue = order.orderItems.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    if (orderValue <= 0) {
+        return 0;
+    }
+
+    const paidForItems = (order.totalPrice || 0) + (order.giftCardAmount || 0) - (order.deliveryCharge || 0);
+    const returnedValue = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+    return roundMoney(Math.max(paidForItems, 0) * returnedValue / orderValue);
+};
+
+/**
+ * Split a refund to the original payment method by how the order was paid
+ * The gateway can only give back what it captured; the gift card share goes back as store credit
+ * @returns {Object} { gatewayAmount, storeCreditAmount }
+ */
+const splitOriginalRefund = (order, amount) => {
+    const paid = (order.totalPrice || 0) + (order.giftCardAmount || 0);
+    let storeCreditAmount = paid > 0 ? roundMoney(amount * (order.giftCardAmount || 0) / paid) : 0;
+
+    // Store credit under ₹1 can't be issued; it stays with the gateway share
+    if (storeCreditAmount < 1) {
+        storeCreditAmount = 0;
+    }
+
+    return { gatewayAmount: roundMoney(amount - storeCreditAmount), storeCreditAmount };
+};
+
+// Parse the items field, which arrives as a JSON string in multipart requests
+const parseItems = (value) => {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Build image entries from files uploaded through hybridUpload
+const collectImages = (req) => {
+    if (!req.files || !req.files.images) {
+        return [];
+    }
+    return req.files.images.map(file => file.destination === 's3'
+        ? { public_id: file.filename, url: file.path }
+        : { public_id: file.filename, url: `/uploads/returns/${file.filename}` }
+    );
+};
+
+// Create Return Request
+exports.createReturnRequest = asyncErrorHandler(async (req, res, next) => {
+    const { orderId, description } = req.body;
+    const items = parseItems(req.body.items);
+
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+        return next(new ErrorHandler("Valid order ID is required", 400));
+    }
+
+    if (!items || items.length === 0) {
+        return next(new ErrorHandler("Select at least one item to return", 400));
+    }
+
+    const order = await Order.findById(orderId);
+
+    // Customers can only return their own orders
+    if (!order || order.user.toString() !== req.user._id.toString()) {
+        return next(new ErrorHandler("Order Not Found", 404));
+    }
+
+    if (orderStatusService.getOrderStatus(order) !== 'Delivered') {
+        return next(new ErrorHandler("Only delivered orders can be returned", 400));
+    }
+
+    const deliveredAt = order.deliveredAt || order.deliveryDate;
+    if (deliveredAt && Date.now() - new Date(deliveredAt).getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+        return next(new ErrorHandler(`Returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery`, 400));
+    }
+
+    // Quantities already in open or completed returns for this order
+    const existingReturns = await ReturnRequest.find({ order: order._id, status: { $ne: 'Rejected' } })
+        .select('items')
+        .lean();
+    const alreadyReturned = {};
+    existingReturns.forEach(existing => {
+        existing.items.forEach(item => {
+            const key = item.orderItem.toString();
+            alreadyReturned[key] = (alreadyReturned[key] || 0) + item.quantity;
+        });
+    });
+
+    const returnItems = [];
+    for (const item of items) {
+        const line = item && item.orderItem && mongoose.Types.ObjectId.isValid(item.orderItem)
+            ? order.orderItems.id(item.orderItem)
+            : null;
+
+        if (!line) {
+            return next(new ErrorHandler("Return item does not belong to this order", 400));
+        }
+
+        // Loose goods sold by weight can be returned in part, e.g. 0.5 of 2 kg
+        const unitOfMeasure = line.unitOfMeasure || 'piece';
+        const quantity = Number(item.quantity);
+        const returnable = roundQuantity(line.quantity - (alreadyReturned[line._id.toString()] || 0), unitOfMeasure);
+
+        if (!Number.isFinite(quantity) || quantity <= 0 || !fitsPrecision(quantity, unitOfMeasure)) {
+            return next(new ErrorHandler(unitOfMeasure === 'piece'
+                ? "Return quantity must be a positive whole number"
+                : `Return quantity must be a positive amount in ${unitOfMeasure}`, 400));
+        }
+
+        if (quantity > returnable) {
+            const amount = unitOfMeasure === 'piece' ? `${Math.max(returnable, 0)} units` : formatQuantity(Math.max(returnable, 0), unitOfMeasure);
+            return next(new ErrorHandler(`Only ${amount} of ${line.name} can be returned`, 400));
+        }
+
+        if (!RETURN_REASONS.includes(item.reason)) {
+            return next(new ErrorHandler(`Invalid return reason. Valid reasons are: ${RETURN_REASONS.join(', ')}`, 400));
+        }
+
+        alreadyReturned[line._id.toString()] = (alreadyReturned[line._id.toString()] || 0) + quantity;
+        returnItems.push({
+            orderItem: line._id,
+            product: line.product,
+            variant: line.variant || null,
+            name: line.name,
+            price: line.price,
+            quantity,
+            reason: item.reason
+        });
+    }
+
+    // Cash and gift card payments can only be refunded as store credit
+    let refundMethod = req.body.refundMethod === 'STORE_CREDIT' ? 'STORE_CREDIT' : 'ORIGINAL';
+    if (refundMethod === 'ORIGINAL' && !refundService.isRefundable(order)) {
+        refundMethod = 'STORE_CREDIT';
+    }
+
+    const returnRequest = new ReturnRequest({
+        order: order._id,
+        user: req.user._id,
+        items: returnItems,
+        description: description ? sanitizeInput(description) : '',
+        images: collectImages(req),
+        refundMethod,
+        refundAmount: calculateRefundAmount(order, returnItems)
+    });
+    pushStatus(returnRequest, 'Requested', orderStatusService.actorFromRequest(req), 'Return requested');
+    await returnRequest.save();
+
+    console.log(`RETURN_REQUESTED: Return ${returnRequest._id} for order ${order._id} by user ${req.user._id}`);
+
+    res.status(201).json({
+        success: true,
+        returnRequest
+    });
+});
+
+// Get Logged In User Return Requests
+exports.myReturnRequests = asyncErrorHandler(async (req, res, next) => {
+    const returnRequests = await ReturnRequest.find({ user: req.user._id })
+        .sort({ createdAt: -1 })
+        .select('-__v')
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        returnRequests
+    });
+});
+
+// Get Single Return Request
+exports.getMyReturnRequest = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid return request ID", 400));
+    }
+
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, user: req.user._id }).lean();
+
+    if (!returnRequest) {
+        return next(new ErrorHandler("Return Request Not Found", 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        returnRequest
+    });
+});
+
+// Get All Return Requests ---ADMIN
+exports.getAllReturnRequests = asyncErrorHandler(async (req, res, next) => {
+    const resultPerPage = Number(req.query.limit) || 20;
+    const currentPage = Number(req.query.page) || 1;
+
+    const filter = {};
+    if (req.query.status) {
+        filter.status = sanitizeInput(req.query.status);
+    }
+
+    const total = await ReturnRequest.countDocuments(filter);
+    const returnRequests = await ReturnRequest.find(filter)
+        .populate({ path: 'user', select: 'name mobile', model: 'OtpUser' })
+        .sort({ createdAt: -1 })
+        .limit(resultPerPage)
+        .skip(resultPerPage * (currentPage - 1))
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        returnRequests,
+        total,
+        resultPerPage,
+        currentPage
+    });
+});
+
+// Get Return Request Details ---ADMIN
+exports.getReturnRequestDetails = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid return request ID", 400));
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+        .populate({ path: 'user', select: 'name mobile email', model: 'OtpUser' })
+        .populate('order', 'orderStatus totalPrice paymentInfo shippingInfo deliveredAt refundedAmount')
+        .populate('pickupDelivery', 'deliveryId deliveryStatus deliveryAgentName pickupScheduledDate')
+        .lean();
+
+    if (!returnRequest) {
+        return next(new ErrorHandler("Return Request Not Found", 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        returnRequest
+    });
+});
+
+// Approve Return Request ---ADMIN
+exports.approveReturnRequest = asyncErrorHandler(async (req, res, next) => {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+        return next(new ErrorHandler("Return Request Not Found", 404));
+    }
+
+    if (returnRequest.status !== 'Requested') {
+        return next(new ErrorHandler(`Return request is already ${returnRequest.status}`, 400));
+    }
+
+    const order = await Order.findById(returnRequest.order);
+    if (!order) {
+        return next(new ErrorHandler("Order Not Found", 404));
+    }
+
+    // Admin can settle on a different amount or method than the customer asked for
+    if (req.body.refundAmount !== undefined) {
+        const refundAmount = roundMoney(req.body.refundAmount);
+        if (refundAmount < 0) {
+            return next(new ErrorHandler("Refund amount cannot be negative", 400));
+        }
+        returnRequest.refundAmount = refundAmount;
+    }
+
+    if (req.body.refundMethod) {
+        if (!['ORIGINAL', 'STORE_CREDIT'].includes(req.body.refundMethod)) {
+            return next(new ErrorHandler("Refund method must be ORIGINAL or STORE_CREDIT", 400));
+        }
+        returnRequest.refundMethod = req.body.refundMethod;
+    }
+
+    if (returnRequest.refundMethod === 'ORIGINAL') {
+        if (!refundService.isRefundable(order)) {
+            return next(new ErrorHandler("Order was not paid online; refund it as store credit", 400));
+        }
+        const { gatewayAmount } = splitOriginalRefund(order, returnRequest.refundAmount);
+        if (gatewayAmount > refundService.getRefundableAmount(order)) {
+            return next(new ErrorHandler(`Refund amount exceeds the refundable balance of ₹${refundService.getRefundableAmount(order)}`, 400));
+        }
+    }
+
+    returnRequest.adminNote = req.body.adminNote ? sanitizeInput(req.body.adminNote) : returnRequest.adminNote;
+    pushStatus(returnRequest, 'Approved', orderStatusService.actorFromRequest(req), returnRequest.adminNote);
+    await returnRequest.save();
+
+    res.status(200).json({
+        success: true,
+        returnRequest
+    });
+});
+
+// Reject Return Request ---ADMIN
+exports.rejectReturnRequest = asyncErrorHandler(async (req, res, next) => {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+        return next(new ErrorHandler("Return Request Not Found", 404));
+    }
+
+    if (returnRequest.status !== 'Requested') {
+        return next(new ErrorHandler(`Return request is already ${returnRequest.status}`, 400));
+    }
+
+    if (!req.body.reason) {
+        return next(new ErrorHandler("Rejection reason is required", 400));
+    }
+
+    returnRequest.rejectionReason = sanitizeInput(req.body.reason);
+    pushStatus(returnRequest, 'Rejected', orderStatusService.actorFromRequest(req), returnRequest.rejectionReason);
+    await returnRequest.save();
+
+    res.status(200).json({
+        success: true,
+        returnRequest
+    });
+});
+
+// Schedule Return Pickup ---ADMIN
+exports.scheduleReturnPickup = asyncErrorHandler(async (req, res, next) => {
+    const { pickupDate, deliveryAgentId } = req.body;
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+        return next(new ErrorHandler("Return Request Not Found", 404));
+    }
+
+    if (returnRequest.status !== 'Approved') {
+        return next(new ErrorHandler("Only approved returns can be scheduled for pickup", 400));
+    }
+
+    const scheduledDate = pickupDate ? new Date(pickupDate) : new Date();
+    if (isNaN(scheduledDate.getTime())) {
+        return next(new ErrorHandler("Invalid pickup date", 400));
+    }
+
+    const deliveryAgent = deliveryAgentId ? await deliveryAgentService.findAgent(deliveryAgentId) : null;
+
+    const pickupStatus = deliveryAgent ? 'assigned' : 'pending';
+    const createPickup = () => Delivery.create({
+        orderId: returnRequest.order,
+        deliveryId: `RETURN-${returnRequest._id.toString().slice(-6)}-${Date.now()}`,
+        deliveryType: 'LOCAL',
+        purpose: 'RETURN_PICKUP',
+        returnRequest: returnRequest._id,
+        deliveryStatus: pickupStatus,
+        deliveryAgent: deliveryAgent ? deliveryAgent._id : null,
+        deliveryAgentName: deliveryAgent ? deliveryAgent.name : '',
+        deliveryAgentPhone: deliveryAgent ? deliveryAgent.mobile : '',
+        pickupScheduledDate: scheduledDate,
+        declaredValue: returnRequest.refundAmount,
+        paymentMethod: 'Prepaid',
+        codAmount: 0,
+        statusHistory: [{
+            status: pickupStatus,
+            statusMessage: 'Return pickup scheduled',
+            date: new Date()
+        }]
+    });
+
+    // The capacity check and the new pickup are made under the agent's assignment lock
+    const delivery = deliveryAgent
+        ? await deliveryAgentService.withAssignmentLock(deliveryAgent, async () => {
+            const order = await Order.findById(returnRequest.order).select('shippingInfo.pincode').lean();
+            await deliveryAgentService.assertAssignable(deliveryAgent, { pincode: order && order.shippingInfo.pincode });
+            return createPickup();
+        })
+        : await createPickup();
+
+    returnRequest.pickupDelivery = delivery._id;
+    returnRequest.pickupDate = scheduledDate;
+    pushStatus(returnRequest, 'PickupScheduled', orderStatusService.actorFromRequest(req), `Pickup ${delivery.deliveryId} scheduled`);
+    await returnRequest.save();
+
+    res.status(200).json({
+        success: true,
+        returnRequest,
+        delivery
+    });
+});
+
+/**
+ * Restock and refund a return request claimed by completeReturnRequest
+ * Each line is marked restocked before its stock is added, and the refund is only issued while none is
+ * pending or processed, so a retry after a failure picks up where the last attempt stopped
+ * @param {Object} returnRequest - ReturnRequest document in the Completing status
+ * @param {Object} order - Order the return belongs to
+ * @param {Object} actor - { type, id, name } completing the return
+ * @param {Boolean} restock - False to write damaged or expired items off instead
+ */
+const finishReturn = async (returnRequest, order, actor, restock) => {
+    if (restock && !returnRequest.restocked) {
+        for (const item of returnRequest.items) {
+            const claimed = await ReturnRequest.updateOne(
+                { _id: returnRequest._id, items: { $elemMatch: { _id: item._id, restocked: { $ne: true } } } },
+                { $set: { 'items.$.restocked': true } }
+            );
+            if (claimed.modifiedCount === 0) {
+                continue;
+            }
+
+            try {
+                await inventoryService.addStock(
+                    item.product,
+                    item.quantity,
+                    `RETURN-${returnRequest._id}`,
+                    actor.id || 'system',
+                    `Returned from order ${order._id}`,
+                    item.variant
+                );
+            } catch (error) {
+                await ReturnRequest.updateOne(
+                    { _id: returnRequest._id, 'items._id': item._id },
+                    { $set: { 'items.$.restocked': false } }
+                );
+                throw error;
+            }
+            item.restocked = true;
+        }
+        returnRequest.restocked = true;
+        await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { restocked: true } });
+    }
+
+    if (returnRequest.refundAmount > 0 && returnRequest.refundStatus !== 'processed' && returnRequest.refundStatus !== 'pending') {
+        if (returnRequest.refundMethod === 'ORIGINAL') {
+            const { gatewayAmount, storeCreditAmount } = splitOriginalRefund(order, returnRequest.refundAmount);
+
+            if (storeCreditAmount > 0 && !returnRequest.storeCreditCode) {
+                const giftCard = await refundService.issueStoreCredit(storeCreditAmount);
+                returnRequest.storeCreditCode = giftCard.code;
+                returnRequest.storeCreditAmount = storeCreditAmount;
+                await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { storeCreditCode: giftCard.code, storeCreditAmount } });
+            }
+
+            if (gatewayAmount <= 0) {
+                returnRequest.refundStatus = 'processed';
+                await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { refundStatus: 'processed' } });
+                return;
+            }
+
+            try {
+                const refund = await refundService.refundOrderPayment(order, gatewayAmount, `Return ${returnRequest._id}`, {
+                    source: 'RETURN',
+                    actor,
+                    returnRequest: returnRequest._id
+                });
+                returnRequest.refundId = refund.gatewayRefundId;
+                returnRequest.refundStatus = refund.status;
+                await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { refundId: refund.gatewayRefundId, refundStatus: refund.status } });
+            } catch (error) {
+                returnRequest.refundStatus = 'failed';
+                await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { refundStatus: 'failed' } });
+                throw error;
+            }
+        } else if (!returnRequest.storeCreditCode) {
+            const giftCard = await refundService.issueStoreCredit(returnRequest.refundAmount);
+            returnRequest.storeCreditCode = giftCard.code;
+            returnRequest.storeCreditAmount = returnRequest.refundAmount;
+            returnRequest.refundStatus = 'processed';
+            await ReturnRequest.updateOne(
+                { _id: returnRequest._id },
+                { $set: { storeCreditCode: giftCard.code, storeCreditAmount: returnRequest.refundAmount, refundStatus: 'processed' } }
+            );
+        }
+    }
+};
+
+// Complete Return: restock items and issue the refund ---ADMIN
+exports.completeReturnRequest = asyncErrorHandler(async (req, res, next) => {
+    const existing = await ReturnRequest.findById(req.params.id).select('status order').lean();
+
+    if (!existing) {
+        return next(new ErrorHandler("Return Request Not Found", 404));
+    }
+
+    const order = await Order.findById(existing.order);
+    if (!order) {
+        return next(new ErrorHandler("Order Not Found", 404));
+    }
+
+    // Claim the request: of two concurrent completes only one restocks and refunds
+    // Approved returns without a pickup were dropped off at the store
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+        { _id: existing._id, status: { $in: ['Approved', 'PickedUp'] } },
+        { $set: { status: 'Completing', updatedAt: Date.now() } },
+        { new: false }
+    );
+    if (!returnRequest) {
+        const current = await ReturnRequest.findById(existing._id).select('status').lean();
+        return next(new ErrorHandler(`Return request cannot be completed while ${current ? current.status : existing.status}`, current && current.status === 'Completing' ? 409 : 400));
+    }
+    const claimedFrom = returnRequest.status;
+    returnRequest.status = 'Completing';
+
+    const actor = orderStatusService.actorFromRequest(req);
+
+    try {
+        await finishReturn(returnRequest, order, actor, req.body.restock !== false && req.body.restock !== 'false');
+    } catch (error) {
+        // Hand the request back so the admin can retry; restocked lines and issued refunds are recorded and not repeated
+        await ReturnRequest.updateOne({ _id: returnRequest._id, status: 'Completing' }, { $set: { status: claimedFrom } });
+        return next(error);
+    }
+
+    returnRequest.completedAt = Date.now();
+    pushStatus(returnRequest, 'Completed', actor, req.body.note ? sanitizeInput(req.body.note) : 'Return completed');
+    await returnRequest.save();
+
+    console.log(`RETURN_COMPLETED: Return ${returnRequest._id} for order ${order._id}, refund ₹${returnRequest.refundAmount} via ${returnRequest.refundMethod}`);
+
+    // Let the customer know how they were refunded
+    const user = await OtpUser.findById(returnRequest.user);
+    if (user) {
+        const gatewayAmount = roundMoney(returnRequest.refundAmount - returnRequest.storeCreditAmount);
+        const refundText = [
+            gatewayAmount > 0 ? `A refund of ₹${gatewayAmount} has been initiated to your original payment method.` : '',
+            returnRequest.storeCreditCode ? `Store credit of ₹${returnRequest.storeCreditAmount} has been issued. Use code ${returnRequest.storeCreditCode} at checkout.` : ''
+        ].filter(Boolean).join(' ');
+
+        notificationService.sendMultiChannelNotification(req.app.get('io'), user, {
+            title: 'Return completed',
+            message: `Your return for order #${order._id} is complete. ${refundText}`,
+            type: 'order',
+            orderId: order._id,
+            channels: ['inApp', 'email'],
+            data: { returnRequestId: returnRequest._id }
+        }).catch(err => console.error('Return notification failed:', err));
+    }
+
+    res.status(200).json({
+        success: true,
+        returnRequest
+    });
+});
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Review = require('../models/reviewModel');
+const Product = require('../models/productModel');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const { sanitizeInput } = require('../utils/sanitize');
+const reviewService = require('../services/reviewService');
+const { emitReviewCreated, emitReviewDeleted } = require('../utils/socketEvents');
+
+// Moderation states an admin can filter the queue by
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Build image entries from files uploaded through hybridUpload
+const collectImages = (req) => {
+    if (!req.files || !req.files.images) {
+        return [];
+    }
+    return req.files.images.map(file => file.destination === 's3'
+        ? { public_id: file.filename, url: file.path }
+        : { public_id: file.filename, url: `/uploads/reviews/${file.filename}` }
+    );
+};
+
+// Create OR Update Review
+exports.createProductReview = asyncErrorHandler(async (req, res, next) => {
+    const { productId, comment } = req.body;
+    const rating = Number(req.body.rating);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+        return next(new ErrorHandler("Valid product ID is required", 400));
+    }
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return next(new ErrorHandler("Rating must be a whole number between 1 and 5", 400));
+    }
+
+    if (!comment || !String(comment).trim()) {
+        return next(new ErrorHandler("Please enter a comment", 400));
+    }
+
+    const product = await Product.findById(productId).select('_id').lean();
+
+    if (!product) {
+        return next(new ErrorHandler("Product Not Found", 404));
+    }
+
+    const purchase = await reviewService.findVerifiedPurchase(req.user._id, productId);
+    const images = collectImages(req);
+
+    let review = await Review.findOne({ product: productId, user: req.user._id });
+    const wasApproved = Boolean(review && review.status === 'approved');
+
+    if (!review) {
+        review = new Review({ product: productId, user: req.user._id });
+    }
+
+    review.name = req.user.name || 'Customer';
+    review.rating = rating;
+    review.comment = sanitizeInput(comment);
+    review.verifiedPurchase = Boolean(purchase);
+    review.order = purchase ? purchase._id : null;
+    if (images.length > 0) {
+        review.images = images;
+    }
+
+    // Edited reviews go back into the moderation queue
+    review.status = 'pending';
+    review.moderatedBy = null;
+    review.moderatedAt = undefined;
+    review.rejectionReason = undefined;
+
+    await review.save();
+
+    // A previously approved review no longer counts until it is approved again
+    if (wasApproved) {
+        await reviewService.recomputeProductRating(productId);
+    }
+
+    const io = req.app.get('io');
+    emitReviewCreated(io, review.toJSON(), productId);
+
+    res.status(200).json({
+        success: true,
+        message: "Review submitted for moderation",
+        review
+    });
+});
+
+// Get Approved Reviews of Product
+exports.getProductReviews = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid product ID", 400));
+    }
+
+    const resultPerPage = Number(req.query.limit) || 10;
+    const currentPage = Number(req.query.page) || 1;
+
+    const filter = { product: req.params.id, status: 'approved' };
+    if (req.query.verified === 'true') {
+        filter.verifiedPurchase = true;
+    }
+
+    const total = await Review.countDocuments(filter);
+    const reviews = await Review.find(filter)
+        .select('name rating comment images verifiedPurchase createdAt updatedAt')
+        .sort({ createdAt: -1 })
+        .limit(resultPerPage)
+        .skip(resultPerPage * (currentPage - 1))
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        reviews,
+        total,
+        resultPerPage,
+        currentPage
+    });
+});
+
+// Get My Reviews
+exports.myReviews = asyncErrorHandler(async (req, res, next) => {
+    const reviews = await Review.find({ user: req.user._id })
+        .populate('product', 'name images')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        reviews
+    });
+});
+
+// Get Review Moderation Queue ---ADMIN
+exports.getAllReviews = asyncErrorHandler(async (req, res, next) => {
+    const resultPerPage = Number(req.query.limit) || 20;
+    const currentPage = Number(req.query.page) || 1;
+
+    const filter = {};
+    if (req.query.status) {
+        if (!REVIEW_STATUSES.includes(req.query.status)) {
+            return next(new ErrorHandler(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`, 400));
+        }
+        filter.status = req.query.status;
+    }
+    if (req.query.product) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.product)) {
+            return next(new ErrorHandler("Invalid product ID", 400));
+        }
+        filter.product = req.query.product;
+    }
+    if (req.query.verified === 'true' || req.query.verified === 'false') {
+        filter.verifiedPurchase = req.query.verified === 'true';
+    }
+
+    const total = await Review.countDocuments(filter);
+    const reviews = await Review.find(filter)
+        .populate({ path: 'user', select: 'name mobile', model: 'OtpUser' })
+        .populate('product', 'name images')
+        .sort({ createdAt: -1 })
+        .limit(resultPerPage)
+        .skip(resultPerPage * (currentPage - 1))
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        reviews,
+        total,
+        resultPerPage,
+        currentPage
+    });
+});
+
+// Approve Review ---ADMIN
+exports.approveReview = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid review ID", 400));
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+        return next(new ErrorHandler("Review Not Found", 404));
+    }
+
+    if (review.status === 'approved') {
+        return next(new ErrorHandler("Review is already approved", 400));
+    }
+
+    review.status = 'approved';
+    review.moderatedBy = req.admin._id;
+    review.moderatedAt = Date.now();
+    review.rejectionReason = undefined;
+    await review.save();
+
+    await reviewService.recomputeProductRating(review.product);
+
+    res.status(200).json({
+        success: true,
+        review
+    });
+});
+
+// Reject Review ---ADMIN
+exports.rejectReview = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid review ID", 400));
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+        return next(new ErrorHandler("Review Not Found", 404));
+    }
+
+    if (review.status === 'rejected') {
+        return next(new ErrorHandler("Review is already rejected", 400));
+    }
+
+    if (!req.body.reason) {
+        return next(new ErrorHandler("Rejection reason is required", 400));
+    }
+
+    const wasApproved = review.status === 'approved';
+
+    review.status = 'rejected';
+    review.moderatedBy = req.admin._id;
+    review.moderatedAt = Date.now();
+    review.rejectionReason = sanitizeInput(req.body.reason);
+    await review.save();
+
+    if (wasApproved) {
+        await reviewService.recomputeProductRating(review.product);
+    }
+
+    res.status(200).json({
+        success: true,
+        review
+    });
+});
+
+// Delete Review ---ADMIN
+exports.deleteReview = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid review ID", 400));
+    }
+
+    const review = await Review.findByIdAndDelete(req.params.id);
+
+    if (!review) {
+        return next(new ErrorHandler("Review Not Found", 404));
+    }
+
+    if (review.status === 'approved') {
+        await reviewService.recomputeProductRating(review.product);
+    }
+
+    const io = req.app.get('io');
+    emitReviewDeleted(io, review._id, review.product);
+
+    res.status(200).json({
+        success: true,
+    });
+});
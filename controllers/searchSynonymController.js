@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const SearchSynonym = require('../models/searchSynonymModel');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const suggestService = require('../services/suggestService');
+const { sanitizeInput } = require('../utils/sanitize');
+
+// Synonyms arrive as an array or a comma-separated string; drop blanks, duplicates and the term itself
+const parseSynonyms = (value, term) => {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const normalizedTerm = term ? term.trim().toLowerCase() : '';
+    return [...new Set(list
+        .map(synonym => sanitizeInput(String(synonym)).trim().toLowerCase())
+        .filter(synonym => synonym && synonym !== normalizedTerm))];
+};
+
+const findSynonym = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ErrorHandler("Invalid synonym ID", 400);
+    }
+
+    const synonym = await SearchSynonym.findById(id);
+    if (!synonym) {
+        throw new ErrorHandler("Synonym not found", 404);
+    }
+    return synonym;
+};
+
+// Get All Search Synonyms ---ADMIN
+exports.getSearchSynonyms = asyncErrorHandler(async (req, res, next) => {
+    const filter = {};
+    if (req.query.keyword) {
+        const keyword = String(req.query.keyword).trim().toLowerCase();
+        filter.$or = [{ term: keyword }, { synonyms: keyword }];
+    }
+
+    const synonyms = await SearchSynonym.find(filter).sort({ term: 1 }).lean();
+
+    res.status(200).json({
+        success: true,
+        count: synonyms.length,
+        synonyms,
+    });
+});
+
+// Create Search Synonym ---ADMIN
+exports.createSearchSynonym = asyncErrorHandler(async (req, res, next) => {
+    const term = sanitizeInput(String(req.body.term || '')).trim();
+    if (!term) {
+        return next(new ErrorHandler("Synonym term is required", 400));
+    }
+
+    const synonyms = parseSynonyms(req.body.synonyms, term);
+    if (synonyms.length === 0) {
+        return next(new ErrorHandler("At least one synonym is required", 400));
+    }
+
+    const synonym = await SearchSynonym.create({
+        term,
+        synonyms,
+        isActive: req.body.isActive !== false && req.body.isActive !== 'false',
+        createdBy: req.admin._id,
+    });
+
+    suggestService.invalidateIndex();
+
+    res.status(201).json({
+        success: true,
+        synonym,
+    });
+});
+
+// Update Search Synonym ---ADMIN
+exports.updateSearchSynonym = asyncErrorHandler(async (req, res, next) => {
+    const synonym = await findSynonym(req.params.id);
+
+    if (req.body.term !== undefined) {
+        const term = sanitizeInput(String(req.body.term)).trim();
+        if (!term) {
+            return next(new ErrorHandler("Synonym term is required", 400));
+        }
+        synonym.term = term;
+    }
+
+    if (req.body.synonyms !== undefined || req.body.term !== undefined) {
+        const synonyms = parseSynonyms(req.body.synonyms !== undefined ? req.body.synonyms : synonym.synonyms, synonym.term);
+        if (synonyms.length === 0) {
+            return next(new ErrorHandler("At least one synonym is required", 400));
+        }
+        synonym.synonyms = synonyms;
+    }
+
+    if (req.body.isActive !== undefined) {
+        synonym.isActive = req.body.isActive !== false && req.body.isActive !== 'false';
+    }
+
+    await synonym.save();
+
+    suggestService.invalidateIndex();
+
+    res.status(200).json({
+        success: true,
+        synonym,
+    });
+});
+
+// Delete Search Synonym ---ADMIN
+exports.deleteSearchSynonym = asyncErrorHandler(async (req, res, next) => {
+    const synonym = await findSynonym(req.params.id);
+    await synonym.remove();
+
+    suggestService.invalidateIndex();
+
+    res.status(200).json({
+        success: true,
+        message: "Synonym deleted successfully",
+    });
+});
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Product = require('../models/productModel');
+const StockSubscription = require('../models/stockSubscriptionModel');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const stockAlertService = require('../services/stockAlertService');
+
+// Channels a shopper can pick for a back-in-stock alert
+const ALERT_CHANNELS = ['inApp', 'sms'];
+
+// Subscribe to a Back-in-Stock Alert
+exports.subscribeStockAlert = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid product ID", 400));
+    }
+
+    const product = await Product.findById(req.params.id).select('name').lean();
+
+    if (!product) {
+        return next(new ErrorHandler("Product Not Found", 404));
+    }
+
+    if (await stockAlertService.getAvailableStock(product._id) > 0) {
+        return next(new ErrorHandler("This product is in stock", 400));
+    }
+
+    let channels = ['inApp'];
+    if (Array.isArray(req.body.channels) && req.body.channels.length > 0) {
+        channels = req.body.channels.filter(channel => ALERT_CHANNELS.includes(channel));
+        if (channels.length === 0) {
+            return next(new ErrorHandler(`Channels must be any of: ${ALERT_CHANNELS.join(', ')}`, 400));
+        }
+    }
+
+    let subscription = await StockSubscription.findOne({ product: product._id, user: req.user._id, status: 'active' });
+
+    if (subscription) {
+        subscription.channels = channels;
+        await subscription.save();
+    } else {
+        try {
+            subscription = await StockSubscription.create({
+                product: product._id,
+                user: req.user._id,
+                channels,
+                unsubscribeToken: crypto.randomBytes(24).toString('hex')
+            });
+        } catch (error) {
+            // A parallel request created it first
+            if (error.code !== 11000) {
+                throw error;
+            }
+            subscription = await StockSubscription.findOne({ product: product._id, user: req.user._id, status: 'active' });
+        }
+    }
+
+    res.status(201).json({
+        success: true,
+        message: `We'll let you know when ${product.name} is back in stock`,
+        subscription
+    });
+});
+
+// Unsubscribe from a Back-in-Stock Alert
+exports.unsubscribeStockAlert = asyncErrorHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return next(new ErrorHandler("Invalid product ID", 400));
+    }
+
+    const subscription = await StockSubscription.findOneAndUpdate(
+        { product: req.params.id, user: req.user._id, status: 'active' },
+        { $set: { status: 'unsubscribed', unsubscribedAt: Date.now() } },
+        { new: true }
+    );
+
+    if (!subscription) {
+        return next(new ErrorHandler("No active alert for this product", 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Back-in-stock alert removed"
+    });
+});
+
+// Unsubscribe with the Link Sent in the Alert ---PUBLIC
+exports.unsubscribeStockAlertByToken = asyncErrorHandler(async (req, res, next) => {
+    const token = String(req.params.token || '');
+
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+        return next(new ErrorHandler("Invalid unsubscribe link", 400));
+    }
+
+    const subscription = await StockSubscription.findOne({ unsubscribeToken: token });
+
+    if (!subscription) {
+        return next(new ErrorHandler("Invalid unsubscribe link", 404));
+    }
+
+    if (subscription.status === 'active') {
+        subscription.status = 'unsubscribed';
+        subscription.unsubscribedAt = Date.now();
+        await subscription.save();
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "You have been unsubscribed from this alert"
+    });
+});
+
+// Get My Back-in-Stock Alerts
+exports.myStockAlerts = asyncErrorHandler(async (req, res, next) => {
+    const filter = { user: req.user._id };
+    if (req.query.status) {
+        filter.status = String(req.query.status);
+    }
+
+    const subscriptions = await StockSubscription.find(filter)
+        .select('-unsubscribeToken')
+        .populate('product', 'name price images')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        subscriptions
+    });
+});
@@ -2,6 +2,14 @@
 // Only customer users with mobile OTP authentication
 
 const User = require('../models/OtpUser');
+const Order = require('../models/orderModel');
+const ReturnRequest = require('../models/returnRequestModel');
+const Cart = require('../models/cartModel');
+const Wishlist = require('../models/wishlistModel');
+const StockSubscription = require('../models/stockSubscriptionModel');
+const Notification = require('../models/notificationModel');
+const msg91AuthService = require('../services/msg91AuthService');
+const { isValidIndianMobile } = require('../utils/mobileUtils');
 const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
 const ErrorHandler = require('../utils/errorHandler');
 // Import sanitization utilities
@@ -13,6 +21,14 @@ const {
     emitUserDeleted 
 } = require('../utils/socketEvents');
 
+// Orders in these statuses must finish before an account can be deleted
+const OPEN_ORDER_STATUSES = ['Processing', 'Confirmed', 'Packed', 'Shipped'];
+
+// Returns in these statuses still need the customer's address for pickup
+const OPEN_RETURN_STATUSES = ['Requested', 'Approved', 'PickupScheduled', 'PickedUp', 'Completing'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 // Get User Details (JWT-based for authenticated users)
 exports.getUserDetails = asyncErrorHandler(async (req, res, next) => {
     
@@ -24,6 +40,180 @@ exports.getUserDetails = asyncErrorHandler(async (req, res, next) => {
     });
 });
 
+// Update Profile (name and email)
+exports.updateProfile = asyncErrorHandler(async (req, res, next) => {
+    const updates = {};
+
+    if (req.body.name !== undefined) {
+        const name = sanitizeInput(String(req.body.name)).trim();
+        if (!name || name.length > 60) {
+            return next(new ErrorHandler("Name must be between 1 and 60 characters", 400));
+        }
+        updates.name = name;
+    }
+
+    if (req.body.email !== undefined) {
+        const email = sanitizeInput(String(req.body.email)).trim().toLowerCase();
+        if (email && !EMAIL_PATTERN.test(email)) {
+            return next(new ErrorHandler("Please enter a valid email address", 400));
+        }
+        updates.email = email || undefined;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return next(new ErrorHandler("Nothing to update", 400));
+    }
+
+    const user = await User.findById(req.user._id);
+    user.set(updates);
+    await user.save();
+
+    // Name and email are carried in the token, so hand out a fresh one
+    res.status(200).json({
+        success: true,
+        user,
+        token: user.generateAuthToken()
+    });
+});
+
+// Request OTP on a New Mobile Number
+exports.requestMobileChange = asyncErrorHandler(async (req, res, next) => {
+    const { mobile } = req.body;
+
+    if (!mobile || !isValidIndianMobile(mobile)) {
+        return next(new ErrorHandler("Invalid Indian mobile number format", 400));
+    }
+
+    const normalizedMobile = msg91AuthService.normalizeIndianMobile(mobile);
+
+    if (normalizedMobile === req.user.mobile) {
+        return next(new ErrorHandler("This is already your mobile number", 400));
+    }
+
+    const existing = await User.findOne({ mobile: normalizedMobile }).select('_id').lean();
+    if (existing) {
+        return next(new ErrorHandler("This mobile number is linked to another account", 409));
+    }
+
+    const result = await msg91AuthService.sendOtp(normalizedMobile);
+
+    if (!result.success) {
+        return res.status(400).json({
+            success: false,
+            message: result.message || 'Failed to send OTP',
+            error_code: result.error_code
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: result.message || 'OTP sent successfully',
+        mobile: result.mobile
+    });
+});
+
+// Verify OTP and Change Mobile Number
+exports.verifyMobileChange = asyncErrorHandler(async (req, res, next) => {
+    const { mobile, otp } = req.body;
+
+    if (!mobile || !otp) {
+        return next(new ErrorHandler("Mobile number and OTP are required", 400));
+    }
+
+    if (!isValidIndianMobile(mobile)) {
+        return next(new ErrorHandler("Invalid Indian mobile number format", 400));
+    }
+
+    const result = await msg91AuthService.verifyOtp(mobile, otp);
+
+    if (!result.success) {
+        return res.status(400).json({
+            success: false,
+            message: result.message || 'OTP verification failed',
+            error_code: result.error_code
+        });
+    }
+
+    const existing = await User.findOne({ mobile: result.mobile, _id: { $ne: req.user._id } }).select('_id').lean();
+    if (existing) {
+        return next(new ErrorHandler("This mobile number is linked to another account", 409));
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousMobile = user.mobile;
+    user.mobile = result.mobile;
+    user.isVerified = true;
+    await user.save();
+
+    console.log(`USER_MOBILE_CHANGED: User ${user._id} changed mobile from ${previousMobile} to ${user.mobile}`);
+
+    // The old token carries the old mobile number
+    res.status(200).json({
+        success: true,
+        message: 'Mobile number updated successfully',
+        user,
+        token: user.generateAuthToken()
+    });
+});
+
+// Delete My Account
+// Personal data is anonymised; orders stay for accounting and refer to the anonymised user.
+// Their shipping address and phone number are removed - only city, state and pincode are kept for tax records
+exports.deleteMyAccount = asyncErrorHandler(async (req, res, next) => {
+    const openOrders = await Order.countDocuments({ user: req.user._id, orderStatus: { $in: OPEN_ORDER_STATUSES } });
+
+    if (openOrders > 0) {
+        return next(new ErrorHandler("You have orders in progress. Please wait until they are delivered or cancel them before deleting your account.", 400));
+    }
+
+    const openReturns = await ReturnRequest.countDocuments({ user: req.user._id, status: { $in: OPEN_RETURN_STATUSES } });
+
+    if (openReturns > 0) {
+        return next(new ErrorHandler("You have returns in progress. Please wait until they are completed before deleting your account.", 400));
+    }
+
+    const user = await User.findById(req.user._id);
+
+    user.mobile = `deleted_${user._id}`;
+    user.name = 'Deleted User';
+    user.email = undefined;
+    user.addresses = [];
+    user.notificationPreferences = { inApp: false, sms: false, email: false };
+    user.isVerified = false;
+    user.isActive = false;
+    user.deletedAt = Date.now();
+    await user.save();
+
+    // Every order is closed at this point
+    await Order.updateMany(
+        { user: user._id },
+        { $set: { 'shippingInfo.address': 'Deleted', 'shippingInfo.phoneNo': 0, addressId: null } }
+    );
+
+    await Cart.deleteOne({ user: user._id });
+    await Wishlist.deleteOne({ user: user._id });
+    await StockSubscription.updateMany(
+        { user: user._id, status: 'active' },
+        { $set: { status: 'unsubscribed', unsubscribedAt: Date.now() } }
+    );
+    await Notification.deleteMany({ userId: user._id });
+
+    console.log(`USER_ACCOUNT_DELETED: User ${user._id} deleted their account`);
+
+    const io = req.app.get('io');
+    emitUserDeleted(io, user._id.toString());
+
+    res.cookie('token', null, {
+        expires: new Date(Date.now()),
+        httpOnly: true
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Your account has been deleted. Past orders are kept for our tax records without your address or phone number.'
+    });
+});
+
 
 
 // ADMIN DASHBOARD
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productModel');
+const Inventory = require('../models/inventoryModel');
+const Order = require('../models/orderModel');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const inventoryService = require('../services/inventoryService');
+const variantService = require('../services/variantService');
+const { emitProductUpdated } = require('../utils/socketEvents');
+const { invalidateCache } = require('../utils/cacheManager');
+
+// Load the product a variant route refers to
+const findProduct = async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        throw new ErrorHandler("Invalid product ID", 400);
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new ErrorHandler("Product Not Found", 404);
+    }
+    return product;
+};
+
+// Attach each variant's inventory to the response
+const presentVariants = async (product) => {
+    const inventories = await Inventory.find({ product: product._id, variant: { $ne: null } })
+        .select('variant quantityAvailable quantityReserved reorderLevel')
+        .lean();
+
+    const inventoryMap = {};
+    inventories.forEach(inventory => {
+        inventoryMap[inventory.variant.toString()] = inventory;
+    });
+
+    return product.variants.map(variant => {
+        const inventory = inventoryMap[variant._id.toString()];
+        return {
+            ...variant.toObject(),
+            quantityAvailable: inventory ? inventory.quantityAvailable : 0,
+            quantityReserved: inventory ? inventory.quantityReserved : 0,
+            reorderLevel: inventory ? inventory.reorderLevel : 0
+        };
+    });
+};
+
+// Tell listeners and caches the product changed, and re-check whether it can be sold
+const afterVariantChange = async (req, product) => {
+    await inventoryService.updateProductActiveStatus(product._id);
+
+    const io = req.app.get('io');
+    emitProductUpdated(io, product.toJSON());
+
+    await invalidateCache('products');
+};
+
+// Get Product Variants ---ADMIN
+exports.getProductVariants = asyncErrorHandler(async (req, res, next) => {
+    const product = await findProduct(req);
+
+    res.status(200).json({
+        success: true,
+        variants: await presentVariants(product)
+    });
+});
+
+// Add Product Variant ---ADMIN
+exports.addVariant = asyncErrorHandler(async (req, res, next) => {
+    const product = await findProduct(req);
+
+    if (req.body.sku && product.variants.some(variant => variant.sku === String(req.body.sku).trim())) {
+        return next(new ErrorHandler(`SKU ${req.body.sku} is already in use`, 400));
+    }
+
+    // Whole pieces, or kg/g for loose goods - inventoryService checks it against the product's unit
+    const stock = req.body.stock !== undefined ? Number(req.body.stock) : 0;
+    if (!Number.isFinite(stock) || stock < 0) {
+        return next(new ErrorHandler("Stock must be a non-negative number", 400));
+    }
+
+    const { variant } = await variantService.upsertVariant(product, req.body);
+
+    if (stock > 0) {
+        await inventoryService.addStock(
+            product._id,
+            stock,
+            `Initial stock for variant ${variant.sku}`,
+            req.admin._id,
+            'Variant creation - initial stock',
+            variant._id
+        );
+    }
+
+    await afterVariantChange(req, product);
+
+    res.status(201).json({
+        success: true,
+        variant,
+        variants: await presentVariants(product)
+    });
+});
+
+// Update Product Variant ---ADMIN
+// Stock is changed through the inventory routes
+exports.updateVariant = asyncErrorHandler(async (req, res, next) => {
+    const product = await findProduct(req);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.variantId)) {
+        return next(new ErrorHandler("Invalid variant ID", 400));
+    }
+
+    const { variant } = await variantService.upsertVariant(product, req.body, req.params.variantId);
+
+    await afterVariantChange(req, product);
+
+    res.status(200).json({
+        success: true,
+        variant,
+        variants: await presentVariants(product)
+    });
+});
+
+// Delete Product Variant ---ADMIN
+// Variants that appear on orders are deactivated instead, so those orders keep their stock records
+exports.deleteVariant = asyncErrorHandler(async (req, res, next) => {
+    const product = await findProduct(req);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.variantId)) {
+        return next(new ErrorHandler("Invalid variant ID", 400));
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+        return next(new ErrorHandler("Product variant not found", 404));
+    }
+
+    const ordered = await Order.exists({ 'orderItems.variant': variant._id });
+
+    if (ordered) {
+        variant.isActive = false;
+    } else {
+        variant.remove();
+        await Inventory.deleteOne({ product: product._id, variant: req.params.variantId });
+    }
+
+    variantService.syncProductPricing(product);
+    await product.save();
+
+    await afterVariantChange(req, product);
+
+    res.status(200).json({
+        success: true,
+        message: ordered ? "Variant has orders and was deactivated" : "Variant deleted",
+        variants: await presentVariants(product)
+    });
+});
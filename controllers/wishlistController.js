@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Wishlist = require('../models/wishlistModel');
+const Cart = require('../models/cartModel');
+const asyncErrorHandler = require('../middlewares/asyncErrorHandler');
+const ErrorHandler = require('../utils/errorHandler');
+const { loadLiveProducts } = require('../services/wishlistService');
+const variantService = require('../services/variantService');
+const { computeUnitPrice } = require('../services/pricingService');
+const { getQuantityRule } = require('../utils/unitOfMeasure');
+const Product = require('../models/productModel');
+
+// Maximum number of products a wishlist can hold
+const MAX_WISHLIST_ITEMS = 200;
+
+// Maximum number of distinct products a cart can hold (same limit as the cart controller)
+const MAX_CART_ITEMS = 100;
+
+// Find the user's wishlist or create an empty one
+const findOrCreateWishlist = async (userId) => {
+    let wishlist = await Wishlist.findOne({ user: userId });
+    if (!wishlist) {
+        wishlist = await Wishlist.create({ user: userId, items: [] });
+    }
+    return wishlist;
+};
+
+// Add a product to the wishlist at its current price and stock, unless it is already there
+const addLine = (wishlist, live, savedFromCart = false) => {
+    const existing = wishlist.items.find(item => item.product.toString() === live.product.toString());
+    if (existing) {
+        return existing;
+    }
+
+    if (wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+        throw new ErrorHandler(`Wishlist cannot hold more than ${MAX_WISHLIST_ITEMS} products`, 400);
+    }
+
+    wishlist.items.push({
+        product: live.product,
+        priceWhenAdded: live.price,
+        lastKnownPrice: live.price,
+        lastKnownInStock: live.inStock,
+        savedFromCart
+    });
+    return wishlist.items[wishlist.items.length - 1];
+};
+
+/**
+ * Build the wishlist response with live price and stock for every line
+ * Lines whose product no longer exists are dropped
+ */
+const presentWishlist = async (wishlist) => {
+    const live = await loadLiveProducts(wishlist.items.map(item => item.product));
+
+    const before = wishlist.items.length;
+    wishlist.items = wishlist.items.filter(item => live[item.product.toString()]);
+    if (wishlist.items.length !== before) {
+        await wishlist.save();
+    }
+
+    const items = wishlist.items.map(item => {
+        const entry = live[item.product.toString()];
+        return {
+            product: item.product,
+            name: entry.name,
+            image: entry.image,
+            basePrice: entry.basePrice,
+            price: entry.price,
+            priceWhenAdded: item.priceWhenAdded,
+            priceDropped: entry.price < item.priceWhenAdded,
+            effectiveStock: entry.effectiveStock,
+            inStock: entry.inStock,
+            savedFromCart: item.savedFromCart,
+            addedAt: item.addedAt
+        };
+    });
+
+    return {
+        _id: wishlist._id,
+        items,
+        totalItems: items.length,
+        updatedAt: wishlist.updatedAt
+    };
+};
+
+// Get Wishlist
+exports.getWishlist = asyncErrorHandler(async (req, res, next) => {
+    const wishlist = await findOrCreateWishlist(req.user._id);
+
+    res.status(200).json({
+        success: true,
+        wishlist: await presentWishlist(wishlist)
+    });
+});
+
+// Add Item to Wishlist
+exports.addToWishlist = asyncErrorHandler(async (req, res, next) => {
+    const { productId } = req.body;
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+        return next(new ErrorHandler("Valid product ID is required", 400));
+    }
+
+    const live = (await loadLiveProducts([productId]))[productId.toString()];
+
+    if (!live) {
+        return next(new ErrorHandler("Product Not Found", 404));
+    }
+
+    const wishlist = await findOrCreateWishlist(req.user._id);
+    addLine(wishlist, live);
+    await wishlist.save();
+
+    res.status(200).json({
+        success: true,
+        wishlist: await presentWishlist(wishlist)
+    });
+});
+
+// Remove Item from Wishlist
+exports.removeFromWishlist = asyncErrorHandler(async (req, res, next) => {
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return next(new ErrorHandler("Invalid product ID", 400));
+    }
+
+    const wishlist = await findOrCreateWishlist(req.user._id);
+    const itemsBefore = wishlist.items.length;
+    wishlist.items = wishlist.items.filter(item => item.product.toString() !== productId);
+
+    if (wishlist.items.length === itemsBefore) {
+        return next(new ErrorHandler("Item not found in wishlist", 404));
+    }
+
+    await wishlist.save();
+
+    res.status(200).json({
+        success: true,
+        wishlist: await presentWishlist(wishlist)
+    });
+});
+
+// Clear Wishlist
+exports.clearWishlist = asyncErrorHandler(async (req, res, next) => {
+    const wishlist = await findOrCreateWishlist(req.user._id);
+    wishlist.items = [];
+    await wishlist.save();
+
+    res.status(200).json({
+        success: true,
+        wishlist: await presentWishlist(wishlist)
+    });
+});
+
+// Save Cart Item for Later (cart -> wishlist)
+// Lines of a product sold in variants are picked with ?variant=<variantId>
+exports.saveForLater = asyncErrorHandler(async (req, res, next) => {
+    const { productId } = req.params;
+    const variantId = req.query.variant || null;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return next(new ErrorHandler("Invalid product ID", 400));
+    }
+
+    // The wishlist holds products, so the cart line is matched on product and variant
+    const isLine = (item) => item.product.toString() === productId &&
+        String(item.variant || '') === String(variantId || '');
+
+    const cart = await Cart.findOne({ user: req.user._id });
+    const cartItem = cart && cart.items.find(isLine);
+
+    if (!cartItem) {
+        return next(new ErrorHandler("Item not found in cart", 404));
+    }
+
+    const live = (await loadLiveProducts([productId]))[productId];
+    const wishlist = await findOrCreateWishlist(req.user._id);
+
+    // Products that were removed from the catalog are just dropped from the cart
+    if (live) {
+        addLine(wishlist, live, true);
+        await wishlist.save();
+    }
+
+    cart.items = cart.items.filter(item => !isLine(item));
+    await cart.save();
+
+    res.status(200).json({
+        success: true,
+        wishlist: await presentWishlist(wishlist)
+    });
+});
+
+// Move Wishlist Item to Cart (wishlist -> cart)
+// Products sold in variants need a variantId in the body
+exports.moveToCart = asyncErrorHandler(async (req, res, next) => {
+    const { productId } = req.params;
+    const variantId = req.body.variantId || null;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return next(new ErrorHandler("Invalid product ID", 400));
+    }
+
+    const wishlist = await findOrCreateWishlist(req.user._id);
+    const wishlistItem = wishlist.items.find(item => item.product.toString() === productId);
+
+    if (!wishlistItem) {
+        return next(new ErrorHandler("Item not found in wishlist", 404));
+    }
+
+    const live = (await loadLiveProducts([productId]))[productId];
+
+    if (!live || !live.isActive) {
+        return next(new ErrorHandler("Product is no longer available", 400));
+    }
+
+    if (!live.inStock) {
+        return next(new ErrorHandler(`${live.name} is out of stock`, 400));
+    }
+
+    const product = await Product.findById(productId).select('name price discount discountType variants unitOfMeasure quantityStep minimumQty maximumQty').lean();
+    const variant = variantService.resolveVariant(product, variantId);
+
+    let cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) {
+        cart = new Cart({ user: req.user._id, items: [] });
+    }
+
+    // Already in the cart - keep its quantity and only take it off the wishlist
+    const inCart = cart.items.some(item => item.product.toString() === productId &&
+        String(item.variant || '') === String(variant ? variant._id : ''));
+    if (!inCart) {
+        if (cart.items.length >= MAX_CART_ITEMS) {
+            return next(new ErrorHandler(`Cart cannot hold more than ${MAX_CART_ITEMS} products`, 400));
+        }
+        cart.items.push({
+            product: live.product,
+            variant: variant ? variant._id : null,
+            variantName: variant ? variant.name : null,
+            name: variantService.lineName(product, variant),
+            image: live.image,
+            quantity: getQuantityRule(product).min,  // 1 piece, or the smallest amount of a loose product
+            price: variant ? computeUnitPrice(product, variant) : live.price
+        });
+        await cart.save();
+    }
+
+    wishlist.items = wishlist.items.filter(item => item.product.toString() !== productId);
+    await wishlist.save();
+
+    res.status(200).json({
+        success: true,
+        wishlist: await presentWishlist(wishlist)
+    });
+});
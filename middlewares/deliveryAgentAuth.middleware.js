@@ -0,0 +1,26 @@
+const DeliveryAgent = require('../models/deliveryAgentModel');
+const ErrorHandler = require('../utils/errorHandler');
+const asyncErrorHandler = require('./asyncErrorHandler');
+
+// Delivery Agent Authorization (use after isAuthenticatedUser)
+// The OTP user must be linked to an active DeliveryAgent profile
+exports.isDeliveryAgent = asyncErrorHandler(async (req, res, next) => {
+    if (!req.user) {
+        return next(new ErrorHandler("Please Login to Access", 401));
+    }
+
+    const agent = await DeliveryAgent.findOne({ user: req.user._id });
+
+    if (!agent) {
+        return next(new ErrorHandler("Access denied. Delivery agents only.", 403));
+    }
+
+    if (!agent.isActive) {
+        return next(new ErrorHandler("Your delivery agent account has been deactivated", 403));
+    }
+
+    // Attach agent to request
+    req.agent = agent;
+    req.user.role = 'delivery_agent';
+    next();
+});
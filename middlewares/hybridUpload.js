@@ -40,14 +40,15 @@ const memoryUpload = multer({
 });
 
 // Create a custom storage engine that can handle both S3 and local uploads
-const createHybridStorage = (folderType = 'products') => {
+// folder is the upload folder named by the route (e.g. 'returns'); without one it is guessed from the URL
+const createHybridStorage = (folder = null) => {
   return {
     _handleFile: (req, file, callback) => {
-      // Check if S3 uploads are enabled and if this is a product/category route
+      // Check if S3 uploads are enabled and if this route named a folder or is a product/category route
       const isS3Enabled = process.env.ENABLE_S3_UPLOADS === 'true';
       const isProductRoute = req.originalUrl && req.originalUrl.includes('product');
       const isCategoryRoute = req.originalUrl && req.originalUrl.includes('category');
-      const shouldUseS3 = isS3Enabled && (isProductRoute || isCategoryRoute);
+      const shouldUseS3 = isS3Enabled && (folder || isProductRoute || isCategoryRoute);
 
       if (shouldUseS3) {
         // Read file buffer and upload to S3
@@ -62,7 +63,7 @@ const createHybridStorage = (folderType = 'products') => {
               buffer: buffer,
               originalname: file.originalname
             };
-            const result = await uploadToS3(fileForS3, folderType);
+            const result = await uploadToS3(fileForS3, folder || 'products');
             
             // For S3 uploads, we store the result in req.s3Files to access later
             if (!req.s3Files) req.s3Files = {};
@@ -93,8 +94,10 @@ const createHybridStorage = (folderType = 'products') => {
           destination: (req, file, cb) => {
             let destFolder = 'uploads';
             
-            // Check if it's a product or category upload based on URL
-            if (req.originalUrl && req.originalUrl.includes('product')) {
+            // Use the route's folder, or check if it's a product or category upload based on URL
+            if (folder) {
+              destFolder = `uploads/${folder}`;
+            } else if (req.originalUrl && req.originalUrl.includes('product')) {
               destFolder = 'uploads/products';
             } else if (req.originalUrl && req.originalUrl.includes('category')) {
               destFolder = 'uploads/categories';
@@ -126,8 +129,10 @@ const createHybridStorage = (folderType = 'products') => {
           destination: (req, file, cb) => {
             let destFolder = 'uploads';
             
-            // Check if it's a product or category upload based on URL
-            if (req.originalUrl && req.originalUrl.includes('product')) {
+            // Use the route's folder, or check if it's a product or category upload based on URL
+            if (folder) {
+              destFolder = `uploads/${folder}`;
+            } else if (req.originalUrl && req.originalUrl.includes('product')) {
               destFolder = 'uploads/products';
             } else if (req.originalUrl && req.originalUrl.includes('category')) {
               destFolder = 'uploads/categories';
@@ -149,13 +154,10 @@ const createHybridStorage = (folderType = 'products') => {
 };
 
 // Create multer instances for different use cases
-const hybridUpload = (fieldsConfig) => {
-  // The folder type will be determined by the createHybridStorage function based on URL
-  // Default to 'products' but the actual determination happens in the storage engine
-  const defaultFolderType = 'products';
-  
+// Pass the folder (e.g. 'returns', 'reviews', 'deliveries'); product and category routes may leave it to the URL
+const hybridUpload = (fieldsConfig, folder = null) => {
   return multer({ 
-    storage: createHybridStorage(defaultFolderType),
+    storage: createHybridStorage(folder),
     fileFilter,
     limits: {
       fileSize: MAX_FILE_SIZE
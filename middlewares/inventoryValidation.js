@@ -16,8 +16,8 @@ exports.validateAddStock = (req, res, next) => {
         return next(new ErrorHandler("Reference is required", 400));
     }
     
-    // Ensure quantity is an integer
-    req.body.quantity = parseInt(quantity);
+    // Ensure quantity is a number (decimal kg or g for loose goods)
+    req.body.quantity = parseFloat(quantity);
     
     next();
 };
@@ -38,8 +38,8 @@ exports.validateRemoveStock = (req, res, next) => {
         return next(new ErrorHandler("Reference is required", 400));
     }
     
-    // Ensure quantity is an integer
-    req.body.quantity = parseInt(quantity);
+    // Ensure quantity is a number (decimal kg or g for loose goods)
+    req.body.quantity = parseFloat(quantity);
     
     next();
 };
@@ -60,8 +60,8 @@ exports.validateAdjustStock = (req, res, next) => {
         return next(new ErrorHandler("Reference is required", 400));
     }
     
-    // Ensure quantity is an integer
-    req.body.quantity = parseInt(quantity);
+    // Ensure quantity is a number (decimal kg or g for loose goods)
+    req.body.quantity = parseFloat(quantity);
     
     next();
 };
@@ -103,7 +103,7 @@ exports.validateInventoryIntegrity = async (req, res, next) => {
     const Product = require('../models/productModel');
     const Inventory = require('../models/inventoryModel');
     
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
     
     if (!productId) {
         return next(new ErrorHandler("Product ID is required", 400));
@@ -115,10 +115,19 @@ exports.validateInventoryIntegrity = async (req, res, next) => {
         return next(new ErrorHandler("Product not found", 404));
     }
     
+    // Products sold in variants keep their stock per variant
+    const hasVariants = product.variants && product.variants.length > 0;
+    if (hasVariants && !variantId) {
+        return next(new ErrorHandler("Variant ID is required for products with variants", 400));
+    }
+    if (variantId && (!hasVariants || !product.variants.id(variantId))) {
+        return next(new ErrorHandler("Product variant not found", 404));
+    }
+    
     // For remove operations, check if enough stock is available
     if (req.path.includes('remove-stock') || req.path.includes('reserve-stock')) {
         const { quantity } = req.body;
-        const inventory = await Inventory.findOne({ product: productId });
+        const inventory = await Inventory.findOne({ product: productId, variant: variantId || null });
         
         if (!inventory) {
             return next(new ErrorHandler("Inventory record not found for this product", 404));
@@ -1,6 +1,44 @@
 const ErrorHandler = require('../utils/errorHandler');
 const Product = require('../models/productModel');
 const TaxRate = require('../models/taxRateModel');
+const { UNITS_OF_MEASURE, fitsPrecision, roundQuantity } = require('../utils/unitOfMeasure');
+
+// Check the unit of measure, quantity step and per-order limits of a product
+// Fields missing from the request fall back to the product's current values
+// Returns an error message, or null once req.body holds the parsed numbers
+const validateQuantityRule = (body, current = {}) => {
+    const unitOfMeasure = body.unitOfMeasure !== undefined ? body.unitOfMeasure : (current.unitOfMeasure || 'piece');
+    if (!UNITS_OF_MEASURE.includes(unitOfMeasure)) {
+        return `Unit of measure must be one of: ${UNITS_OF_MEASURE.join(', ')}`;
+    }
+
+    const parsed = {};
+    for (const field of ['quantityStep', 'minimumQty', 'maximumQty']) {
+        const raw = body[field] !== undefined ? body[field] : current[field];
+        if (raw === undefined || raw === null || raw === '') {
+            parsed[field] = field === 'maximumQty' ? null : 1;
+            continue;
+        }
+
+        const value = parseFloat(raw);
+        if (isNaN(value) || value <= 0 || !fitsPrecision(value, unitOfMeasure)) {
+            return unitOfMeasure === 'piece'
+                ? `${field} must be a positive whole number for products sold by the piece`
+                : `${field} must be a positive amount in ${unitOfMeasure}`;
+        }
+        parsed[field] = roundQuantity(value, unitOfMeasure);
+    }
+
+    if (parsed.maximumQty !== null && parsed.maximumQty < parsed.minimumQty) {
+        return "maximumQty cannot be less than minimumQty";
+    }
+
+    body.unitOfMeasure = unitOfMeasure;
+    body.quantityStep = parsed.quantityStep;
+    body.minimumQty = parsed.minimumQty;
+    body.maximumQty = parsed.maximumQty;
+    return null;
+};
 
 // Validate product creation
 exports.validateProductCreation = async (req, res, next) => {
@@ -67,10 +105,18 @@ exports.validateProductCreation = async (req, res, next) => {
         return next(new ErrorHandler("Product price must be a positive number", 400));
     }
     
-    // Stock validation
-    const parsedStock = parseInt(stock);
-    if (isNaN(parsedStock) || parsedStock < 0) {
-        return next(new ErrorHandler("Product stock must be a non-negative integer", 400));
+    // Unit of measure, step and order limits
+    const quantityRuleError = validateQuantityRule(req.body);
+    if (quantityRuleError) {
+        return next(new ErrorHandler(quantityRuleError, 400));
+    }
+    
+    // Stock validation (loose goods are stocked in kg or g)
+    const parsedStock = parseFloat(stock);
+    if (isNaN(parsedStock) || parsedStock < 0 || !fitsPrecision(parsedStock, req.body.unitOfMeasure)) {
+        return next(new ErrorHandler(req.body.unitOfMeasure === 'piece'
+            ? "Product stock must be a non-negative integer"
+            : `Product stock must be a non-negative amount in ${req.body.unitOfMeasure}`, 400));
     }
     
     // SKU uniqueness validation
@@ -82,7 +128,7 @@ exports.validateProductCreation = async (req, res, next) => {
     // Sanitize and prepare data
     req.body.sku = productSku;
     req.body.price = parsedPrice;
-    req.body.stock = parsedStock;
+    req.body.stock = roundQuantity(parsedStock, req.body.unitOfMeasure);
     req.body.cuttedPrice = req.body.cuttedPrice ? parseFloat(req.body.cuttedPrice) : parsedPrice;
     
     next();
@@ -110,6 +156,15 @@ exports.validateProductUpdate = async (req, res, next) => {
         req.body.cuttedPrice = parsedCuttedPrice;
     }
     
+    // If the unit of measure, step or order limits change, check them together with the current values
+    if (['unitOfMeasure', 'quantityStep', 'minimumQty', 'maximumQty'].some(field => req.body[field] !== undefined)) {
+        const current = await Product.findById(req.params.id).select('unitOfMeasure quantityStep minimumQty maximumQty').lean();
+        const quantityRuleError = validateQuantityRule(req.body, current || {});
+        if (quantityRuleError) {
+            return next(new ErrorHandler(quantityRuleError, 400));
+        }
+    }
+    
     // If SKU is provided, check uniqueness (but allow keeping the same SKU)
     if (sku) {
         const product = await Product.findById(req.params.id);
@@ -41,8 +41,50 @@ exports.isAuthenticatedUser = asyncErrorHandler(async (req, res, next) => {
         return next(new ErrorHandler("User not found", 401));
     }
 
+    // Tokens issued before the account was deleted stop working
+    if (user.deletedAt || user.isActive === false) {
+        return next(new ErrorHandler("This account is no longer active", 401));
+    }
+
     // Attach user to request
     req.user = user;
     req.user.role = decodedData.role || 'customer';
     next();
-});
\ No newline at end of file
+});
+
+// Optional User Authentication - attaches the user when a valid token is sent, otherwise continues as a guest
+exports.identifyUser = asyncErrorHandler(async (req, res, next) => {
+
+    let token;
+
+    if (
+        req.headers.authorization &&
+        req.headers.authorization.startsWith('Bearer')
+    ) {
+        token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token && req.cookies?.token) {
+        token = req.cookies.token;
+    }
+
+    if (!token) {
+        return next();
+    }
+
+    let decodedData;
+    try {
+        decodedData = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return next();
+    }
+
+    const userId = decodedData.userId || decodedData.id || decodedData._id;
+    const user = userId ? await OtpUser.findById(userId) : null;
+
+    if (user && !user.deletedAt && user.isActive !== false) {
+        req.user = user;
+        req.user.role = decodedData.role || 'customer';
+    }
+    next();
+});
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Category = require('./models/categoryModel');
+
+// Load environment variables
+require('dotenv').config({ path: '.env' });
+
+const connectDB = async () => {
+    try {
+        const conn = await mongoose.connect(process.env.MONGO_URI, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        console.log(`MongoDB Connected: ${conn.connection.host}`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+};
+
+// Give existing categories a place in the tree and turn embedded
+// Category.subCategories entries into child categories
+const migrateCategoryTree = async () => {
+    try {
+        console.log('Starting category tree migration...');
+
+        // Existing categories are all top-level; saving fills in ancestors and path
+        const categories = await Category.find({ path: { $exists: false } });
+        console.log(`Found ${categories.length} categories without a path`);
+
+        for (const category of categories) {
+            await category.save();
+        }
+
+        // Swap the global name/slug unique indexes for the per-parent slug index before adding children,
+        // so a subcategory can share a name with a category elsewhere in the tree
+        await Category.syncIndexes();
+
+        // The subCategories field is no longer in the schema, so read it from the raw collection
+        const parents = await Category.collection
+            .find({ 'subCategories.0': { $exists: true } }, { projection: { name: 1, subCategories: 1 } })
+            .toArray();
+        console.log(`Found ${parents.length} categories with embedded subcategories`);
+
+        let createdCount = 0;
+        let skippedCount = 0;
+
+        for (const parent of parents) {
+            const migrated = [];
+
+            for (const [index, embedded] of parent.subCategories.entries()) {
+                try {
+                    // Already created by an earlier run
+                    if (embedded._id && await Category.exists({ _id: embedded._id })) {
+                        migrated.push(embedded._id);
+                        continue;
+                    }
+
+                    // Slugs only have to be unique among siblings
+                    const exists = await Category.exists({ parent: parent._id, slug: Category.toSlug(embedded.name) });
+                    if (exists) {
+                        console.log(`Skipping subcategory ${embedded.name} of ${parent.name} - it already has a subcategory with that name`);
+                        skippedCount++;
+                        continue;
+                    }
+
+                    const created = await Category.create({
+                        _id: embedded._id,
+                        name: embedded.name,
+                        description: embedded.description || '',
+                        parent: parent._id,
+                        sortOrder: index,
+                        isEnabled: true
+                    });
+                    migrated.push(created._id);
+                    createdCount++;
+                } catch (error) {
+                    console.error(`Error creating subcategory ${embedded.name} of ${parent.name}:`, error.message);
+                    skippedCount++;
+                }
+            }
+
+            // Only drop the entries that now exist as categories; skipped ones stay for a manual fix and a rerun
+            if (migrated.length > 0) {
+                await Category.collection.updateOne(
+                    { _id: parent._id },
+                    { $pull: { subCategories: { _id: { $in: migrated } } } }
+                );
+            }
+        }
+
+        await Category.collection.updateMany(
+            { subCategories: { $size: 0 } },
+            { $unset: { subCategories: '' } }
+        );
+
+        console.log('\nMigration Summary:');
+        console.log(`- Categories given a path: ${categories.length}`);
+        console.log(`- Subcategories created: ${createdCount}`);
+        console.log(`- Subcategories skipped (left in place): ${skippedCount}`);
+
+        console.log('\nCategory tree migration completed successfully!');
+    } catch (error) {
+        console.error('Error during category tree migration:', error.message);
+        process.exit(1);
+    }
+};
+
+const runMigration = async () => {
+    await connectDB();
+    await migrateCategoryTree();
+    mongoose.connection.close();
+    console.log('Database connection closed.');
+};
+
+// Run the migration
+if (require.main === module) {
+    runMigration();
+}
+
+module.exports = { migrateCategoryTree };
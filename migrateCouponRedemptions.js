@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Coupon = require('./models/couponModel');
+const CouponRedemption = require('./models/couponRedemptionModel');
+const Order = require('./models/orderModel');
+
+// Load environment variables
+require('dotenv').config({ path: '.env' });
+
+const connectDB = async () => {
+    try {
+        const conn = await mongoose.connect(process.env.MONGO_URI, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        console.log(`MongoDB Connected: ${conn.connection.host}`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+};
+
+// Before redemptions were tracked, coupon usedCount was never incremented at checkout but was
+// decremented on every cancellation, so counters drifted below real usage. Record a redemption for
+// every order that still holds a coupon, then recount usedCount from the redemptions.
+const migrateCouponRedemptions = async () => {
+    try {
+        console.log('Starting coupon redemption migration...');
+
+        const coupons = await Coupon.find().select('code userLimit').lean();
+        const couponByCode = {};
+        coupons.forEach(coupon => {
+            couponByCode[coupon.code] = coupon;
+        });
+
+        const orders = await Order.find({
+            couponCode: { $nin: [null, ''] },
+            orderStatus: { $ne: 'Cancelled' }
+        }).select('user couponCode couponDiscount createdAt').sort({ createdAt: 1 }).lean();
+        console.log(`Found ${orders.length} orders that used a coupon`);
+
+        let created = 0;
+        let skipped = 0;
+
+        for (const order of orders) {
+            const coupon = couponByCode[String(order.couponCode).toUpperCase()];
+            if (!coupon) {
+                console.log(`Skipping order ${order._id}: coupon ${order.couponCode} no longer exists`);
+                skipped++;
+                continue;
+            }
+
+            if (await CouponRedemption.exists({ order: order._id })) {
+                skipped++;
+                continue;
+            }
+
+            // Take the user's first free slot; uses beyond userLimit (from before it was enforced) get none
+            let sequence = 0;
+            if (coupon.userLimit && coupon.userLimit > 0) {
+                const active = await CouponRedemption.find({ coupon: coupon._id, user: order.user, status: 'active' })
+                    .select('sequence')
+                    .lean();
+                const taken = new Set(active.map(redemption => redemption.sequence));
+                for (let slot = 1; slot <= coupon.userLimit; slot++) {
+                    if (!taken.has(slot)) {
+                        sequence = slot;
+                        break;
+                    }
+                }
+            }
+
+            await CouponRedemption.create({
+                coupon: coupon._id,
+                code: coupon.code,
+                user: order.user,
+                order: order._id,
+                discountAmount: order.couponDiscount || 0,
+                sequence,
+                createdAt: order.createdAt
+            });
+            created++;
+        }
+
+        console.log(`Redemptions created: ${created}, skipped: ${skipped}`);
+
+        // usedCount is the number of active redemptions
+        for (const coupon of coupons) {
+            const usedCount = await CouponRedemption.countDocuments({ coupon: coupon._id, status: 'active' });
+            await Coupon.updateOne({ _id: coupon._id }, { $set: { usedCount } });
+        }
+        console.log(`Recounted usage for ${coupons.length} coupons`);
+
+        console.log('\nCoupon redemption migration completed!');
+    } catch (error) {
+        console.error('Error during coupon redemption migration:', error.message);
+        process.exit(1);
+    }
+};
+
+const runMigration = async () => {
+    await connectDB();
+    await migrateCouponRedemptions();
+    mongoose.connection.close();
+    console.log('Database connection closed.');
+};
+
+// Run the migration
+if (require.main === module) {
+    runMigration();
+}
+
+module.exports = { migrateCouponRedemptions };
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const DeliveryAgent = require('./models/deliveryAgentModel');
+const Delivery = require('./models/shipmentModel');
+const Order = require('./models/orderModel');
+const OtpUser = require('./models/OtpUser');
+
+// Load environment variables
+require('dotenv').config({ path: '.env' });
+
+const connectDB = async () => {
+    try {
+        const conn = await mongoose.connect(process.env.MONGO_URI, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        console.log(`MongoDB Connected: ${conn.connection.host}`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+};
+
+// Deliveries and orders used to store the agent's OtpUser ID; they now reference a DeliveryAgent
+// Every user who was assigned a delivery gets an agent profile (KYC pending, so an admin has to verify them)
+const migrateDeliveryAgents = async () => {
+    try {
+        console.log('Starting delivery agent migration...');
+
+        const agentUserIds = [
+            ...await Delivery.distinct('deliveryAgent', { deliveryAgent: { $ne: null } }),
+            ...await Order.distinct('deliveryAgent', { deliveryAgent: { $ne: null } })
+        ];
+        const uniqueUserIds = [...new Set(agentUserIds.map(id => id.toString()))];
+        console.log(`Found ${uniqueUserIds.length} users assigned as delivery agents`);
+
+        let created = 0;
+        let skipped = 0;
+
+        for (const userId of uniqueUserIds) {
+            // Already migrated (the reference is a DeliveryAgent ID)
+            if (await DeliveryAgent.exists({ _id: userId })) {
+                skipped++;
+                continue;
+            }
+
+            const user = await OtpUser.findById(userId).lean();
+            if (!user) {
+                console.log(`Skipping ${userId}: no matching user`);
+                skipped++;
+                continue;
+            }
+
+            let agent = await DeliveryAgent.findOne({ user: user._id });
+            if (!agent) {
+                agent = await DeliveryAgent.create({
+                    user: user._id,
+                    name: user.name || user.mobile,
+                    mobile: user.mobile,
+                    email: user.email
+                });
+                created++;
+            }
+
+            const deliveryResult = await Delivery.updateMany(
+                { deliveryAgent: user._id },
+                { $set: { deliveryAgent: agent._id, deliveryAgentPhone: agent.mobile } }
+            );
+            const orderResult = await Order.updateMany(
+                { deliveryAgent: user._id },
+                { $set: { deliveryAgent: agent._id, deliveryAgentPhone: agent.mobile } }
+            );
+            console.log(`Agent ${agent.name}: ${deliveryResult.modifiedCount} deliveries, ${orderResult.modifiedCount} orders relinked`);
+        }
+
+        await DeliveryAgent.syncIndexes();
+        console.log('DeliveryAgent indexes synced.');
+
+        console.log(`\nDelivery agent migration completed! Created ${created} agent profiles, skipped ${skipped}`);
+    } catch (error) {
+        console.error('Error during delivery agent migration:', error.message);
+        process.exit(1);
+    }
+};
+
+const runMigration = async () => {
+    await connectDB();
+    await migrateDeliveryAgents();
+    mongoose.connection.close();
+    console.log('Database connection closed.');
+};
+
+// Run the migration
+if (require.main === module) {
+    runMigration();
+}
+
+module.exports = { migrateDeliveryAgents };
@@ -35,7 +35,7 @@ const migrateExistingInventory = async () => {
         for (const product of products) {
             try {
                 // Check if inventory record already exists for this product
-                const existingInventory = await Inventory.findOne({ product: product._id });
+                const existingInventory = await Inventory.findOne({ product: product._id, variant: null });
                 
                 if (existingInventory) {
                     console.log(`Skipping product ${product.name} - inventory already exists`);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Product = require('./models/productModel');
+const Inventory = require('./models/inventoryModel');
+const InventoryTransaction = require('./models/inventoryTransactionModel');
+
+// Load environment variables
+require('dotenv').config({ path: '.env' });
+
+const connectDB = async () => {
+    try {
+        const conn = await mongoose.connect(process.env.MONGO_URI, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        console.log(`MongoDB Connected: ${conn.connection.host}`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+};
+
+// Inventory used to allow one record per product; it now keeps one record per product variant
+const migrateInventoryVariants = async () => {
+    try {
+        console.log('Starting inventory migration for product variants...');
+
+        // Existing records are product-level stock
+        const inventoryResult = await Inventory.updateMany(
+            { variant: { $exists: false } },
+            { $set: { variant: null } }
+        );
+        console.log(`Marked ${inventoryResult.modifiedCount} inventory records as product-level`);
+
+        const transactionResult = await InventoryTransaction.updateMany(
+            { variant: { $exists: false } },
+            { $set: { variant: null } }
+        );
+        console.log(`Marked ${transactionResult.modifiedCount} inventory transactions as product-level`);
+
+        // Replace the old unique product index with the product + variant index
+        const droppedInventoryIndexes = await Inventory.syncIndexes();
+        console.log(`Inventory indexes synced. Dropped: ${droppedInventoryIndexes.join(', ') || 'none'}`);
+
+        // Add the unique variant SKU index
+        await Product.syncIndexes();
+        console.log('Product indexes synced.');
+
+        console.log('\nInventory variant migration completed successfully!');
+    } catch (error) {
+        console.error('Error during inventory variant migration:', error.message);
+        process.exit(1);
+    }
+};
+
+const runMigration = async () => {
+    await connectDB();
+    await migrateInventoryVariants();
+    mongoose.connection.close();
+    console.log('Database connection closed.');
+};
+
+// Run the migration
+if (require.main === module) {
+    runMigration();
+}
+
+module.exports = { migrateInventoryVariants };
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Order = require('./models/orderModel');
+
+// Load environment variables
+require('dotenv').config({ path: '.env' });
+
+const connectDB = async () => {
+    try {
+        const conn = await mongoose.connect(process.env.MONGO_URI, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        console.log(`MongoDB Connected: ${conn.connection.host}`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+};
+
+// inventoryStatus used to default to 'reserved', so orders placed before it existed looked reserved
+// even when their stock had already left the warehouse. Set it from the order's status and payment instead.
+const migrateOrderInventoryStatus = async () => {
+    try {
+        console.log('Starting order inventory status migration...');
+
+        const missing = { $or: [{ inventoryStatus: { $exists: false } }, { inventoryStatus: null }] };
+
+        // Closed orders have nothing left to release
+        const closed = await Order.updateMany(
+            { ...missing, orderStatus: { $in: ['Cancelled', 'RTO'] } },
+            { $set: { inventoryStatus: 'released' } }
+        );
+        console.log(`Cancelled/RTO orders marked released: ${closed.modifiedCount}`);
+
+        // Shipped and delivered orders have had their stock taken; the state machine never leaves them reserved,
+        // so a stored 'reserved' on one of these came from the old default
+        const shipped = await Order.updateMany(
+            {
+                orderStatus: { $in: ['Shipped', 'Delivered'] },
+                $or: [{ inventoryStatus: { $exists: false } }, { inventoryStatus: null }, { inventoryStatus: 'reserved' }]
+            },
+            { $set: { inventoryStatus: 'fulfilled' } }
+        );
+        console.log(`Shipped/Delivered orders marked fulfilled: ${shipped.modifiedCount}`);
+
+        // Paid orders had their stock taken when the payment was captured
+        const paid = await Order.updateMany(
+            { ...missing, 'paymentInfo.status': 'paid' },
+            { $set: { inventoryStatus: 'fulfilled' } }
+        );
+        console.log(`Paid orders marked fulfilled: ${paid.modifiedCount}`);
+
+        // Everything else is still open with its stock reserved
+        const open = await Order.updateMany(
+            missing,
+            { $set: { inventoryStatus: 'reserved' } }
+        );
+        console.log(`Open orders marked reserved: ${open.modifiedCount}`);
+
+        console.log('\nOrder inventory status migration completed!');
+    } catch (error) {
+        console.error('Error during order inventory status migration:', error.message);
+        process.exit(1);
+    }
+};
+
+const runMigration = async () => {
+    await connectDB();
+    await migrateOrderInventoryStatus();
+    mongoose.connection.close();
+    console.log('Database connection closed.');
+};
+
+// Run the migration
+if (require.main === module) {
+    runMigration();
+}
+
+module.exports = { migrateOrderInventoryStatus };
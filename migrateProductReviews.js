@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Product = require('./models/productModel');
+const Review = require('./models/reviewModel');
+const OtpUser = require('./models/OtpUser');
+const { findVerifiedPurchase, recomputeProductRating } = require('./services/reviewService');
+
+// Load environment variables
+require('dotenv').config({ path: '.env' });
+
+const connectDB = async () => {
+    try {
+        const conn = await mongoose.connect(process.env.MONGO_URI, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        console.log(`MongoDB Connected: ${conn.connection.host}`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+};
+
+// Move reviews embedded in Product.reviews into the Review collection
+// Existing reviews were already public, so they are carried over as approved
+const migrateProductReviews = async () => {
+    try {
+        console.log('Starting review migration for existing products...');
+
+        // The reviews field is no longer in the schema, so read it from the raw collection
+        const products = await Product.collection
+            .find({ 'reviews.0': { $exists: true } }, { projection: { name: 1, reviews: 1 } })
+            .toArray();
+        console.log(`Found ${products.length} products with reviews`);
+
+        let createdCount = 0;
+        let skippedCount = 0;
+
+        for (const product of products) {
+            try {
+                for (const embedded of product.reviews) {
+                    // Only customer accounts can own reviews
+                    const user = await OtpUser.findById(embedded.user).select('_id').lean();
+                    if (!user) {
+                        console.log(`Skipping review ${embedded._id} on ${product.name} - user ${embedded.user} is not a customer`);
+                        skippedCount++;
+                        continue;
+                    }
+
+                    const exists = await Review.exists({ product: product._id, user: user._id });
+                    if (exists) {
+                        skippedCount++;
+                        continue;
+                    }
+
+                    const purchase = await findVerifiedPurchase(user._id, product._id);
+
+                    await Review.create({
+                        _id: embedded._id,
+                        product: product._id,
+                        user: user._id,
+                        name: embedded.name,
+                        rating: Math.min(Math.max(Math.round(embedded.rating), 1), 5),
+                        comment: embedded.comment,
+                        verifiedPurchase: Boolean(purchase),
+                        order: purchase ? purchase._id : null,
+                        status: 'approved',
+                        moderatedAt: Date.now()
+                    });
+                    createdCount++;
+                }
+
+                await Product.collection.updateOne({ _id: product._id }, { $unset: { reviews: '' } });
+                await recomputeProductRating(product._id);
+                console.log(`Migrated reviews for product: ${product.name} (ID: ${product._id})`);
+            } catch (error) {
+                console.error(`Error processing product ${product.name} (${product._id}):`, error.message);
+            }
+        }
+
+        console.log('\nMigration Summary:');
+        console.log(`- Products processed: ${products.length}`);
+        console.log(`- Reviews created: ${createdCount}`);
+        console.log(`- Reviews skipped: ${skippedCount}`);
+
+        console.log('\nReview migration completed successfully!');
+    } catch (error) {
+        console.error('Error during review migration:', error.message);
+        process.exit(1);
+    }
+};
+
+const runMigration = async () => {
+    await connectDB();
+    await migrateProductReviews();
+    mongoose.connection.close();
+    console.log('Database connection closed.');
+};
+
+// Run the migration
+if (require.main === module) {
+    runMigration();
+}
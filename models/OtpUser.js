@@ -2,6 +2,60 @@ const mongoose = require('mongoose');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+// Saved delivery address; copied into order.shippingInfo when an order uses it
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    enum: ['Home', 'Work', 'Other'],
+    default: 'Home'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  phoneNo: {
+    type: String,
+    required: [true, 'Please enter phone number'],
+    trim: true,
+    match: [/^[6-9]\d{9}$/, 'Please enter a valid 10-digit mobile number']
+  },
+  address: {
+    type: String,
+    required: [true, 'Please enter address'],
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+  landmark: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'Please enter city'],
+    trim: true
+  },
+  state: {
+    type: String,
+    required: [true, 'Please enter state'],
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'India'
+  },
+  pincode: {
+    type: String,
+    required: [true, 'Please enter pincode'],
+    trim: true,
+    match: [/^\d{6}$/, 'Please enter a valid 6-digit pincode']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
 const otpUserSchema = new mongoose.Schema({
   mobile: {
     type: String,
@@ -27,6 +81,25 @@ const otpUserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  deletedAt: {  // Set when the customer deletes their account; personal data is anonymised
+    type: Date,
+    default: null
+  },
+  addresses: [addressSchema],
+  notificationPreferences: {
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: true
+    },
+    email: {
+      type: Boolean,
+      default: true
+    }
+  },
   lastLoginAt: {
     type: Date
   },
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: "OtpUser",
+        required: true,
+        unique: true
+    },
+    items: [
+        {
+            product: {
+                type: mongoose.Schema.ObjectId,
+                ref: "Product",
+                required: true
+            },
+            variant: {  // Product variant in the cart; null for products without variants
+                type: mongoose.Schema.ObjectId,
+                default: null
+            },
+            variantName: String,
+            name: {
+                type: String,
+                required: true
+            },
+            image: {
+                type: String,
+                default: ""
+            },
+            quantity: {  // In the product's unit of measure - decimal for loose goods sold by weight
+                type: Number,
+                required: true,
+                validate: {
+                    validator: value => value > 0,
+                    message: "Quantity must be greater than 0"
+                }
+            },
+            price: {  // Price snapshot from the last time the cart was validated
+                type: Number,
+                required: true
+            },
+            addedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for frequently queried fields
+cartSchema.index({ 'items.product': 1 });
+cartSchema.index({ updatedAt: -1 });
+
+// Pre-save middleware to update timestamps
+cartSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
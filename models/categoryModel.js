@@ -4,16 +4,14 @@ const categorySchema = new mongoose.Schema({
     name: {
         type: String,
         required: [true, "Please enter category name"],
-        trim: true,
-        unique: true
+        trim: true
     },
     description: {
         type: String,
         required: false
     },
-    slug: {
+    slug: {  // Unique among its siblings; path is unique across the tree
         type: String,
-        unique: true,
         lowercase: true,
         trim: true
     },
@@ -31,17 +29,28 @@ const categorySchema = new mongoose.Schema({
             required: false
         }
     },
-    subCategories: [
+    parent: {  // null for top-level categories
+        type: mongoose.Schema.ObjectId,
+        ref: "Category",
+        default: null
+    },
+    ancestors: [  // Top-level category first, down to the parent - used to find all descendants
         {
-            name: {
-                type: String,
-                required: true
-            },
-            description: {
-                type: String
-            }
+            type: mongoose.Schema.ObjectId,
+            ref: "Category"
         }
     ],
+    path: {  // Slugs from the top-level category down, e.g. "grocery/rice/basmati-rice"
+        type: String,
+        unique: true,
+        sparse: true,
+        lowercase: true,
+        trim: true
+    },
+    sortOrder: {  // Position among its siblings (lower first)
+        type: Number,
+        default: 0
+    },
     isEnabled: {
         type: Boolean,
         default: true
@@ -60,17 +69,25 @@ const categorySchema = new mongoose.Schema({
 categorySchema.index({ name: 1 });
 categorySchema.index({ isEnabled: 1 });
 categorySchema.index({ createdAt: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ parent: 1, slug: 1 }, { unique: true });
+categorySchema.index({ ancestors: 1 });
 
 // Add version field for optimistic locking
 categorySchema.add({ __v: { type: Number, default: 0 } });
 
+// Slug for a category name, e.g. "Basmati Rice" -> "basmati-rice"
+categorySchema.statics.toSlug = function(name) {
+    return String(name).toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/(^-|-$)+/g, '');
+};
+
 // Pre-save middleware to generate slug and update timestamps
 categorySchema.pre('save', function(next) {
     // Generate slug from name if not provided
     if (!this.slug && this.name) {
-        this.slug = this.name.toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-')
-            .replace(/(^-|-$)+/g, '');
+        this.slug = this.constructor.toSlug(this.name);
     }
     
     // Update timestamp
@@ -78,4 +95,25 @@ categorySchema.pre('save', function(next) {
     next();
 });
 
+// Keep ancestors and path in step with the parent
+// Descendants are refreshed by categoryService.refreshDescendants
+categorySchema.pre('save', async function(next) {
+    if (!this.isNew && !this.isModified('parent') && !this.isModified('slug') && this.path) {
+        return next();
+    }
+
+    if (this.parent) {
+        const parent = await this.constructor.findById(this.parent).select('ancestors path slug');
+        if (!parent) {
+            return next(new Error('Parent category not found'));
+        }
+        this.ancestors = [...parent.ancestors, parent._id];
+        this.path = `${parent.path || parent.slug}/${this.slug}`;
+    } else {
+        this.ancestors = [];
+        this.path = this.slug;
+    }
+    next();
+});
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
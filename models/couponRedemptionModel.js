@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One entry per order that used a coupon
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Coupon",
+        required: true
+    },
+    code: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: "OtpUser",
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Order",
+        required: true
+    },
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ["active", "reversed"],
+        default: "active"
+    },
+    // Which of the user's allowed uses this is (1..userLimit), 0 when the coupon has no per-user limit
+    sequence: {
+        type: Number,
+        default: 0
+    },
+    reversedAt: Date,
+    reversalReason: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for frequently queried fields
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ order: 1 });
+couponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+
+// Two concurrent orders can't take the same per-user slot
+couponRedemptionSchema.index(
+    { coupon: 1, user: 1, sequence: 1 },
+    { unique: true, partialFilterExpression: { status: "active", sequence: { $gt: 0 } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
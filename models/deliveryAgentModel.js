@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Delivery agent - a rider who delivers local orders and picks up returns
+// Agents sign in to the agent app with the OTP login of their linked OtpUser account
+const deliveryAgentSchema = new mongoose.Schema({
+    user: {  // Login account (OTP on the agent's mobile)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OtpUser',
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: [true, "Please enter agent name"],
+        trim: true
+    },
+    mobile: {  // Normalized like OtpUser.mobile (91XXXXXXXXXX)
+        type: String,
+        required: [true, "Please enter agent mobile number"],
+        unique: true,
+        trim: true,
+        match: [/^91[6-9]\d{9}$/, 'Please enter a valid Indian mobile number']
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    kyc: {
+        documentType: {
+            type: String,
+            enum: ['aadhaar', 'pan', 'voter_id', 'passport'],
+            default: 'aadhaar'
+        },
+        documentNumber: {
+            type: String,
+            trim: true,
+            default: ''
+        },
+        documentUrl: {
+            type: String,
+            default: ''
+        },
+        drivingLicenseNumber: {
+            type: String,
+            trim: true,
+            default: ''
+        },
+        status: {  // Agents can only take deliveries once verified
+            type: String,
+            enum: ['pending', 'verified', 'rejected'],
+            default: 'pending'
+        },
+        verifiedAt: Date,
+        verifiedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        rejectionReason: {
+            type: String,
+            default: ''
+        }
+    },
+    vehicle: {
+        type: {
+            type: String,
+            enum: ['bicycle', 'motorcycle', 'scooter', 'three_wheeler', 'van'],
+            default: 'motorcycle'
+        },
+        registrationNumber: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            default: ''
+        },
+        model: {
+            type: String,
+            trim: true,
+            default: ''
+        }
+    },
+    serviceAreas: [{  // Delivery areas (pincodes) the agent covers - empty means any area
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliveryArea'
+    }],
+    dailyCapacity: {  // Most deliveries the agent takes in a day
+        type: Number,
+        default: 20,
+        min: [1, 'Daily capacity must be at least 1']
+    },
+    assignmentLockedUntil: {  // Set while a delivery is being assigned, so capacity checks take turns
+        type: Date,
+        default: null,
+        select: false
+    },
+    isActive: {  // Deactivated agents can't log in to the agent app or be assigned
+        type: Boolean,
+        default: true
+    },
+    onShift: {
+        type: Boolean,
+        default: false
+    },
+    shiftStartedAt: Date,
+    lastShiftEndedAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, {
+    timestamps: true
+});
+
+deliveryAgentSchema.index({ isActive: 1, onShift: 1 });
+deliveryAgentSchema.index({ serviceAreas: 1 });
+deliveryAgentSchema.index({ 'kyc.status': 1 });
+
+// Whether the agent can be given deliveries (shift is checked separately)
+deliveryAgentSchema.methods.isAssignable = function() {
+    return this.isActive && this.kyc.status === 'verified';
+};
+
+module.exports = mongoose.model('DeliveryAgent', deliveryAgentSchema);
@@ -32,14 +32,22 @@ const giftCardSchema = new mongoose.Schema({
     usedBy: [{
         user: {
             type: mongoose.Schema.ObjectId,
-            ref: "User"
+            ref: "OtpUser"
         },
         amount: {
             type: Number
         },
+        order: {  // Order the balance was spent on, used to restore it on cancellation
+            type: mongoose.Schema.ObjectId,
+            ref: "Order"
+        },
         usedAt: {
             type: Date,
             default: Date.now
+        },
+        restoredAt: {  // Set when the order was cancelled or its payment failed
+            type: Date,
+            default: null
         }
     }],
     createdAt: {
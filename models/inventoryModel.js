@@ -4,8 +4,11 @@ const inventorySchema = new mongoose.Schema({
     product: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product',
-        required: true,
-        unique: true
+        required: true
+    },
+    variant: {  // Product variant the stock belongs to; null for products without variants
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
     },
     sku: {
         type: String,
@@ -37,6 +40,9 @@ const inventorySchema = new mongoose.Schema({
     }
 });
 
+// One inventory record per product variant
+inventorySchema.index({ product: 1, variant: 1 }, { unique: true });
+
 // Add indexes for better query performance
 inventorySchema.index({ product: 1 });
 inventorySchema.index({ sku: 1 });
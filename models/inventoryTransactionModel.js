@@ -6,6 +6,10 @@ const inventoryTransactionSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
     },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
     type: {
         type: String,
         required: true,
@@ -27,7 +27,7 @@ const notificationSchema = new mongoose.Schema({
     },
     userId: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        ref: 'OtpUser',
         required: false // System-wide notifications won't have a userId
     },
     orderId: {
@@ -26,6 +26,10 @@ const notificationTemplateSchema = new mongoose.Schema({
         enum: ['order', 'system', 'promotion', 'alert'],
         default: 'system'
     },
+    dltTemplateId: {  // MSG91 DLT flow ID, required to deliver SMS templates
+        type: String,
+        trim: true
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -27,6 +27,10 @@ const orderSchema = new mongoose.Schema({
             required: true
         },
     },
+    addressId: {  // Saved address (OtpUser.addresses) the shipping info was copied from
+        type: mongoose.Schema.ObjectId,
+        default: null
+    },
     orderItems: [
         {
             name: {
@@ -37,10 +41,14 @@ const orderSchema = new mongoose.Schema({
                 type: Number,
                 required: true
             },
-            quantity: {
+            quantity: {  // In unitOfMeasure - decimal for loose goods sold by weight
                 type: Number,
                 required: true
             },
+            unitOfMeasure: {
+                type: String,
+                default: 'piece'
+            },
             image: {
                 type: String,
                 required: true
@@ -50,6 +58,16 @@ const orderSchema = new mongoose.Schema({
                 ref: "Product",
                 required: true
             },
+            variant: {  // Product variant ordered; null for products without variants
+                type: mongoose.Schema.ObjectId,
+                default: null
+            },
+            variantName: String,
+            sku: String,
+            inventoryStatus: {  // Stock state of this line once it has moved on its own; unset means the order's inventoryStatus
+                type: String,
+                enum: ["reserved", "fulfilled", "released"]
+            },
         },
     ],
     user: {
@@ -92,10 +110,22 @@ const orderSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    taxAmount: {  // GST computed by the pricing service
+        type: Number,
+        default: 0
+    },
     deliveryCharge: {
         type: Number,
         default: 0
     },
+    giftCardCode: {
+        type: String,
+        default: null
+    },
+    giftCardAmount: {  // Amount paid from gift card balance
+        type: Number,
+        default: 0
+    },
     totalPrice: {
         type: Number,
         required: true,
@@ -103,13 +133,60 @@ const orderSchema = new mongoose.Schema({
     },
     // =========================================================
     
-    orderStatus: {
+    orderStatus: {  // Changed only through services/orderStatusService
         type: String,
         required: true,
         default: "Processing",
     },
+    statusHistory: [
+        {
+            status: {
+                type: String,
+                required: true
+            },
+            previousStatus: String,
+            actorType: {
+                type: String,
+                enum: ["admin", "customer", "agent", "system"],
+                default: "system"
+            },
+            actorId: {
+                type: mongoose.Schema.ObjectId,
+                default: null
+            },
+            actorName: String,
+            note: String,
+            changedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    inventoryStatus: {  // reserved at placement, fulfilled when shipped or paid, released on cancel/RTO
+        type: String,  // No default: unset means unknown (see migrateOrderInventoryStatus.js)
+        enum: ["reserved", "fulfilled", "released"]
+    },
+    confirmedAt: Date,
+    packedAt: Date,
     deliveredAt: Date,
     shippedAt: Date,
+    cancelledAt: Date,
+    rtoAt: Date,
+    cancellationReason: String,
+    cancelledBy: {
+        type: String,
+        enum: ["admin", "customer", "agent", "system"]
+    },
+    refundStatus: {
+        type: String,
+        enum: ["none", "pending", "processed", "failed"],
+        default: "none"
+    },
+    refundId: String,  // Razorpay refund id
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -137,11 +214,25 @@ const orderSchema = new mongoose.Schema({
     },
     deliveryAgent: {
         type: mongoose.Schema.ObjectId,
-        ref: "otpUser",
+        ref: "DeliveryAgent",
         default: null
     },
     deliveryDate: Date,
     estimatedDeliveryDate: Date,
+    deliverySlot: {  // Delivery slot the order is booked into (empty when none was chosen)
+        slot: {
+            type: mongoose.Schema.ObjectId,
+            ref: "DeliverySlot",
+            default: null
+        },
+        date: Date,
+        startTime: String,
+        endTime: String,
+        releasedAt: {  // Set when the place was given back (cancelled or deleted order)
+            type: Date,
+            default: null
+        }
+    },
     deliveryNotes: String,
     deliveryAddress: {
         type: String,
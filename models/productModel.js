@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const { UNITS_OF_MEASURE } = require('../utils/unitOfMeasure');
+
+// A sellable pack or size of a product (e.g. Rice 1kg / 5kg / 10kg)
+// Each variant has its own SKU, price and Inventory record
+const variantSchema = new mongoose.Schema({
+    name: {  // Label shown to shoppers, e.g. "5kg" or "Pack of 6"
+        type: String,
+        required: [true, "Please enter variant name"],
+        trim: true
+    },
+    sku: {
+        type: String,
+        required: [true, "Please enter variant SKU"],
+        trim: true
+    },
+    price: {
+        type: Number,
+        required: [true, "Please enter variant price"],
+        min: [0, "Price cannot be negative"]
+    },
+    mrp: {  // Maximum Retail Price
+        type: Number,
+        default: 0
+    },
+    unit: {  // Unit of measurement (kg, g, ml, piece, etc.)
+        type: String,
+        default: ""
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 const productSchema = new mongoose.Schema({
     name: {
@@ -127,27 +164,6 @@ const productSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
-    reviews: [
-        {
-            user: {
-                type: mongoose.Schema.ObjectId,
-                ref: "User",
-                required: true
-            },
-            name: {
-                type: String,
-                required: true
-            },
-            rating: {
-                type: Number,
-                required: true
-            },
-            comment: {
-                type: String,
-                required: true
-            }
-        }
-    ],
     user: {
         type: mongoose.Schema.ObjectId,
         ref: "User",
@@ -166,11 +182,16 @@ const productSchema = new mongoose.Schema({
         required: false,
         default: 0
     },
-    minimumQty: {  // Minimum quantity required
+    minimumQty: {  // Minimum quantity per order, in unitOfMeasure
         type: Number,
         required: false,
         default: 1
     },
+    maximumQty: {  // Maximum quantity per order, in unitOfMeasure (null = no limit)
+        type: Number,
+        required: false,
+        default: null
+    },
     department: {  // Department/section of the product
         type: String,
         required: false
@@ -179,16 +200,28 @@ const productSchema = new mongoose.Schema({
         type: String,
         required: false
     },
+    unitOfMeasure: {  // How quantities are counted; price and stock are per one unit (loose goods use kg or g)
+        type: String,
+        enum: UNITS_OF_MEASURE,
+        default: 'piece'
+    },
+    quantityStep: {  // Quantities must be a multiple of this, e.g. 0.25 for quarter-kg steps
+        type: Number,
+        required: false,
+        default: 1,
+        min: [0.001, "Quantity step must be positive"]
+    },
+    variants: [variantSchema],  // When present, price is the cheapest active variant's price
     taxRateId: {  // Reference to tax rate
         type: mongoose.Schema.ObjectId,
         ref: "TaxRate",
         required: false,
     },
-    is_active: {
+    is_active: {  // Whether the product is sold - the flag the storefront, cart and checkout check
         type: Boolean,
         default: true
     },
-    isActive: {  // Additional field for active status
+    isActive: {  // Legacy duplicate of is_active, not checked anywhere
         type: Boolean,
         default: true
     },
@@ -224,6 +257,12 @@ productSchema.index({ createdAt: -1 });
 productSchema.index({ ratings: -1, numOfReviews: -1 });
 productSchema.index({ 'brand.name': 1, category: 1, price: 1 });
 
+// Variant SKUs are unique across all products
+productSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
 // Add version field for optimistic locking
 productSchema.add({ __v: { type: Number, default: 0 } });
 
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Refund ledger - one entry per refund sent to the payment gateway
+const refundSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Order",
+        required: true
+    },
+    paymentId: {  // Razorpay payment id the refund is issued against
+        type: String,
+        required: true
+    },
+    gatewayRefundId: {  // Razorpay refund id (rfnd_...), unset until the gateway accepts the refund
+        type: String
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, "Refund amount must be greater than zero"]
+    },
+    currency: {
+        type: String,
+        default: "INR"
+    },
+    status: {
+        type: String,
+        enum: ["pending", "processed", "failed"],
+        default: "pending"
+    },
+    source: {
+        type: String,
+        enum: ["ADMIN", "CANCELLATION", "RETURN", "GATEWAY"],
+        default: "ADMIN"
+    },
+    returnRequest: {
+        type: mongoose.Schema.ObjectId,
+        ref: "ReturnRequest",
+        default: null
+    },
+    reason: {
+        type: String,
+        default: ""
+    },
+    initiatedBy: {
+        actorType: {
+            type: String,
+            enum: ["admin", "customer", "agent", "system"],
+            default: "system"
+        },
+        actorId: {
+            type: mongoose.Schema.ObjectId,
+            default: null
+        }
+    },
+    failureReason: String,
+    processedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for frequently queried fields
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ gatewayRefundId: 1 }, { unique: true, sparse: true });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+// Pre-save middleware to update timestamps
+refundSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const returnRequestSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Order",
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: "OtpUser",
+        required: true
+    },
+    items: [
+        {
+            orderItem: {  // _id of the line in order.orderItems
+                type: mongoose.Schema.ObjectId,
+                required: true
+            },
+            product: {
+                type: mongoose.Schema.ObjectId,
+                ref: "Product",
+                required: true
+            },
+            variant: {
+                type: mongoose.Schema.ObjectId,
+                default: null
+            },
+            name: {
+                type: String,
+                required: true
+            },
+            price: {
+                type: Number,
+                required: true
+            },
+            quantity: {  // In the order line's unit of measure
+                type: Number,
+                required: true,
+                validate: {
+                    validator: value => value > 0,
+                    message: "Quantity must be greater than 0"
+                }
+            },
+            reason: {
+                type: String,
+                enum: ["DAMAGED", "DEFECTIVE", "WRONG_ITEM", "EXPIRED", "MISSING_PARTS", "NOT_AS_DESCRIBED", "OTHER"],
+                required: true
+            },
+            restocked: {  // Set per line, so a retried completion never restocks a line twice
+                type: Boolean,
+                default: false
+            }
+        }
+    ],
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Description cannot exceed 1000 characters"]
+    },
+    images: [
+        {
+            public_id: String,
+            url: {
+                type: String,
+                required: true
+            }
+        }
+    ],
+    status: {
+        type: String,
+        enum: ["Requested", "Approved", "Rejected", "PickupScheduled", "PickedUp", "Completing", "Completed"],  // Completing: claimed by the admin request restocking and refunding it
+        default: "Requested"
+    },
+    statusHistory: [
+        {
+            status: {
+                type: String,
+                required: true
+            },
+            actorType: {
+                type: String,
+                enum: ["admin", "customer", "agent", "system"],
+                default: "system"
+            },
+            actorId: {
+                type: mongoose.Schema.ObjectId,
+                default: null
+            },
+            note: String,
+            changedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    refundMethod: {
+        type: String,
+        enum: ["ORIGINAL", "STORE_CREDIT"],
+        default: "ORIGINAL"
+    },
+    refundAmount: {  // Suggested when requested, confirmed by admin on approval
+        type: Number,
+        default: 0
+    },
+    refundStatus: {
+        type: String,
+        enum: ["none", "pending", "processed", "failed"],
+        default: "none"
+    },
+    refundId: String,  // Razorpay refund id for refunds to the original method
+    storeCreditCode: String,  // Gift card code issued for store credit refunds (or the gift card share of an ORIGINAL refund)
+    storeCreditAmount: {  // Part of the refund issued as store credit
+        type: Number,
+        default: 0
+    },
+    pickupDelivery: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Delivery",
+        default: null
+    },
+    pickupDate: Date,
+    restocked: {
+        type: Boolean,
+        default: false
+    },
+    adminNote: String,
+    rejectionReason: String,
+    completedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for frequently queried fields
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Pre-save middleware to update timestamps
+returnRequestSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// A customer's review of a product - shown on the storefront once approved by an admin
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Product",
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: "OtpUser",
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: [true, "Please provide a rating"],
+        min: [1, "Rating must be between 1 and 5"],
+        max: [5, "Rating must be between 1 and 5"]
+    },
+    comment: {
+        type: String,
+        required: [true, "Please enter a comment"],
+        trim: true,
+        maxlength: [2000, "Comment cannot exceed 2000 characters"]
+    },
+    images: [
+        {
+            public_id: String,
+            url: {
+                type: String,
+                required: true
+            }
+        }
+    ],
+    verifiedPurchase: {  // The customer has a delivered order containing the product
+        type: Boolean,
+        default: false
+    },
+    order: {  // Delivered order that verified the purchase
+        type: mongoose.Schema.ObjectId,
+        ref: "Order",
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+        default: "pending"
+    },
+    moderatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Admin",
+        default: null
+    },
+    moderatedAt: Date,
+    rejectionReason: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One review per customer and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+// Add indexes for frequently queried fields
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+reviewSchema.index({ user: 1, createdAt: -1 });
+
+// Pre-save middleware to update timestamps
+reviewSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Words that search suggestions treat as the same, e.g. "atta" = "aata" = "wheat flour"
+const searchSynonymSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: [true, "Synonym term is required"],
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  synonyms: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'At least one synonym is required'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Admin",
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model("SearchSynonym", searchSynonymSchema);
@@ -19,6 +19,16 @@ const deliverySchema = new mongoose.Schema({
         enum: ['LOCAL', 'COURIER'],
         default: 'LOCAL'
     },
+    purpose: {  // Outbound delivery or pickup of returned items
+        type: String,
+        enum: ['DELIVERY', 'RETURN_PICKUP'],
+        default: 'DELIVERY'
+    },
+    returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest',
+        default: null
+    },
     deliveryStatus: {
         type: String,
         enum: [
@@ -36,7 +46,7 @@ const deliverySchema = new mongoose.Schema({
     },
     deliveryAgent: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        ref: 'DeliveryAgent',
         default: null
     },
     deliveryAgentName: {
@@ -47,6 +57,14 @@ const deliverySchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    routeSequence: {  // Stop number in the agent's route (set by auto-dispatch)
+        type: Number,
+        default: null
+    },
+    dispatchBatch: {  // Auto-dispatch run that assigned this delivery
+        type: String,
+        default: ''
+    },
     trackingId: {
         type: String,
         unique: true,
@@ -74,6 +92,40 @@ const deliverySchema = new mongoose.Schema({
     deliveredAtTime: {
         type: Date
     },
+    proofOfDelivery: {  // Handover proof captured at the doorstep, kept for disputes
+        otpHash: {
+            type: String,
+            select: false
+        },
+        otpSentAt: Date,
+        otpAttempts: {
+            type: Number,
+            default: 0
+        },
+        otpVerifiedAt: Date,
+        photo: {
+            public_id: String,
+            url: String
+        },
+        signature: {
+            public_id: String,
+            url: String
+        },
+        recipientName: {
+            type: String,
+            default: ''
+        },
+        overrideReason: {  // Set when an admin marks the delivery done without the customer's OTP
+            type: String,
+            default: ''
+        },
+        capturedBy: {
+            actorType: String,
+            actorId: mongoose.Schema.Types.ObjectId,
+            name: String
+        },
+        capturedAt: Date
+    },
     estimatedDeliveryDate: {
         type: Date
     },
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Number of orders booked into a delivery slot on one day
+const slotBookingSchema = new mongoose.Schema({
+    slot: {
+        type: mongoose.Schema.ObjectId,
+        ref: "DeliverySlot",
+        required: true
+    },
+    date: {
+        type: String, // e.g., "2024-05-20"
+        required: true
+    },
+    bookedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+slotBookingSchema.index({ slot: 1, date: 1 }, { unique: true });
+slotBookingSchema.index({ date: 1 });
+
+module.exports = mongoose.model('SlotBooking', slotBookingSchema);
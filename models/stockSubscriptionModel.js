@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A shopper asking to be told when an out-of-stock product is available again
+const stockSubscriptionSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Product",
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: "OtpUser",
+        required: true
+    },
+    channels: {
+        type: [{
+            type: String,
+            enum: ["inApp", "sms"]
+        }],
+        default: ["inApp"]
+    },
+    status: {
+        type: String,
+        enum: ["active", "notified", "unsubscribed"],
+        default: "active"
+    },
+    unsubscribeToken: {  // Used by the unsubscribe link, which works without logging in
+        type: String,
+        required: true,
+        unique: true
+    },
+    notifiedAt: Date,
+    unsubscribedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for frequently queried fields
+stockSubscriptionSchema.index({ product: 1, status: 1, createdAt: 1 });
+stockSubscriptionSchema.index({ user: 1, createdAt: -1 });
+
+// One active subscription per shopper and product
+stockSubscriptionSchema.index(
+    { product: 1, user: 1 },
+    { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Every payment gateway webhook we accept, keyed by the gateway's event id
+const webhookEventSchema = new mongoose.Schema({
+    eventId: {  // x-razorpay-event-id header, or a hash of the body when it is missing
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        default: "razorpay"
+    },
+    event: {  // e.g. payment.captured
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["processing", "processed", "ignored", "failed"],
+        default: "processing"
+    },
+    result: String,  // What processing did, e.g. "Order marked paid"
+    order: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Order",
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 1
+    },
+    lastError: String,
+    processedAt: Date,
+    replays: [
+        {
+            replayedBy: {
+                type: mongoose.Schema.ObjectId,
+                default: null
+            },
+            status: String,
+            replayedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for frequently queried fields
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+webhookEventSchema.index({ order: 1 });
+
+// Pre-save middleware to update timestamps
+webhookEventSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const wishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: "OtpUser",
+        required: true,
+        unique: true
+    },
+    items: [
+        {
+            product: {
+                type: mongoose.Schema.ObjectId,
+                ref: "Product",
+                required: true
+            },
+            priceWhenAdded: {
+                type: Number,
+                required: true
+            },
+            // Price and stock the customer last saw or was told about - used to detect drops and restocks
+            lastKnownPrice: {
+                type: Number,
+                required: true
+            },
+            lastKnownInStock: {
+                type: Boolean,
+                default: true
+            },
+            savedFromCart: {  // Moved here with "save for later"
+                type: Boolean,
+                default: false
+            },
+            addedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for frequently queried fields
+wishlistSchema.index({ 'items.product': 1 });
+
+// Pre-save middleware to update timestamps
+wishlistSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
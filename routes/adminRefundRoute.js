@@ -0,0 +1,18 @@
+const express = require('express');
+const { createOrderRefund, getOrderRefunds, getAllRefunds } = require('../controllers/refundController');
+const { isAuthenticatedAdmin } = require('../middlewares/adminAuth.middleware');
+
+// Import rate limiting middleware
+const { generalLimiter, paymentLimiter } = require('../middlewares/rateLimiter');
+
+const router = express.Router();
+
+// ✅ ADMIN-ONLY REFUND ROUTES
+// Note: Router is mounted at /api/v1/admin in app.js, so paths here should NOT include /admin
+
+router.route('/refunds').get(isAuthenticatedAdmin, generalLimiter, getAllRefunds);
+
+router.route('/order/:id/refunds').get(isAuthenticatedAdmin, generalLimiter, getOrderRefunds);
+router.route('/order/:id/refund').post(isAuthenticatedAdmin, paymentLimiter, createOrderRefund);
+
+module.exports = router;
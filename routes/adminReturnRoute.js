@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+    getAllReturnRequests,
+    getReturnRequestDetails,
+    approveReturnRequest,
+    rejectReturnRequest,
+    scheduleReturnPickup,
+    completeReturnRequest
+} = require('../controllers/returnController');
+const { isAuthenticatedAdmin } = require('../middlewares/adminAuth.middleware');
+
+// Import rate limiting middleware
+const { generalLimiter } = require('../middlewares/rateLimiter');
+
+const router = express.Router();
+
+// ✅ ADMIN-ONLY RETURN ROUTES
+// Note: Router is mounted at /api/v1/admin in app.js, so paths here should NOT include /admin
+
+router.route('/returns').get(isAuthenticatedAdmin, generalLimiter, getAllReturnRequests);
+router.route('/return/:id').get(isAuthenticatedAdmin, generalLimiter, getReturnRequestDetails);
+router.route('/return/:id/approve').put(isAuthenticatedAdmin, generalLimiter, approveReturnRequest);
+router.route('/return/:id/reject').put(isAuthenticatedAdmin, generalLimiter, rejectReturnRequest);
+router.route('/return/:id/pickup').put(isAuthenticatedAdmin, generalLimiter, scheduleReturnPickup);
+router.route('/return/:id/complete').put(isAuthenticatedAdmin, generalLimiter, completeReturnRequest);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+    getAllReviews,
+    approveReview,
+    rejectReview,
+    deleteReview
+} = require('../controllers/reviewController');
+const { isAuthenticatedAdmin } = require('../middlewares/adminAuth.middleware');
+
+// Import rate limiting middleware
+const { generalLimiter } = require('../middlewares/rateLimiter');
+
+const router = express.Router();
+
+// ✅ ADMIN-ONLY REVIEW MODERATION ROUTES
+// Note: Router is mounted at /api/v1/admin in app.js, so paths here should NOT include /admin
+
+router.route('/reviews').get(isAuthenticatedAdmin, generalLimiter, getAllReviews);
+router.route('/review/:id/approve').put(isAuthenticatedAdmin, generalLimiter, approveReview);
+router.route('/review/:id/reject').put(isAuthenticatedAdmin, generalLimiter, rejectReview);
+router.route('/review/:id').delete(isAuthenticatedAdmin, generalLimiter, deleteReview);
+
+module.exports = router;
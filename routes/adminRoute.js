@@ -21,6 +21,13 @@ const {
   getAdminProducts,
 } = require("../controllers/productController");
 
+const {
+  getProductVariants,
+  addVariant,
+  updateVariant,
+  deleteVariant,
+} = require("../controllers/variantController");
+
 const {
   getAllCategories,
   getCategory,
@@ -29,6 +36,13 @@ const {
   deleteCategory,
 } = require("../controllers/categoryController");
 
+const {
+  getSearchSynonyms,
+  createSearchSynonym,
+  updateSearchSynonym,
+  deleteSearchSynonym,
+} = require("../controllers/searchSynonymController");
+
 const router = express.Router();
 
 /**
@@ -114,6 +128,36 @@ router.delete(
   deleteProduct
 );
 
+/* ======================================================
+   PRODUCT VARIANT ROUTES (ADMIN ONLY)
+====================================================== */
+router.get(
+  "/product/:id/variants",
+  isAuthenticatedAdmin,
+  getProductVariants
+);
+
+router.post(
+  "/product/:id/variant",
+  isAuthenticatedAdmin,
+  csrfProtection,
+  addVariant
+);
+
+router.put(
+  "/product/:id/variant/:variantId",
+  isAuthenticatedAdmin,
+  csrfProtection,
+  updateVariant
+);
+
+router.delete(
+  "/product/:id/variant/:variantId",
+  isAuthenticatedAdmin,
+  csrfProtection,
+  deleteVariant
+);
+
 /* ======================================================
    CATEGORY ROUTES (ADMIN ONLY)
 ====================================================== */
@@ -175,6 +219,36 @@ router.delete(
   deletePopupEmailLead
 );
 
+/* ======================================================
+   SEARCH SYNONYM ROUTES (ADMIN ONLY)
+====================================================== */
+router.get(
+  "/search-synonyms",
+  isAuthenticatedAdmin,
+  getSearchSynonyms
+);
+
+router.post(
+  "/search-synonym",
+  isAuthenticatedAdmin,
+  csrfProtection,
+  createSearchSynonym
+);
+
+router.put(
+  "/search-synonym/:id",
+  isAuthenticatedAdmin,
+  csrfProtection,
+  updateSearchSynonym
+);
+
+router.delete(
+  "/search-synonym/:id",
+  isAuthenticatedAdmin,
+  csrfProtection,
+  deleteSearchSynonym
+);
+
 /* ======================================================
    TAX RATES ROUTES (ADMIN ONLY)
 ====================================================== */
@@ -0,0 +1,18 @@
+const express = require('express');
+const { getWebhookEvents, getWebhookEventDetails, replayWebhookEvent } = require('../controllers/paymentWebhookController');
+const { isAuthenticatedAdmin } = require('../middlewares/adminAuth.middleware');
+
+// Import rate limiting middleware
+const { generalLimiter, paymentLimiter } = require('../middlewares/rateLimiter');
+
+const router = express.Router();
+
+// ✅ ADMIN-ONLY PAYMENT WEBHOOK ROUTES
+// Note: Router is mounted at /api/v1/admin in app.js, so paths here should NOT include /admin
+
+router.route('/webhook-events').get(isAuthenticatedAdmin, generalLimiter, getWebhookEvents);
+
+router.route('/webhook-event/:id').get(isAuthenticatedAdmin, generalLimiter, getWebhookEventDetails);
+router.route('/webhook-event/:id/replay').post(isAuthenticatedAdmin, paymentLimiter, replayWebhookEvent);
+
+module.exports = router;
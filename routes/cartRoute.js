@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+    getCart,
+    addToCart,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    mergeCart
+} = require('../controllers/cartController');
+const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
+
+const router = express.Router();
+
+// ✅ USER-ONLY CART ROUTES
+// Persistent server-side cart for customer users with JWT authentication
+
+router.route('/cart')
+    .get(isAuthenticatedUser, getCart)
+    .delete(isAuthenticatedUser, clearCart);
+
+router.route('/cart/item').post(isAuthenticatedUser, addToCart);
+
+router.route('/cart/item/:productId')
+    .put(isAuthenticatedUser, updateCartItem)
+    .delete(isAuthenticatedUser, removeCartItem);
+
+router.route('/cart/merge').post(isAuthenticatedUser, mergeCart);
+
+module.exports = router;
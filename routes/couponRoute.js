@@ -1,6 +1,6 @@
 const express = require('express');
-const { getAllCoupons, getCoupon, createCoupon, updateCoupon, deleteCoupon, applyCoupon, getActiveCoupons } = require('../controllers/couponController');
-const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
+const { getAllCoupons, getCoupon, createCoupon, updateCoupon, deleteCoupon, applyCoupon, getActiveCoupons, getCouponRedemptions } = require('../controllers/couponController');
+const { identifyUser } = require('../middlewares/userAuth.middleware');
 const { isAuthenticatedAdmin } = require('../middlewares/adminAuth.middleware');
 
 const router = express.Router();
@@ -14,6 +14,9 @@ router.route('/coupon/:id')
     .put(isAuthenticatedAdmin, updateCoupon)
     .delete(isAuthenticatedAdmin, deleteCoupon);
 
-router.route('/coupon/apply').post(applyCoupon);
+router.route('/coupon/:id/redemptions').get(isAuthenticatedAdmin, getCouponRedemptions);
+
+// Guests can preview a coupon against the items they send; logged-in users also get their cart and per-user limit checked
+router.route('/coupon/apply').post(identifyUser, applyCoupon);
 
 module.exports = router;
\ No newline at end of file
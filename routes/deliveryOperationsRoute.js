@@ -2,14 +2,28 @@ const express = require('express');
 const csrf = require('csurf');
 const { isAuthenticatedAdmin } = require('../middlewares/adminAuth.middleware');
 const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
+const { isDeliveryAgent } = require('../middlewares/deliveryAgentAuth.middleware');
+const { hybridUpload } = require('../middlewares/hybridUpload');
 const { 
     assignDeliveryAgent, 
     updateDeliveryStatus, 
     getDeliveryById, 
     getDeliveries, 
     getAgentDeliveries,
+    updateAgentDeliveryStatus,
+    resendDeliveryOtp,
     getDeliveryByTrackingId
 } = require('../controllers/deliveryController');
+const {
+    createDeliveryAgent,
+    getDeliveryAgents,
+    getDeliveryAgent,
+    updateDeliveryAgent,
+    verifyDeliveryAgentKyc,
+    getMyAgentProfile,
+    updateMyShift
+} = require('../controllers/deliveryAgentController');
+const { previewDispatch, commitDispatch } = require('../controllers/dispatchController');
 
 const router = express.Router();
 
@@ -51,41 +65,109 @@ router.get(
     getDeliveries
 );
 
+/* ======================================================
+   AUTO-DISPATCH ROUTES (ADMIN ONLY)
+====================================================== */
+// Plan agent assignments for Packed orders without saving them
+router.post(
+    '/admin/dispatch/preview',
+    isAuthenticatedAdmin,
+    csrfProtection,
+    previewDispatch
+);
+
+// Commit a previewed (or edited) plan to Delivery records
+router.post(
+    '/admin/dispatch/commit',
+    isAuthenticatedAdmin,
+    csrfProtection,
+    commitDispatch
+);
+
+/* ======================================================
+   DELIVERY AGENT MANAGEMENT ROUTES (ADMIN ONLY)
+====================================================== */
+// Onboard a delivery agent
+router.post(
+    '/admin/delivery-agent',
+    isAuthenticatedAdmin,
+    csrfProtection,
+    createDeliveryAgent
+);
+
+// Get all delivery agents
+router.get(
+    '/admin/delivery-agents',
+    isAuthenticatedAdmin,
+    getDeliveryAgents
+);
+
+// Get delivery agent by ID
+router.get(
+    '/admin/delivery-agent/:id',
+    isAuthenticatedAdmin,
+    getDeliveryAgent
+);
+
+// Update delivery agent
+router.put(
+    '/admin/delivery-agent/:id',
+    isAuthenticatedAdmin,
+    csrfProtection,
+    updateDeliveryAgent
+);
+
+// Approve or reject delivery agent KYC
+router.put(
+    '/admin/delivery-agent/:id/kyc',
+    isAuthenticatedAdmin,
+    csrfProtection,
+    verifyDeliveryAgentKyc
+);
+
 /* ======================================================
    DELIVERY OPERATIONS ROUTES (DELIVERY AGENT ONLY)
+   Agent app - OTP login token, no session / CSRF
 ====================================================== */
+// Get agent profile
+router.get(
+    '/delivery-agent/me',
+    isAuthenticatedUser,
+    isDeliveryAgent,
+    getMyAgentProfile
+);
+
+// Start or end a shift
+router.put(
+    '/delivery-agent/shift',
+    isAuthenticatedUser,
+    isDeliveryAgent,
+    updateMyShift
+);
+
 // Get agent's deliveries
 router.get(
     '/delivery-agent/my-deliveries',
     isAuthenticatedUser,
-    csrfProtection,
-    (req, res, next) => {
-        // Check if user has delivery agent role
-        if (req.user.role !== 'delivery_agent' && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. Delivery agents only.'
-            });
-        }
-        getAgentDeliveries(req, res, next);
-    }
+    isDeliveryAgent,
+    getAgentDeliveries
 );
 
 // Update delivery status by delivery agent
 router.put(
     '/delivery-agent/update-status',
     isAuthenticatedUser,
-    csrfProtection,
-    (req, res, next) => {
-        // Check if user has delivery agent role
-        if (req.user.role !== 'delivery_agent' && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. Delivery agents only.'
-            });
-        }
-        updateDeliveryStatus(req, res, next);
-    }
+    isDeliveryAgent,
+    hybridUpload([{ name: 'photo', maxCount: 1 }, { name: 'signature', maxCount: 1 }], 'deliveries'),
+    updateAgentDeliveryStatus
+);
+
+// Resend the delivery OTP to the customer
+router.post(
+    '/delivery-agent/resend-otp',
+    isAuthenticatedUser,
+    isDeliveryAgent,
+    resendDeliveryOtp
 );
 
 /* ======================================================
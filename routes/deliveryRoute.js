@@ -14,7 +14,8 @@ const {
     createDeliverySlot,
     updateDeliverySlot,
     deleteDeliverySlot,
-    toggleDeliverySlotStatus
+    toggleDeliverySlotStatus,
+    getAvailableDeliverySlots
 } = require('../controllers/deliverySettingsController');
 const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
 const { isAuthenticatedAdmin } = require('../middlewares/adminAuth.middleware');
@@ -55,4 +56,8 @@ router.route('/delivery/slot/:id')
 router.route('/delivery/slot/:id/toggle')
     .put(isAuthenticatedAdmin, toggleDeliverySlotStatus);
 
+// Slots customers can book at checkout
+router.route('/delivery/slots/available')
+    .get(getAvailableDeliverySlots);
+
 module.exports = router;
\ No newline at end of file
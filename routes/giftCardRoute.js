@@ -5,8 +5,7 @@ const {
   createGiftCard,
   updateGiftCard,
   deleteGiftCard,
-  applyGiftCard,
-  useGiftCard
+  applyGiftCard
 } = require('../controllers/giftCardController');
 
 const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
@@ -20,11 +19,9 @@ const router = express.Router();
 router.get('/giftcards', isAuthenticatedUser, getAllGiftCards);
 
 // Customer can APPLY gift card
+// The balance is debited when the order is placed (giftCardCode on the order)
 router.post('/giftcard/apply', isAuthenticatedUser, applyGiftCard);
 
-// Customer can USE gift card
-router.post('/giftcard/use', isAuthenticatedUser, useGiftCard);
-
 
 /* ===================== ADMIN ROUTES ===================== */
 
@@ -9,7 +9,9 @@ const {
     markAllAsRead,
     getUnreadCount,
     sendTestNotification,
-    setUserPreferences
+    setUserPreferences,
+    getMyNotificationPreferences,
+    updateMyNotificationPreferences
 } = require('../controllers/notificationController');
 const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
 const { isAuthenticatedAdmin } = require('../middlewares/adminAuth.middleware');
@@ -41,4 +43,9 @@ router.route('/notifications/test')
 router.route('/notifications/preferences')
     .post(isAuthenticatedAdmin, setUserPreferences);
 
+// Customers manage their own channels
+router.route('/me/notification-preferences')
+    .get(isAuthenticatedUser, getMyNotificationPreferences)
+    .put(isAuthenticatedUser, updateMyNotificationPreferences);
+
 module.exports = router;
\ No newline at end of file
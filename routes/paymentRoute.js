@@ -13,7 +13,7 @@ router.route('/payment/status/:id').get(isAuthenticatedUser, generalLimiter, get
 router.route('/payment/razorpay/process').post(isAuthenticatedUser, paymentLimiter, processRazorpayPayment);
 router.route('/payment/razorpay/verify').post(isAuthenticatedUser, paymentLimiter, verifyRazorpayPayment);
 
-// Payment webhook route - no auth required as external services will call this
+// Payment webhook route - no auth, requests are verified with the X-Razorpay-Signature header
 router.route('/webhook').post(handlePaymentWebhook);
 
 module.exports = router;
\ No newline at end of file
@@ -2,17 +2,15 @@ const express = require('express');
 
 const {
   getAllProducts,
+  searchProducts,
+  getSearchSuggestions,
   getProductsByCategory,
   getProductDetails,
-  getProductReviews,
-  deleteReview,
-  createProductReview,
   getProducts,
   uploadAdditionalImages,
   getRelatedProducts
 } = require('../controllers/productController');
 
-const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
 const { isAuthenticatedAdmin } = require('../middlewares/adminAuth.middleware');
 
 const upload = require('../middlewares/upload');
@@ -24,29 +22,12 @@ const router = express.Router();
 ================================ */
 router.route('/products').get(getAllProducts);
 router.route('/products/all').get(getProducts);
+router.route('/products/search').get(searchProducts);
+router.route('/products/suggest').get(getSearchSuggestions);
 router.route('/categories/:slug/products').get(getProductsByCategory);
 router.route('/product/:id').get(getProductDetails);
 router.route('/products/:id/related').get(getRelatedProducts);
 
-/* ===============================
-   USER ROUTES
-================================ */
-router.route('/review')
-  .put(isAuthenticatedUser, createProductReview);
-
-/* ===============================
-   ADMIN REVIEW ROUTES
-================================ */
-router.route('/admin/reviews')
-  .get(
-    isAuthenticatedAdmin,
-    getProductReviews
-  )
-  .delete(
-    isAuthenticatedAdmin,
-    deleteReview
-  );
-
 /* ===============================
    ADMIN PRODUCT IMAGE UPLOAD
 ================================ */
@@ -0,0 +1,23 @@
+const express = require('express');
+const { createReturnRequest, myReturnRequests, getMyReturnRequest } = require('../controllers/returnController');
+const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
+const { hybridUpload } = require('../middlewares/hybridUpload');
+
+// Import rate limiting middleware
+const { orderLimiter, generalLimiter } = require('../middlewares/rateLimiter');
+
+const router = express.Router();
+
+// ✅ USER-ONLY RETURN ROUTES
+// These routes are exclusively for customer users with JWT authentication
+
+router.route('/return/new').post(
+    isAuthenticatedUser,
+    orderLimiter,
+    hybridUpload([{ name: 'images', maxCount: 5 }], 'returns'),
+    createReturnRequest
+);
+router.route('/returns/me').get(isAuthenticatedUser, generalLimiter, myReturnRequests);
+router.route('/return/:id').get(isAuthenticatedUser, generalLimiter, getMyReturnRequest);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const { createProductReview, getProductReviews, myReviews } = require('../controllers/reviewController');
+const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
+const { hybridUpload } = require('../middlewares/hybridUpload');
+
+// Import rate limiting middleware
+const { generalLimiter } = require('../middlewares/rateLimiter');
+
+const router = express.Router();
+
+// ✅ PUBLIC REVIEW ROUTES
+// Only approved reviews are listed
+router.route('/product/:id/reviews').get(generalLimiter, getProductReviews);
+
+// ✅ USER-ONLY REVIEW ROUTES
+// Reviews are held for moderation before they appear on the product
+router.route('/review').put(
+    isAuthenticatedUser,
+    generalLimiter,
+    hybridUpload([{ name: 'images', maxCount: 5 }], 'reviews'),
+    createProductReview
+);
+router.route('/reviews/me').get(isAuthenticatedUser, generalLimiter, myReviews);
+
+module.exports = router;
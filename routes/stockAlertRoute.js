@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+    subscribeStockAlert,
+    unsubscribeStockAlert,
+    unsubscribeStockAlertByToken,
+    myStockAlerts
+} = require('../controllers/stockAlertController');
+const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
+
+// Import rate limiting middleware
+const { generalLimiter } = require('../middlewares/rateLimiter');
+
+const router = express.Router();
+
+// ✅ USER-ONLY BACK-IN-STOCK ALERT ROUTES
+
+router.route('/product/:id/notify-me')
+    .post(isAuthenticatedUser, generalLimiter, subscribeStockAlert)
+    .delete(isAuthenticatedUser, generalLimiter, unsubscribeStockAlert);
+
+router.route('/me/stock-alerts').get(isAuthenticatedUser, myStockAlerts);
+
+// Unsubscribe link included in alerts - no login needed, the token identifies the subscription
+router.route('/stock-alerts/unsubscribe/:token').get(generalLimiter, unsubscribeStockAlertByToken);
+
+module.exports = router;
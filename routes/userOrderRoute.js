@@ -1,5 +1,5 @@
 const express = require('express');
-const { newOrder, getSingleOrderDetails, myOrders } = require('../controllers/orderController');
+const { newOrder, getOrderQuote, getSingleOrderDetails, myOrders, cancelOrder } = require('../controllers/orderController');
 const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
 
 // Import rate limiting middleware
@@ -10,8 +10,10 @@ const router = express.Router();
 // ✅ USER-ONLY ORDER ROUTES
 // These routes are exclusively for customer users with JWT authentication
 
+router.route('/order/quote').post(isAuthenticatedUser, generalLimiter, getOrderQuote);
 router.route('/order/new').post(isAuthenticatedUser, orderLimiter, newOrder);
 router.route('/order/:id').get(isAuthenticatedUser, generalLimiter, getSingleOrderDetails);
+router.route('/order/:id/cancel').put(isAuthenticatedUser, orderLimiter, cancelOrder);
 router.route('/orders/me').get(isAuthenticatedUser, generalLimiter, myOrders);
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,30 @@
 const express = require('express');
-const { getUserDetails } = require('../controllers/userController');
+const { getUserDetails, updateProfile, requestMobileChange, verifyMobileChange, deleteMyAccount } = require('../controllers/userController');
+const { getMyAddresses, addAddress, updateAddress, setDefaultAddress, deleteAddress } = require('../controllers/addressController');
 const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
+const { sendOtpLimiter, verifyOtpLimiter } = require('../controllers/otpController');
 
 const router = express.Router();
 
 // Customer user management routes (Mobile OTP authentication)
-router.route('/me').get(isAuthenticatedUser, getUserDetails);
+router.route('/me')
+    .get(isAuthenticatedUser, getUserDetails)
+    .put(isAuthenticatedUser, updateProfile)
+    .delete(isAuthenticatedUser, deleteMyAccount);
+
+// Mobile number change, re-verified with an OTP on the new number
+router.route('/me/mobile/request-otp').post(isAuthenticatedUser, sendOtpLimiter, requestMobileChange);
+router.route('/me/mobile/verify').post(isAuthenticatedUser, verifyOtpLimiter, verifyMobileChange);
+
+// Customer address book
+router.route('/me/addresses')
+    .get(isAuthenticatedUser, getMyAddresses)
+    .post(isAuthenticatedUser, addAddress);
+
+router.route('/me/addresses/:addressId')
+    .put(isAuthenticatedUser, updateAddress)
+    .delete(isAuthenticatedUser, deleteAddress);
+
+router.route('/me/addresses/:addressId/default').put(isAuthenticatedUser, setDefaultAddress);
 
 module.exports = router;
\ No newline at end of file
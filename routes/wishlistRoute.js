@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    clearWishlist,
+    saveForLater,
+    moveToCart
+} = require('../controllers/wishlistController');
+const { isAuthenticatedUser } = require('../middlewares/userAuth.middleware');
+
+const router = express.Router();
+
+// ✅ USER-ONLY WISHLIST ROUTES
+// Wishlist / save-for-later for customer users with JWT authentication
+
+router.route('/wishlist')
+    .get(isAuthenticatedUser, getWishlist)
+    .delete(isAuthenticatedUser, clearWishlist);
+
+router.route('/wishlist/item').post(isAuthenticatedUser, addToWishlist);
+
+router.route('/wishlist/item/:productId').delete(isAuthenticatedUser, removeFromWishlist);
+
+router.route('/wishlist/item/:productId/move-to-cart').post(isAuthenticatedUser, moveToCart);
+
+router.route('/cart/item/:productId/save-for-later').post(isAuthenticatedUser, saveForLater);
+
+module.exports = router;
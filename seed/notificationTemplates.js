@@ -71,6 +71,7 @@ const notificationTemplates = [
         subject: 'Order Confirmation',
         message: 'Thank you for your order #{{orderId}}. Total: ₹{{orderTotal}}. Track your order at shubhvaluecart.in/orders',
         type: 'sms',
+        dltTemplateId: process.env.MSG91_ORDER_CONFIRM_TEMPLATE_ID,
         channel: 'order',
         isActive: true,
         variables: [
@@ -83,6 +84,7 @@ const notificationTemplates = [
         subject: 'Order Shipped',
         message: 'Your order #{{orderId}} has been shipped. Tracking: {{trackingNumber}}. Estimated delivery: {{estimatedDelivery}}',
         type: 'sms',
+        dltTemplateId: process.env.MSG91_ORDER_SHIPPED_TEMPLATE_ID,
         channel: 'order',
         isActive: true,
         variables: [
@@ -15,7 +15,9 @@ const connectDatabase = require('./backend/config/database');
 
 // Utilities
 const memoryManager = require('./backend/utils/memoryManager');
+const { initSocketServer } = require('./backend/utils/socketServer');
 const seedNotificationTemplates = require('./backend/seed/notificationTemplates');
+const paymentWebhookService = require('./backend/services/paymentWebhookService');
 
 // Environment
 const PORT = Number(process.env.PORT) || 5000;
@@ -82,6 +84,13 @@ server.setTimeout(10 * 60 * 1000);
 server.keepAliveTimeout = 65000;
 server.headersTimeout = 66000;
 
+/* ──────────────────────
+   SOCKET.IO (REAL-TIME EVENTS)
+────────────────────── */
+// Controllers read it with req.app.get('io') and pass it to utils/socketEvents
+const io = initSocketServer(server, app);
+app.set('io', io);
+
 /* ──────────────────────
    BOOTSTRAP FUNCTION
 ────────────────────── */
@@ -98,6 +107,9 @@ async function startServer() {
         // Start memory monitoring
         memoryManager.startMonitoring();
 
+        // Cancel orders whose failed payment was never retried
+        paymentWebhookService.scheduleAbandonedOrderCleanup();
+
         server.listen(PORT, HOST, () => {
             console.log(`✅ Server running on http://${HOST}:${PORT}`);
             console.log(`🌍 Environment: ${NODE_ENV}`);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Category = require('../models/categoryModel');
+const ErrorHandler = require('../utils/errorHandler');
+
+/**
+ * IDs of a category and every category below it
+ * @param {String} categoryId - Category ID
+ * @returns {Array} ObjectIds, starting with the category itself
+ */
+exports.getCategoryAndDescendantIds = async (categoryId) => {
+    const id = new mongoose.Types.ObjectId(categoryId.toString());
+    const descendants = await Category.find({ ancestors: id }).select('_id').lean();
+    return [id, ...descendants.map(category => category._id)];
+};
+
+/**
+ * Breadcrumbs from the top-level category down to this one
+ * @param {Object} category - Category document or lean object (with ancestors)
+ * @returns {Array} [{ _id, name, slug, path }]
+ */
+exports.getBreadcrumbs = async (category) => {
+    const ancestors = await Category.find({ _id: { $in: category.ancestors || [] } })
+        .select('name slug path')
+        .lean();
+
+    const ancestorMap = {};
+    ancestors.forEach(ancestor => {
+        ancestorMap[ancestor._id.toString()] = ancestor;
+    });
+
+    return [
+        ...(category.ancestors || []).map(id => ancestorMap[id.toString()]).filter(Boolean),
+        { _id: category._id, name: category.name, slug: category.slug, path: category.path }
+    ].map(({ _id, name, slug, path }) => ({ _id, name, slug, path }));
+};
+
+/**
+ * Nest a flat list of categories under their parents
+ * Categories whose parent isn't in the list (e.g. disabled) are left out, along with their subtree
+ * @param {Array} categories - Lean categories with parent and sortOrder
+ * @returns {Array} Top-level categories, each with a sorted children array
+ */
+exports.buildTree = (categories) => {
+    const nodes = {};
+    categories.forEach(category => {
+        nodes[category._id.toString()] = { ...category, children: [] };
+    });
+
+    const roots = [];
+    Object.values(nodes).forEach(node => {
+        if (!node.parent) {
+            roots.push(node);
+        } else if (nodes[node.parent.toString()]) {
+            nodes[node.parent.toString()].children.push(node);
+        }
+    });
+
+    const sortNodes = (list) => {
+        list.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name));
+        list.forEach(node => sortNodes(node.children));
+        return list;
+    };
+
+    return sortNodes(roots);
+};
+
+/**
+ * Make sure no other category under the same parent has this name
+ * The same name can be used under different parents (e.g. "Rice" in Grocery and in Organic)
+ * @param {String} name - Category name
+ * @param {ObjectId|null} parentId - Parent category ID (null for top-level)
+ * @param {String} categoryId - Category being updated, left out of the check
+ * @throws {ErrorHandler} 400 if a sibling already has the name
+ */
+exports.assertNameAvailable = async (name, parentId, categoryId = null) => {
+    const escaped = String(name).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const filter = {
+        parent: parentId || null,
+        $or: [
+            { name: { $regex: `^${escaped}$`, $options: 'i' } },
+            { slug: Category.toSlug(name) }
+        ]
+    };
+    if (categoryId) {
+        filter._id = { $ne: categoryId };
+    }
+
+    if (await Category.exists(filter)) {
+        throw new ErrorHandler(`A category named "${String(name).trim()}" already exists here`, 400);
+    }
+};
+
+/**
+ * Check a new parent for a category: it must exist and can't be the category or one of its descendants
+ * @param {String} parentId - Requested parent ID (empty for a top-level category)
+ * @param {String} categoryId - Category being moved, when updating
+ * @returns {ObjectId|null} Parent ID, or null for a top-level category
+ */
+exports.resolveParent = async (parentId, categoryId = null) => {
+    if (!parentId || parentId === 'null') {
+        return null;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        throw new ErrorHandler('Invalid parent category ID', 400);
+    }
+
+    const parent = await Category.findById(parentId).select('ancestors').lean();
+    if (!parent) {
+        throw new ErrorHandler('Parent category not found', 404);
+    }
+
+    if (categoryId) {
+        const isSelf = parent._id.toString() === categoryId.toString();
+        const isDescendant = (parent.ancestors || []).some(id => id.toString() === categoryId.toString());
+        if (isSelf || isDescendant) {
+            throw new ErrorHandler('A category cannot be moved under itself or one of its subcategories', 400);
+        }
+    }
+
+    return parent._id;
+};
+
+/**
+ * Recompute ancestors and path for everything below a category after it moved or changed slug
+ * @param {Object} category - Saved category document
+ * @returns {Number} Number of descendants updated
+ */
+exports.refreshDescendants = async (category) => {
+    const descendants = await Category.find({ ancestors: category._id })
+        .select('parent slug')
+        .lean();
+
+    if (descendants.length === 0) {
+        return 0;
+    }
+
+    // Walk down from the category so each parent is resolved before its children
+    const resolved = {
+        [category._id.toString()]: { ancestors: category.ancestors, path: category.path }
+    };
+    const operations = [];
+    let pending = descendants;
+
+    while (pending.length > 0) {
+        const next = [];
+        pending.forEach(descendant => {
+            const parent = resolved[descendant.parent.toString()];
+            if (!parent) {
+                next.push(descendant);
+                return;
+            }
+
+            const ancestors = [...parent.ancestors, descendant.parent];
+            const path = `${parent.path}/${descendant.slug}`;
+            resolved[descendant._id.toString()] = { ancestors, path };
+            operations.push({
+                updateOne: {
+                    filter: { _id: descendant._id },
+                    update: { $set: { ancestors, path, updatedAt: Date.now() } }
+                }
+            });
+        });
+
+        // Nothing resolved this round - the rest aren't connected to this category
+        if (next.length === pending.length) {
+            break;
+        }
+        pending = next;
+    }
+
+    if (operations.length > 0) {
+        await Category.bulkWrite(operations);
+    }
+    return operations.length;
+};
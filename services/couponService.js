@@ -0,0 +1,149 @@
+const Coupon = require('../models/couponModel');
+const CouponRedemption = require('../models/couponRedemptionModel');
+const ErrorHandler = require('../utils/errorHandler');
+
+/**
+ * Count the active redemptions of a coupon by one user
+ * @param {String} couponId - Coupon ID
+ * @param {String} userId - User ID
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Number} Number of orders the user placed with the coupon
+ */
+exports.countUserRedemptions = async (couponId, userId, session = null) => {
+    return CouponRedemption.countDocuments({ coupon: couponId, user: userId, status: 'active' }).session(session);
+};
+
+/**
+ * Check that a user has not used up their uses of a coupon
+ * @param {Object} coupon - Coupon document
+ * @param {String} userId - User ID
+ */
+exports.assertUserCanRedeem = async (coupon, userId) => {
+    if (!userId || !coupon.userLimit || coupon.userLimit <= 0) {
+        return;
+    }
+
+    const used = await exports.countUserRedemptions(coupon._id, userId);
+    if (used >= coupon.userLimit) {
+        throw new ErrorHandler(coupon.userLimit === 1
+            ? 'You have already used this coupon'
+            : `You can use this coupon only ${coupon.userLimit} times`, 400);
+    }
+};
+
+/**
+ * Take one use of a coupon ahead of an order
+ * usedCount is shared by every checkout using the coupon, so it is taken outside the order
+ * transaction (where concurrent checkouts would conflict on it) and only while under usageLimit.
+ * Give it back with releaseCouponUse if the order isn't placed.
+ * @param {String} code - Coupon code
+ * @returns {Object} Coupon document
+ */
+exports.reserveCouponUse = async (code) => {
+    const coupon = await Coupon.findOneAndUpdate(
+        {
+            code,
+            $or: [
+                { usageLimit: null },
+                { usageLimit: { $lte: 0 } },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+
+    if (!coupon) {
+        throw new ErrorHandler('Coupon usage limit exceeded', 400);
+    }
+
+    return coupon;
+};
+
+/**
+ * Give back a coupon use taken by reserveCouponUse for an order that wasn't placed
+ * @param {Object} coupon - Coupon returned by reserveCouponUse
+ */
+exports.releaseCouponUse = async (coupon) => {
+    await Coupon.updateOne(
+        { _id: coupon._id, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+    );
+};
+
+/**
+ * Record a coupon use for an order
+ * Each use takes one of the user's userLimit slots, so concurrent orders can't exceed it
+ * @param {Object} options - Redemption details
+ * @param {Object} options.coupon - Coupon returned by reserveCouponUse
+ * @param {String} options.userId - User placing the order
+ * @param {String} options.orderId - Order ID
+ * @param {Number} options.discountAmount - Coupon discount given on the order
+ * @param {Object} options.session - MongoDB session of the order transaction
+ * @returns {Object} Created redemption
+ */
+exports.redeemCoupon = async ({ coupon, userId, orderId, discountAmount = 0, session = null }) => {
+    let sequence = 0;
+    if (coupon.userLimit && coupon.userLimit > 0) {
+        const active = await CouponRedemption.find({ coupon: coupon._id, user: userId, status: 'active' })
+            .select('sequence')
+            .session(session)
+            .lean();
+        const taken = new Set(active.map(redemption => redemption.sequence));
+
+        // Take the first free slot; slots of cancelled orders are free again
+        for (let slot = 1; slot <= coupon.userLimit; slot++) {
+            if (!taken.has(slot)) {
+                sequence = slot;
+                break;
+            }
+        }
+
+        if (sequence === 0) {
+            throw new ErrorHandler('You have already used this coupon the maximum number of times', 400);
+        }
+    }
+
+    try {
+        const [redemption] = await CouponRedemption.create([{
+            coupon: coupon._id,
+            code: coupon.code,
+            user: userId,
+            order: orderId,
+            discountAmount,
+            sequence
+        }], { session });
+        return redemption;
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ErrorHandler('You have already used this coupon the maximum number of times', 400);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Reverse the coupon use of an order and give it back to the coupon and the user
+ * Safe to call more than once
+ * @param {Object} order - Order document
+ * @param {String} reason - Why the redemption is reversed
+ * @returns {Object|null} Reversed redemption, or null if the order had none active
+ */
+exports.reverseRedemption = async (order, reason = 'Order cancelled') => {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { order: order._id, status: 'active' },
+        { $set: { status: 'reversed', reversedAt: Date.now(), reversalReason: reason } },
+        { new: true }
+    );
+
+    if (!redemption) {
+        return null;
+    }
+
+    await Coupon.updateOne(
+        { _id: redemption.coupon, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+    );
+
+    return redemption;
+};
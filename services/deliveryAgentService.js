@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const DeliveryAgent = require('../models/deliveryAgentModel');
+const Delivery = require('../models/shipmentModel');
+const { DeliveryArea } = require('../models/deliveryModel');
+const ErrorHandler = require('../utils/errorHandler');
+const orderStatusService = require('./orderStatusService');
+const deliverySlotService = require('./deliverySlotService');
+
+// Delivery statuses an agent is still working on
+const OPEN_DELIVERY_STATUSES = ['assigned', 'out_for_delivery'];
+
+// How long an assignment may hold an agent's lock, and how long another one waits for it
+const ASSIGNMENT_LOCK_MS = 15 * 1000;
+const ASSIGNMENT_WAIT_MS = 2 * 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Deliveries counting towards an agent's daily capacity: open ones plus those completed today
+ * @param {String} agentId - DeliveryAgent ID
+ * @param {String} excludeDeliveryId - Delivery being (re)assigned, so it isn't counted twice
+ * @returns {Number} Current load
+ */
+exports.getDailyLoad = async (agentId, excludeDeliveryId = null) => {
+    const filter = {
+        deliveryAgent: agentId,
+        $or: [
+            { deliveryStatus: { $in: OPEN_DELIVERY_STATUSES } },
+            { deliveryStatus: 'delivered', deliveredAt: { $gte: deliverySlotService.startOfStoreDay() } }
+        ]
+    };
+    if (excludeDeliveryId) {
+        filter._id = { $ne: excludeDeliveryId };
+    }
+    return Delivery.countDocuments(filter);
+};
+
+/**
+ * Pincodes covered by an agent's service areas
+ * @param {Object} agent - DeliveryAgent document or lean object
+ * @returns {Array|null} Pincodes, or null if the agent covers every area
+ */
+exports.getServicePincodes = async (agent) => {
+    if (!agent.serviceAreas || agent.serviceAreas.length === 0) {
+        return null;
+    }
+    const areas = await DeliveryArea.find({ _id: { $in: agent.serviceAreas } }).select('pincode').lean();
+    return areas.map(area => String(area.pincode).trim());
+};
+
+/**
+ * Check that an agent can take a delivery to a pincode
+ * @param {Object} agent - DeliveryAgent document
+ * @param {Object} options - { pincode, excludeDeliveryId }
+ * @throws {ErrorHandler} 400 if the agent is inactive, unverified, doesn't cover the pincode or is at capacity
+ */
+exports.assertAssignable = async (agent, { pincode = null, excludeDeliveryId = null } = {}) => {
+    if (!agent.isActive) {
+        throw new ErrorHandler(`Delivery agent ${agent.name} is inactive`, 400);
+    }
+
+    if (agent.kyc.status !== 'verified') {
+        throw new ErrorHandler(`Delivery agent ${agent.name} has not completed KYC verification`, 400);
+    }
+
+    if (pincode) {
+        const pincodes = await exports.getServicePincodes(agent);
+        if (pincodes && !pincodes.includes(String(pincode).trim())) {
+            throw new ErrorHandler(`Delivery agent ${agent.name} does not serve pincode ${pincode}`, 400);
+        }
+    }
+
+    const load = await exports.getDailyLoad(agent._id, excludeDeliveryId);
+    if (load >= agent.dailyCapacity) {
+        throw new ErrorHandler(`Delivery agent ${agent.name} has reached their daily capacity of ${agent.dailyCapacity} deliveries`, 400);
+    }
+};
+
+/**
+ * Run an assignment to an agent while holding the agent's assignment lock
+ * The capacity check counts the agent's deliveries, so two assignments running at once could both pass it
+ * before either is saved; the lock makes them take turns. A lock left by a crashed request expires.
+ * @param {Object} agent - DeliveryAgent document
+ * @param {Function} assign - Async function that checks capacity and saves the assignment
+ * @returns {*} Whatever assign returns
+ * @throws {ErrorHandler} 409 if another assignment to the agent is still running
+ */
+exports.withAssignmentLock = async (agent, assign) => {
+    const giveUpAt = Date.now() + ASSIGNMENT_WAIT_MS;
+    let lockedUntil = null;
+
+    while (!lockedUntil) {
+        const now = new Date();
+        const until = new Date(now.getTime() + ASSIGNMENT_LOCK_MS);
+        const claimed = await DeliveryAgent.findOneAndUpdate(
+            { _id: agent._id, $or: [{ assignmentLockedUntil: null }, { assignmentLockedUntil: { $lte: now } }] },
+            { $set: { assignmentLockedUntil: until } },
+            { projection: { _id: 1 } }
+        );
+
+        if (claimed) {
+            lockedUntil = until;
+        } else if (Date.now() >= giveUpAt) {
+            throw new ErrorHandler(`Another delivery is being assigned to ${agent.name}. Please try again.`, 409);
+        } else {
+            await wait(100);
+        }
+    }
+
+    try {
+        return await assign();
+    } finally {
+        // Only release our own lock, not one taken after ours expired
+        await DeliveryAgent.updateOne(
+            { _id: agent._id, assignmentLockedUntil: lockedUntil },
+            { $set: { assignmentLockedUntil: null } }
+        );
+    }
+};
+
+/**
+ * Assign a Packed order to an agent, creating or updating its Delivery record
+ * @param {Object} order - Order document
+ * @param {Object} agent - DeliveryAgent document
+ * @param {Object} options - { actor, deliveryDate, deliveryNotes, routeSequence, dispatchBatch }
+ * @returns {Object} Delivery document
+ * @throws {ErrorHandler} 400 if the order isn't Packed or the agent can't take it
+ */
+exports.assignOrderToAgent = async (order, agent, options = {}) => {
+    // Agents can only pick up packed orders
+    if (orderStatusService.getOrderStatus(order) !== 'Packed') {
+        throw new ErrorHandler(`Order must be Packed before assigning a delivery agent (current status: ${order.orderStatus})`, 400);
+    }
+
+    return exports.withAssignmentLock(agent, () => assignWhileLocked(order, agent, options));
+};
+
+// Body of assignOrderToAgent, run while holding the agent's assignment lock
+const assignWhileLocked = async (order, agent, options) => {
+    const { actor, deliveryDate, deliveryNotes, routeSequence = null, dispatchBatch = '' } = options;
+
+    let delivery = await Delivery.findOne({ orderId: order._id, purpose: { $ne: 'RETURN_PICKUP' } });
+
+    await exports.assertAssignable(agent, {
+        pincode: order.shippingInfo.pincode,
+        excludeDeliveryId: delivery ? delivery._id : null
+    });
+
+    if (delivery) {
+        // Update existing delivery
+        delivery.deliveryAgent = agent._id;
+        delivery.deliveryAgentName = agent.name;
+        delivery.deliveryAgentPhone = agent.mobile;
+        delivery.deliveryDate = deliveryDate || new Date();
+        delivery.deliveryNotes = deliveryNotes || '';
+        delivery.routeSequence = routeSequence;
+        delivery.dispatchBatch = dispatchBatch;
+
+        await orderStatusService.transitionDelivery(delivery, order, 'assigned', {
+            actor,
+            note: `Assigned to delivery agent: ${agent.name}`
+        });
+    } else {
+        // Create new delivery record
+        const deliveryId = `LOCAL-${order._id.toString().slice(-6)}-${Date.now()}`;
+
+        delivery = new Delivery({
+            orderId: order._id,
+            deliveryId: deliveryId,
+            deliveryType: 'LOCAL',
+            deliveryAgent: agent._id,
+            deliveryAgentName: agent.name,
+            deliveryAgentPhone: agent.mobile,
+            deliveryStatus: 'assigned',
+            deliveryDate: deliveryDate || new Date(),
+            deliveryNotes: deliveryNotes || '',
+            routeSequence,
+            dispatchBatch,
+            statusHistory: [{
+                status: 'assigned',
+                statusMessage: `Assigned to delivery agent: ${agent.name}`,
+                date: new Date()
+            }]
+        });
+
+        await delivery.save();
+    }
+
+    // Update order status
+    order.deliveryStatus = 'Assigned';
+    order.deliveryAgent = agent._id;
+    order.deliveryAgentName = agent.name;
+    order.deliveryAgentPhone = agent.mobile;
+    order.trackingId = delivery.deliveryId;
+    await order.save();
+
+    return delivery;
+};
+
+/**
+ * Load a delivery agent by ID
+ * @param {String} agentId - DeliveryAgent ID
+ * @returns {Object} DeliveryAgent document
+ * @throws {ErrorHandler} 404 if not found
+ */
+exports.findAgent = async (agentId) => {
+    const agent = mongoose.Types.ObjectId.isValid(agentId) ? await DeliveryAgent.findById(agentId) : null;
+    if (!agent) {
+        throw new ErrorHandler('Delivery agent not found', 404);
+    }
+    return agent;
+};
+
+/**
+ * Check service area IDs sent by an admin
+ * @param {Array|String} serviceAreas - DeliveryArea IDs (array or comma-separated)
+ * @returns {Array} ObjectIds of existing areas
+ * @throws {ErrorHandler} 400 if any area doesn't exist
+ */
+exports.resolveServiceAreas = async (serviceAreas) => {
+    const ids = (Array.isArray(serviceAreas) ? serviceAreas : String(serviceAreas || '').split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean);
+
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ErrorHandler('Invalid delivery area ID', 400);
+    }
+
+    const uniqueIds = [...new Set(ids)];
+    const count = await DeliveryArea.countDocuments({ _id: { $in: uniqueIds } });
+    if (count !== uniqueIds.length) {
+        throw new ErrorHandler('One or more delivery areas were not found', 400);
+    }
+    return uniqueIds.map(id => new mongoose.Types.ObjectId(id));
+};
+
+exports.OPEN_DELIVERY_STATUSES = OPEN_DELIVERY_STATUSES;
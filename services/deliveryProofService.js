@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const Delivery = require('../models/shipmentModel');
+const OtpUser = require('../models/OtpUser');
+const ErrorHandler = require('../utils/errorHandler');
+const notificationService = require('./notificationService');
+
+// Wrong OTP entries allowed before the agent has to send a new one
+const MAX_OTP_ATTEMPTS = 5;
+
+// Minimum gap between two OTPs for the same delivery
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Tied to the delivery so the same code hashes differently on another delivery
+const hashOtp = (deliveryId, otp) => crypto.createHash('sha256').update(`${deliveryId}:${otp}`).digest('hex');
+
+// Whether a delivery is handed over by our own agents and needs proof
+exports.requiresProof = (delivery) => delivery.deliveryType === 'LOCAL' && delivery.purpose !== 'RETURN_PICKUP';
+
+/**
+ * Generate a new delivery OTP and send it to the customer
+ * Only the hash is stored; any earlier OTP for the delivery stops working
+ * @param {Object} delivery - Delivery document
+ * @param {Object} order - Order the delivery belongs to
+ * @param {Object} options - { io } to push the in-app notification in real time
+ * @returns {Date} When the OTP was sent
+ * @throws {ErrorHandler} 429 if an OTP was sent less than a minute ago
+ */
+exports.issueDeliveryOtp = async (delivery, order, { io = null } = {}) => {
+    const lastSentAt = delivery.proofOfDelivery && delivery.proofOfDelivery.otpSentAt;
+    if (lastSentAt && Date.now() - new Date(lastSentAt).getTime() < OTP_RESEND_COOLDOWN_MS) {
+        throw new ErrorHandler('A delivery OTP was sent less than a minute ago. Please wait before resending.', 429);
+    }
+
+    const otp = String(crypto.randomInt(0, 10000)).padStart(4, '0');
+    const sentAt = new Date();
+
+    // Written directly so the hash never sits on the document returned to the agent
+    await Delivery.updateOne(
+        { _id: delivery._id },
+        {
+            $set: {
+                'proofOfDelivery.otpHash': hashOtp(delivery._id, otp),
+                'proofOfDelivery.otpSentAt': sentAt,
+                'proofOfDelivery.otpAttempts': 0
+            }
+        }
+    );
+    delivery.proofOfDelivery.otpSentAt = sentAt;
+    delivery.proofOfDelivery.otpAttempts = 0;
+
+    const user = order && order.user ? await OtpUser.findOne({ _id: order.user, deletedAt: null }) : null;
+    if (!user) {
+        console.log(`DELIVERY_OTP_NOT_SENT: Delivery ${delivery.deliveryId}, no customer account`);
+        return sentAt;
+    }
+
+    // Customers without the app only get the OTP by SMS, which needs the approved DLT template
+    const templateId = process.env.MSG91_DELIVERY_OTP_TEMPLATE_ID;
+    if (!templateId) {
+        console.error(`DELIVERY_OTP_SMS_NOT_CONFIGURED: MSG91_DELIVERY_OTP_TEMPLATE_ID is not set, delivery ${delivery.deliveryId} OTP sent in-app only`);
+    }
+
+    const orderRef = order._id.toString().slice(-6).toUpperCase();
+    try {
+        await notificationService.sendMultiChannelNotification(io, user, {
+            title: 'Your order is out for delivery',
+            message: `Your order #${orderRef} is out for delivery. Share OTP ${otp} with the delivery agent only when you receive your order.`,
+            type: 'order',
+            priority: 'high',
+            orderId: order._id,
+            channels: ['inApp', 'sms'],
+            data: { deliveryId: delivery.deliveryId, reason: 'DELIVERY_OTP' },
+            sms: templateId ? {
+                templateId,
+                variables: {
+                    VAR1: orderRef,  // Order reference
+                    VAR2: otp  // Delivery OTP
+                }
+            } : undefined
+        });
+    } catch (error) {
+        // The agent can resend if the customer didn't get it
+        console.error(`DELIVERY_OTP_SEND_FAILED: Delivery ${delivery.deliveryId}:`, error.message);
+    }
+
+    return sentAt;
+};
+
+/**
+ * Check the OTP the customer gave the agent
+ * Every entry uses up an attempt before it is compared, so parallel guesses can't get past the limit
+ * @param {Object} delivery - Delivery document
+ * @param {String} otp - OTP entered by the agent
+ * @throws {ErrorHandler} 400 if the OTP is missing or wrong, 429 after too many wrong entries
+ */
+exports.verifyDeliveryOtp = async (delivery, otp) => {
+    if (!otp) {
+        throw new ErrorHandler('Delivery OTP from the customer is required', 400);
+    }
+
+    const stored = await Delivery.findOneAndUpdate(
+        {
+            _id: delivery._id,
+            'proofOfDelivery.otpHash': { $ne: null },
+            'proofOfDelivery.otpAttempts': { $not: { $gte: MAX_OTP_ATTEMPTS } }
+        },
+        { $inc: { 'proofOfDelivery.otpAttempts': 1 } },
+        { new: true }
+    )
+        .select('+proofOfDelivery.otpHash')
+        .lean();
+
+    if (!stored) {
+        const current = await Delivery.findById(delivery._id).select('+proofOfDelivery.otpHash').lean();
+        if (!current || !current.proofOfDelivery || !current.proofOfDelivery.otpHash) {
+            throw new ErrorHandler('No delivery OTP has been sent for this delivery. Resend the OTP to the customer.', 400);
+        }
+        throw new ErrorHandler('Too many incorrect OTP attempts. Resend the OTP to the customer.', 429);
+    }
+
+    const proof = stored.proofOfDelivery;
+    const expected = Buffer.from(proof.otpHash, 'hex');
+    const received = Buffer.from(hashOtp(delivery._id, String(otp).trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+        const attemptsLeft = Math.max(MAX_OTP_ATTEMPTS - proof.otpAttempts, 0);
+        throw new ErrorHandler(`Incorrect delivery OTP. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`, 400);
+    }
+
+    delivery.proofOfDelivery.otpVerifiedAt = new Date();
+};
+
+/**
+ * Check and attach the proof needed to mark a delivery delivered
+ * Either the customer's OTP, or (admins only) a reason it was skipped
+ * @param {Object} delivery - Delivery document
+ * @param {Object} proof - { otp, overrideReason, recipientName, files }
+ * @param {Object} actor - { type, id, name } marking it delivered
+ * @throws {ErrorHandler} 400 if neither is given or the OTP is wrong, 429 after too many wrong entries
+ */
+exports.applyHandoverProof = async (delivery, { otp = '', overrideReason = '', recipientName = '', files = {} } = {}, actor) => {
+    if (!otp && !overrideReason) {
+        throw new ErrorHandler('Delivery OTP or an override reason is required to mark this delivery as delivered', 400);
+    }
+    if (otp) {
+        await exports.verifyDeliveryOtp(delivery, otp);
+    }
+    exports.recordProof(delivery, {
+        files,
+        recipientName,
+        overrideReason: otp ? '' : String(overrideReason).trim(),
+        actor
+    });
+};
+
+// Build an image entry from a file uploaded through hybridUpload
+const toImage = (file) => (file.destination === 's3'
+    ? { public_id: file.filename, url: file.path }
+    : { public_id: file.filename, url: `/uploads/deliveries/${file.filename}` });
+
+/**
+ * Attach handover proof to a delivery (saved with the delivered status change)
+ * @param {Object} delivery - Delivery document
+ * @param {Object} proof - Captured proof
+ * @param {Object} proof.files - req.files from hybridUpload ({ photo, signature })
+ * @param {String} proof.recipientName - Who received the package
+ * @param {String} proof.overrideReason - Why an admin completed it without the OTP
+ * @param {Object} proof.actor - { type, id, name } capturing the proof
+ */
+exports.recordProof = (delivery, { files = {}, recipientName = '', overrideReason = '', actor } = {}) => {
+    const pod = delivery.proofOfDelivery;
+
+    if (files.photo && files.photo[0]) {
+        pod.photo = toImage(files.photo[0]);
+    }
+    if (files.signature && files.signature[0]) {
+        pod.signature = toImage(files.signature[0]);
+    }
+
+    pod.recipientName = String(recipientName || '').trim();
+    pod.overrideReason = overrideReason;
+    pod.capturedBy = actor ? { actorType: actor.type, actorId: actor.id, name: actor.name } : undefined;
+    pod.capturedAt = new Date();
+};
+
+exports.MAX_OTP_ATTEMPTS = MAX_OTP_ATTEMPTS;
@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const { DeliverySlot } = require('../models/deliveryModel');
+const SlotBooking = require('../models/slotBookingModel');
+const Order = require('../models/orderModel');
+const Settings = require('../models/settingsModel');
+const ErrorHandler = require('../utils/errorHandler');
+const pricingService = require('./pricingService');
+
+// How many days ahead a slot can be booked (today included)
+const MAX_ADVANCE_DAYS = 7;
+
+// A slot starting sooner than this can no longer be booked
+const BOOKING_CUTOFF_MINUTES = 60;
+
+// Slot dates and times are the store's wall clock, whatever timezone the server runs in
+const STORE_TIMEZONE = process.env.STORE_TIMEZONE || 'Asia/Kolkata';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const storeClock = new Intl.DateTimeFormat('en-CA', {
+    timeZone: STORE_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+// Current date ("YYYY-MM-DD") and minutes past midnight at the store
+const storeNow = (date = new Date()) => {
+    const parts = {};
+    storeClock.formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+};
+
+// "YYYY-MM-DD" a number of days after another
+const addDays = (key, days) => {
+    const date = new Date(`${key}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Check a requested delivery date
+ * @param {String} date - "YYYY-MM-DD"
+ * @returns {Object} { key, weekday, isToday } for the date
+ * @throws {ErrorHandler} 400 if the date is invalid, in the past or too far ahead
+ */
+const parseSlotDate = (date) => {
+    const key = String(date || '').trim();
+    const parsed = new Date(`${key}T00:00:00.000Z`);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== key) {
+        throw new ErrorHandler('Delivery date must be in YYYY-MM-DD format', 400);
+    }
+
+    const todayKey = storeNow().dateKey;
+
+    if (key < todayKey) {
+        throw new ErrorHandler('Delivery date cannot be in the past', 400);
+    }
+    if (key > addDays(todayKey, MAX_ADVANCE_DAYS - 1)) {
+        throw new ErrorHandler(`Delivery slots can only be booked up to ${MAX_ADVANCE_DAYS} days ahead`, 400);
+    }
+
+    return { key, weekday: WEEKDAYS[parsed.getUTCDay()], isToday: key === todayKey };
+};
+
+// Store hours for a weekday, or null if no business hours are configured
+const getBusinessHours = async (weekday) => {
+    const settings = await Settings.findOne().sort({ createdAt: -1 }).select('businessHours').lean();
+    if (!settings || !settings.businessHours || !settings.businessHours[weekday]) {
+        return null;
+    }
+    return settings.businessHours[weekday];
+};
+
+// Whether a slot can still be booked on a date: inside store hours and not starting too soon
+const isSlotBookable = (slot, day, hours) => {
+    if (hours) {
+        if (hours.closed) {
+            return false;
+        }
+        if (slot.startTime < hours.open || slot.endTime > hours.close) {
+            return false;
+        }
+    }
+
+    if (day.isToday) {
+        if (toMinutes(slot.startTime) - storeNow().minutes < BOOKING_CUTOFF_MINUTES) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Moment the current day began at the store (midnight in STORE_TIMEZONE)
+ * @returns {Date} Start of the store's day
+ */
+exports.startOfStoreDay = () => {
+    const now = new Date();
+    const sinceMidnight = storeNow(now).minutes * 60 * 1000 + now.getUTCSeconds() * 1000 + now.getUTCMilliseconds();
+    return new Date(now.getTime() - sinceMidnight);
+};
+
+/**
+ * Delivery slots a customer can book for a pincode and date
+ * Slots outside store hours, starting too soon or already full are left out
+ * @param {String|Number} pincode - Delivery pincode
+ * @param {String} date - "YYYY-MM-DD"
+ * @returns {Object} { date, closed, slots: [{ _id, startTime, endTime, remaining }] }
+ */
+exports.getAvailableSlots = async (pincode, date) => {
+    if (!pincode) {
+        throw new ErrorHandler('Pincode is required', 400);
+    }
+
+    const day = parseSlotDate(date);
+    await pricingService.assertPincodeServiceable(pincode);
+
+    const hours = await getBusinessHours(day.weekday);
+    if (hours && hours.closed) {
+        return { date: day.key, closed: true, slots: [] };
+    }
+
+    const slots = await DeliverySlot.find({ isActive: true }).sort({ startTime: 1 }).lean();
+    const bookings = await SlotBooking.find({ slot: { $in: slots.map(slot => slot._id) }, date: day.key }).lean();
+    const bookedBySlot = {};
+    bookings.forEach(booking => {
+        bookedBySlot[booking.slot.toString()] = booking.bookedCount;
+    });
+
+    const available = slots
+        .filter(slot => isSlotBookable(slot, day, hours))
+        .map(slot => ({
+            _id: slot._id,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            remaining: Math.max(slot.maxOrders - (bookedBySlot[slot._id.toString()] || 0), 0)
+        }))
+        .filter(slot => slot.remaining > 0);
+
+    return { date: day.key, closed: false, slots: available };
+};
+
+/**
+ * Book one order into a delivery slot
+ * The capacity check and the increment are a single update, so a slot can't be overbooked.
+ * Booked outside the order transaction - every checkout for a slot updates the same counter, which
+ * would make concurrent transactions conflict - so a failed checkout must call cancelReservation.
+ * @param {Object} options - Booking details
+ * @param {String} options.slotId - DeliverySlot ID
+ * @param {String} options.date - "YYYY-MM-DD"
+ * @param {String|Number} options.pincode - Delivery pincode
+ * @returns {Object} Order deliverySlot value: { slot, date, startTime, endTime }
+ * @throws {ErrorHandler} 400 if the slot can't be booked, 409 if it is full
+ */
+exports.reserveSlot = async ({ slotId, date, pincode }) => {
+    if (!mongoose.Types.ObjectId.isValid(slotId)) {
+        throw new ErrorHandler('Invalid delivery slot', 400);
+    }
+
+    const day = parseSlotDate(date);
+    await pricingService.assertPincodeServiceable(pincode);
+
+    const slot = await DeliverySlot.findById(slotId).lean();
+    if (!slot || !slot.isActive) {
+        throw new ErrorHandler('Delivery slot not found', 404);
+    }
+
+    const hours = await getBusinessHours(day.weekday);
+    if (!isSlotBookable(slot, day, hours)) {
+        throw new ErrorHandler(`Delivery slot ${slot.startTime}-${slot.endTime} is not available on ${day.key}`, 400);
+    }
+
+    // Make sure the day's counter exists, then take a place only if one is left
+    await SlotBooking.updateOne(
+        { slot: slot._id, date: day.key },
+        { $setOnInsert: { bookedCount: 0 } },
+        { upsert: true }
+    );
+
+    const booking = await SlotBooking.findOneAndUpdate(
+        { slot: slot._id, date: day.key, bookedCount: { $lt: slot.maxOrders } },
+        { $inc: { bookedCount: 1 } },
+        { new: true }
+    );
+
+    if (!booking) {
+        throw new ErrorHandler(`Delivery slot ${slot.startTime}-${slot.endTime} on ${day.key} is fully booked. Please choose another slot.`, 409);
+    }
+
+    return {
+        slot: slot._id,
+        date: new Date(`${day.key}T00:00:00.000Z`),
+        startTime: slot.startTime,
+        endTime: slot.endTime
+    };
+};
+
+// Take one booking off a slot's counter
+const decrementBooking = async (deliverySlot) => {
+    const result = await SlotBooking.updateOne(
+        {
+            slot: deliverySlot.slot,
+            date: new Date(deliverySlot.date).toISOString().slice(0, 10),
+            bookedCount: { $gt: 0 }
+        },
+        { $inc: { bookedCount: -1 } }
+    );
+
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Give back a place no order holds: booked by reserveSlot for an order that was never created, or held by a deleted order
+ * @param {Object} bookedSlot - Value returned by reserveSlot (or a deleted order's deliverySlot)
+ * @returns {Boolean} Whether a booking was released
+ */
+exports.cancelReservation = async (bookedSlot) => {
+    if (!bookedSlot || !bookedSlot.slot || !bookedSlot.date) {
+        return false;
+    }
+    return decrementBooking(bookedSlot);
+};
+
+/**
+ * Give an order's place in its delivery slot back
+ * The order is marked released first, so a second cancel or delete gives nothing back
+ * @param {Object} order - Order document
+ * @returns {Boolean} Whether a booking was released
+ */
+exports.releaseSlot = async (order) => {
+    if (!order.deliverySlot || !order.deliverySlot.slot || !order.deliverySlot.date) {
+        return false;
+    }
+
+    const releasedAt = new Date();
+    const claimed = await Order.updateOne(
+        { _id: order._id, 'deliverySlot.slot': order.deliverySlot.slot, 'deliverySlot.releasedAt': null },
+        { $set: { 'deliverySlot.releasedAt': releasedAt } }
+    );
+    if (claimed.modifiedCount === 0) {
+        return false;
+    }
+    order.deliverySlot.releasedAt = releasedAt;
+
+    return decrementBooking(order.deliverySlot);
+};
+
+/**
+ * Readable ETA for an order's slot, e.g. "2024-05-20, 09:00-12:00"
+ * @param {Object} deliverySlot - Order deliverySlot value
+ * @returns {String} ETA text
+ */
+exports.formatSlotEta = (deliverySlot) => {
+    return `${new Date(deliverySlot.date).toISOString().slice(0, 10)}, ${deliverySlot.startTime}-${deliverySlot.endTime}`;
+};
+
+exports.MAX_ADVANCE_DAYS = MAX_ADVANCE_DAYS;
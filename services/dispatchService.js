@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const Order = require('../models/orderModel');
+const DeliveryAgent = require('../models/deliveryAgentModel');
+const { DeliveryArea } = require('../models/deliveryModel');
+const ErrorHandler = require('../utils/errorHandler');
+const deliveryAgentService = require('./deliveryAgentService');
+
+// Most orders planned in one run
+const MAX_PLAN_ORDERS = 500;
+
+// Order fields used for planning and shown in the stop list
+const ORDER_FIELDS = 'shippingInfo deliverySlot totalPrice paymentInfo.id createdAt orderStatus';
+
+// Sort key for a slot: date, then start time; orders without a slot go last
+const slotSortKey = (deliverySlot) => {
+    if (!deliverySlot || !deliverySlot.slot) {
+        return '9999-99-99 99:99';
+    }
+    const date = deliverySlot.date ? new Date(deliverySlot.date).toISOString().slice(0, 10) : '9999-99-99';
+    return `${date} ${deliverySlot.startTime || '99:99'}`;
+};
+
+// Stop shown to the admin and saved as the route sequence
+const toStop = (order, area) => ({
+    orderId: order._id,
+    pincode: String(order.shippingInfo.pincode),
+    area: { _id: area._id, name: area.name },
+    slot: order.deliverySlot && order.deliverySlot.slot ? order.deliverySlot : null,
+    address: order.shippingInfo.address,
+    city: order.shippingInfo.city,
+    phoneNo: order.shippingInfo.phoneNo,
+    totalPrice: order.totalPrice
+});
+
+// Order an agent's stops: by slot, then keep each area together, areas in pincode order
+const sequenceStops = (stops) => {
+    return stops
+        .sort((a, b) => slotSortKey(a.slot).localeCompare(slotSortKey(b.slot))
+            || a.pincode.localeCompare(b.pincode)
+            || a.area.name.localeCompare(b.area.name))
+        .map((stop, i) => ({ sequence: i + 1, ...stop }));
+};
+
+/**
+ * Plan delivery agent assignments for Packed local orders that have no agent yet
+ * Orders are grouped by delivery area (pincode) and slot; each group goes to one agent when it fits,
+ * choosing the on-shift agent with the most spare capacity and preferring agents already in that area
+ * @param {Object} options - { orderIds, areaIds, agentIds } to narrow the run (all optional)
+ * @returns {Object} { agents: [{ agent, capacity, currentLoad, stops }], unassigned, summary }
+ */
+exports.planDispatch = async (options = {}) => {
+    const { orderIds, areaIds, agentIds } = options;
+
+    const orderFilter = { orderStatus: 'Packed', deliveryType: 'LOCAL', deliveryAgent: null };
+    if (orderIds && orderIds.length > 0) {
+        orderFilter._id = { $in: orderIds };
+    }
+
+    const orders = await Order.find(orderFilter)
+        .select(ORDER_FIELDS)
+        .sort({ createdAt: 1 })
+        .limit(MAX_PLAN_ORDERS)
+        .lean();
+
+    const areaFilter = { isServicable: true };
+    if (areaIds && areaIds.length > 0) {
+        areaFilter._id = { $in: areaIds };
+    }
+    const areas = await DeliveryArea.find(areaFilter).select('name pincode').lean();
+    const areaByPincode = {};
+    areas.forEach(area => {
+        areaByPincode[String(area.pincode).trim()] = area;
+    });
+
+    // Group orders by area and slot
+    const unassigned = [];
+    const groups = {};
+    orders.forEach(order => {
+        const pincode = String(order.shippingInfo.pincode);
+        const area = areaByPincode[pincode];
+        if (!area) {
+            // Outside the areas being planned - only report it when every area is included
+            if (!areaIds || areaIds.length === 0) {
+                unassigned.push({ orderId: order._id, pincode, reason: 'No serviceable delivery area for this pincode' });
+            }
+            return;
+        }
+        const slotId = order.deliverySlot && order.deliverySlot.slot ? order.deliverySlot.slot.toString() : 'none';
+        const key = `${area._id}|${slotId}`;
+        groups[key] = groups[key] || { area, pincode, slotKey: slotSortKey(order.deliverySlot), stops: [] };
+        groups[key].stops.push(toStop(order, area));
+    });
+
+    // On-shift, verified agents with capacity left today
+    const agentFilter = { isActive: true, onShift: true, 'kyc.status': 'verified' };
+    if (agentIds && agentIds.length > 0) {
+        agentFilter._id = { $in: agentIds };
+    }
+    const agents = await DeliveryAgent.find(agentFilter).select('name mobile vehicle serviceAreas dailyCapacity').lean();
+
+    const plans = await Promise.all(agents.map(async agent => {
+        const currentLoad = await deliveryAgentService.getDailyLoad(agent._id);
+        const pincodes = await deliveryAgentService.getServicePincodes(agent);
+        return {
+            agent: { _id: agent._id, name: agent.name, mobile: agent.mobile, vehicle: agent.vehicle },
+            capacity: agent.dailyCapacity,
+            currentLoad,
+            pincodes,
+            areaIds: new Set(),
+            stops: []
+        };
+    }));
+
+    const spare = (plan) => plan.capacity - plan.currentLoad - plan.stops.length;
+    const utilisation = (plan) => (plan.currentLoad + plan.stops.length) / plan.capacity;
+
+    // Earliest slots first, larger groups first within a slot so they can stay together
+    const sortedGroups = Object.values(groups).sort((a, b) => a.slotKey.localeCompare(b.slotKey)
+        || b.stops.length - a.stops.length);
+
+    sortedGroups.forEach(group => {
+        const pending = [...group.stops];
+
+        while (pending.length > 0) {
+            const candidates = plans.filter(plan => spare(plan) > 0
+                && (!plan.pincodes || plan.pincodes.includes(group.pincode)));
+
+            if (candidates.length === 0) {
+                pending.forEach(stop => unassigned.push({
+                    orderId: stop.orderId,
+                    pincode: stop.pincode,
+                    reason: plans.length === 0 ? 'No agents on shift' : 'No on-shift agent with capacity serves this pincode'
+                }));
+                break;
+            }
+
+            // Keep the whole group with one agent if someone can take it, then prefer agents already
+            // in this area, then the least loaded
+            const fitsWhole = candidates.filter(plan => spare(plan) >= pending.length);
+            const pool = fitsWhole.length > 0 ? fitsWhole : candidates;
+            pool.sort((a, b) => Number(b.areaIds.has(group.area._id.toString())) - Number(a.areaIds.has(group.area._id.toString()))
+                || utilisation(a) - utilisation(b)
+                || spare(b) - spare(a));
+
+            const chosen = pool[0];
+            const batch = pending.splice(0, spare(chosen));
+            chosen.stops.push(...batch);
+            chosen.areaIds.add(group.area._id.toString());
+        }
+    });
+
+    const agentPlans = plans
+        .filter(plan => plan.stops.length > 0)
+        .map(plan => ({
+            agent: plan.agent,
+            capacity: plan.capacity,
+            currentLoad: plan.currentLoad,
+            stops: sequenceStops(plan.stops)
+        }));
+
+    const assignedCount = agentPlans.reduce((sum, plan) => sum + plan.stops.length, 0);
+
+    return {
+        generatedAt: new Date(),
+        agents: agentPlans,
+        unassigned,
+        summary: {
+            orders: assignedCount + unassigned.length,
+            assigned: assignedCount,
+            unassigned: unassigned.length,
+            agentsOnShift: plans.length,
+            agentsUsed: agentPlans.length
+        }
+    };
+};
+
+/**
+ * Commit a (possibly edited) dispatch plan: assign each agent's orders in stop order
+ * Each order is assigned on its own, so one failure doesn't undo the rest; failures are reported back
+ * @param {Array} assignments - [{ agentId, orderIds }] with orderIds in stop order
+ * @param {Object} actor - { type, id, name } for status history
+ * @returns {Object} { dispatchBatch, assigned: [{ orderId, agentId, deliveryId, routeSequence }], failed: [{ orderId, agentId, reason }] }
+ */
+exports.commitDispatch = async (assignments, actor) => {
+    if (!Array.isArray(assignments) || assignments.length === 0) {
+        throw new ErrorHandler('Assignments are required', 400);
+    }
+
+    // Every order may appear only once in the plan
+    const seen = new Set();
+    assignments.forEach(({ agentId, orderIds }) => {
+        if (!mongoose.Types.ObjectId.isValid(agentId) || !Array.isArray(orderIds) || orderIds.length === 0) {
+            throw new ErrorHandler('Each assignment needs an agentId and a list of orderIds', 400);
+        }
+        orderIds.forEach(orderId => {
+            if (!mongoose.Types.ObjectId.isValid(orderId)) {
+                throw new ErrorHandler(`Invalid order ID: ${orderId}`, 400);
+            }
+            if (seen.has(String(orderId))) {
+                throw new ErrorHandler(`Order ${orderId} is assigned to more than one agent`, 400);
+            }
+            seen.add(String(orderId));
+        });
+    });
+
+    const dispatchBatch = `DISPATCH-${Date.now()}`;
+    const assigned = [];
+    const failed = [];
+
+    for (const { agentId, orderIds } of assignments) {
+        const agent = await DeliveryAgent.findById(agentId);
+        if (!agent) {
+            orderIds.forEach(orderId => failed.push({ orderId, agentId, reason: 'Delivery agent not found' }));
+            continue;
+        }
+
+        for (const [index, orderId] of orderIds.entries()) {
+            try {
+                const order = await Order.findById(orderId);
+                if (!order) {
+                    throw new ErrorHandler('Order not found', 404);
+                }
+                if (order.deliveryAgent) {
+                    throw new ErrorHandler('Order already has a delivery agent', 400);
+                }
+
+                const delivery = await deliveryAgentService.assignOrderToAgent(order, agent, {
+                    actor,
+                    routeSequence: index + 1,
+                    dispatchBatch
+                });
+                assigned.push({ orderId, agentId, deliveryId: delivery.deliveryId, routeSequence: index + 1 });
+            } catch (error) {
+                failed.push({ orderId, agentId, reason: error.message });
+            }
+        }
+    }
+
+    return { dispatchBatch, assigned, failed };
+};
@@ -0,0 +1,74 @@
+const GiftCard = require('../models/giftCardModel');
+const ErrorHandler = require('../utils/errorHandler');
+
+/**
+ * Debit a gift card for an order
+ * The balance check and the debit are a single update, so the same balance can't be spent twice
+ * @param {Object} options - Redemption details
+ * @param {String} options.code - Gift card code
+ * @param {String} options.userId - User placing the order
+ * @param {String} options.orderId - Order the balance is spent on
+ * @param {Number} options.amount - Amount to debit
+ * @param {Object} options.session - MongoDB session of the order transaction
+ * @returns {Object} Updated gift card
+ */
+exports.redeemGiftCard = async ({ code, userId, orderId, amount, session = null }) => {
+    if (!amount || amount <= 0) {
+        throw new ErrorHandler('Gift card amount must be greater than zero', 400);
+    }
+
+    const giftCard = await GiftCard.findOneAndUpdate(
+        {
+            code,
+            isActive: true,
+            validFrom: { $lte: new Date() },
+            validUntil: { $gte: new Date() },
+            balance: { $gte: amount }
+        },
+        {
+            $inc: { balance: -amount },
+            $push: { usedBy: { user: userId, amount, order: orderId } }
+        },
+        { new: true, session }
+    );
+
+    if (!giftCard) {
+        throw new ErrorHandler('Gift card balance has changed. Please review your order and try again.', 409);
+    }
+
+    return giftCard;
+};
+
+/**
+ * Credit gift card debits linked to an order back to the card
+ * Each debit is marked restored, so calling this twice doesn't credit twice
+ * @param {Object} order - Order document
+ * @returns {Number} Amount credited back
+ */
+exports.restoreGiftCardBalance = async (order) => {
+    if (!order.giftCardCode) {
+        return 0;
+    }
+
+    const unrestored = { order: order._id, restoredAt: null };
+
+    const giftCard = await GiftCard.findOne({ code: order.giftCardCode, usedBy: { $elemMatch: unrestored } })
+        .select('usedBy')
+        .lean();
+
+    if (!giftCard) {
+        return 0;
+    }
+
+    const debited = giftCard.usedBy
+        .filter(entry => entry.order && entry.order.toString() === order._id.toString() && !entry.restoredAt)
+        .reduce((sum, entry) => sum + (entry.amount || 0), 0);
+
+    const result = await GiftCard.updateOne(
+        { _id: giftCard._id, usedBy: { $elemMatch: unrestored } },
+        { $inc: { balance: debited }, $set: { 'usedBy.$[entry].restoredAt': new Date() } },
+        { arrayFilters: [{ 'entry.order': order._id, 'entry.restoredAt': null }] }
+    );
+
+    return result.modifiedCount > 0 ? debited : 0;
+};
@@ -2,6 +2,10 @@ const Inventory = require('../models/inventoryModel');
 const InventoryTransaction = require('../models/inventoryTransactionModel');
 const Product = require('../models/productModel');
 const ErrorHandler = require('../utils/errorHandler');
+const { fitsPrecision, getPrecision, roundQuantity } = require('../utils/unitOfMeasure');
+const wishlistService = require('./wishlistService');
+const stockAlertService = require('./stockAlertService');
+const variantService = require('./variantService');
 
 // Simple in-memory locking mechanism for user-level stock reservation
 const userLocks = new Map(); // Maps userId -> Set of locked productIds
@@ -26,6 +30,59 @@ setInterval(() => {
     }
 }, 10000); // Check every 10 seconds
 
+// Inventory records are kept per product variant; products without variants use variant null
+const inventoryFilter = (productId, variantId = null) => ({ product: productId, variant: variantId || null });
+
+// Create an empty inventory record for a product or one of its variants, using its SKU
+const buildInventoryRecord = async (productId, variantId, session) => {
+    const product = await Product.findById(productId).session(session);
+    if (!product) {
+        throw new ErrorHandler('Product not found', 404);
+    }
+
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && !variant) {
+        throw new ErrorHandler('Product variant not found', 404);
+    }
+
+    return new Inventory({
+        product: productId,
+        variant: variant ? variant._id : null,
+        sku: variant ? variant.sku : product.sku,
+        quantityAvailable: 0,
+        quantityReserved: 0
+    });
+};
+
+// Stock is counted in the product's unit of measure: whole pieces, or decimal kg/g for loose goods
+// Checks the quantity fits the unit and returns it rounded, together with the unit for later arithmetic
+const resolveStockQuantity = async (productId, quantity) => {
+    const product = await Product.findById(productId).select('unitOfMeasure').lean();
+    const unitOfMeasure = (product && product.unitOfMeasure) || 'piece';
+
+    if (!fitsPrecision(quantity, unitOfMeasure)) {
+        throw new ErrorHandler(unitOfMeasure === 'piece'
+            ? 'Quantity must be a whole number for products sold by the piece'
+            : `Quantity can have at most ${getPrecision(unitOfMeasure)} decimals in ${unitOfMeasure}`, 400);
+    }
+
+    return { unitOfMeasure, quantity: roundQuantity(quantity, unitOfMeasure) };
+};
+
+// Start back-in-stock alerts when available stock goes from zero to positive
+// Runs in the background so the stock change never waits on notifications
+const notifyIfRestocked = (productId, previousQuantity, inventory) => {
+    if (previousQuantity > 0 || inventory.quantityAvailable <= 0) {
+        return;
+    }
+
+    setImmediate(() => {
+        stockAlertService.notifyBackInStock(productId).catch(error => {
+            console.error(`Back-in-stock alerts failed for product ${productId}:`, error.message);
+        });
+    });
+};
+
 /**
  * Add stock to inventory (IN transaction)
  * @param {String} productId - Product ID
@@ -33,9 +90,10 @@ setInterval(() => {
  * @param {String} reference - Reference (e.g., purchase order ID, manual entry)
  * @param {String} performedBy - User ID who performed the action
  * @param {String} notes - Optional notes
+ * @param {String} variantId - Product variant, for products sold in variants
  * @returns {Object} Updated inventory record
  */
-exports.addStock = async (productId, quantity, reference, performedBy, notes = '') => {
+exports.addStock = async (productId, quantity, reference, performedBy, notes = '', variantId = null) => {
     // Validate inputs
     if (!productId || !quantity || quantity <= 0) {
         throw new ErrorHandler('Invalid product ID or quantity', 400);
@@ -45,38 +103,32 @@ exports.addStock = async (productId, quantity, reference, performedBy, notes = '
         throw new ErrorHandler('Reference is required', 400);
     }
 
+    const stock = await resolveStockQuantity(productId, quantity);
+    quantity = stock.quantity;
+
     // Start a session for transaction
     const session = await Inventory.startSession();
     session.startTransaction();
 
     try {
         // Find or create inventory record
-        let inventory = await Inventory.findOne({ product: productId }).session(session);
+        let inventory = await Inventory.findOne(inventoryFilter(productId, variantId)).session(session);
         
         if (!inventory) {
-            // Get product to get SKU
-            const product = await Product.findById(productId).session(session);
-            if (!product) {
-                throw new ErrorHandler('Product not found', 404);
-            }
-            
-            // Create new inventory record
-            inventory = new Inventory({
-                product: productId,
-                sku: product.sku,
-                quantityAvailable: 0,
-                quantityReserved: 0
-            });
+            inventory = await buildInventoryRecord(productId, variantId, session);
         }
 
+        const previousQuantity = inventory.quantityAvailable;
+
         // Update available quantity
-        inventory.quantityAvailable += quantity;
+        inventory.quantityAvailable = roundQuantity(inventory.quantityAvailable + quantity, stock.unitOfMeasure);
         inventory.lastUpdated = Date.now();
         await inventory.save({ session });
 
         // Create transaction record
         const transaction = new InventoryTransaction({
             product: productId,
+            variant: variantId || null,
             type: 'IN',
             quantity: quantity,
             reference: reference,
@@ -89,6 +141,11 @@ exports.addStock = async (productId, quantity, reference, performedBy, notes = '
         await session.commitTransaction();
         session.endSession();
 
+        // Update product active status based on new inventory levels
+        await exports.updateProductActiveStatus(productId);
+
+        notifyIfRestocked(productId, previousQuantity, inventory);
+
         return inventory;
     } catch (error) {
         // Abort transaction
@@ -105,9 +162,10 @@ exports.addStock = async (productId, quantity, reference, performedBy, notes = '
  * @param {String} reference - Reference (e.g., order ID, manual entry)
  * @param {String} performedBy - User ID who performed the action
  * @param {String} notes - Optional notes
+ * @param {String} variantId - Product variant, for products sold in variants
  * @returns {Object} Updated inventory record
  */
-exports.removeStock = async (productId, quantity, reference, performedBy, notes = '') => {
+exports.removeStock = async (productId, quantity, reference, performedBy, notes = '', variantId = null) => {
     // Validate inputs
     if (!productId || !quantity || quantity <= 0) {
         throw new ErrorHandler('Invalid product ID or quantity', 400);
@@ -117,13 +175,16 @@ exports.removeStock = async (productId, quantity, reference, performedBy, notes
         throw new ErrorHandler('Reference is required', 400);
     }
 
+    const stock = await resolveStockQuantity(productId, quantity);
+    quantity = stock.quantity;
+
     // Start a session for transaction
     const session = await Inventory.startSession();
     session.startTransaction();
 
     try {
         // Find inventory record
-        const inventory = await Inventory.findOne({ product: productId }).session(session);
+        const inventory = await Inventory.findOne(inventoryFilter(productId, variantId)).session(session);
         
         if (!inventory) {
             throw new ErrorHandler('Inventory record not found for this product', 404);
@@ -135,13 +196,14 @@ exports.removeStock = async (productId, quantity, reference, performedBy, notes
         }
 
         // Update available quantity
-        inventory.quantityAvailable -= quantity;
+        inventory.quantityAvailable = roundQuantity(inventory.quantityAvailable - quantity, stock.unitOfMeasure);
         inventory.lastUpdated = Date.now();
         await inventory.save({ session });
 
         // Create transaction record
         const transaction = new InventoryTransaction({
             product: productId,
+            variant: variantId || null,
             type: 'OUT',
             quantity: quantity,
             reference: reference,
@@ -170,9 +232,10 @@ exports.removeStock = async (productId, quantity, reference, performedBy, notes
  * @param {String} reference - Reference (e.g., manual adjustment)
  * @param {String} performedBy - User ID who performed the action
  * @param {String} notes - Optional notes
+ * @param {String} variantId - Product variant, for products sold in variants
  * @returns {Object} Updated inventory record
  */
-exports.adjustStock = async (productId, quantity, reference, performedBy, notes = '') => {
+exports.adjustStock = async (productId, quantity, reference, performedBy, notes = '', variantId = null) => {
     // Validate inputs
     if (!productId || !quantity) {
         throw new ErrorHandler('Invalid product ID or quantity', 400);
@@ -182,32 +245,24 @@ exports.adjustStock = async (productId, quantity, reference, performedBy, notes
         throw new ErrorHandler('Reference is required', 400);
     }
 
+    const stock = await resolveStockQuantity(productId, quantity);
+    quantity = stock.quantity;
+
     // Start a session for transaction
     const session = await Inventory.startSession();
     session.startTransaction();
 
     try {
         // Find or create inventory record
-        let inventory = await Inventory.findOne({ product: productId }).session(session);
+        let inventory = await Inventory.findOne(inventoryFilter(productId, variantId)).session(session);
         
         if (!inventory) {
-            // Get product to get SKU
-            const product = await Product.findById(productId).session(session);
-            if (!product) {
-                throw new ErrorHandler('Product not found', 404);
-            }
-            
-            // Create new inventory record
-            inventory = new Inventory({
-                product: productId,
-                sku: product.sku,
-                quantityAvailable: 0,
-                quantityReserved: 0
-            });
+            inventory = await buildInventoryRecord(productId, variantId, session);
         }
 
         // Calculate the actual adjustment quantity
-        const adjustmentQuantity = quantity - inventory.quantityAvailable;
+        const previousQuantity = inventory.quantityAvailable;
+        const adjustmentQuantity = roundQuantity(quantity - previousQuantity, stock.unitOfMeasure);
 
         // Update available quantity
         inventory.quantityAvailable = quantity;
@@ -217,6 +272,7 @@ exports.adjustStock = async (productId, quantity, reference, performedBy, notes
         // Create transaction record
         const transaction = new InventoryTransaction({
             product: productId,
+            variant: variantId || null,
             type: 'ADJUSTMENT',
             quantity: Math.abs(adjustmentQuantity),
             reference: reference,
@@ -232,6 +288,8 @@ exports.adjustStock = async (productId, quantity, reference, performedBy, notes
         // Update product active status based on new inventory levels
         await exports.updateProductActiveStatus(productId);
 
+        notifyIfRestocked(productId, previousQuantity, inventory);
+
         return inventory;
     } catch (error) {
         // Abort transaction
@@ -246,9 +304,11 @@ exports.adjustStock = async (productId, quantity, reference, performedBy, notes
  * @param {String} productId - Product ID
  * @param {Number} quantity - Quantity to reserve
  * @param {String} reference - Reference (e.g., order ID)
+ * @param {String} userId - User placing the order, used for the per-user lock
+ * @param {String} variantId - Product variant, for products sold in variants
  * @returns {Object} Updated inventory record
  */
-exports.reserveStock = async (productId, quantity, reference, userId = null) => {
+exports.reserveStock = async (productId, quantity, reference, userId = null, variantId = null) => {
     // Validate inputs
     if (!productId || !quantity || quantity <= 0) {
         throw new ErrorHandler('Invalid product ID or quantity', 400);
@@ -258,12 +318,18 @@ exports.reserveStock = async (productId, quantity, reference, userId = null) =>
         throw new ErrorHandler('Reference is required', 400);
     }
 
+    const stock = await resolveStockQuantity(productId, quantity);
+    quantity = stock.quantity;
+    const precision = getPrecision(stock.unitOfMeasure);
+
     // User-level locking to prevent race conditions
-    const lockKey = `${userId || 'anonymous'}:${productId}`;
+    // Each variant is locked on its own
+    const lockId = variantId ? `${productId}/${variantId}` : `${productId}`;
+    const lockKey = `${userId || 'anonymous'}:${lockId}`;
     
     if (userId) {
         // Check if user already has this product locked
-        if (userLocks.has(userId) && userLocks.get(userId).has(productId)) {
+        if (userLocks.has(userId) && userLocks.get(userId).has(lockId)) {
             throw new ErrorHandler('Product already locked for this user', 409);
         }
         
@@ -271,7 +337,7 @@ exports.reserveStock = async (productId, quantity, reference, userId = null) =>
         if (!userLocks.has(userId)) {
             userLocks.set(userId, new Set());
         }
-        userLocks.get(userId).add(productId);
+        userLocks.get(userId).add(lockId);
         
         // Set timeout for lock cleanup
         lockTimeouts.set(lockKey, Date.now());
@@ -280,18 +346,21 @@ exports.reserveStock = async (productId, quantity, reference, userId = null) =>
     // Atomic operation: find and update inventory in single DB call
     // This prevents race conditions and overselling
     // Using findOneAndUpdate with $gte condition ensures atomicity
+    // The update pipeline rounds to the unit's precision so decimal kg quantities don't drift
     const inventory = await Inventory.findOneAndUpdate(
         {
-            product: productId,
+            ...inventoryFilter(productId, variantId),
             quantityAvailable: { $gte: quantity }
         },
-        {
-            $inc: {
-                quantityAvailable: -quantity,
-                quantityReserved: +quantity
-            },
-            $set: { lastUpdated: Date.now() }
-        },
+        [
+            {
+                $set: {
+                    quantityAvailable: { $round: [{ $subtract: ['$quantityAvailable', quantity] }, precision] },
+                    quantityReserved: { $round: [{ $add: ['$quantityReserved', quantity] }, precision] },
+                    lastUpdated: new Date()
+                }
+            }
+        ],
         {
             new: true
         }
@@ -301,7 +370,7 @@ exports.reserveStock = async (productId, quantity, reference, userId = null) =>
         // Release lock on failure
         if (userId && userLocks.has(userId)) {
             const userLocksSet = userLocks.get(userId);
-            userLocksSet.delete(productId);
+            userLocksSet.delete(lockId);
             if (userLocksSet.size === 0) {
                 userLocks.delete(userId);
             }
@@ -313,7 +382,7 @@ exports.reserveStock = async (productId, quantity, reference, userId = null) =>
     // Clean up lock on success
     if (userId && userLocks.has(userId)) {
         const userLocksSet = userLocks.get(userId);
-        userLocksSet.delete(productId);
+        userLocksSet.delete(lockId);
         if (userLocksSet.size === 0) {
             userLocks.delete(userId);
         }
@@ -323,6 +392,7 @@ exports.reserveStock = async (productId, quantity, reference, userId = null) =>
     // Create transaction record separately (outside atomic operation)
     const transaction = new InventoryTransaction({
         product: productId,
+        variant: variantId || null,
         type: 'OUT',
         quantity: quantity,
         reference: reference,
@@ -341,9 +411,10 @@ exports.reserveStock = async (productId, quantity, reference, userId = null) =>
  * @param {String} productId - Product ID
  * @param {Number} quantity - Quantity to release
  * @param {String} reference - Reference (e.g., order ID)
+ * @param {String} variantId - Product variant, for products sold in variants
  * @returns {Object} Updated inventory record
  */
-exports.releaseReservedStock = async (productId, quantity, reference) => {
+exports.releaseReservedStock = async (productId, quantity, reference, variantId = null) => {
     // Validate inputs
     if (!productId || !quantity || quantity <= 0) {
         throw new ErrorHandler('Invalid product ID or quantity', 400);
@@ -353,13 +424,16 @@ exports.releaseReservedStock = async (productId, quantity, reference) => {
         throw new ErrorHandler('Reference is required', 400);
     }
 
+    const stock = await resolveStockQuantity(productId, quantity);
+    quantity = stock.quantity;
+
     // Start a session for transaction
     const session = await Inventory.startSession();
     session.startTransaction();
 
     try {
         // Find inventory record
-        const inventory = await Inventory.findOne({ product: productId }).session(session);
+        const inventory = await Inventory.findOne(inventoryFilter(productId, variantId)).session(session);
         
         if (!inventory) {
             throw new ErrorHandler('Inventory record not found for this product', 404);
@@ -371,14 +445,15 @@ exports.releaseReservedStock = async (productId, quantity, reference) => {
         }
 
         // Update quantities
-        inventory.quantityAvailable += quantity;
-        inventory.quantityReserved -= quantity;
+        inventory.quantityAvailable = roundQuantity(inventory.quantityAvailable + quantity, stock.unitOfMeasure);
+        inventory.quantityReserved = roundQuantity(inventory.quantityReserved - quantity, stock.unitOfMeasure);
         inventory.lastUpdated = Date.now();
         await inventory.save({ session });
 
         // Create transaction record
         const transaction = new InventoryTransaction({
             product: productId,
+            variant: variantId || null,
             type: 'IN',
             quantity: quantity,
             reference: reference,
@@ -407,9 +482,10 @@ exports.releaseReservedStock = async (productId, quantity, reference) => {
  * @param {String} productId - Product ID
  * @param {Number} quantity - Quantity to fulfill
  * @param {String} reference - Reference (e.g., order ID)
+ * @param {String} variantId - Product variant, for products sold in variants
  * @returns {Object} Updated inventory record
  */
-exports.fulfillReservedStock = async (productId, quantity, reference) => {
+exports.fulfillReservedStock = async (productId, quantity, reference, variantId = null) => {
     // Validate inputs
     if (!productId || !quantity || quantity <= 0) {
         throw new ErrorHandler('Invalid product ID or quantity', 400);
@@ -419,13 +495,16 @@ exports.fulfillReservedStock = async (productId, quantity, reference) => {
         throw new ErrorHandler('Reference is required', 400);
     }
 
+    const stock = await resolveStockQuantity(productId, quantity);
+    quantity = stock.quantity;
+
     // Start a session for transaction
     const session = await Inventory.startSession();
     session.startTransaction();
 
     try {
         // Find inventory record
-        const inventory = await Inventory.findOne({ product: productId }).session(session);
+        const inventory = await Inventory.findOne(inventoryFilter(productId, variantId)).session(session);
         
         if (!inventory) {
             throw new ErrorHandler('Inventory record not found for this product', 404);
@@ -437,7 +516,7 @@ exports.fulfillReservedStock = async (productId, quantity, reference) => {
         }
 
         // Update reserved quantity
-        inventory.quantityReserved -= quantity;
+        inventory.quantityReserved = roundQuantity(inventory.quantityReserved - quantity, stock.unitOfMeasure);
         inventory.lastUpdated = Date.now();
         await inventory.save({ session });
 
@@ -465,9 +544,10 @@ exports.fulfillReservedStock = async (productId, quantity, reference) => {
  * @param {String} productId - Product ID
  * @param {Number} quantity - Quantity to finalize
  * @param {String} reference - Reference (e.g., order ID)
+ * @param {String} variantId - Product variant, for products sold in variants
  * @returns {Object} Updated inventory record
  */
-exports.finalizeStock = async (productId, quantity, reference) => {
+exports.finalizeStock = async (productId, quantity, reference, variantId = null) => {
     // Validate inputs
     if (!productId || !quantity || quantity <= 0) {
         throw new ErrorHandler('Invalid product ID or quantity', 400);
@@ -477,13 +557,16 @@ exports.finalizeStock = async (productId, quantity, reference) => {
         throw new ErrorHandler('Reference is required', 400);
     }
 
+    const stock = await resolveStockQuantity(productId, quantity);
+    quantity = stock.quantity;
+
     // Start a session for transaction
     const session = await Inventory.startSession();
     session.startTransaction();
 
     try {
         // Find inventory record
-        const inventory = await Inventory.findOne({ product: productId }).session(session);
+        const inventory = await Inventory.findOne(inventoryFilter(productId, variantId)).session(session);
         
         if (!inventory) {
             throw new ErrorHandler('Inventory record not found for this product', 404);
@@ -495,13 +578,14 @@ exports.finalizeStock = async (productId, quantity, reference) => {
         }
 
         // Update reserved quantity (convert from reserved to sold)
-        inventory.quantityReserved -= quantity;
+        inventory.quantityReserved = roundQuantity(inventory.quantityReserved - quantity, stock.unitOfMeasure);
         inventory.lastUpdated = Date.now();
         await inventory.save({ session });
 
         // Create transaction record for payment finalization
         const transaction = new InventoryTransaction({
             product: productId,
+            variant: variantId || null,
             type: 'OUT',
             quantity: quantity,
             reference: reference,
@@ -528,10 +612,11 @@ exports.finalizeStock = async (productId, quantity, reference) => {
 /**
  * Get inventory summary for a product
  * @param {String} productId - Product ID
+ * @param {String} variantId - Product variant, for products sold in variants
  * @returns {Object} Inventory summary
  */
-exports.getInventorySummary = async (productId) => {
-    const inventory = await Inventory.findOne({ product: productId }).populate('product', 'name sku');
+exports.getInventorySummary = async (productId, variantId = null) => {
+    const inventory = await Inventory.findOne(inventoryFilter(productId, variantId)).populate('product', 'name sku');
     if (!inventory) {
         throw new ErrorHandler('Inventory record not found for this product', 404);
     }
@@ -561,27 +646,28 @@ exports.getOutOfStockItems = async () => {
 
 /**
  * Update product is_active status based on inventory levels
+ * A product with variants stays active while any of its variants has stock
  * @param {String} productId - Product ID
  * @returns {Object} Updated product
  */
 exports.updateProductActiveStatus = async (productId) => {
-    const inventory = await Inventory.findOne({ product: productId });
-    
-    if (!inventory) {
-        // If no inventory record exists, we can't determine status
-        return null;
-    }
-    
-    const Product = require('../models/productModel');
-    
     // Get the product
     const product = await Product.findById(productId);
     if (!product) {
         throw new ErrorHandler('Product not found', 404);
     }
+
+    const inventories = await Inventory.find(variantService.stockFilter(product)).select('quantityAvailable').lean();
+    
+    if (inventories.length === 0) {
+        // If no inventory record exists, we can't determine status
+        return null;
+    }
+
+    const quantityAvailable = inventories.reduce((sum, inventory) => sum + inventory.quantityAvailable, 0);
     
     // Determine if product should be active based on available stock
-    const shouldBeActive = inventory.quantityAvailable > 0;
+    const shouldBeActive = quantityAvailable > 0;
     
     // Only update if status has changed
     if (product.is_active !== shouldBeActive) {
@@ -591,6 +677,13 @@ exports.updateProductActiveStatus = async (productId) => {
         // Log the change
         console.log(`Product ${product.name} (${productId}) is_active status updated to ${shouldBeActive}`);
     }
+
+    // Tell wishlists about restocks in the background so stock changes never wait on notifications
+    setImmediate(() => {
+        wishlistService.checkWishlistAlerts(productId).catch(error => {
+            console.error(`Wishlist alert check failed for product ${productId}:`, error.message);
+        });
+    });
     
     return product;
 };
@@ -12,14 +12,14 @@ const axios = require('axios');
  * @param {string} options.mobile - Mobile number (10 digits, with or without +91 prefix)
  * @param {string} options.templateId - MSG91 DLT Flow template ID
  * @param {Object} options.variables - Template variables object
- * @returns {Promise<void>} - Always resolves, errors are logged only
+ * @returns {Promise<boolean>} - True if MSG91 accepted the message; always resolves, errors are logged only
  */
 async function sendMSG91SMS({ mobile, templateId, variables = {} }) {
     try {
         // Validate required parameters
         if (!mobile || !templateId) {
             console.warn('MSG91 SMS: Missing required parameters (mobile or templateId)');
-            return;
+            return false;
         }
 
         // Strip +91 or 91 prefix if present, keep only last 10 digits
@@ -28,13 +28,13 @@ async function sendMSG91SMS({ mobile, templateId, variables = {} }) {
         // Validate Indian mobile number (10 digits)
         if (!/^[6-9]\d{9}$/.test(mobile)) {
             console.warn(`MSG91 SMS: Invalid mobile number format: ${mobile}`);
-            return;
+            return false;
         }
 
         // Validate template ID format (alphanumeric)
         if (!/^[a-zA-Z0-9]+$/.test(templateId)) {
             console.warn(`MSG91 SMS: Invalid template ID format: ${templateId}`);
-            return;
+            return false;
         }
 
         // Check environment variables
@@ -43,7 +43,7 @@ async function sendMSG91SMS({ mobile, templateId, variables = {} }) {
 
         if (!authKey) {
             console.error('MSG91 SMS: MSG91_AUTH_KEY environment variable not set');
-            return;
+            return false;
         }
 
         // Prepare payload for MSG91 Flow API
@@ -67,13 +67,16 @@ async function sendMSG91SMS({ mobile, templateId, variables = {} }) {
         // Log success (never log sensitive data)
         if (response.data.type === 'success') {
             console.log(`MSG91 SMS sent successfully to ${mobile} using template ${templateId}`);
-        } else {
-            console.warn(`MSG91 SMS failed for ${mobile}:`, response.data.message || 'Unknown error');
+            return true;
         }
 
+        console.warn(`MSG91 SMS failed for ${mobile}:`, response.data.message || 'Unknown error');
+        return false;
+
     } catch (error) {
         // Log error but never throw - this is fire-and-forget
         console.error('MSG91 SMS error (non-blocking):', error.response?.data?.message || error.message);
+        return false;
     }
 }
 
@@ -1,28 +1,231 @@
-// DISABLED: Notification service completely disabled for direct MSG91 DLT Flow implementation
-// This service returns empty object to prevent any notification execution
-
-module.exports = {};
-return;
-
-/* DISABLED CODE - RETAINED FOR REFERENCE ONLY
 const sendEmail = require('../utils/sendEmail');
-// We'll implement SMS service using Twilio
-const twilio = require('twilio');
-// Import notification template model
+const { sendMSG91SMS } = require('./msg91Service');
+const Notification = require('../models/notificationModel');
 const NotificationTemplate = require('../models/notificationTemplateModel');
+const OtpUser = require('../models/OtpUser');
+const ErrorHandler = require('../utils/errorHandler');
+
+// Channels a user can opt in or out of
+const CHANNELS = ['inApp', 'sms', 'email'];
 
+// Default preferences for users who have never saved any
+const DEFAULT_PREFERENCES = {
+    inApp: true,
+    sms: true,
+    email: true
+};
+
+/**
+ * Service for delivering notifications over in-app, socket, SMS and email channels
+ * Templates are stored in NotificationTemplate and rendered with their declared variables
+ * Channel preferences are persisted on the OtpUser document
+ */
 class NotificationService {
-    constructor() {
-        // Initialize Twilio client if credentials are available
-        if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
-            this.twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-        }
-        
-        // Store of user notification preferences
-        this.userPreferences = new Map();
+    /**
+     * Render a template's subject and message with the given variables
+     * Every variable declared on the template must be supplied
+     * @param {Object} template - NotificationTemplate document
+     * @param {Object} variables - Values keyed by variable name
+     * @returns {Object} { subject, message }
+     */
+    renderTemplate(template, variables = {}) {
+        const declared = (template.variables || []).map(variable => variable.name);
+        const missing = declared.filter(name => variables[name] === undefined || variables[name] === null);
+
+        if (missing.length > 0) {
+            throw new ErrorHandler(`Missing template variables for ${template.name}: ${missing.join(', ')}`, 400);
+        }
+
+        // Only declared variables are substituted; anything else is left untouched
+        const render = (text) => (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            declared.includes(name) ? String(variables[name]) : match
+        );
+
+        return {
+            subject: render(template.subject),
+            message: render(template.message)
+        };
+    }
+
+    /**
+     * Get a user's saved channel preferences merged over the defaults
+     * @param {String} userId - OtpUser ID
+     * @returns {Promise<Object>} Channel preferences
+     */
+    async getUserPreferences(userId) {
+        const user = await OtpUser.findById(userId).select('notificationPreferences').lean();
+        if (!user) {
+            throw new ErrorHandler('User not found', 404);
+        }
+        return { ...DEFAULT_PREFERENCES, ...(user.notificationPreferences || {}) };
+    }
+
+    /**
+     * Persist a user's channel preferences
+     * @param {String} userId - OtpUser ID
+     * @param {Object} preferences - Booleans keyed by channel (inApp, sms, email)
+     * @returns {Promise<Object>} Saved preferences
+     */
+    async setUserPreferences(userId, preferences = {}) {
+        const update = {};
+        CHANNELS.forEach(channel => {
+            if (preferences[channel] !== undefined) {
+                update[`notificationPreferences.${channel}`] = Boolean(preferences[channel]);
+            }
+        });
+
+        if (Object.keys(update).length === 0) {
+            throw new ErrorHandler(`Preferences must include at least one of: ${CHANNELS.join(', ')}`, 400);
+        }
+
+        const user = await OtpUser.findByIdAndUpdate(userId, { $set: update }, { new: true })
+            .select('notificationPreferences')
+            .lean();
+
+        if (!user) {
+            throw new ErrorHandler('User not found', 404);
+        }
+
+        return { ...DEFAULT_PREFERENCES, ...(user.notificationPreferences || {}) };
     }
 
-*/
+    /**
+     * Send a notification to a user over every channel they have enabled
+     * @param {Object} io - Socket.IO instance (may be undefined)
+     * @param {Object} user - OtpUser document
+     * @param {Object} notification - Notification content
+     * @param {String} notification.title - Title / email subject
+     * @param {String} notification.message - Message body
+     * @param {String} notification.type - order | system | promotion | alert
+     * @param {String} notification.priority - low | medium | high | urgent
+     * @param {Object} notification.data - Extra metadata stored with the in-app record
+     * @param {String} notification.orderId - Related order ID
+     * @param {Object} notification.sms - DLT flow { templateId, variables }; SMS is only sent with one, as DLT rejects free text
+     * @param {Array} notification.channels - Restrict delivery to these channels
+     * @param {Object} notification.record - Already saved Notification to push instead of creating one
+     * @returns {Promise<Object>} Per-channel delivery results
+     */
+    async sendMultiChannelNotification(io, user, notification) {
+        const preferences = { ...DEFAULT_PREFERENCES, ...(user.notificationPreferences || {}) };
+        const requested = notification.channels || CHANNELS;
+        const enabled = (channel) => requested.includes(channel) && preferences[channel] !== false;
+
+        const results = {};
+
+        // In-app record and real-time socket push
+        if (enabled('inApp')) {
+            try {
+                const record = notification.record || await Notification.create({
+                    title: notification.title,
+                    message: notification.message,
+                    type: notification.type || 'system',
+                    priority: notification.priority || 'medium',
+                    userId: user._id,
+                    orderId: notification.orderId,
+                    metadata: notification.data || {}
+                });
+                results.inApp = { success: true, notificationId: record._id };
+
+                if (io) {
+                    io.to(`user:${user._id}`).emit('notification', record.toJSON());
+                    results.socket = { success: true };
+                } else {
+                    results.socket = { success: false, reason: 'Socket server not available' };
+                }
+            } catch (error) {
+                console.error('In-app notification failed:', error.message);
+                results.inApp = { success: false, reason: error.message };
+            }
+        }
+
+        // SMS via MSG91 DLT flow - requires an approved template and its variables
+        if (enabled('sms')) {
+            const templateId = notification.sms && notification.sms.templateId;
+            if (!user.mobile || !templateId) {
+                results.sms = { success: false, reason: !user.mobile ? 'No mobile number' : 'No SMS template configured' };
+            } else {
+                const sent = await sendMSG91SMS({
+                    mobile: user.mobile,
+                    templateId,
+                    variables: notification.sms.variables || {}
+                });
+                results.sms = sent ? { success: true } : { success: false, reason: 'MSG91 did not accept the message' };
+            }
+        }
+
+        // Email
+        if (enabled('email')) {
+            if (!user.email) {
+                results.email = { success: false, reason: 'No email address' };
+            } else {
+                try {
+                    await sendEmail({
+                        email: user.email,
+                        subject: notification.title,
+                        message: notification.message
+                    });
+                    results.email = { success: true };
+                } catch (error) {
+                    console.error('Email notification failed:', error.message);
+                    results.email = { success: false, reason: error.message };
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Render every active template with the given name and deliver it
+     * Email templates go out by email, SMS templates by MSG91 and push templates in-app
+     * @param {Object} io - Socket.IO instance (may be undefined)
+     * @param {Object} user - OtpUser document
+     * @param {String} templateName - NotificationTemplate name
+     * @param {Object} variables - Values for the template's declared variables
+     * @param {Object} options - { orderId, priority, data }
+     * @returns {Promise<Object>} Delivery results keyed by template type
+     */
+    async sendTemplatedNotification(io, user, templateName, variables = {}, options = {}) {
+        const templates = await NotificationTemplate.find({ name: templateName, isActive: true }).lean();
+
+        if (templates.length === 0) {
+            throw new ErrorHandler(`Notification template not found: ${templateName}`, 404);
+        }
+
+        const results = {};
+        for (const template of templates) {
+            const { subject, message } = this.renderTemplate(template, variables);
+            const base = {
+                title: subject,
+                message,
+                type: template.channel,
+                priority: options.priority,
+                orderId: options.orderId,
+                data: { ...(options.data || {}), template: template.name }
+            };
+
+            if (template.type === 'sms') {
+                // DLT flow variables are positional: VAR1, VAR2... in declared order
+                const smsVariables = {};
+                (template.variables || []).forEach((variable, index) => {
+                    smsVariables[`VAR${index + 1}`] = variables[variable.name];
+                });
+                results.sms = (await this.sendMultiChannelNotification(io, user, {
+                    ...base,
+                    channels: ['sms'],
+                    sms: { templateId: template.dltTemplateId, variables: smsVariables }
+                })).sms;
+            } else if (template.type === 'email') {
+                results.email = (await this.sendMultiChannelNotification(io, user, { ...base, channels: ['email'] })).email;
+            } else {
+                const pushResults = await this.sendMultiChannelNotification(io, user, { ...base, channels: ['inApp'] });
+                results.inApp = pushResults.inApp;
+                results.socket = pushResults.socket;
+            }
+        }
+
+        return results;
+    }
+}
 
-// All notification service functionality has been disabled
-// No email, SMS, push, or templated notifications will execute
\ No newline at end of file
+module.exports = new NotificationService();
\ No newline at end of file
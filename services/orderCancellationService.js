@@ -0,0 +1,56 @@
+const orderStatusService = require('./orderStatusService');
+const couponService = require('./couponService');
+const giftCardService = require('./giftCardService');
+const deliverySlotService = require('./deliverySlotService');
+const refundService = require('./refundService');
+
+/**
+ * Cancel an order: move it to Cancelled (which releases its stock),
+ * give back coupon usage, gift card balance and its delivery slot, and refund online payments
+ * @param {Object} order - Order document
+ * @param {Object} options - Cancellation options
+ * @param {Object} options.actor - { type, id, name } cancelling the order
+ * @param {String} options.reason - Cancellation reason
+ * @returns {Object} { order, refund }
+ */
+exports.cancelOrder = async (order, { actor, reason = '' } = {}) => {
+    order.cancellationReason = reason;
+    order.cancelledBy = actor ? actor.type : 'system';
+
+    await orderStatusService.transitionOrder(order, 'Cancelled', { actor, note: reason || 'Order cancelled' });
+
+    try {
+        await couponService.reverseRedemption(order, reason || 'Order cancelled');
+    } catch (error) {
+        console.error(`Failed to restore coupon usage for order ${order._id}:`, error.message);
+    }
+
+    try {
+        await giftCardService.restoreGiftCardBalance(order);
+    } catch (error) {
+        console.error(`Failed to restore gift card balance for order ${order._id}:`, error.message);
+    }
+
+    try {
+        await deliverySlotService.releaseSlot(order);
+    } catch (error) {
+        console.error(`Failed to release delivery slot for order ${order._id}:`, error.message);
+    }
+
+    // Refund what was paid online; gift card amounts went back to the card above
+    let refund = null;
+    if (refundService.isRefundable(order)) {
+        try {
+            refund = await refundService.refundOrderPayment(order, refundService.getRefundableAmount(order), reason || 'Order cancelled', {
+                source: 'CANCELLATION',
+                actor
+            });
+            console.log(`ORDER_REFUND_INITIATED: Order ${order._id}, refund ${refund._id}, amount ₹${refund.amount}`);
+        } catch (error) {
+            // The order stays cancelled; the failed refund is in the ledger and can be retried by an admin
+            console.error(`ORDER_REFUND_FAILED: Order ${order._id}:`, error.message);
+        }
+    }
+
+    return { order, refund };
+};
@@ -0,0 +1,476 @@
+const Order = require('../models/orderModel');
+const Delivery = require('../models/shipmentModel');
+const ReturnRequest = require('../models/returnRequestModel');
+const inventoryService = require('./inventoryService');
+const deliveryProofService = require('./deliveryProofService');
+const ErrorHandler = require('../utils/errorHandler');
+
+// Order lifecycle statuses
+const ORDER_STATUSES = ['Processing', 'Confirmed', 'Packed', 'Shipped', 'Delivered', 'Cancelled', 'RTO'];
+
+// Allowed order status transitions - Delivered, Cancelled and RTO are terminal
+const ORDER_TRANSITIONS = {
+    Processing: ['Confirmed', 'Cancelled'],
+    Confirmed: ['Packed', 'Cancelled'],
+    Packed: ['Shipped', 'Cancelled'],
+    Shipped: ['Delivered', 'RTO'],
+    Delivered: [],
+    Cancelled: [],
+    RTO: []
+};
+
+// Allowed delivery status transitions (lowercase statuses used by the Delivery model)
+const DELIVERY_TRANSITIONS = {
+    pending: ['confirmed', 'packed', 'assigned', 'cancelled'],
+    confirmed: ['packed', 'cancelled'],
+    packed: ['assigned', 'out_for_delivery', 'cancelled'],
+    assigned: ['assigned', 'out_for_delivery', 'cancelled'],
+    out_for_delivery: ['delivered', 'rto'],
+    delivered: [],
+    cancelled: [],
+    rto: [],
+    return_to_origin: []
+};
+
+// Order status -> Delivery record status
+const ORDER_TO_DELIVERY_STATUS = {
+    Processing: 'pending',
+    Confirmed: 'confirmed',
+    Packed: 'packed',
+    Shipped: 'out_for_delivery',
+    Delivered: 'delivered',
+    Cancelled: 'cancelled',
+    RTO: 'rto'
+};
+
+// Delivery record status -> order status (assigned keeps the order Packed)
+const DELIVERY_TO_ORDER_STATUS = {
+    pending: 'Processing',
+    confirmed: 'Confirmed',
+    packed: 'Packed',
+    assigned: 'Packed',
+    out_for_delivery: 'Shipped',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+    rto: 'RTO',
+    return_to_origin: 'RTO'
+};
+
+// Order status -> customer facing deliveryStatus on the order
+const ORDER_TO_ORDER_DELIVERY_STATUS = {
+    Processing: 'Pending',
+    Confirmed: 'Confirmed',
+    Packed: 'Packed',
+    Shipped: 'Out for Delivery',
+    Delivered: 'Delivered',
+    Cancelled: 'Cancelled',
+    RTO: 'RTO'
+};
+
+// Timestamp field set when an order enters a status
+const STATUS_TIMESTAMPS = {
+    Confirmed: 'confirmedAt',
+    Packed: 'packedAt',
+    Shipped: 'shippedAt',
+    Delivered: 'deliveredAt',
+    Cancelled: 'cancelledAt',
+    RTO: 'rtoAt'
+};
+
+/**
+ * Build the actor recorded in status history from an authenticated request
+ * @param {Object} req - Express request
+ * @returns {Object} { type, id, name }
+ */
+exports.actorFromRequest = (req) => {
+    if (req.admin) {
+        return { type: 'admin', id: req.admin._id, name: req.admin.name };
+    }
+    if (req.agent) {
+        return { type: 'agent', id: req.agent._id, name: req.agent.name };
+    }
+    if (req.user) {
+        const type = req.user.role === 'delivery_agent' ? 'agent' : 'customer';
+        return { type, id: req.user._id, name: req.user.name };
+    }
+    return { type: 'system', id: null, name: 'system' };
+};
+
+/**
+ * Get the current lifecycle status of an order
+ * Orders saved before the state machine existed may carry other values; those count as Processing
+ * @param {Object} order - Order document
+ * @returns {String} Order status
+ */
+exports.getOrderStatus = (order) => {
+    return ORDER_TRANSITIONS[order.orderStatus] ? order.orderStatus : 'Processing';
+};
+
+/**
+ * Check whether an order can move from one status to another
+ * @param {String} from - Current order status
+ * @param {String} to - Requested order status
+ * @returns {Boolean} True if the transition is allowed
+ */
+exports.canTransition = (from, to) => {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Move the stock of every order line to a new inventory state
+ * Each line is claimed on the order before its stock moves, so a retry after a
+ * partial failure skips the lines already done instead of moving their stock twice
+ * @param {Object} order - Order document
+ * @param {String} target - Inventory state the lines move to ('fulfilled' or 'released')
+ * @param {Function} moveStock - async (item, from) moving the stock of one line out of state `from`
+ * @returns {Array} { item, error } for every line whose stock could not be moved
+ */
+exports.settleOrderStock = async (order, target, moveStock) => {
+    const failures = [];
+
+    for (const item of order.orderItems) {
+        const from = item.inventoryStatus || order.inventoryStatus;
+        if (from === target) {
+            continue;
+        }
+
+        const claim = await Order.updateOne(
+            { _id: order._id, orderItems: { $elemMatch: { _id: item._id, inventoryStatus: { $ne: target } } } },
+            { $set: { 'orderItems.$.inventoryStatus': target } }
+        );
+        if (claim.modifiedCount === 0) {
+            // Another request already moved this line
+            item.inventoryStatus = target;
+            continue;
+        }
+
+        try {
+            await moveStock(item, from);
+            item.inventoryStatus = target;
+        } catch (error) {
+            await Order.updateOne(
+                { _id: order._id, 'orderItems._id': item._id },
+                { $set: { 'orderItems.$.inventoryStatus': from } }
+            );
+            failures.push({ item, error });
+        }
+    }
+
+    return failures;
+};
+
+/**
+ * Apply the inventory side effects of entering a status
+ * Reserved stock is fulfilled on Shipped/Delivered, released on Cancelled,
+ * and stock that already left the warehouse is added back on Cancelled/RTO
+ * @param {Object} order - Order document
+ * @param {String} nextStatus - Status being entered
+ * @param {Object} actor - Actor performing the change
+ */
+const runInventoryHooks = async (order, nextStatus, actor) => {
+    const reference = order._id.toString();
+    const performedBy = actor && actor.type === 'admin' && actor.id ? actor.id : 'system';
+
+    // Without a known inventory state stock is left alone rather than taken or given back twice
+    if (!order.inventoryStatus) {
+        if (['Shipped', 'Delivered', 'Cancelled', 'RTO'].includes(nextStatus)) {
+            console.warn(`ORDER_INVENTORY_STATUS_UNKNOWN: Order ${reference} moved to ${nextStatus} without touching stock - run migrateOrderInventoryStatus.js`);
+        }
+        return;
+    }
+
+    if ((nextStatus === 'Shipped' || nextStatus === 'Delivered') && order.inventoryStatus === 'reserved') {
+        const failures = await exports.settleOrderStock(order, 'fulfilled', (item) =>
+            inventoryService.fulfillReservedStock(item.product, item.quantity, reference, item.variant)
+        );
+        if (failures.length > 0) {
+            const { item, error } = failures[0];
+            throw new ErrorHandler(`Stock fulfillment failed for ${item.name}: ${error.message}`, 400);
+        }
+        order.inventoryStatus = 'fulfilled';
+        return;
+    }
+
+    if (nextStatus === 'Cancelled' || nextStatus === 'RTO') {
+        // Every line is attempted; the order only counts as released once all of them are
+        const failures = await exports.settleOrderStock(order, 'released', async (item, from) => {
+            if (from === 'reserved') {
+                await inventoryService.releaseReservedStock(item.product, item.quantity, reference, item.variant);
+            } else if (from === 'fulfilled') {
+                await inventoryService.addStock(
+                    item.product,
+                    item.quantity,
+                    `${nextStatus.toUpperCase()}-${reference}`,
+                    performedBy,
+                    nextStatus === 'RTO' ? `Returned to origin from order ${reference}` : `Restored from cancelled order ${reference}`,
+                    item.variant
+                );
+            }
+        });
+        if (failures.length > 0) {
+            const names = failures.map(({ item }) => item.name).join(', ');
+            failures.forEach(({ item, error }) => {
+                console.warn(`Failed to restore stock for product ${item.product} on order ${reference}: ${error.message}`);
+            });
+            throw new ErrorHandler(`Stock could not be restored for ${names}. Please try again.`, 400);
+        }
+        order.inventoryStatus = 'released';
+    }
+};
+
+// Send the customer a handover OTP when the order leaves with one of our agents
+// A failure is only logged - the agent can resend the OTP from the app
+const sendDeliveryOtp = async (delivery, order) => {
+    if (!order || !deliveryProofService.requiresProof(delivery)) {
+        return;
+    }
+    try {
+        await deliveryProofService.issueDeliveryOtp(delivery, order);
+    } catch (error) {
+        console.error(`Failed to issue delivery OTP for ${delivery.deliveryId}:`, error.message);
+    }
+};
+
+/**
+ * Keep the Delivery record for an order in step with the order status
+ * A LOCAL delivery record is created when the order is packed
+ * @param {Object} order - Order document
+ * @param {String} nextStatus - Order status being entered
+ * @param {String} note - Status message for the delivery history
+ * @param {Object} session - Optional MongoDB session
+ * @param {Object} loadedDelivery - The order's Delivery if already loaded (e.g. with handover proof attached)
+ * @returns {Object|null} Delivery document
+ */
+const syncDelivery = async (order, nextStatus, note, session, loadedDelivery = null) => {
+    const deliveryStatus = ORDER_TO_DELIVERY_STATUS[nextStatus];
+    let delivery = loadedDelivery
+        || await Delivery.findOne({ orderId: order._id, purpose: { $ne: 'RETURN_PICKUP' } }).session(session || null);
+
+    if (!delivery) {
+        if (nextStatus !== 'Packed' || order.deliveryType !== 'LOCAL') {
+            return null;
+        }
+
+        // Generate unique delivery ID
+        const deliveryId = `LOCAL-${order._id.toString().slice(-6)}-${Date.now()}`;
+
+        // Determine payment method for delivery
+        const isPaid = order.paymentInfo && order.paymentInfo.status === 'paid';
+
+        delivery = new Delivery({
+            orderId: order._id,
+            deliveryId: deliveryId,
+            deliveryType: 'LOCAL',
+            deliveryStatus: deliveryStatus,
+            totalWeight: order.orderItems.reduce((total, item) => total + (item.weight || 100), 0), // Default 100g per item
+            declaredValue: order.totalPrice,
+            paymentMethod: isPaid ? 'Prepaid' : 'COD',
+            codAmount: isPaid ? 0 : order.totalPrice,
+            statusHistory: [{
+                status: deliveryStatus,
+                statusMessage: note || 'Order packed and ready for delivery',
+                date: new Date()
+            }]
+        });
+
+        await delivery.save({ session });
+
+        // Update order with delivery tracking
+        order.trackingId = deliveryId;
+        return delivery;
+    }
+
+    // An assigned delivery stays assigned while the order is still Packed
+    if (DELIVERY_TO_ORDER_STATUS[delivery.deliveryStatus] === nextStatus) {
+        return delivery;
+    }
+
+    delivery.deliveryStatus = deliveryStatus;
+    delivery.statusHistory.push({
+        status: deliveryStatus,
+        statusMessage: note || `Order ${nextStatus.toLowerCase()}`,
+        date: new Date()
+    });
+
+    if (nextStatus === 'Delivered') {
+        delivery.deliveredAt = new Date();
+    } else if (nextStatus === 'Cancelled') {
+        delivery.cancelledAt = new Date();
+        delivery.cancellationReason = note || 'Order cancelled';
+        delivery.isActive = false;
+    }
+
+    await delivery.save({ session });
+
+    if (deliveryStatus === 'out_for_delivery') {
+        await sendDeliveryOtp(delivery, order);
+    }
+
+    return delivery;
+};
+
+/**
+ * Move an order to a new status
+ * Rejects illegal transitions, runs inventory hooks, records status history
+ * and keeps the Delivery record in step. The order is saved.
+ * @param {Object} order - Order document
+ * @param {String} nextStatus - Requested order status
+ * @param {Object} options - Transition options
+ * @param {Object} options.actor - { type, id, name } performing the change
+ * @param {String} options.note - Optional note stored in the history
+ * @param {Object} options.session - Optional MongoDB session
+ * @param {Boolean} options.syncDelivery - Update the Delivery record (default true)
+ * @param {Object} options.proof - { otp, overrideReason, recipientName } when marking a local delivery Delivered
+ * @returns {Object} { order, previousStatus, delivery }
+ * @throws {ErrorHandler} 400 if a local delivery is marked Delivered without proof, 409 if another request changed the order status first
+ */
+exports.transitionOrder = async (order, nextStatus, options = {}) => {
+    const { actor = { type: 'system', id: null, name: 'system' }, note = '', session = null } = options;
+
+    if (!ORDER_STATUSES.includes(nextStatus)) {
+        throw new ErrorHandler(`Invalid order status. Valid statuses are: ${ORDER_STATUSES.join(', ')}`, 400);
+    }
+
+    const previousStatus = exports.getOrderStatus(order);
+
+    if (previousStatus === nextStatus) {
+        throw new ErrorHandler(`Order is already ${nextStatus}`, 400);
+    }
+
+    if (!exports.canTransition(previousStatus, nextStatus)) {
+        throw new ErrorHandler(`Cannot change order status from ${previousStatus} to ${nextStatus}`, 400);
+    }
+
+    // Orders handed over by our own agents need the same proof here as on the delivery routes
+    // The proof is checked once the transition is claimed, so a losing request doesn't use up an OTP attempt
+    let handoverDelivery = null;
+    if (nextStatus === 'Delivered' && options.syncDelivery !== false) {
+        const delivery = await Delivery.findOne({ orderId: order._id, purpose: { $ne: 'RETURN_PICKUP' } }).session(session || null);
+        if (delivery && deliveryProofService.requiresProof(delivery) && delivery.deliveryStatus !== 'delivered') {
+            handoverDelivery = delivery;
+        }
+    }
+
+    // Claim the transition first: of two concurrent requests only one moves the order on,
+    // so stock, coupon use and gift card balance are never released twice
+    const storedStatus = order.orderStatus;
+    const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, orderStatus: storedStatus },
+        { $set: { orderStatus: nextStatus } },
+        { session, projection: { _id: 1 } }
+    );
+    if (!claimed) {
+        throw new ErrorHandler('Order status was changed by another request. Please refresh and try again.', 409);
+    }
+
+    try {
+        if (handoverDelivery) {
+            await deliveryProofService.applyHandoverProof(handoverDelivery, options.proof, actor);
+        }
+        await runInventoryHooks(order, nextStatus, actor);
+    } catch (error) {
+        // Give the claim back so the transition can be retried
+        await Order.updateOne({ _id: order._id, orderStatus: nextStatus }, { $set: { orderStatus: storedStatus } }, { session });
+        throw error;
+    }
+
+    order.orderStatus = nextStatus;
+    order[STATUS_TIMESTAMPS[nextStatus]] = Date.now();
+
+    // Keep Assigned while the order waits for pickup
+    if (!(nextStatus === 'Packed' && order.deliveryStatus === 'Assigned')) {
+        order.deliveryStatus = ORDER_TO_ORDER_DELIVERY_STATUS[nextStatus];
+    }
+
+    order.statusHistory.push({
+        status: nextStatus,
+        previousStatus,
+        actorType: actor.type,
+        actorId: actor.id,
+        actorName: actor.name,
+        note,
+        changedAt: Date.now()
+    });
+
+    let delivery = null;
+    if (options.syncDelivery !== false) {
+        try {
+            delivery = await syncDelivery(order, nextStatus, note, session, handoverDelivery);
+        } catch (deliveryError) {
+            // Log the error but don't fail the order update
+            console.error('Failed to update delivery record:', deliveryError.message);
+        }
+    }
+
+    await order.save({ validateBeforeSave: false, session });
+
+    return { order, previousStatus, delivery };
+};
+
+/**
+ * Move a Delivery record to a new status and carry the change through to its order
+ * @param {Object} delivery - Delivery document
+ * @param {Object} order - Related order document (may be null)
+ * @param {String} nextStatus - Requested delivery status
+ * @param {Object} options - { actor, note }
+ * @returns {Object} { delivery, order, previousStatus }
+ */
+exports.transitionDelivery = async (delivery, order, nextStatus, options = {}) => {
+    const { actor = { type: 'system', id: null, name: 'system' }, note = '' } = options;
+
+    if (!DELIVERY_TRANSITIONS[nextStatus]) {
+        throw new ErrorHandler(`Invalid status. Valid statuses are: ${Object.keys(DELIVERY_TRANSITIONS).join(', ')}`, 400);
+    }
+
+    const previousStatus = delivery.deliveryStatus;
+
+    if (!(DELIVERY_TRANSITIONS[previousStatus] || []).includes(nextStatus)) {
+        throw new ErrorHandler(`Cannot change delivery status from ${previousStatus} to ${nextStatus}`, 400);
+    }
+
+    // Move the order first so inventory hooks and order rules run before the delivery changes
+    // Return pickups leave the (already delivered) order alone
+    const isReturnPickup = delivery.purpose === 'RETURN_PICKUP';
+    const orderStatus = DELIVERY_TO_ORDER_STATUS[nextStatus];
+    if (order && !isReturnPickup && exports.getOrderStatus(order) !== orderStatus) {
+        await exports.transitionOrder(order, orderStatus, { actor, note, syncDelivery: false });
+    }
+
+    delivery.deliveryStatus = nextStatus;
+    delivery.statusHistory.push({
+        status: nextStatus,
+        statusMessage: note || `Status updated to ${nextStatus}`,
+        date: new Date()
+    });
+
+    if (nextStatus === 'delivered') {
+        delivery.deliveredAt = new Date();
+    } else if (nextStatus === 'cancelled') {
+        delivery.cancelledAt = new Date();
+        delivery.cancellationReason = note || 'Delivery cancelled';
+        delivery.isActive = false;
+    }
+
+    await delivery.save();
+
+    if (nextStatus === 'out_for_delivery') {
+        await sendDeliveryOtp(delivery, order);
+    }
+
+    // A completed pickup means the returned items are on their way back to the store
+    if (isReturnPickup && nextStatus === 'delivered' && delivery.returnRequest) {
+        await ReturnRequest.updateOne(
+            { _id: delivery.returnRequest, status: 'PickupScheduled' },
+            {
+                $set: { status: 'PickedUp', updatedAt: Date.now() },
+                $push: { statusHistory: { status: 'PickedUp', actorType: actor.type, actorId: actor.id, note: note || 'Items picked up' } }
+            }
+        );
+    }
+
+    return { delivery, order, previousStatus };
+};
+
+exports.ORDER_STATUSES = ORDER_STATUSES;
+exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+exports.DELIVERY_TRANSITIONS = DELIVERY_TRANSITIONS;
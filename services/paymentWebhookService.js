@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const Order = require('../models/orderModel');
+const Payment = require('../models/paymentModel');
+const WebhookEvent = require('../models/webhookEventModel');
+const ErrorHandler = require('../utils/errorHandler');
+const inventoryService = require('./inventoryService');
+const orderStatusService = require('./orderStatusService');
+const orderCancellationService = require('./orderCancellationService');
+const refundService = require('./refundService');
+
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'Razorpay webhook' };
+
+// Razorpay lets the customer retry a failed payment on the same order; an order whose payment
+// is still failed after this long is treated as abandoned and cancelled
+const PAYMENT_RETRY_WINDOW_MINUTES = Number(process.env.PAYMENT_RETRY_WINDOW_MINUTES) || 30;
+
+/**
+ * Verify the X-Razorpay-Signature header against the raw request body
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {String} signature - Value of the X-Razorpay-Signature header
+ * @returns {Boolean} True if the signature matches
+ */
+exports.verifySignature = (rawBody, signature) => {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new ErrorHandler('Razorpay webhook secret is not configured', 500);
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Get the id used to de-duplicate a webhook delivery
+ * Razorpay resends the same x-razorpay-event-id on retries; without it the body hash is used
+ * @param {String} headerEventId - Value of the x-razorpay-event-id header
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @returns {String} Event id
+ */
+exports.resolveEventId = (headerEventId, rawBody) => {
+    if (headerEventId) {
+        return String(headerEventId);
+    }
+    return `body_${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+};
+
+/**
+ * Find the order a Razorpay payment belongs to
+ * Orders store either the payment id or the Razorpay order id in paymentInfo.id;
+ * an app order id in the payment notes is used as well
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Object|null} Order document
+ */
+const findOrderForPayment = async (payment) => {
+    const conditions = [{ 'paymentInfo.id': { $in: [payment.id, payment.order_id].filter(Boolean) } }];
+
+    const appOrderId = payment.notes && payment.notes.orderId;
+    if (appOrderId && mongoose.Types.ObjectId.isValid(appOrderId)) {
+        conditions.push({ _id: appOrderId });
+    }
+
+    return Order.findOne({ $or: conditions });
+};
+
+/**
+ * Create or update the Payment record for a Razorpay payment
+ * @param {Object} payment - Razorpay payment entity
+ * @param {String} paymentStatus - paid | failed
+ */
+const syncPaymentRecord = async (payment, paymentStatus) => {
+    const succeeded = paymentStatus === 'paid';
+    const acquirer = payment.acquirer_data || {};
+
+    await Payment.updateOne(
+        { txnId: payment.id },
+        {
+            $set: {
+                resultInfo: {
+                    resultStatus: succeeded ? 'TXN_SUCCESS' : 'TXN_FAILURE',
+                    resultCode: payment.error_code || (succeeded ? '01' : '227'),
+                    resultMsg: payment.error_description || (succeeded ? 'Txn Success' : 'Txn Failure')
+                },
+                bankTxnId: acquirer.bank_transaction_id || acquirer.rrn || acquirer.upi_transaction_id || payment.id,
+                orderId: payment.order_id || '',
+                txnAmount: String((payment.amount || 0) / 100),
+                txnType: 'SALE',
+                gatewayName: 'RAZORPAY',
+                bankName: payment.bank || payment.wallet || payment.vpa || '',
+                mid: process.env.RAZORPAY_KEY_ID || '',
+                paymentMode: payment.method || '',
+                txnDate: new Date((payment.created_at || Math.floor(Date.now() / 1000)) * 1000).toISOString(),
+                paymentStatus
+            },
+            $setOnInsert: { refundAmt: '0' }
+        },
+        { upsert: true }
+    );
+};
+
+/**
+ * Mark an order paid for a captured payment and finalize its reserved stock
+ * A payment captured for an order that was already cancelled is refunded
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Object} { status, result, order }
+ */
+const handlePaymentCaptured = async (payment) => {
+    await syncPaymentRecord(payment, 'paid');
+
+    const order = await findOrderForPayment(payment);
+    if (!order) {
+        return { status: 'ignored', result: `No order found for payment ${payment.id}` };
+    }
+
+    const alreadyPaid = order.paymentInfo.status === 'paid' && order.paymentInfo.id === payment.id;
+
+    // Claim the stock change first: a redelivered webhook or a concurrent shipment must not finalize it again
+    const stockClaimed = order.inventoryStatus === 'reserved' && await Order.findOneAndUpdate(
+        { _id: order._id, inventoryStatus: 'reserved' },
+        { $set: { inventoryStatus: 'fulfilled' } },
+        { projection: { _id: 1 } }
+    );
+
+    if (stockClaimed) {
+        const failures = await orderStatusService.settleOrderStock(order, 'fulfilled', (item) =>
+            inventoryService.finalizeStock(item.product, item.quantity, `Payment Success - Order ${order._id}`, item.variant)
+        );
+        if (failures.length > 0) {
+            // Lines already finalized stay marked, so the retried webhook only finalizes the rest
+            await Order.updateOne({ _id: order._id, inventoryStatus: 'fulfilled' }, { $set: { inventoryStatus: 'reserved' } });
+            const { item, error } = failures[0];
+            throw new ErrorHandler(`Stock fulfillment failed for ${item.name}: ${error.message}`, 400);
+        }
+        order.inventoryStatus = 'fulfilled';
+    }
+
+    order.paymentInfo.id = payment.id;
+    order.paymentInfo.status = 'paid';
+    if (!order.paidAt) {
+        order.paidAt = payment.created_at ? new Date(payment.created_at * 1000) : Date.now();
+    }
+    await order.save({ validateBeforeSave: false });
+
+    // The customer was charged for an order that no longer exists
+    if (orderStatusService.getOrderStatus(order) === 'Cancelled' && refundService.getRefundableAmount(order) > 0) {
+        const refund = await refundService.refundOrderPayment(order, refundService.getRefundableAmount(order), 'Payment captured after cancellation', {
+            source: 'CANCELLATION',
+            actor: SYSTEM_ACTOR
+        });
+        return { status: 'processed', result: `Order was cancelled, payment refunded (${refund.status})`, order: order._id };
+    }
+
+    return {
+        status: 'processed',
+        result: alreadyPaid ? 'Order already marked paid' : 'Order marked paid',
+        order: order._id
+    };
+};
+
+/**
+ * Record a failed payment attempt
+ * The order stays open: the customer can retry on the same Razorpay order, and a later capture marks it paid.
+ * Orders still unpaid after the retry window are cancelled by cancelAbandonedOrders.
+ * Failures for orders that are already paid (e.g. an earlier attempt) are ignored
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Object} { status, result, order }
+ */
+const handlePaymentFailed = async (payment) => {
+    await syncPaymentRecord(payment, 'failed');
+
+    const order = await findOrderForPayment(payment);
+    if (!order) {
+        return { status: 'ignored', result: `No order found for payment ${payment.id}` };
+    }
+
+    // Conditional, so a capture that lands at the same time is never overwritten
+    const marked = await Order.updateOne(
+        { _id: order._id, 'paymentInfo.status': { $ne: 'paid' } },
+        { $set: { 'paymentInfo.status': 'failed' } }
+    );
+    if (marked.matchedCount === 0) {
+        return { status: 'ignored', result: 'Order is already paid', order: order._id };
+    }
+
+    return { status: 'processed', result: 'Payment attempt marked failed, order kept open for a retry', order: order._id };
+};
+
+/**
+ * Cancel orders whose payment failed and was not retried within the retry window
+ * Cancelling releases the reserved stock, coupon use, gift card amount and delivery slot
+ * @returns {Number} Orders cancelled
+ */
+exports.cancelAbandonedOrders = async () => {
+    const cutoff = new Date(Date.now() - PAYMENT_RETRY_WINDOW_MINUTES * 60 * 1000);
+    const orders = await Order.find({
+        'paymentInfo.status': 'failed',
+        orderStatus: 'Processing',
+        createdAt: { $lte: cutoff }
+    });
+
+    let cancelled = 0;
+    for (const order of orders) {
+        // Skip orders a retry paid for since they were loaded
+        if (!await Order.exists({ _id: order._id, 'paymentInfo.status': 'failed' })) {
+            continue;
+        }
+        try {
+            await orderCancellationService.cancelOrder(order, {
+                actor: SYSTEM_ACTOR,
+                reason: `Payment not completed within ${PAYMENT_RETRY_WINDOW_MINUTES} minutes`
+            });
+            cancelled++;
+        } catch (error) {
+            // A capture or admin change got there first
+            console.error(`Failed to cancel abandoned order ${order._id}:`, error.message);
+        }
+    }
+
+    if (cancelled > 0) {
+        console.log(`ABANDONED_ORDERS_CANCELLED: ${cancelled} orders with failed payments`);
+    }
+    return cancelled;
+};
+
+/**
+ * Check for abandoned orders every 10 minutes
+ */
+exports.scheduleAbandonedOrderCleanup = () => {
+    cron.schedule('*/10 * * * *', async () => {
+        try {
+            await exports.cancelAbandonedOrders();
+        } catch (error) {
+            console.error('Abandoned order cleanup failed:', error.message);
+        }
+    });
+
+    console.log('Abandoned order cleanup scheduled');
+};
+
+/**
+ * Apply a Razorpay webhook payload to orders, payments and refunds
+ * Each handler is safe to run more than once for the same event
+ * @param {String} event - Razorpay event name
+ * @param {Object} payload - Full webhook body
+ * @returns {Object} { status: processed | ignored, result, order }
+ */
+exports.processEvent = async (event, payload) => {
+    const entities = payload.payload || {};
+
+    switch (event) {
+        case 'payment.captured':
+        case 'order.paid':
+            if (!entities.payment || !entities.payment.entity) {
+                throw new ErrorHandler('Payment entity is missing from the webhook payload', 400);
+            }
+            return handlePaymentCaptured(entities.payment.entity);
+
+        case 'payment.failed':
+            if (!entities.payment || !entities.payment.entity) {
+                throw new ErrorHandler('Payment entity is missing from the webhook payload', 400);
+            }
+            return handlePaymentFailed(entities.payment.entity);
+
+        case 'refund.processed':
+        case 'refund.failed': {
+            const refund = await refundService.applyRefundWebhook(event, entities.refund && entities.refund.entity);
+            if (!refund) {
+                return { status: 'ignored', result: 'No order found for refunded payment' };
+            }
+            return { status: 'processed', result: `Refund marked ${refund.status}`, order: refund.order };
+        }
+
+        default:
+            return { status: 'ignored', result: `Event ${event} is not handled` };
+    }
+};
+
+/**
+ * Run a stored event and record the outcome on it
+ * @param {Object} webhookEvent - WebhookEvent document
+ * @param {Object} replay - { replayedBy } when an admin replays the event
+ * @returns {Object} Saved WebhookEvent document
+ */
+const runStoredEvent = async (webhookEvent, replay = null) => {
+    try {
+        const outcome = await exports.processEvent(webhookEvent.event, webhookEvent.payload);
+        webhookEvent.status = outcome.status;
+        webhookEvent.result = outcome.result;
+        webhookEvent.order = outcome.order || webhookEvent.order;
+        webhookEvent.lastError = undefined;
+        webhookEvent.processedAt = Date.now();
+    } catch (error) {
+        console.error(`WEBHOOK_EVENT_FAILED: ${webhookEvent.eventId} (${webhookEvent.event}):`, error.message);
+        webhookEvent.status = 'failed';
+        webhookEvent.lastError = error.message;
+    }
+
+    if (replay) {
+        webhookEvent.replays.push({ replayedBy: replay.replayedBy, status: webhookEvent.status });
+    }
+
+    await webhookEvent.save();
+    return webhookEvent;
+};
+
+/**
+ * Store a verified webhook and process it once
+ * Retried deliveries of an event that already succeeded are not processed again;
+ * events that failed are retried
+ * @param {String} eventId - Event id from resolveEventId
+ * @param {Object} body - Parsed webhook body
+ * @returns {Object} { duplicate, webhookEvent }
+ */
+exports.receiveEvent = async (eventId, body) => {
+    let webhookEvent;
+
+    try {
+        webhookEvent = await WebhookEvent.create({ eventId, event: body.event, payload: body });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+
+        // Claim a failed event for another attempt; anything else was already handled
+        webhookEvent = await WebhookEvent.findOneAndUpdate(
+            { eventId, status: 'failed' },
+            { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+
+        if (!webhookEvent) {
+            return { duplicate: true, webhookEvent: await WebhookEvent.findOne({ eventId }).lean() };
+        }
+    }
+
+    return { duplicate: false, webhookEvent: await runStoredEvent(webhookEvent) };
+};
+
+/**
+ * Process a stored event again, whatever its current status
+ * @param {Object} webhookEvent - WebhookEvent document
+ * @param {Object} actor - { type, id } replaying the event
+ * @returns {Object} Saved WebhookEvent document
+ */
+exports.replayEvent = async (webhookEvent, actor) => {
+    webhookEvent.status = 'processing';
+    webhookEvent.attempts += 1;
+
+    return runStoredEvent(webhookEvent, { replayedBy: actor && actor.id ? actor.id : null });
+};
@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productModel');
+const Coupon = require('../models/couponModel');
+const GiftCard = require('../models/giftCardModel');
+const TaxRate = require('../models/taxRateModel');
+const Settings = require('../models/settingsModel');
+const { DeliverySettings, DeliveryArea } = require('../models/deliveryModel');
+const ErrorHandler = require('../utils/errorHandler');
+const { validateQuantity, getQuantityRule } = require('../utils/unitOfMeasure');
+const couponService = require('./couponService');
+const variantService = require('./variantService');
+
+// Defaults used when no delivery settings document exists (mirrors getDeliverySettings)
+const DEFAULT_DELIVERY_SETTINGS = {
+    baseDeliveryCharge: 50,
+    freeDeliveryThreshold: 500
+};
+
+// Round a money value to 2 decimal places
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Compute the selling price of one unit after the product-level discount
+ * @param {Object} product - Product document (price, discount, discountType)
+ * @param {Object} variant - Variant being sold; its price replaces the product price
+ * @returns {Number} Unit price after discount
+ */
+exports.computeUnitPrice = (product, variant = null) => {
+    const price = Number(variant ? variant.price : product.price) || 0;
+    const discount = Number(product.discount) || 0;
+
+    if (discount <= 0) {
+        return roundMoney(price);
+    }
+
+    const reduction = product.discountType === 'fixed'
+        ? discount
+        : (price * Math.min(discount, 100)) / 100;
+
+    return roundMoney(Math.max(price - reduction, 0));
+};
+
+/**
+ * Check whether a coupon applies to a priced order line
+ * @param {Object} coupon - Coupon document
+ * @param {Object} line - Priced line with product and category data
+ * @returns {Boolean} True if the line is eligible for the coupon
+ */
+exports.isLineEligibleForCoupon = (coupon, line) => {
+    const products = (coupon.applicableProducts || []).map(id => id.toString());
+    const categories = (coupon.applicableCategories || []).map(c => c.toString().toLowerCase());
+
+    // A coupon without product or category restrictions applies to every line
+    if (products.length === 0 && categories.length === 0) {
+        return true;
+    }
+
+    if (products.includes(line.product.toString())) {
+        return true;
+    }
+
+    return [line.categoryId, line.categoryName, line.categorySlug]
+        .filter(Boolean)
+        .some(value => categories.includes(value.toString().toLowerCase()));
+};
+
+/**
+ * Calculate the discount a coupon gives on an eligible subtotal
+ * @param {Object} coupon - Coupon document
+ * @param {Number} eligibleSubtotal - Subtotal of the lines the coupon applies to
+ * @returns {Number} Discount amount
+ */
+exports.calculateCouponDiscount = (coupon, eligibleSubtotal) => {
+    let discount = 0;
+    if (coupon.discountType === 'percentage') {
+        discount = (eligibleSubtotal * coupon.discountValue) / 100;
+        // Apply maximum discount limit if set
+        if (coupon.maximumDiscount > 0) {
+            discount = Math.min(discount, coupon.maximumDiscount);
+        }
+    } else {
+        discount = Math.min(coupon.discountValue, eligibleSubtotal);
+    }
+    return roundMoney(discount);
+};
+
+/**
+ * Load and validate a coupon for the given priced lines
+ * @param {String} code - Coupon code
+ * @param {Array} lines - Priced order lines
+ * @param {Number} subtotal - Subtotal after product discounts
+ * @param {String} userId - Customer the quote is for; enables the per-user limit check
+ * @returns {Object} { coupon, couponDiscount }
+ */
+const resolveCoupon = async (code, lines, subtotal, userId) => {
+    const coupon = await Coupon.findOne({
+        code: String(code).trim().toUpperCase(),
+        isActive: true,
+        validFrom: { $lte: new Date() },
+        validUntil: { $gte: new Date() }
+    }).lean();
+
+    if (!coupon) {
+        throw new ErrorHandler('Invalid or expired coupon code', 400);
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        throw new ErrorHandler('Coupon usage limit exceeded', 400);
+    }
+
+    await couponService.assertUserCanRedeem(coupon, userId);
+
+    if (subtotal < coupon.minimumAmount) {
+        throw new ErrorHandler(`Minimum cart amount of ₹${coupon.minimumAmount} required to use this coupon`, 400);
+    }
+
+    const eligibleSubtotal = lines
+        .filter(line => exports.isLineEligibleForCoupon(coupon, line))
+        .reduce((sum, line) => sum + line.lineSubtotal, 0);
+
+    if (eligibleSubtotal <= 0) {
+        throw new ErrorHandler('Coupon is not applicable to the items in your cart', 400);
+    }
+
+    return {
+        coupon,
+        eligibleSubtotal,
+        couponDiscount: exports.calculateCouponDiscount(coupon, eligibleSubtotal)
+    };
+};
+
+/**
+ * Check that we deliver to a pincode
+ * Pincodes without a delivery area are served at the base charge; only areas marked not servicable are refused
+ * @param {String|Number} pincode - Delivery pincode
+ * @returns {Object|null} Matching delivery area, if any
+ */
+exports.assertPincodeServiceable = async (pincode) => {
+    if (!pincode) {
+        return null;
+    }
+
+    const deliveryArea = await DeliveryArea.findOne({ pincode: String(pincode).trim() }).lean();
+    if (deliveryArea && !deliveryArea.isServicable) {
+        throw new ErrorHandler(`Delivery is not available for pincode ${pincode}`, 400);
+    }
+
+    return deliveryArea;
+};
+
+/**
+ * Work out the delivery charge for a pincode and order value
+ * @param {String|Number} pincode - Delivery pincode
+ * @param {Number} orderValue - Order value after discounts
+ * @returns {Object} { deliveryCharge, deliveryArea }
+ */
+exports.calculateDeliveryCharge = async (pincode, orderValue) => {
+    const settings = await DeliverySettings.findOne().lean() || DEFAULT_DELIVERY_SETTINGS;
+
+    const deliveryArea = await exports.assertPincodeServiceable(pincode);
+
+    if (settings.freeDeliveryThreshold > 0 && orderValue >= settings.freeDeliveryThreshold) {
+        return { deliveryCharge: 0, deliveryArea };
+    }
+
+    // Area-specific charge takes precedence over the base charge
+    const deliveryCharge = deliveryArea && deliveryArea.deliveryCharge > 0
+        ? deliveryArea.deliveryCharge
+        : settings.baseDeliveryCharge || 0;
+
+    return { deliveryCharge: roundMoney(deliveryCharge), deliveryArea };
+};
+
+/**
+ * Build a complete server-side price quote for an order
+ * @param {Object} options - Quote options
+ * @param {Array} options.items - Requested lines [{ product, variant, quantity }]
+ * @param {String} options.couponCode - Optional coupon code
+ * @param {String} options.giftCardCode - Optional gift card code
+ * @param {String|Number} options.pincode - Delivery pincode
+ * @param {String} options.userId - Customer the quote is for
+ * @returns {Object} Quote with priced lines and order totals
+ */
+exports.buildQuote = async ({ items, couponCode = null, giftCardCode = null, pincode = null, userId = null }) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ErrorHandler('Order must contain at least one item', 400);
+    }
+
+    // Merge duplicate lines (same product and variant) and validate quantities
+    const requested = new Map();
+    for (const item of items) {
+        const productId = item && (item.product || item.productId);
+        const variantId = (item && (item.variant || item.variantId)) || null;
+        const quantity = Number(item && item.quantity);
+
+        if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+            throw new ErrorHandler('Invalid product in order items', 400);
+        }
+        if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+            throw new ErrorHandler('Invalid variant in order items', 400);
+        }
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            throw new ErrorHandler('Item quantity must be a positive number', 400);
+        }
+
+        const key = `${productId}:${variantId || ''}`;
+        const existing = requested.get(key);
+        requested.set(key, {
+            productId: productId.toString(),
+            variantId: variantId ? variantId.toString() : null,
+            quantity: (existing ? existing.quantity : 0) + quantity
+        });
+    }
+
+    const productIds = Array.from(new Set(Array.from(requested.values()).map(entry => entry.productId)));
+    const products = await Product.find({ _id: { $in: productIds } })
+        .select('name price discount discountType images category taxRateId is_active variants unitOfMeasure quantityStep minimumQty maximumQty')
+        .populate('category', 'name slug')
+        .lean();
+
+    const productMap = {};
+    products.forEach(product => {
+        productMap[product._id.toString()] = product;
+    });
+
+    // Load tax rates used by these products
+    const taxRateIds = products.filter(p => p.taxRateId).map(p => p.taxRateId);
+    const taxRates = await TaxRate.find({ _id: { $in: taxRateIds }, isActive: true }).lean();
+    const taxRateMap = {};
+    taxRates.forEach(taxRate => {
+        taxRateMap[taxRate._id.toString()] = taxRate.rate;
+    });
+
+    const lines = [];
+    for (const { productId, variantId, quantity: requestedQuantity } of requested.values()) {
+        const product = productMap[productId];
+        if (!product || product.is_active === false) {
+            throw new ErrorHandler(`Product ${productId} is no longer available`, 400);
+        }
+
+        // Whole pieces, or kg/g in the product's step and order limits; prices are per unit
+        const quantity = validateQuantity(product, requestedQuantity);
+
+        const variant = variantService.resolveVariant(product, variantId);
+        const basePrice = variant ? variant.price : product.price;
+        const unitPrice = exports.computeUnitPrice(product, variant);
+        lines.push({
+            product: product._id,
+            variant: variant ? variant._id : null,
+            variantName: variant ? variant.name : null,
+            sku: variant ? variant.sku : null,
+            name: variantService.lineName(product, variant),
+            image: product.images && product.images.length > 0 ? product.images[0].url : '',
+            quantity,
+            unitOfMeasure: getQuantityRule(product).unitOfMeasure,
+            basePrice: roundMoney(basePrice),
+            price: unitPrice,
+            lineSubtotal: roundMoney(unitPrice * quantity),
+            productDiscount: roundMoney((basePrice - unitPrice) * quantity),
+            taxRate: product.taxRateId ? (taxRateMap[product.taxRateId.toString()] || 0) : 0,
+            categoryId: product.category ? product.category._id : null,
+            categoryName: product.category ? product.category.name : null,
+            categorySlug: product.category ? product.category.slug : null
+        });
+    }
+
+    const itemsPrice = roundMoney(lines.reduce((sum, line) => sum + line.basePrice * line.quantity, 0));
+    const productDiscount = roundMoney(lines.reduce((sum, line) => sum + line.productDiscount, 0));
+    const subtotal = roundMoney(itemsPrice - productDiscount);
+
+    // Coupon discount, spread across eligible lines in proportion to their value
+    let coupon = null;
+    let couponDiscount = 0;
+    if (couponCode) {
+        const resolved = await resolveCoupon(couponCode, lines, subtotal, userId);
+        coupon = resolved.coupon;
+        couponDiscount = resolved.couponDiscount;
+
+        lines.forEach(line => {
+            line.couponDiscount = exports.isLineEligibleForCoupon(coupon, line)
+                ? roundMoney(couponDiscount * line.lineSubtotal / resolved.eligibleSubtotal)
+                : 0;
+        });
+    }
+
+    // GST per line on the value after discounts
+    const storeSettings = await Settings.findOne().select('taxSettings').lean();
+    const taxSettings = (storeSettings && storeSettings.taxSettings) || { gstEnabled: true, taxIncludedInPrice: false };
+    let taxAmount = 0;
+
+    lines.forEach(line => {
+        const taxable = line.lineSubtotal - (line.couponDiscount || 0);
+        let lineTax = 0;
+        if (taxSettings.gstEnabled && line.taxRate > 0) {
+            lineTax = taxSettings.taxIncludedInPrice
+                ? taxable - taxable / (1 + line.taxRate / 100)
+                : taxable * line.taxRate / 100;
+        }
+        line.taxAmount = roundMoney(lineTax);
+        taxAmount += line.taxAmount;
+    });
+    taxAmount = roundMoney(taxAmount);
+
+    const taxPayable = taxSettings.taxIncludedInPrice ? 0 : taxAmount;
+    const discountAmount = roundMoney(productDiscount + couponDiscount);
+    const { deliveryCharge } = await exports.calculateDeliveryCharge(pincode, roundMoney(subtotal - couponDiscount));
+
+    const payableBeforeGiftCard = roundMoney(itemsPrice - discountAmount + taxPayable + deliveryCharge);
+
+    // Gift card balance covers as much of the remaining total as possible
+    // This only prices the order - newOrder debits the card in the same transaction that creates it
+    let giftCardAmount = 0;
+    if (giftCardCode) {
+        const giftCard = await GiftCard.findOne({
+            code: String(giftCardCode).trim().toUpperCase(),
+            isActive: true,
+            validFrom: { $lte: new Date() },
+            validUntil: { $gte: new Date() }
+        }).lean();
+
+        if (!giftCard || giftCard.balance <= 0) {
+            throw new ErrorHandler('Invalid or expired gift card', 400);
+        }
+
+        giftCardAmount = roundMoney(Math.min(giftCard.balance, payableBeforeGiftCard));
+    }
+
+    return {
+        items: lines.map(line => ({
+            product: line.product,
+            variant: line.variant,
+            variantName: line.variantName,
+            sku: line.sku,
+            name: line.name,
+            image: line.image,
+            quantity: line.quantity,
+            unitOfMeasure: line.unitOfMeasure,
+            basePrice: line.basePrice,
+            price: line.price,
+            lineSubtotal: line.lineSubtotal,
+            productDiscount: line.productDiscount,
+            couponDiscount: line.couponDiscount || 0,
+            taxRate: line.taxRate,
+            taxAmount: line.taxAmount
+        })),
+        itemsPrice,
+        productDiscount,
+        couponCode: coupon ? coupon.code : null,
+        couponDiscount,
+        discountAmount,
+        taxAmount,
+        taxIncludedInPrice: Boolean(taxSettings.taxIncludedInPrice),
+        deliveryCharge,
+        giftCardCode: giftCardAmount > 0 ? String(giftCardCode).trim().toUpperCase() : null,
+        giftCardAmount,
+        totalPrice: roundMoney(payableBeforeGiftCard - giftCardAmount)
+    };
+};
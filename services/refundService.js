@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Razorpay = require('razorpay');
+const Order = require('../models/orderModel');
+const Payment = require('../models/paymentModel');
+const Refund = require('../models/refundModel');
+const ReturnRequest = require('../models/returnRequestModel');
+const GiftCard = require('../models/giftCardModel');
+const ErrorHandler = require('../utils/errorHandler');
+
+// Store credit gift cards stay valid for one year
+const STORE_CREDIT_VALIDITY_DAYS = 365;
+
+// Round a money value to 2 decimal places
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Razorpay client used for refunds - created lazily so the keys are read at call time
+let razorpayClient = null;
+
+/**
+ * Create a local stand-in for the Razorpay client
+ * Refunds are accepted immediately and never reach the gateway
+ * @param {Object} options - { status } of the refunds it returns (default 'processed')
+ * @returns {Object} Object exposing payments.refund(paymentId, options)
+ */
+exports.createLocalRazorpayStub = ({ status = 'processed' } = {}) => ({
+    payments: {
+        refund: async (paymentId, options = {}) => ({
+            id: `rfnd_local_${crypto.randomBytes(7).toString('hex')}`,
+            entity: 'refund',
+            payment_id: paymentId,
+            amount: options.amount,
+            currency: 'INR',
+            notes: options.notes || {},
+            status,
+            created_at: Math.floor(Date.now() / 1000)
+        })
+    }
+});
+
+/**
+ * Get the Razorpay client used for refunds
+ * Set RAZORPAY_REFUNDS_STUB=true to use the local stub instead of the gateway
+ * @returns {Object} Razorpay instance
+ */
+exports.getRazorpayClient = () => {
+    if (!razorpayClient) {
+        if (process.env.RAZORPAY_REFUNDS_STUB === 'true') {
+            razorpayClient = exports.createLocalRazorpayStub();
+            return razorpayClient;
+        }
+        if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+            throw new ErrorHandler('Razorpay is not configured', 500);
+        }
+        razorpayClient = new Razorpay({
+            key_id: process.env.RAZORPAY_KEY_ID,
+            key_secret: process.env.RAZORPAY_KEY_SECRET,
+        });
+    }
+    return razorpayClient;
+};
+
+/**
+ * Replace the Razorpay client, e.g. with a local stub
+ * Pass null to go back to the real client
+ * @param {Object} client - Object exposing payments.refund(paymentId, options)
+ */
+exports.setRazorpayClient = (client) => {
+    razorpayClient = client;
+};
+
+/**
+ * Check whether an order was paid online and can be refunded through Razorpay
+ * @param {Object} order - Order document
+ * @returns {Boolean} True if the order has a captured online payment
+ */
+exports.isRefundable = (order) => {
+    return Boolean(
+        order.paymentInfo &&
+        order.paymentInfo.status === 'paid' &&
+        order.paymentInfo.id &&
+        order.paymentInfo.id.startsWith('pay_')
+    );
+};
+
+/**
+ * Check that the payment recorded on an order really paid for that order
+ * paymentInfo comes from the client at checkout, so before money goes back the payment must be
+ * a captured payment for the order total, recorded by the gateway (Payment record or gateway lookup),
+ * and not claimed by any other order
+ * @param {Object} order - Order document
+ * @returns {Boolean} True if the payment belongs to the order
+ */
+exports.verifyOrderPayment = async (order) => {
+    if (!exports.isRefundable(order)) {
+        return false;
+    }
+
+    const paymentId = order.paymentInfo.id;
+    const expectedAmount = roundMoney(order.totalPrice);
+
+    const claimedElsewhere = await Order.exists({ _id: { $ne: order._id }, 'paymentInfo.id': paymentId });
+    if (claimedElsewhere) {
+        return false;
+    }
+
+    // Payment records are written from signed gateway callbacks and webhooks
+    const record = await Payment.findOne({ txnId: paymentId }).lean();
+    if (record && record.txnAmount) {
+        const paid = record.paymentStatus === 'paid' || record.paymentStatus === 'refunded'
+            || (record.resultInfo && record.resultInfo.resultStatus === 'TXN_SUCCESS');
+        return paid && Math.abs(roundMoney(record.txnAmount) - expectedAmount) < 0.01;
+    }
+
+    // Otherwise ask the gateway (the local stub can't vouch for a payment)
+    const client = exports.getRazorpayClient();
+    if (!client.payments || typeof client.payments.fetch !== 'function') {
+        return false;
+    }
+
+    try {
+        const payment = await client.payments.fetch(paymentId);
+        const notedOrderId = payment.notes && payment.notes.orderId;
+        return ['captured', 'refunded'].includes(payment.status)
+            && payment.amount === Math.round(expectedAmount * 100)
+            && (!notedOrderId || notedOrderId === order._id.toString());
+    } catch (error) {
+        console.error(`PAYMENT_LOOKUP_FAILED: Payment ${paymentId} for order ${order._id}:`, error.error ? error.error.description : error.message);
+        return false;
+    }
+};
+
+/**
+ * Amount of the online payment that has not been refunded yet
+ * Pending refunds count as refunded until the gateway reports them failed
+ * @param {Object} order - Order document
+ * @returns {Number} Refundable amount in rupees
+ */
+exports.getRefundableAmount = (order) => {
+    return Math.max(roundMoney((order.totalPrice || 0) - (order.refundedAmount || 0)), 0);
+};
+
+/**
+ * Move an order's refunded amount by a ledger change
+ * refundedAmount is only ever adjusted, never recomputed, so amounts reserved by refunds
+ * that are still being sent to the gateway are kept
+ * @param {String} orderId - Order ID
+ * @param {Number} amount - Amount to add (negative to give back)
+ */
+const adjustRefundedAmount = async (orderId, amount) => {
+    await Order.updateOne({ _id: orderId }, { $inc: { refundedAmount: roundMoney(amount) } });
+};
+
+/**
+ * Bring the order's refund status and the Payment record in line with the ledger
+ * @param {String} orderId - Order ID
+ * @returns {Object} Updated order (lean)
+ */
+const syncOrderRefundSummary = async (orderId) => {
+    const refunds = await Refund.find({ order: orderId }).select('status amount gatewayRefundId').sort({ createdAt: 1 }).lean();
+
+    let refundStatus = 'none';
+    if (refunds.some(refund => refund.status === 'pending')) {
+        refundStatus = 'pending';
+    } else if (refunds.some(refund => refund.status === 'processed')) {
+        refundStatus = 'processed';
+    } else if (refunds.length > 0) {
+        refundStatus = 'failed';
+    }
+
+    const latest = refunds.filter(refund => refund.gatewayRefundId).pop();
+
+    const order = await Order.findByIdAndUpdate(orderId, {
+        $set: {
+            refundStatus,
+            refundId: latest ? latest.gatewayRefundId : null
+        }
+    }, { new: true }).lean();
+
+    if (order && order.paymentInfo && order.paymentInfo.id) {
+        const processedAmount = roundMoney(refunds
+            .filter(refund => refund.status === 'processed')
+            .reduce((sum, refund) => sum + refund.amount, 0));
+
+        // Payment documents are keyed by the Razorpay payment id
+        const update = { refundAmt: String(processedAmount) };
+        if (processedAmount > 0 && processedAmount >= order.totalPrice) {
+            update.paymentStatus = 'refunded';
+        }
+        await Payment.updateOne({ txnId: order.paymentInfo.id }, { $set: update });
+    }
+
+    return order;
+};
+
+/**
+ * Start a Razorpay refund for an order and record it in the refund ledger
+ * The amount is reserved on the order atomically, so concurrent refunds can't exceed what was paid
+ * @param {Object} order - Order document; its refund fields are updated in memory
+ * @param {Number} amount - Amount to refund in rupees
+ * @param {String} reason - Reason sent to Razorpay as a note
+ * @param {Object} options - Ledger details
+ * @param {String} options.source - ADMIN | CANCELLATION | RETURN
+ * @param {Object} options.actor - { type, id } starting the refund
+ * @param {String} options.returnRequest - Related return request ID
+ * @returns {Object} Refund ledger entry
+ */
+exports.refundOrderPayment = async (order, amount, reason = '', options = {}) => {
+    const { source = 'ADMIN', actor = { type: 'system', id: null }, returnRequest = null } = options;
+    amount = roundMoney(amount);
+
+    if (!exports.isRefundable(order)) {
+        throw new ErrorHandler('Order has no online payment to refund', 400);
+    }
+
+    if (!amount || amount <= 0) {
+        throw new ErrorHandler('Refund amount must be greater than zero', 400);
+    }
+
+    if (!(await exports.verifyOrderPayment(order))) {
+        throw new ErrorHandler(`Payment ${order.paymentInfo.id} could not be verified for this order, so it was not refunded`, 400);
+    }
+
+    // Reserve the amount against the order total
+    const reserved = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, { $add: ['$totalPrice', 0.001] }] }
+        },
+        { $inc: { refundedAmount: amount } },
+        { new: true }
+    ).select('refundedAmount').lean();
+
+    if (!reserved) {
+        const current = await Order.findById(order._id).select('totalPrice refundedAmount').lean();
+        throw new ErrorHandler(`Refund amount exceeds the refundable balance of ₹${exports.getRefundableAmount(current || order)}`, 400);
+    }
+
+    const refund = await Refund.create({
+        order: order._id,
+        paymentId: order.paymentInfo.id,
+        amount,
+        source,
+        returnRequest,
+        reason,
+        initiatedBy: { actorType: actor.type, actorId: actor.id }
+    });
+
+    try {
+        const gatewayRefund = await exports.getRazorpayClient().payments.refund(order.paymentInfo.id, {
+            amount: Math.round(amount * 100), // amount in smallest currency unit
+            notes: {
+                orderId: order._id.toString(),
+                refundId: refund._id.toString(),
+                reason: reason
+            }
+        });
+
+        refund.gatewayRefundId = gatewayRefund.id;
+        if (gatewayRefund.status === 'processed') {
+            refund.status = 'processed';
+            refund.processedAt = Date.now();
+        } else if (gatewayRefund.status === 'failed') {
+            refund.status = 'failed';
+        }
+        await refund.save();
+
+        if (refund.status === 'failed') {
+            await adjustRefundedAmount(order._id, -amount);
+        }
+    } catch (error) {
+        refund.status = 'failed';
+        refund.failureReason = error.error ? error.error.description : error.message;
+        await refund.save();
+        await adjustRefundedAmount(order._id, -amount);
+        await syncOrderRefundSummary(order._id);
+        throw new ErrorHandler(`Refund failed: ${refund.failureReason}`, error.statusCode && error.statusCode < 500 ? 400 : 502);
+    }
+
+    // Keep the caller's document in step with the ledger
+    const summary = await syncOrderRefundSummary(order._id);
+    if (summary) {
+        order.refundStatus = summary.refundStatus;
+        order.refundedAmount = summary.refundedAmount;
+        order.refundId = summary.refundId;
+    }
+
+    return refund;
+};
+
+/**
+ * Apply a refund.processed / refund.failed webhook to the ledger
+ * Refunds created outside the app (e.g. from the Razorpay dashboard) are added to the ledger
+ * @param {String} event - Razorpay event name
+ * @param {Object} entity - Razorpay refund entity from the webhook payload
+ * @returns {Object|null} Updated ledger entry, or null if the payment is unknown
+ */
+exports.applyRefundWebhook = async (event, entity) => {
+    if (!entity || !entity.id) {
+        throw new ErrorHandler('Refund entity is missing from the webhook payload', 400);
+    }
+
+    const status = { 'refund.processed': 'processed', 'refund.failed': 'failed' }[event];
+    if (!status) {
+        throw new ErrorHandler(`Unsupported refund event: ${event}`, 400);
+    }
+
+    let refund = await Refund.findOne({ gatewayRefundId: entity.id });
+
+    // The gateway call may have timed out before we stored its refund id
+    const ledgerId = entity.notes && entity.notes.refundId;
+    if (!refund && ledgerId && mongoose.Types.ObjectId.isValid(ledgerId)) {
+        refund = await Refund.findById(ledgerId);
+    }
+
+    if (!refund) {
+        const order = await Order.findOne({ 'paymentInfo.id': entity.payment_id }).select('_id').lean();
+        if (!order) {
+            return null;
+        }
+        refund = new Refund({
+            order: order._id,
+            paymentId: entity.payment_id,
+            amount: roundMoney(entity.amount / 100),
+            source: 'GATEWAY',
+            reason: (entity.notes && entity.notes.reason) || 'Refund created on gateway'
+        });
+    }
+
+    // Webhooks can arrive more than once
+    if (!refund.isNew && refund.status === status && refund.gatewayRefundId === entity.id) {
+        return refund;
+    }
+
+    const update = { gatewayRefundId: entity.id, status, updatedAt: Date.now() };
+    if (status === 'processed') {
+        update.processedAt = Date.now();
+    } else {
+        update.failureReason = entity.error_description || 'Refund failed at gateway';
+    }
+
+    if (refund.isNew) {
+        refund.set(update);
+        await refund.save();
+        if (status !== 'failed') {
+            await adjustRefundedAmount(refund.order, refund.amount);
+        }
+    } else {
+        // Claim the status change, so two deliveries of the same event move the balance once
+        const previousStatus = refund.status;
+        const claimed = await Refund.findOneAndUpdate(
+            { _id: refund._id, status: previousStatus },
+            { $set: update },
+            { new: true }
+        );
+        if (!claimed) {
+            return Refund.findById(refund._id);
+        }
+        refund = claimed;
+
+        if (status === 'failed' && previousStatus !== 'failed') {
+            await adjustRefundedAmount(refund.order, -refund.amount);
+        } else if (status !== 'failed' && previousStatus === 'failed') {
+            await adjustRefundedAmount(refund.order, refund.amount);
+        }
+    }
+
+    await syncOrderRefundSummary(refund.order);
+
+    // A return refunded to the original method shows the gateway's result too
+    if (refund.returnRequest) {
+        await ReturnRequest.updateOne(
+            { _id: refund.returnRequest },
+            { $set: { refundStatus: refund.status, refundId: refund.gatewayRefundId } }
+        );
+    }
+
+    return refund;
+};
+
+/**
+ * Issue store credit as a single-use gift card code
+ * @param {Number} amount - Credit amount in rupees
+ * @returns {Object} Created gift card
+ */
+exports.issueStoreCredit = async (amount) => {
+    if (!amount || amount < 1) {
+        throw new ErrorHandler('Store credit must be at least ₹1', 400);
+    }
+
+    const validFrom = new Date();
+    const validUntil = new Date(validFrom.getTime() + STORE_CREDIT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+    return GiftCard.create({
+        code: `SC${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+        balance: amount,
+        initialBalance: amount,
+        validFrom,
+        validUntil,
+        isActive: true
+    });
+};
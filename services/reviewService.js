@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Review = require('../models/reviewModel');
+const Product = require('../models/productModel');
+const Order = require('../models/orderModel');
+
+/**
+ * Find a delivered order in which the customer bought the product
+ * @param {String} userId - OtpUser ID
+ * @param {String} productId - Product ID
+ * @returns {Object|null} Most recent matching order (lean), or null if the purchase can't be verified
+ */
+exports.findVerifiedPurchase = async (userId, productId) => {
+    return Order.findOne({
+        user: userId,
+        orderStatus: 'Delivered',
+        'orderItems.product': productId
+    })
+        .select('_id deliveredAt')
+        .sort({ deliveredAt: -1, createdAt: -1 })
+        .lean();
+};
+
+/**
+ * Recompute a product's ratings and numOfReviews from its approved reviews
+ * @param {String} productId - Product ID
+ * @returns {Object} { ratings, numOfReviews }
+ */
+exports.recomputeProductRating = async (productId) => {
+    const [summary] = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'approved' } },
+        { $group: { _id: null, ratings: { $avg: '$rating' }, numOfReviews: { $sum: 1 } } }
+    ]);
+
+    const ratings = summary ? summary.ratings : 0;
+    const numOfReviews = summary ? summary.numOfReviews : 0;
+
+    await Product.updateOne({ _id: productId }, { $set: { ratings, numOfReviews } });
+
+    return { ratings, numOfReviews };
+};
@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productModel');
+const Category = require('../models/categoryModel');
+const categoryService = require('./categoryService');
+const variantService = require('./variantService');
+
+// Price bucket boundaries for the price facet (the last bucket is open-ended)
+const PRICE_BOUNDARIES = [0, 100, 250, 500, 1000, 2000, 5000];
+
+// Rating bands for the ratings facet ("4 & up", "3 & up", ...)
+const RATING_BANDS = [4, 3, 2, 1];
+
+// Most brands / departments returned in a facet
+const FACET_LIMIT = 30;
+
+// Sort options accepted by ?sort=
+const SORT_OPTIONS = {
+    relevance: { score: -1, createdAt: -1 },
+    newest: { createdAt: -1 },
+    price_asc: { price: 1, createdAt: -1 },
+    price_desc: { price: -1, createdAt: -1 },
+    rating: { ratings: -1, numOfReviews: -1 },
+    popularity: { numOfReviews: -1, ratings: -1 }
+};
+
+// Read a multi-select filter: ?brand=A,B or ?brand=A&brand=B
+const parseList = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Read an optional number from the query string
+const parseNumber = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+};
+
+// Resolve ?category= (ID, slug or name) to the category and its subcategories
+const resolveCategoryIds = async (value) => {
+    let categoryId = null;
+    if (mongoose.Types.ObjectId.isValid(value)) {
+        categoryId = value;
+    } else {
+        // Matched literally - the value comes straight from the query string
+        const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const category = await Category.findOne({
+            $or: [
+                { name: { $regex: `^${escaped}$`, $options: 'i' } },
+                { slug: { $regex: `^${escaped}$`, $options: 'i' } }
+            ]
+        }).select('_id').lean();
+        categoryId = category ? category._id : '000000000000000000000000';
+    }
+    return categoryService.getCategoryAndDescendantIds(categoryId);
+};
+
+/**
+ * Turn the search query string into match conditions, one per facet dimension
+ * Facets apply every condition except their own, so other options in the same facet stay selectable
+ * @param {Object} query - req.query
+ * @returns {Object} { base, conditions, sort, sortKey }
+ */
+exports.parseSearchQuery = async (query) => {
+    const base = { is_active: true };
+    const keyword = query.keyword ? String(query.keyword).trim() : '';
+    if (keyword) {
+        base.$text = { $search: keyword };
+    }
+
+    const conditions = {};
+
+    if (query.category) {
+        conditions.category = { category: { $in: await resolveCategoryIds(String(query.category)) } };
+    }
+
+    const brands = parseList(query.brand);
+    if (brands.length > 0) {
+        conditions.brand = { 'brand.name': { $in: brands } };
+    }
+
+    const departments = parseList(query.department);
+    if (departments.length > 0) {
+        conditions.department = { department: { $in: departments } };
+    }
+
+    const price = query.price || {};
+    const minPrice = parseNumber(price.gte !== undefined ? price.gte : query.minPrice);
+    const maxPrice = parseNumber(price.lte !== undefined ? price.lte : query.maxPrice);
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        conditions.price = { price: {} };
+        if (minPrice !== undefined) conditions.price.price.$gte = minPrice;
+        if (maxPrice !== undefined) conditions.price.price.$lte = maxPrice;
+    }
+
+    const minRating = parseNumber(query.ratings && query.ratings.gte !== undefined ? query.ratings.gte : query.minRating);
+    if (minRating !== undefined) {
+        conditions.ratings = { ratings: { $gte: minRating } };
+    }
+
+    if (query.inStock === 'true') {
+        conditions.availability = { effectiveStock: { $gt: 0 } };
+    }
+
+    // Relevance only makes sense for keyword searches
+    let sortKey = SORT_OPTIONS[query.sort] ? query.sort : (keyword ? 'relevance' : 'newest');
+    if (sortKey === 'relevance' && !keyword) {
+        sortKey = 'newest';
+    }
+
+    return { base, conditions, sort: SORT_OPTIONS[sortKey], sortKey };
+};
+
+// Combine the conditions of every dimension except one
+const matchExcept = (conditions, excluded = null) => {
+    const clauses = Object.keys(conditions)
+        .filter(dimension => dimension !== excluded)
+        .map(dimension => conditions[dimension]);
+    return clauses.length > 0 ? { $and: clauses } : {};
+};
+
+/**
+ * Search products and count the facet buckets for the same search
+ * @param {Object} query - req.query (keyword, category, brand, department, price, ratings, inStock, sort)
+ * @param {Number} page - Page number (1-based)
+ * @param {Number} limit - Results per page
+ * @returns {Object} { products, productsCount, facets, sort }
+ */
+exports.facetedSearch = async (query, page, limit) => {
+    const { base, conditions, sort, sortKey } = await exports.parseSearchQuery(query);
+
+    const [result] = await Product.aggregate([
+        // $text has to be in the first stage
+        { $match: base },
+        {
+            $lookup: {
+                from: 'inventories',
+                localField: '_id',
+                foreignField: 'product',
+                as: 'inventory'
+            }
+        },
+        {
+            $addFields: {
+                // Products sold in variants keep their stock in the variant records
+                inventory: variantService.sellableInventory
+            }
+        },
+        {
+            $addFields: {
+                // Use inventory quantity if available (summed across variants), otherwise use product stock
+                effectiveStock: {
+                    $cond: {
+                        if: { $gt: [{ $size: "$inventory" }, 0] },
+                        then: { $sum: "$inventory.quantityAvailable" },
+                        else: "$stock"
+                    }
+                },
+                score: base.$text ? { $meta: 'textScore' } : 0
+            }
+        },
+        {
+            $facet: {
+                products: [
+                    { $match: matchExcept(conditions) },
+                    { $sort: sort },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    {
+                        $lookup: {
+                            from: 'categories',
+                            localField: 'category',
+                            foreignField: '_id',
+                            as: 'category'
+                        }
+                    },
+                    {
+                        $project: {
+                            name: 1,
+                            price: 1,
+                            mrp: 1,
+                            cuttedPrice: 1,
+                            images: { $slice: ['$images', 1] },
+                            brand: 1,
+                            department: 1,
+                            category: {
+                                $let: {
+                                    vars: { category: { $arrayElemAt: ['$category', 0] } },
+                                    in: { _id: '$$category._id', name: '$$category.name', slug: '$$category.slug' }
+                                }
+                            },
+                            ratings: 1,
+                            numOfReviews: 1,
+                            unitOfMeasure: 1,
+                            inStock: { $gt: ['$effectiveStock', 0] }
+                        }
+                    }
+                ],
+                total: [
+                    { $match: matchExcept(conditions) },
+                    { $count: 'count' }
+                ],
+                brands: [
+                    { $match: matchExcept(conditions, 'brand') },
+                    { $match: { 'brand.name': { $nin: [null, ''] } } },
+                    { $group: { _id: '$brand.name', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: FACET_LIMIT }
+                ],
+                categories: [
+                    { $match: matchExcept(conditions, 'category') },
+                    { $match: { category: { $ne: null } } },
+                    { $group: { _id: '$category', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: FACET_LIMIT }
+                ],
+                departments: [
+                    { $match: matchExcept(conditions, 'department') },
+                    { $match: { department: { $nin: [null, ''] } } },
+                    { $group: { _id: '$department', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: FACET_LIMIT }
+                ],
+                priceRanges: [
+                    { $match: matchExcept(conditions, 'price') },
+                    {
+                        $bucket: {
+                            groupBy: '$price',
+                            boundaries: PRICE_BOUNDARIES,
+                            default: 'above',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ],
+                ratings: [
+                    { $match: matchExcept(conditions, 'ratings') },
+                    {
+                        $group: RATING_BANDS.reduce((group, band) => ({
+                            ...group,
+                            [`band${band}`]: { $sum: { $cond: [{ $gte: ['$ratings', band] }, 1, 0] } }
+                        }), { _id: null })
+                    }
+                ],
+                availability: [
+                    { $match: matchExcept(conditions, 'availability') },
+                    {
+                        $group: {
+                            _id: null,
+                            inStock: { $sum: { $cond: [{ $gt: ['$effectiveStock', 0] }, 1, 0] } },
+                            outOfStock: { $sum: { $cond: [{ $gt: ['$effectiveStock', 0] }, 0, 1] } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    // Attach names and slugs to the category buckets
+    const categories = await Category.find({ _id: { $in: result.categories.map(bucket => bucket._id) } })
+        .select('name slug path')
+        .lean();
+    const categoryMap = {};
+    categories.forEach(category => {
+        categoryMap[category._id.toString()] = category;
+    });
+
+    const lastBoundary = PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1];
+    const ratingCounts = result.ratings[0] || {};
+    const availability = result.availability[0] || { inStock: 0, outOfStock: 0 };
+
+    return {
+        products: result.products,
+        productsCount: result.total.length > 0 ? result.total[0].count : 0,
+        sort: sortKey,
+        facets: {
+            brands: result.brands.map(bucket => ({ value: bucket._id, count: bucket.count })),
+            categories: result.categories
+                .filter(bucket => categoryMap[bucket._id.toString()])
+                .map(bucket => ({ ...categoryMap[bucket._id.toString()], count: bucket.count })),
+            departments: result.departments.map(bucket => ({ value: bucket._id, count: bucket.count })),
+            priceRanges: result.priceRanges.map(bucket => {
+                if (bucket._id === 'above') {
+                    return { min: lastBoundary, max: null, count: bucket.count };
+                }
+                const index = PRICE_BOUNDARIES.indexOf(bucket._id);
+                return { min: bucket._id, max: PRICE_BOUNDARIES[index + 1], count: bucket.count };
+            }),
+            ratings: RATING_BANDS.map(band => ({ min: band, count: ratingCounts[`band${band}`] || 0 })),
+            availability: { inStock: availability.inStock, outOfStock: availability.outOfStock }
+        }
+    };
+};
+
+exports.SORT_OPTIONS = Object.keys(SORT_OPTIONS);
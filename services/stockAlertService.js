@@ -0,0 +1,152 @@
+const StockSubscription = require('../models/stockSubscriptionModel');
+const Inventory = require('../models/inventoryModel');
+const Product = require('../models/productModel');
+const OtpUser = require('../models/OtpUser');
+const notificationService = require('./notificationService');
+const variantService = require('./variantService');
+
+// Subscribers notified per batch, and the pause between batches to stay under SMS provider limits
+const BATCH_SIZE = Number(process.env.STOCK_ALERT_BATCH_SIZE) || 50;
+const BATCH_DELAY_MS = Number(process.env.STOCK_ALERT_BATCH_DELAY_MS) || 2000;
+
+// Products currently being processed, so a burst of restocks doesn't start parallel runs
+const inFlight = new Set();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the quantity a shopper can buy right now
+ * Same rule as the product listing: inventory quantityAvailable when a record exists, otherwise product.stock
+ * For products sold in variants this is the total across variants
+ * @param {String} productId - Product ID
+ * @returns {Number} Available quantity
+ */
+exports.getAvailableStock = async (productId) => {
+    const product = await Product.findById(productId).select('stock variants._id').lean();
+    if (!product) {
+        return 0;
+    }
+    const inventories = await Inventory.find(variantService.stockFilter(product)).select('quantityAvailable').lean();
+    if (inventories.length > 0) {
+        return inventories.reduce((sum, inventory) => sum + inventory.quantityAvailable, 0);
+    }
+    return product.stock || 0;
+};
+
+/**
+ * Build the link a shopper can use to stop an alert
+ * @param {String} token - Subscription unsubscribe token
+ * @returns {String} Unsubscribe URL
+ */
+exports.buildUnsubscribeUrl = (token) => {
+    const baseUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 4001}`;
+    return `${baseUrl}/api/v1/stock-alerts/unsubscribe/${token}`;
+};
+
+/**
+ * Notify one subscriber; the subscription is claimed first so nobody is told twice
+ * @param {Object} subscription - StockSubscription (lean)
+ * @param {Object} product - Product (lean)
+ * @returns {Boolean} True if the subscriber was notified
+ */
+const notifySubscriber = async (subscription, product) => {
+    const claim = await StockSubscription.updateOne(
+        { _id: subscription._id, status: 'active' },
+        { $set: { status: 'notified', notifiedAt: Date.now() } }
+    );
+
+    if (claim.modifiedCount === 0) {
+        return false;
+    }
+
+    const user = await OtpUser.findOne({ _id: subscription.user, deletedAt: null });
+    if (!user) {
+        return false;
+    }
+
+    const productUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/product/${product._id}`;
+
+    await notificationService.sendMultiChannelNotification(null, user, {
+        title: 'Back in stock',
+        message: `${product.name} is back in stock. Order now before it sells out: ${productUrl}`,
+        type: 'alert',
+        priority: 'medium',
+        channels: subscription.channels,
+        data: {
+            productId: product._id.toString(),
+            reason: 'BACK_IN_STOCK',
+            unsubscribeUrl: exports.buildUnsubscribeUrl(subscription.unsubscribeToken)
+        },
+        sms: process.env.MSG91_BACK_IN_STOCK_TEMPLATE_ID ? {
+            templateId: process.env.MSG91_BACK_IN_STOCK_TEMPLATE_ID,
+            variables: {
+                VAR1: product.name,  // Product name
+                VAR2: productUrl  // Product link
+            }
+        } : undefined
+    });
+
+    return true;
+};
+
+/**
+ * Tell everyone subscribed to a product that it is back in stock
+ * Subscribers are handled in batches with a pause between them, oldest first,
+ * and the run stops early if the product sells out again
+ * @param {String} productId - Product that went from 0 to available stock
+ * @returns {Number} Number of subscribers notified
+ */
+exports.notifyBackInStock = async (productId) => {
+    const key = productId.toString();
+    if (inFlight.has(key)) {
+        return 0;
+    }
+    inFlight.add(key);
+
+    let notified = 0;
+    try {
+        const product = await Product.findById(productId).select('name').lean();
+        if (!product) {
+            return 0;
+        }
+
+        // Every subscription in a batch is claimed (no longer active), so each query picks up the next batch
+        while (true) {
+            if (await exports.getAvailableStock(productId) <= 0) {
+                console.log(`BACK_IN_STOCK_STOPPED: Product ${productId} sold out again after ${notified} alert(s)`);
+                break;
+            }
+
+            const batch = await StockSubscription.find({ product: productId, status: 'active' })
+                .sort({ createdAt: 1 })
+                .limit(BATCH_SIZE)
+                .lean();
+            if (batch.length === 0) {
+                break;
+            }
+
+            for (const subscription of batch) {
+                try {
+                    if (await notifySubscriber(subscription, product)) {
+                        notified++;
+                    }
+                } catch (error) {
+                    console.error(`Back-in-stock alert for subscription ${subscription._id} failed:`, error.message);
+                }
+            }
+
+            if (batch.length < BATCH_SIZE) {
+                break;
+            }
+            await wait(BATCH_DELAY_MS);
+        }
+
+        if (notified > 0) {
+            console.log(`BACK_IN_STOCK_ALERTS_SENT: Product ${productId}, ${notified} subscriber(s)`);
+        }
+    } finally {
+        inFlight.delete(key);
+    }
+
+    return notified;
+};
@@ -0,0 +1,352 @@
+const Product = require('../models/productModel');
+const Category = require('../models/categoryModel');
+const SearchSynonym = require('../models/searchSynonymModel');
+const { catalogEvents } = require('../utils/socketEvents');
+const logger = require('../utils/logger');
+
+// Rebuild at most this often while the catalog keeps changing (stock updates fire on every order)
+const MIN_REBUILD_INTERVAL = 30 * 1000;
+
+// Rebuild anyway after this long, to pick up changes made without an emitter (migrations, imports)
+const MAX_INDEX_AGE = 15 * 60 * 1000;
+
+// Categories and brands are shown before single products with the same match
+const TYPE_WEIGHT = { category: 3, brand: 2, product: 1 };
+
+// Most query variants tried after synonym expansion
+const MAX_VARIANTS = 10;
+
+// Spelling variations folded together, mostly from Hindi/English transliteration
+// ("aata"/"atta", "jeera"/"zeera", "chawal"/"chaval"); doubled letters collapse last
+const FOLDS = [
+    [/ee/g, 'i'],
+    [/oo/g, 'u'],
+    [/ph/g, 'f'],
+    [/w/g, 'v'],
+    [/z/g, 'j'],
+    [/(.)\1+/gu, '$1']
+];
+
+let index = null;
+let builtAt = 0;
+let stale = true;
+let building = null;
+
+// Any product, stock or category change makes the index stale
+catalogEvents.on('change', () => {
+    stale = true;
+});
+
+// Lowercase, strip accents and punctuation (keeps Devanagari vowel signs)
+const normalizeText = (text) => {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+        .trim();
+};
+
+const foldToken = (token) => {
+    return FOLDS.reduce((folded, [pattern, replacement]) => folded.replace(pattern, replacement), token);
+};
+
+// Normalized, folded words of a text
+const tokenize = (text) => {
+    const normalized = normalizeText(text);
+    return normalized ? normalized.split(' ').map(foldToken) : [];
+};
+
+// Typos allowed for a word of this length
+const allowedEdits = (token) => {
+    if (token.length <= 3) return 0;
+    if (token.length <= 6) return 1;
+    return 2;
+};
+
+// Levenshtein distance, giving up (max + 1) once it can't stay within max
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// First position in a sorted array whose value is >= target
+const lowerBound = (sorted, target) => {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (sorted[middle] < target) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+};
+
+const buildIndex = async () => {
+    const [products, categories, synonyms] = await Promise.all([
+        Product.find({ is_active: true }).select('name brand images numOfReviews').lean(),
+        Category.find({ isEnabled: true }).select('name slug path').lean(),
+        SearchSynonym.find({ isActive: true }).select('term synonyms').lean()
+    ]);
+
+    const entries = [];
+    const brands = {};
+
+    products.forEach(product => {
+        entries.push({
+            type: 'product',
+            label: product.name,
+            _id: product._id,
+            image: product.images && product.images.length > 0 ? product.images[0].url : null,
+            popularity: product.numOfReviews || 0
+        });
+
+        const brandName = product.brand && product.brand.name ? product.brand.name.trim() : '';
+        if (brandName) {
+            const key = brandName.toLowerCase();
+            brands[key] = brands[key] || { type: 'brand', label: brandName, popularity: 0 };
+            brands[key].popularity += 1;
+        }
+    });
+
+    entries.push(...Object.values(brands));
+
+    categories.forEach(category => {
+        entries.push({
+            type: 'category',
+            label: category.name,
+            _id: category._id,
+            slug: category.slug,
+            path: category.path,
+            popularity: 0
+        });
+    });
+
+    // Word -> entries containing it
+    const postings = new Map();
+    entries.forEach((entry, position) => {
+        const tokens = tokenize(entry.label);
+        entry.prefix = tokens.join(' ');
+        new Set(tokens).forEach(token => {
+            if (!postings.has(token)) {
+                postings.set(token, []);
+            }
+            postings.get(token).push(position);
+        });
+    });
+
+    // Phrase -> equivalent phrases; every word in a synonym group maps to all the others
+    const synonymMap = new Map();
+    synonyms.forEach(({ term, synonyms: alternatives }) => {
+        const group = [...new Set([term, ...alternatives].map(phrase => tokenize(phrase).join(' ')).filter(Boolean))];
+        group.forEach(phrase => {
+            const existing = synonymMap.get(phrase) || new Set();
+            group.filter(other => other !== phrase).forEach(other => existing.add(other));
+            synonymMap.set(phrase, existing);
+        });
+    });
+
+    return {
+        entries,
+        postings,
+        terms: [...postings.keys()].sort(),
+        synonymMap
+    };
+};
+
+const getIndex = async () => {
+    const age = Date.now() - builtAt;
+    const needsRebuild = !index || age > MAX_INDEX_AGE || (stale && age > MIN_REBUILD_INTERVAL);
+
+    if (needsRebuild && !building) {
+        // Changes that arrive during the build mark the new index stale again
+        stale = false;
+        building = buildIndex()
+            .then(built => {
+                index = built;
+                builtAt = Date.now();
+                logger.info(`Search suggestion index built with ${built.entries.length} entries`);
+            })
+            .catch(error => {
+                stale = true;
+                logger.error(`Failed to build search suggestion index: ${error.message}`);
+                if (!index) {
+                    throw error;
+                }
+            })
+            .finally(() => {
+                building = null;
+            });
+    }
+
+    // Serve the previous index while a rebuild runs; only the first request waits
+    if (!index && building) {
+        await building;
+    }
+    return index;
+};
+
+// Query with each synonym phrase swapped for its alternatives
+// The end of the query may be a phrase still being typed ("wheat flo" for "wheat flour")
+const expandQuery = (tokens, synonymMap) => {
+    const original = tokens.join(' ');
+    const variants = [original];
+
+    synonymMap.forEach((alternatives, phrase) => {
+        let head = null;
+        let tail = null;
+        if (` ${original} `.includes(` ${phrase} `)) {
+            [head, tail] = ` ${original} `.split(` ${phrase} `);
+        } else {
+            const phraseLength = phrase.split(' ').length;
+            const typed = tokens.slice(-phraseLength).join(' ');
+            if (typed.length >= 3 && phrase.startsWith(typed)) {
+                head = tokens.slice(0, -phraseLength).join(' ');
+                tail = '';
+            }
+        }
+        if (head === null) {
+            return;
+        }
+        alternatives.forEach(alternative => {
+            if (variants.length < MAX_VARIANTS) {
+                variants.push(`${head} ${alternative} ${tail}`.trim().replace(/\s+/g, ' '));
+            }
+        });
+    });
+
+    return variants.map(variant => variant.split(' '));
+};
+
+// Entries containing a word: exact (3), prefix of the word being typed (2), or within the typo allowance (1)
+const matchToken = (token, isLast, { postings, terms }) => {
+    const scores = new Map();
+    const addTerm = (term, score) => {
+        postings.get(term).forEach(position => {
+            if ((scores.get(position) || 0) < score) {
+                scores.set(position, score);
+            }
+        });
+    };
+
+    if (postings.has(token)) {
+        addTerm(token, 3);
+    }
+
+    if (isLast) {
+        for (let i = lowerBound(terms, token); i < terms.length && terms[i].startsWith(token); i++) {
+            if (terms[i] !== token) {
+                addTerm(terms[i], 2);
+            }
+        }
+    }
+
+    const maxEdits = allowedEdits(token);
+    if (maxEdits > 0) {
+        terms.forEach(term => {
+            if (term === token) {
+                return;
+            }
+            // The last word may still be incomplete, so also compare it with the start of longer words
+            const isPrefixTypo = isLast && term.length > token.length
+                && editDistance(token, term.slice(0, token.length), maxEdits) <= maxEdits;
+            if (isPrefixTypo || editDistance(token, term, maxEdits) <= maxEdits) {
+                addTerm(term, 1);
+            }
+        });
+    }
+
+    return scores;
+};
+
+/**
+ * Autocomplete suggestions for a partly typed query
+ * Matches product names, brands and categories by prefix, with typo tolerance and admin-managed synonyms
+ * @param {String} query - Text typed so far
+ * @param {Number} limit - Maximum suggestions
+ * @returns {Array} [{ type, label, _id?, slug?, path?, image? }]
+ */
+exports.getSuggestions = async (query, limit = 8) => {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) {
+        return [];
+    }
+
+    const searchIndex = await getIndex();
+    const best = new Map();
+
+    expandQuery(tokens, searchIndex.synonymMap).forEach((variantTokens, variantNumber) => {
+        let combined = null;
+
+        variantTokens.forEach((token, i) => {
+            const scores = matchToken(token, i === variantTokens.length - 1, searchIndex);
+            if (combined === null) {
+                combined = scores;
+                return;
+            }
+            // Every word of the query has to match
+            const next = new Map();
+            combined.forEach((score, position) => {
+                if (scores.has(position)) {
+                    next.set(position, score + scores.get(position));
+                }
+            });
+            combined = next;
+        });
+
+        const phrase = variantTokens.join(' ');
+        combined.forEach((score, position) => {
+            const entry = searchIndex.entries[position];
+            let total = score + TYPE_WEIGHT[entry.type];
+            if (entry.prefix.startsWith(phrase)) {
+                total += 2;
+            }
+            // Prefer what was actually typed over a synonym
+            if (variantNumber > 0) {
+                total -= 1;
+            }
+            if ((best.get(position) || -Infinity) < total) {
+                best.set(position, total);
+            }
+        });
+    });
+
+    return [...best.entries()]
+        .map(([position, score]) => ({ entry: searchIndex.entries[position], score }))
+        .sort((a, b) => b.score - a.score
+            || b.entry.popularity - a.entry.popularity
+            || a.entry.label.localeCompare(b.entry.label))
+        .slice(0, limit)
+        .map(({ entry }) => {
+            const { prefix, popularity, ...suggestion } = entry;
+            return suggestion;
+        });
+};
+
+/**
+ * Rebuild the index on the next request, e.g. after synonyms change
+ */
+exports.invalidateIndex = () => {
+    stale = true;
+    builtAt = 0;
+};
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productModel');
+const Inventory = require('../models/inventoryModel');
+const ErrorHandler = require('../utils/errorHandler');
+const { sanitizeInput } = require('../utils/sanitize');
+
+/**
+ * Active variants of a product
+ * @param {Object} product - Product document or lean object
+ * @returns {Array} Variants shoppers can buy
+ */
+exports.getActiveVariants = (product) => {
+    return (product.variants || []).filter(variant => variant.isActive !== false);
+};
+
+/**
+ * Check whether a product is sold in variants
+ * @param {Object} product - Product document or lean object
+ * @returns {Boolean} True if the product has at least one variant
+ */
+exports.hasVariants = (product) => {
+    return Array.isArray(product.variants) && product.variants.length > 0;
+};
+
+/**
+ * Inventory filter for the records that hold a product's sellable stock
+ * Once a product has variants its stock is in the variant records; a product-level record
+ * left from before the first variant was added no longer counts
+ * @param {Object} product - Product document or lean object (needs _id and variants)
+ * @returns {Object} Inventory query filter
+ */
+exports.stockFilter = (product) => {
+    return exports.hasVariants(product)
+        ? { product: product._id, variant: { $ne: null } }
+        : { product: product._id, variant: null };
+};
+
+// Aggregation expression for the looked-up `inventory` records that hold a product's stock
+// (same rule as stockFilter, for pipelines that $lookup inventories into `inventory`)
+exports.sellableInventory = {
+    $filter: {
+        input: '$inventory',
+        as: 'record',
+        cond: {
+            $cond: {
+                if: { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+                then: { $ne: [{ $ifNull: ['$$record.variant', null] }, null] },
+                else: { $eq: [{ $ifNull: ['$$record.variant', null] }, null] }
+            }
+        }
+    }
+};
+
+/**
+ * Find the variant an order or cart line refers to
+ * Products with variants must name one of their active variants; products without variants must not name any
+ * @param {Object} product - Product document or lean object
+ * @param {String} variantId - Requested variant ID
+ * @returns {Object|null} The variant, or null for products without variants
+ */
+exports.resolveVariant = (product, variantId) => {
+    if (!exports.hasVariants(product)) {
+        if (variantId) {
+            throw new ErrorHandler(`${product.name} has no variants`, 400);
+        }
+        return null;
+    }
+
+    if (!variantId || !mongoose.Types.ObjectId.isValid(variantId)) {
+        throw new ErrorHandler(`Please choose a variant of ${product.name}`, 400);
+    }
+
+    const variant = product.variants.find(v => v._id.toString() === variantId.toString());
+    if (!variant || variant.isActive === false) {
+        throw new ErrorHandler(`Selected variant of ${product.name} is no longer available`, 400);
+    }
+
+    return variant;
+};
+
+/**
+ * Display name for a line: "Rice - 5kg" for variants, the product name otherwise
+ * @param {Object} product - Product document or lean object
+ * @param {Object} variant - Variant, if any
+ * @returns {String} Line name
+ */
+exports.lineName = (product, variant) => {
+    return variant ? `${product.name} - ${variant.name}` : product.name;
+};
+
+/**
+ * Find a product or product variant by SKU
+ * @param {String} sku - Product or variant SKU
+ * @returns {Object|null} { product, variant } - variant is null for product-level SKUs
+ */
+exports.findBySku = async (sku) => {
+    if (!sku) {
+        return null;
+    }
+
+    const product = await Product.findOne({ $or: [{ sku }, { 'variants.sku': sku }] });
+    if (!product) {
+        return null;
+    }
+
+    const variant = product.sku === sku ? null : product.variants.find(v => v.sku === sku);
+    return { product, variant: variant || null };
+};
+
+/**
+ * Make sure a SKU isn't used by another product or variant
+ * @param {String} sku - SKU to check
+ * @param {String} productId - Product the SKU is for
+ * @param {String} variantId - Variant the SKU is for, when updating one
+ */
+const assertSkuAvailable = async (sku, productId, variantId = null) => {
+    const owner = await exports.findBySku(sku);
+    if (!owner) {
+        return;
+    }
+
+    const sameProduct = owner.product._id.toString() === productId.toString();
+    const sameVariant = owner.variant && variantId && owner.variant._id.toString() === variantId.toString();
+    if (!sameProduct || !sameVariant) {
+        throw new ErrorHandler(`SKU ${sku} is already in use`, 400);
+    }
+};
+
+/**
+ * Validate and clean variant fields from a request or import row
+ * @param {Object} data - { name, sku, price, mrp, unit, isActive }
+ * @param {Boolean} partial - Only validate the fields that are present (updates)
+ * @returns {Object} Clean variant fields
+ */
+exports.normalizeVariantInput = (data, partial = false) => {
+    const fields = {};
+
+    if (!partial || data.name !== undefined) {
+        const name = sanitizeInput(String(data.name || '').trim());
+        if (!name) {
+            throw new ErrorHandler('Variant name is required', 400);
+        }
+        fields.name = name;
+    }
+
+    if (!partial || data.sku !== undefined) {
+        const sku = sanitizeInput(String(data.sku || '').trim());
+        if (!sku) {
+            throw new ErrorHandler('Variant SKU is required', 400);
+        }
+        fields.sku = sku;
+    }
+
+    if (!partial || data.price !== undefined) {
+        const price = Number(data.price);
+        if (data.price === undefined || data.price === '' || isNaN(price) || price <= 0) {
+            throw new ErrorHandler('Variant price must be a positive number', 400);
+        }
+        fields.price = price;
+    }
+
+    if (data.mrp !== undefined && data.mrp !== '') {
+        const mrp = Number(data.mrp);
+        if (isNaN(mrp) || mrp < 0) {
+            throw new ErrorHandler('Variant MRP must be a non-negative number', 400);
+        }
+        fields.mrp = mrp;
+    }
+
+    if (data.unit !== undefined) {
+        fields.unit = sanitizeInput(String(data.unit || '').trim());
+    }
+
+    if (data.isActive !== undefined) {
+        fields.isActive = data.isActive === true || data.isActive === 'true';
+    }
+
+    return fields;
+};
+
+/**
+ * Keep the product's listing price in step with its variants
+ * The cheapest active variant sets price and mrp, so listings, sorting and price filters keep working
+ * @param {Object} product - Product document (not saved)
+ */
+exports.syncProductPricing = (product) => {
+    const active = exports.getActiveVariants(product);
+    if (active.length === 0) {
+        return;
+    }
+
+    const cheapest = active.reduce((min, variant) => (variant.price < min.price ? variant : min), active[0]);
+    product.price = cheapest.price;
+    product.mrp = cheapest.mrp || 0;
+};
+
+/**
+ * Add a variant to a product, or update the variant with the same ID or SKU
+ * The variant's Inventory record is created with zero stock, and its SKU kept in step
+ * @param {Object} product - Product document
+ * @param {Object} data - Variant fields (see normalizeVariantInput)
+ * @param {String} variantId - Variant to update; omit to match by SKU or add a new one
+ * @returns {Object} { variant, created }
+ */
+exports.upsertVariant = async (product, data, variantId = null) => {
+    let variant = null;
+    if (variantId) {
+        variant = product.variants.id(variantId);
+        if (!variant) {
+            throw new ErrorHandler('Product variant not found', 404);
+        }
+    } else if (data.sku) {
+        variant = product.variants.find(v => v.sku === String(data.sku).trim()) || null;
+    }
+
+    const fields = exports.normalizeVariantInput(data, Boolean(variant));
+
+    if (fields.sku && (!variant || fields.sku !== variant.sku)) {
+        await assertSkuAvailable(fields.sku, product._id, variant ? variant._id : null);
+    }
+
+    const name = fields.name || (variant && variant.name);
+    const duplicateName = product.variants.find(v =>
+        v.name.toLowerCase() === name.toLowerCase() && (!variant || v._id.toString() !== variant._id.toString())
+    );
+    if (duplicateName) {
+        throw new ErrorHandler(`${product.name} already has a variant named ${name}`, 400);
+    }
+
+    const created = !variant;
+    if (variant) {
+        Object.assign(variant, fields);
+    } else {
+        product.variants.push(fields);
+        variant = product.variants[product.variants.length - 1];
+    }
+
+    exports.syncProductPricing(product);
+    await product.save();
+
+    // Every variant has its own stock record
+    await Inventory.updateOne(
+        { product: product._id, variant: variant._id },
+        {
+            $set: { sku: variant.sku, lastUpdated: Date.now() },
+            $setOnInsert: { quantityAvailable: 0, quantityReserved: 0 }
+        },
+        { upsert: true }
+    );
+
+    return { variant, created };
+};
+
+/**
+ * Available stock for each variant of a product
+ * @param {String} productId - Product ID
+ * @returns {Object} quantityAvailable keyed by variant ID
+ */
+exports.getVariantStock = async (productId) => {
+    const inventories = await Inventory.find({ product: productId, variant: { $ne: null } })
+        .select('variant quantityAvailable')
+        .lean();
+
+    const stock = {};
+    inventories.forEach(inventory => {
+        stock[inventory.variant.toString()] = inventory.quantityAvailable;
+    });
+    return stock;
+};
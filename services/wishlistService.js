@@ -0,0 +1,139 @@
+const Wishlist = require('../models/wishlistModel');
+const Product = require('../models/productModel');
+const Inventory = require('../models/inventoryModel');
+const OtpUser = require('../models/OtpUser');
+const notificationService = require('./notificationService');
+const variantService = require('./variantService');
+const { computeUnitPrice } = require('./pricingService');
+
+/**
+ * Load current price and stock for a set of products
+ * Stock follows getAllProducts: the inventory's quantityAvailable when a record exists, otherwise product.stock
+ * For products sold in variants this is the total across variants
+ * @param {Array} productIds - Product IDs
+ * @returns {Object} Live product data keyed by product ID
+ */
+exports.loadLiveProducts = async (productIds) => {
+    const products = await Product.find({ _id: { $in: productIds } })
+        .select('name price discount discountType images stock is_active variants._id')
+        .lean();
+    const inventories = products.length > 0
+        ? await Inventory.find({ $or: products.map(variantService.stockFilter) })
+            .select('product quantityAvailable')
+            .lean()
+        : [];
+
+    // Products sold in variants have one inventory record per variant; a leftover product-level record is skipped
+    const inventoryMap = {};
+    inventories.forEach(inv => {
+        const id = inv.product.toString();
+        inventoryMap[id] = (inventoryMap[id] || 0) + inv.quantityAvailable;
+    });
+
+    const live = {};
+    products.forEach(product => {
+        const id = product._id.toString();
+        const effectiveStock = inventoryMap[id] !== undefined ? inventoryMap[id] : (product.stock || 0);
+        live[id] = {
+            product: product._id,
+            name: product.name,
+            image: product.images && product.images.length > 0 ? product.images[0].url : '',
+            basePrice: product.price,
+            price: computeUnitPrice(product),
+            effectiveStock,
+            inStock: effectiveStock > 0,
+            isActive: product.is_active !== false
+        };
+    });
+    return live;
+};
+
+/**
+ * Send one wishlist alert to a user
+ * @param {Object} io - Socket.IO instance (may be undefined)
+ * @param {Object} user - OtpUser document
+ * @param {Object} alert - { title, message, type, data }
+ */
+const sendWishlistAlert = async (io, user, alert) => {
+    try {
+        await notificationService.sendMultiChannelNotification(io, user, {
+            ...alert,
+            priority: 'low',
+            channels: ['inApp', 'email']
+        });
+    } catch (error) {
+        console.error(`Wishlist alert for user ${user._id} failed:`, error.message);
+    }
+};
+
+/**
+ * Notify users whose wishlisted product came back in stock or got cheaper
+ * Each wishlist line stores the price and stock state last reported; a line is only
+ * alerted when it is claimed by moving that state forward, so concurrent calls can't alert twice
+ * @param {String} productId - Product whose price or stock changed
+ * @param {Object} io - Socket.IO instance (may be undefined)
+ * @returns {Number} Number of alerts sent
+ */
+exports.checkWishlistAlerts = async (productId, io = null) => {
+    const live = (await exports.loadLiveProducts([productId]))[productId.toString()];
+    if (!live) {
+        return 0;
+    }
+
+    const wishlists = await Wishlist.find({ 'items.product': productId })
+        .select('user items.$')
+        .lean();
+
+    let sent = 0;
+    for (const wishlist of wishlists) {
+        const item = wishlist.items[0];
+        const restocked = live.inStock && item.lastKnownInStock === false;
+        const priceDropped = live.price < item.lastKnownPrice;
+
+        if (!restocked && !priceDropped && item.lastKnownInStock === live.inStock && item.lastKnownPrice === live.price) {
+            continue;
+        }
+
+        // Claim the line: only the call that moves its state forward sends the alert
+        const claim = await Wishlist.updateOne(
+            {
+                _id: wishlist._id,
+                items: { $elemMatch: { product: productId, lastKnownPrice: item.lastKnownPrice, lastKnownInStock: item.lastKnownInStock } }
+            },
+            { $set: { 'items.$[line].lastKnownPrice': live.price, 'items.$[line].lastKnownInStock': live.inStock } },
+            { arrayFilters: [{ 'line.product': live.product }] }
+        );
+
+        if (claim.modifiedCount === 0 || (!restocked && !priceDropped)) {
+            continue;
+        }
+
+        const user = await OtpUser.findOne({ _id: wishlist.user, deletedAt: null });
+        if (!user) {
+            continue;
+        }
+
+        if (restocked) {
+            await sendWishlistAlert(io, user, {
+                title: 'Back in stock',
+                message: `${live.name} from your wishlist is back in stock at ₹${live.price}.`,
+                type: 'alert',
+                data: { productId: live.product.toString(), reason: 'BACK_IN_STOCK', price: live.price }
+            });
+        } else {
+            await sendWishlistAlert(io, user, {
+                title: 'Price drop',
+                message: `${live.name} from your wishlist is now ₹${live.price} (was ₹${item.lastKnownPrice}).`,
+                type: 'promotion',
+                data: { productId: live.product.toString(), reason: 'PRICE_DROP', price: live.price, previousPrice: item.lastKnownPrice }
+            });
+        }
+        sent++;
+    }
+
+    if (sent > 0) {
+        console.log(`WISHLIST_ALERTS_SENT: Product ${productId}, ${sent} alert(s)`);
+    }
+
+    return sent;
+};
@@ -47,6 +47,10 @@ class SearchFeatures {
                     this.processedCategory = mongoose.Types.ObjectId('000000000000000000000000');
                 }
             }
+
+            // Include products filed under subcategories
+            const descendants = await Category.find({ ancestors: this.processedCategory }).select('_id').lean();
+            this.processedCategory = { $in: [this.processedCategory, ...descendants.map(category => category._id)] };
         }
 
         // Store status filter separately to handle it in filter() method
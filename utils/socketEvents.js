@@ -1,209 +1,252 @@
-// Utility functions for emitting events (no-op since Socket.IO has been removed)
+// Utility functions for emitting Socket.IO events to the right rooms
+// Catalog events (products, stock, categories, settings) go to everyone; orders, users,
+// reviews and coupons only reach the admin room and the customers they belong to
+const EventEmitter = require('events');
+
+// In-process listeners for catalog changes (e.g. the search suggestion index)
+// Fired by the product, stock and category emitters below with the event name and payload
+const catalogEvents = new EventEmitter();
+
+// Room names
+const ADMIN_ROOM = 'admin';
+const userRoom = (userId) => `user:${userId}`;
+const orderRoom = (orderId) => `order:${orderId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Plain object for the wire (Mongoose documents are converted)
+const serialize = (data) => {
+    return data && typeof data.toJSON === 'function' ? data.toJSON() : data;
+};
+
+// ID of a referenced document, whether populated or not
+const refId = (value) => {
+    if (!value) return null;
+    return (value._id || value).toString();
+};
+
+// Emit to every connected client
+const broadcast = (io, event, payload) => {
+    if (!io) return;
+    io.emit(event, payload);
+};
+
+// Emit to a set of rooms (a socket in several of them receives the event once)
+const toRooms = (io, rooms, event, payload) => {
+    const targets = rooms.filter(Boolean);
+    if (!io || targets.length === 0) return;
+    io.to(targets).emit(event, payload);
+};
 
 /**
  * Emit a product created event
- * @param {Object} io - Socket.IO instance (not used)
+ * @param {Object} io - Socket.IO instance
  * @param {Object} product - Created product data
  */
 const emitProductCreated = (io, product) => {
-    // No-op since Socket.IO has been removed
-    return;
+    catalogEvents.emit('change', 'product:created', product);
+    broadcast(io, 'product:created', serialize(product));
 };
 
 /**
  * Emit a product updated event
- * @param {Object} io - Socket.IO instance (not used)
+ * @param {Object} io - Socket.IO instance
  * @param {Object} product - Updated product data
  */
 const emitProductUpdated = (io, product) => {
-    // No-op since Socket.IO has been removed
-    return;
+    catalogEvents.emit('change', 'product:updated', product);
+    broadcast(io, 'product:updated', serialize(product));
 };
 
 /**
  * Emit a product deleted event
- * @param {Object} io - Socket.IO instance (not used)
+ * @param {Object} io - Socket.IO instance
  * @param {String} productId - ID of deleted product
  */
 const emitProductDeleted = (io, productId) => {
-    // No-op since Socket.IO has been removed
-    return;
+    catalogEvents.emit('change', 'product:deleted', productId);
+    broadcast(io, 'product:deleted', { _id: productId });
 };
 
 /**
  * Emit a stock updated event
- * @param {Object} io - Socket.IO instance (not used)
+ * @param {Object} io - Socket.IO instance
  * @param {Object} product - Product with updated stock
  */
 const emitStockUpdated = (io, product) => {
-    // No-op since Socket.IO has been removed
-    return;
+    catalogEvents.emit('change', 'stock:updated', product);
+    broadcast(io, 'stock:updated', serialize(product));
 };
 
 /**
  * Emit a category created event
- * @param {Object} io - Socket.IO instance (not used)
+ * @param {Object} io - Socket.IO instance
  * @param {Object} category - Created category data
  */
 const emitCategoryCreated = (io, category) => {
-    // No-op since Socket.IO has been removed
-    return;
+    catalogEvents.emit('change', 'category:created', category);
+    broadcast(io, 'category:created', serialize(category));
 };
 
 /**
  * Emit a category updated event
- * @param {Object} io - Socket.IO instance (not used)
+ * @param {Object} io - Socket.IO instance
  * @param {Object} category - Updated category data
  */
 const emitCategoryUpdated = (io, category) => {
-    // No-op since Socket.IO has been removed
-    return;
+    catalogEvents.emit('change', 'category:updated', category);
+    broadcast(io, 'category:updated', serialize(category));
 };
 
 /**
  * Emit a category deleted event
- * @param {Object} io - Socket.IO instance (not used)
+ * @param {Object} io - Socket.IO instance
  * @param {String} categoryId - ID of deleted category
  */
 const emitCategoryDeleted = (io, categoryId) => {
-    // No-op since Socket.IO has been removed
-    return;
+    catalogEvents.emit('change', 'category:deleted', categoryId);
+    broadcast(io, 'category:deleted', { _id: categoryId });
 };
 
 /**
- * Emit an order created event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit an order created event to admins and the customer
+ * @param {Object} io - Socket.IO instance
  * @param {Object} order - Created order data
  */
 const emitOrderCreated = (io, order) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM, userRoom(refId(order.user))], 'order:created', serialize(order));
 };
 
 /**
- * Emit an order updated event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit an order updated event to admins, the customer and anyone following the order
+ * @param {Object} io - Socket.IO instance
  * @param {Object} order - Updated order data
  */
 const emitOrderUpdated = (io, order) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM, userRoom(refId(order.user)), orderRoom(refId(order))], 'order:updated', serialize(order));
 };
 
 /**
- * Emit an order deleted event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit an order deleted event to admins, the customer and anyone following the order
+ * @param {Object} io - Socket.IO instance
  * @param {String} orderId - ID of deleted order
  * @param {String} userId - ID of user who placed the order
  */
 const emitOrderDeleted = (io, orderId, userId) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM, userId && userRoom(refId(userId)), orderRoom(orderId)], 'order:deleted', { _id: orderId });
 };
 
 /**
- * Emit a user updated event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit a user updated event to admins and the user
+ * @param {Object} io - Socket.IO instance
  * @param {Object} user - Updated user data
  */
 const emitUserUpdated = (io, user) => {
-    // No-op since Socket.IO has been removed
-    return;
+    if (!user) return;
+    toRooms(io, [ADMIN_ROOM, userRoom(refId(user))], 'user:updated', serialize(user));
 };
 
 /**
- * Emit a user deleted event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit a user deleted event to admins and the user, then disconnect the user's sockets
+ * @param {Object} io - Socket.IO instance
  * @param {String} userId - ID of deleted user
  */
 const emitUserDeleted = (io, userId) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM, userRoom(userId)], 'user:deleted', { _id: userId });
+    if (io) {
+        io.in(userRoom(userId)).disconnectSockets(true);
+    }
 };
 
 /**
- * Emit a review created event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit a review created event to admins (new reviews wait for moderation)
+ * @param {Object} io - Socket.IO instance
  * @param {Object} review - Created review data
  * @param {String} productId - ID of product reviewed
  */
 const emitReviewCreated = (io, review, productId) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM], 'review:created', { review: serialize(review), productId });
 };
 
 /**
  * Emit a review deleted event
- * @param {Object} io - Socket.IO instance (not used)
+ * @param {Object} io - Socket.IO instance
  * @param {String} reviewId - ID of deleted review
  * @param {String} productId - ID of product
  */
 const emitReviewDeleted = (io, reviewId, productId) => {
-    // No-op since Socket.IO has been removed
-    return;
+    broadcast(io, 'review:deleted', { _id: reviewId, productId });
 };
 
 /**
- * Emit a coupon created event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit a coupon created event to admins
+ * @param {Object} io - Socket.IO instance
  * @param {Object} coupon - Created coupon data
  */
 const emitCouponCreated = (io, coupon) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM], 'coupon:created', serialize(coupon));
 };
 
 /**
- * Emit a coupon updated event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit a coupon updated event to admins
+ * @param {Object} io - Socket.IO instance
  * @param {Object} coupon - Updated coupon data
  */
 const emitCouponUpdated = (io, coupon) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM], 'coupon:updated', serialize(coupon));
 };
 
 /**
- * Emit a coupon deleted event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit a coupon deleted event to admins
+ * @param {Object} io - Socket.IO instance
  * @param {String} couponId - ID of deleted coupon
  */
 const emitCouponDeleted = (io, couponId) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM], 'coupon:deleted', { _id: couponId });
 };
 
 /**
- * Emit a coupon activated event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit a coupon activated event to admins
+ * @param {Object} io - Socket.IO instance
  * @param {Object} coupon - Activated coupon data
  */
 const emitCouponActivated = (io, coupon) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM], 'coupon:activated', serialize(coupon));
 };
 
 /**
- * Emit a coupon deactivated event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit a coupon deactivated event to admins
+ * @param {Object} io - Socket.IO instance
  * @param {Object} coupon - Deactivated coupon data
  */
 const emitCouponDeactivated = (io, coupon) => {
-    // No-op since Socket.IO has been removed
-    return;
+    toRooms(io, [ADMIN_ROOM], 'coupon:deactivated', serialize(coupon));
 };
 
 /**
- * Emit a settings updated event
- * @param {Object} io - Socket.IO instance (not used)
+ * Emit a settings updated event (store settings are public)
+ * @param {Object} io - Socket.IO instance
  * @param {Object} settings - Updated settings data
  */
 const emitSettingsUpdated = (io, settings) => {
-    // No-op since Socket.IO has been removed
-    return;
+    broadcast(io, 'settings:updated', serialize(settings));
+};
+
+/**
+ * Disconnect the sockets opened with an admin session, e.g. on logout
+ * @param {Object} io - Socket.IO instance
+ * @param {String} sessionId - Express session ID
+ */
+const disconnectAdminSession = (io, sessionId) => {
+    if (!io || !sessionId) return;
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
 };
 
 module.exports = {
+    catalogEvents,
+    ADMIN_ROOM,
+    userRoom,
+    orderRoom,
+    sessionRoom,
     emitProductCreated,
     emitProductUpdated,
     emitProductDeleted,
@@ -223,5 +266,6 @@ module.exports = {
     emitCouponDeleted,
     emitCouponActivated,
     emitCouponDeactivated,
-    emitSettingsUpdated
-};
\ No newline at end of file
+    emitSettingsUpdated,
+    disconnectAdminSession
+};
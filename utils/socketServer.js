@@ -0,0 +1,138 @@
+// Socket.IO server: authenticates each connection and puts it in its rooms
+// Customers connect with their OtpUser JWT, admins with the shubhvaluecart.sid session cookie,
+// and anyone else connects as a guest that only receives public catalog events
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
+const OtpUser = require('../models/OtpUser');
+const Admin = require('../models/adminModel');
+const Order = require('../models/orderModel');
+const { ADMIN_ROOM, userRoom, orderRoom, sessionRoom } = require('./socketEvents');
+const logger = require('./logger');
+
+// JWT from the handshake auth payload, the Authorization header or the token cookie
+const readToken = (socket) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+    if (auth.token) {
+        return auth.token;
+    }
+    if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+        return headers.authorization.split(' ')[1];
+    }
+    return socket.request.cookies?.token || null;
+};
+
+// Admin from the express session, mirroring isAuthenticatedAdmin
+const authenticateAdmin = async (request) => {
+    const adminId = request.session && request.session.adminId;
+    if (!adminId || !mongoose.Types.ObjectId.isValid(adminId)) {
+        return null;
+    }
+    return Admin.findById(adminId).select('_id').lean();
+};
+
+// Customer from a JWT, mirroring isAuthenticatedUser
+const authenticateUser = async (token) => {
+    const decodedData = jwt.verify(token, process.env.JWT_SECRET);
+    const userId = decodedData.userId || decodedData.id || decodedData._id;
+    if (!userId) {
+        throw new Error('Invalid token: missing user identifier');
+    }
+
+    const user = await OtpUser.findById(userId).select('_id deletedAt isActive').lean();
+    if (!user || user.deletedAt || user.isActive === false) {
+        throw new Error('User not found');
+    }
+    return user;
+};
+
+/**
+ * Attach a Socket.IO server to the HTTP server
+ * @param {Object} server - http.Server the Express app listens on
+ * @param {Object} app - Express app (provides the session middleware)
+ * @returns {Object} Socket.IO server
+ */
+const initSocketServer = (server, app) => {
+    const io = new Server(server, {
+        cors: {
+            origin: [process.env.FRONTEND_URL || 'http://localhost:3000', 'https://your-client-domain.com'],
+            credentials: true
+        }
+    });
+
+    // Same cookies and session as the HTTP routes
+    io.engine.use(cookieParser());
+    const sessionMiddleware = app.get('sessionMiddleware');
+    if (sessionMiddleware) {
+        io.engine.use(sessionMiddleware);
+    }
+
+    io.use(async (socket, next) => {
+        try {
+            const admin = await authenticateAdmin(socket.request);
+            if (admin) {
+                socket.data.admin = { _id: admin._id.toString() };
+            }
+
+            const token = readToken(socket);
+            if (token) {
+                const user = await authenticateUser(token);
+                socket.data.user = { _id: user._id.toString() };
+            }
+
+            next();
+        } catch (error) {
+            // A token was sent but isn't valid - tell the client to log in again rather than downgrading to guest
+            next(new Error('Authentication failed'));
+        }
+    });
+
+    io.on('connection', (socket) => {
+        const { admin, user } = socket.data;
+
+        if (admin) {
+            socket.join([ADMIN_ROOM, sessionRoom(socket.request.sessionID)]);
+        }
+        if (user) {
+            socket.join(userRoom(user._id));
+        }
+
+        // Follow a single order (tracking page); customers only for their own orders
+        socket.on('order:subscribe', async (orderId, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                if (!admin && !user) {
+                    return reply({ success: false, message: 'Please Login to Access' });
+                }
+                if (!mongoose.Types.ObjectId.isValid(orderId)) {
+                    return reply({ success: false, message: 'Invalid order ID' });
+                }
+
+                const filter = admin ? { _id: orderId } : { _id: orderId, user: user._id };
+                if (!(await Order.exists(filter))) {
+                    return reply({ success: false, message: 'Order not found' });
+                }
+
+                socket.join(orderRoom(orderId));
+                reply({ success: true });
+            } catch (error) {
+                logger.error(`Order subscription failed: ${error.message}`);
+                reply({ success: false, message: 'Could not subscribe to order' });
+            }
+        });
+
+        socket.on('order:unsubscribe', (orderId, ack) => {
+            socket.leave(orderRoom(orderId));
+            if (typeof ack === 'function') {
+                ack({ success: true });
+            }
+        });
+    });
+
+    return io;
+};
+
+module.exports = {
+    initSocketServer
+};
@@ -0,0 +1,114 @@
+const ErrorHandler = require('./errorHandler');
+
+// Units a product can be sold in, with the number of decimals a quantity may have
+// Loose goods (produce, grains) are sold by weight; everything else by the piece
+const UNIT_PRECISION = {
+    piece: 0,
+    kg: 3,
+    g: 1
+};
+
+const UNITS_OF_MEASURE = Object.keys(UNIT_PRECISION);
+
+/**
+ * Number of decimals allowed for a unit of measure
+ * @param {string} unitOfMeasure - piece, kg or g
+ * @returns {number} Decimal places
+ */
+const getPrecision = (unitOfMeasure) => {
+    return UNIT_PRECISION[unitOfMeasure] !== undefined ? UNIT_PRECISION[unitOfMeasure] : 0;
+};
+
+/**
+ * Round a quantity to the precision of its unit, so stock sums don't drift (0.1 + 0.2 kg)
+ * @param {number} quantity - Quantity to round
+ * @param {string} unitOfMeasure - piece, kg or g
+ * @returns {number} Rounded quantity
+ */
+const roundQuantity = (quantity, unitOfMeasure) => {
+    const factor = Math.pow(10, getPrecision(unitOfMeasure));
+    return Math.round(Number(quantity) * factor) / factor;
+};
+
+/**
+ * Whether a quantity can be expressed in a unit (whole pieces, grams for kg, tenths for g)
+ * @param {number} quantity - Quantity to check
+ * @param {string} unitOfMeasure - piece, kg or g
+ * @returns {boolean} True if the quantity fits the unit's precision
+ */
+const fitsPrecision = (quantity, unitOfMeasure) => {
+    const factor = Math.pow(10, getPrecision(unitOfMeasure));
+    return Math.abs(quantity * factor - Math.round(quantity * factor)) < 1e-6;
+};
+
+/**
+ * Quantity rules for a product: unit, step and per-order limits
+ * @param {object} product - Product document or lean object
+ * @returns {object} { unitOfMeasure, step, min, max }
+ */
+const getQuantityRule = (product) => {
+    const unitOfMeasure = UNIT_PRECISION[product.unitOfMeasure] !== undefined ? product.unitOfMeasure : 'piece';
+    const smallest = 1 / Math.pow(10, getPrecision(unitOfMeasure));
+    const step = product.quantityStep > 0 ? product.quantityStep : (unitOfMeasure === 'piece' ? 1 : smallest);
+
+    return {
+        unitOfMeasure,
+        step,
+        min: product.minimumQty > 0 ? product.minimumQty : step,
+        max: product.maximumQty > 0 ? product.maximumQty : null
+    };
+};
+
+/**
+ * Format a quantity with its unit, e.g. "1.5 kg" or "3"
+ * @param {number} quantity - Quantity
+ * @param {string} unitOfMeasure - piece, kg or g
+ * @returns {string} Display quantity
+ */
+const formatQuantity = (quantity, unitOfMeasure) => {
+    return !unitOfMeasure || unitOfMeasure === 'piece' ? `${quantity}` : `${quantity} ${unitOfMeasure}`;
+};
+
+/**
+ * Check an order or cart quantity against the product's unit, step and limits
+ * @param {object} product - Product document or lean object
+ * @param {number} quantity - Requested quantity in the product's unit
+ * @returns {number} The quantity, rounded to the unit's precision
+ * @throws {ErrorHandler} 400 if the quantity isn't allowed
+ */
+const validateQuantity = (product, quantity) => {
+    const { unitOfMeasure, step, min, max } = getQuantityRule(product);
+    const value = Number(quantity);
+
+    if (!Number.isFinite(value) || value <= 0 || !fitsPrecision(value, unitOfMeasure)) {
+        throw new ErrorHandler(unitOfMeasure === 'piece'
+            ? `Quantity of ${product.name} must be a positive whole number`
+            : `Quantity of ${product.name} must be a positive amount in ${unitOfMeasure} with up to ${getPrecision(unitOfMeasure)} decimals`, 400);
+    }
+
+    const rounded = roundQuantity(value, unitOfMeasure);
+    const steps = rounded / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-6) {
+        throw new ErrorHandler(`${product.name} is sold in steps of ${formatQuantity(step, unitOfMeasure)}`, 400);
+    }
+
+    if (rounded < min) {
+        throw new ErrorHandler(`Minimum order quantity for ${product.name} is ${formatQuantity(min, unitOfMeasure)}`, 400);
+    }
+
+    if (max !== null && rounded > max) {
+        throw new ErrorHandler(`Maximum order quantity for ${product.name} is ${formatQuantity(max, unitOfMeasure)}`, 400);
+    }
+
+    return rounded;
+};
+
+module.exports = {
+    UNITS_OF_MEASURE,
+    getPrecision,
+    roundQuantity,
+    fitsPrecision,
+    getQuantityRule,
+    formatQuantity,
+    validateQuantity
+};